@@ -0,0 +1,107 @@
+module Api
+  module V1
+    class BoardsController < BaseController
+      # Stop fields a kiosk needs to fetch and show times. Anyone with the kiosk
+      # URL sees these, so per-user settings (owner, notification rules) stay out.
+      # data_file is the stop's snapshot under the app's public /data/stops.
+      KIOSK_STOP_FIELDS = %i[
+        id name transit_type origin destination route_filter stop_filter ferry_direction location
+        time_zone arrival departure favorite position target_time target_days
+        window_start window_end window_objective data_file
+      ].freeze
+
+      # Wall displays load their board without a login; the kiosk token is the secret
+      before_action :authenticate_user!, except: [:kiosk]
+      before_action :set_board, only: [:show, :update, :destroy, :regenerate_kiosk_token]
+
+      # GET /api/v1/boards
+      def index
+        current_user.ensure_board!
+        render json: current_user.boards.ordered.map { |board| board_json(board) }
+      end
+
+      # GET /api/v1/boards/:id
+      def show
+        render json: board_json(@board)
+      end
+
+      # POST /api/v1/boards
+      def create
+        @board = current_user.boards.build(board_params)
+        @board.position = current_user.boards.count + 1
+
+        if @board.save
+          render json: board_json(@board), status: :created
+        else
+          render_validation_errors(@board)
+        end
+      end
+
+      # PATCH /api/v1/boards/:id
+      def update
+        if @board.update(board_params)
+          render json: board_json(@board)
+        else
+          render_validation_errors(@board)
+        end
+      end
+
+      # PATCH /api/v1/boards/:id/regenerate_kiosk_token
+      # Unpins wall displays using the old kiosk URL
+      def regenerate_kiosk_token
+        @board.regenerate_kiosk_token
+        render json: board_json(@board)
+      end
+
+      # DELETE /api/v1/boards/:id
+      # Stops stay on their other boards; stops only on this board move to
+      # the first remaining board
+      def destroy
+        if current_user.boards.count <= 1
+          render_error("A user needs at least one board")
+          return
+        end
+
+        Board.transaction do
+          orphan_ids = @board.stops.where.not(id: BoardStop.where.not(board_id: @board.id).select(:stop_id)).pluck(:id)
+          @board.destroy!
+          fallback = current_user.boards.ordered.first
+          orphan_ids.each { |stop_id| fallback.board_stops.create!(stop_id: stop_id) }
+        end
+        render json: { message: "Board deleted successfully" }, status: :ok
+      rescue ActiveRecord::RecordInvalid, ActiveRecord::RecordNotDestroyed => e
+        render_validation_errors(e.record)
+      end
+
+      # GET /api/v1/kiosk/:kiosk_token
+      def kiosk
+        board = Board.find_by(kiosk_token: params[:kiosk_token])
+        unless board
+          render_error("Board not found", status: :not_found)
+          return
+        end
+
+        render json: {
+          board: board.as_json(only: [:id, :name, :origin, :layout, :refresh_minutes]),
+          stops: board.ordered_stops.visible.map { |stop| stop.as_json(only: KIOSK_STOP_FIELDS) }
+        }
+      end
+
+      private
+
+      def set_board
+        @board = current_user.boards.find(params[:id])
+      rescue ActiveRecord::RecordNotFound
+        render_error("Board not found", status: :not_found)
+      end
+
+      def board_params
+        params.require(:board).permit(:name, :origin, :layout, :refresh_minutes)
+      end
+
+      def board_json(board)
+        board.as_json(except: [:user_id, :created_at, :updated_at])
+      end
+    end
+  end
+end
@@ -0,0 +1,65 @@
+module Api
+  module V1
+    class CalendarFeedsController < BaseController
+      # Calendar apps fetch feeds without a login; the token is the secret
+      before_action :authenticate_user!, except: [:show]
+      before_action :set_calendar_feed, only: [:update, :destroy]
+
+      # GET /api/v1/calendars/:token.ics
+      def show
+        feed = CalendarFeed.find_by(token: params[:token])
+        if feed
+          render plain: feed.ics, content_type: "text/calendar"
+        else
+          render_error("Calendar not found", status: :not_found)
+        end
+      end
+
+      # POST /api/v1/calendar_feeds
+      def create
+        @calendar_feed = current_user.calendar_feeds.build(calendar_feed_params)
+
+        if @calendar_feed.save
+          render json: calendar_feed_json(@calendar_feed), status: :created
+        else
+          render_validation_errors(@calendar_feed)
+        end
+      end
+
+      # PATCH /api/v1/calendar_feeds/:id
+      def update
+        if @calendar_feed.update(calendar_feed_params)
+          render json: calendar_feed_json(@calendar_feed)
+        else
+          render_validation_errors(@calendar_feed)
+        end
+      end
+
+      # DELETE /api/v1/calendar_feeds/:id
+      def destroy
+        if @calendar_feed.destroy
+          render json: { message: "Calendar feed deleted successfully" }, status: :ok
+        else
+          render_validation_errors(@calendar_feed)
+        end
+      end
+
+      private
+
+      def set_calendar_feed
+        @calendar_feed = current_user.calendar_feeds.find(params[:id])
+      rescue ActiveRecord::RecordNotFound
+        render_error("Calendar feed not found", status: :not_found)
+      end
+
+      def calendar_feed_params
+        params.require(:calendar_feed).permit(:name, :ics)
+      end
+
+      # The ics body can be large and the client already has it
+      def calendar_feed_json(feed)
+        feed.as_json(only: [:id, :token, :name, :updated_at])
+      end
+    end
+  end
+end
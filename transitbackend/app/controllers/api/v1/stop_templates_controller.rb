@@ -0,0 +1,67 @@
+module Api
+  module V1
+    class StopTemplatesController < BaseController
+      # The signup form lists templates before there is a login; only admins
+      # change them
+      before_action :authenticate_user!, except: [:index]
+      before_action :require_admin!, except: [:index]
+      before_action :set_stop_template, only: [:update, :destroy]
+
+      # GET /api/v1/stop_templates
+      def index
+        render json: StopTemplate.ordered.map { |template| stop_template_json(template) }
+      end
+
+      # POST /api/v1/stop_templates
+      def create
+        @stop_template = StopTemplate.new(stop_template_params)
+        @stop_template.position ||= StopTemplate.maximum(:position).to_i + 1
+
+        if @stop_template.save
+          render json: stop_template_json(@stop_template), status: :created
+        else
+          render_validation_errors(@stop_template)
+        end
+      end
+
+      # PATCH /api/v1/stop_templates/:id
+      def update
+        if @stop_template.update(stop_template_params)
+          render json: stop_template_json(@stop_template)
+        else
+          render_validation_errors(@stop_template)
+        end
+      end
+
+      # DELETE /api/v1/stop_templates/:id
+      # Accounts made from the template keep their stops
+      def destroy
+        if @stop_template.destroy
+          render json: { message: "Stop template deleted successfully" }, status: :ok
+        else
+          render_validation_errors(@stop_template)
+        end
+      end
+
+      private
+
+      def require_admin!
+        render_error("Forbidden", status: :forbidden) unless current_user.admin?
+      end
+
+      def set_stop_template
+        @stop_template = StopTemplate.find(params[:id])
+      rescue ActiveRecord::RecordNotFound
+        render_error("Stop template not found", status: :not_found)
+      end
+
+      def stop_template_params
+        params.require(:stop_template).permit(:name, :description, :position, stops: StopTemplate::STOP_ATTRIBUTES)
+      end
+
+      def stop_template_json(template)
+        template.as_json(only: [:id, :name, :description, :stops, :position])
+      end
+    end
+  end
+end
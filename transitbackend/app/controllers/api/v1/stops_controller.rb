@@ -4,9 +4,21 @@ module Api
       before_action :set_stop, only: [:show, :update, :hide, :reorder, :destroy]
 
       # GET /api/v1/stops
+      # GET /api/v1/stops?include_hidden=true (for managing hidden stops)
+      # GET /api/v1/stops?board_id=1 (one board's stops, in that board's order)
       def index
-        @stops = current_user.stops.visible.ordered
-        render json: @stops.map { |stop| stop_json(stop) }
+        if params[:board_id].present?
+          board = current_user.boards.find_by(id: params[:board_id])
+          unless board
+            render_error("Board not found", status: :not_found)
+            return
+          end
+          @stops = board.ordered_stops
+        else
+          @stops = current_user.stops.ordered
+        end
+        @stops = @stops.visible unless ActiveModel::Type::Boolean.new.cast(params[:include_hidden])
+        render json: @stops.includes(:board_stops).map { |stop| stop_json(stop) }
       end
 
       # GET /api/v1/stops/:id
@@ -15,9 +27,11 @@ module Api
       end
 
       # POST /api/v1/stops
+      # Adds the stop to stop[board_ids], or to the user's first board
       def create
         @stop = current_user.stops.build(stop_params)
         @stop.position = current_user.stops.count + 1
+        @stop.board_ids = requested_board_ids || [current_user.ensure_board!.id]
 
         if @stop.save
           render json: stop_json(@stop), status: :created
@@ -27,8 +41,15 @@ module Api
       end
 
       # PATCH /api/v1/stops/:id
+      # stop[board_ids] replaces the boards the stop is on
       def update
-        if @stop.update(stop_params)
+        board_ids = requested_board_ids
+        saved = Stop.transaction do
+          @stop.board_ids = board_ids if board_ids
+          @stop.update(stop_params) || raise(ActiveRecord::Rollback)
+        end
+
+        if saved
           render json: stop_json(@stop)
         else
           render_validation_errors(@stop)
@@ -44,13 +65,59 @@ module Api
         end
       end
 
+      # PATCH /api/v1/stops/bulk
+      # Sets hidden and/or favorite on several stops: { ids: [], stop: { hidden, favorite } }
+      def bulk
+        changes = params.require(:stop).permit(:hidden, :favorite).to_h
+        if changes.empty?
+          render_error("Nothing to update (hidden or favorite)")
+          return
+        end
+
+        stops = current_user.stops.where(id: Array(params[:ids]))
+        if stops.empty?
+          render_error("No stops found", status: :not_found)
+          return
+        end
+
+        Stop.transaction do
+          stops.each { |stop| stop.update!(changes) }
+        end
+        render json: stops.ordered.map { |stop| stop_json(stop) }
+      rescue ActiveRecord::RecordInvalid => e
+        render_validation_errors(e.record)
+      end
+
       # PATCH /api/v1/stops/:id/reorder
+      # Moves the stop to a 1-based position among the visible stops and
+      # renumbers the others so positions stay unique. With board_id, the
+      # stop moves within that board only.
       def reorder
-        if @stop.update(position: params[:position])
-          render json: stop_json(@stop)
+        position = Integer(params[:position], exception: false)
+        unless position
+          render_error("Position must be a number")
+          return
+        end
+
+        if params[:board_id].present?
+          board = current_user.boards.find_by(id: params[:board_id])
+          entries = if board
+                      board.board_stops.joins(:stop).merge(Stop.visible)
+                           .order("board_stops.position ASC", "board_stops.created_at ASC").to_a
+                    else
+                      []
+                    end
+          entry = entries.find { |board_stop| board_stop.stop_id == @stop.id }
+          unless entry
+            render_error("Stop is not on this board", status: :not_found)
+            return
+          end
+          move_to_position(entries, entry, position)
         else
-          render_validation_errors(@stop)
+          move_to_position(current_user.stops.visible.ordered.to_a, @stop, position)
         end
+
+        render json: stop_json(@stop)
       end
 
       # DELETE /api/v1/stops/:id
@@ -64,6 +131,25 @@ module Api
 
       private
 
+      # Renumber records (stops or board stops) with record at position
+      def move_to_position(records, record, position)
+        records.delete(record)
+        records.insert(position.clamp(1, records.size + 1) - 1, record)
+        Stop.transaction do
+          records.each_with_index do |item, index|
+            item.update_columns(position: index + 1) unless item.position == index + 1
+          end
+        end
+      end
+
+      # Board ids sent with the stop, limited to the user's own boards (nil
+      # when the request doesn't set them)
+      def requested_board_ids
+        return nil unless params[:stop].respond_to?(:key?) && params[:stop].key?(:board_ids)
+
+        current_user.boards.where(id: Array(params[:stop][:board_ids])).pluck(:id)
+      end
+
       def set_stop
         @stop = current_user.stops.find(params[:id])
       rescue ActiveRecord::RecordNotFound
@@ -82,12 +168,19 @@ module Api
           :route_filter,
           :stop_filter,
           :ferry_direction,
-          :location
+          :location,
+          :time_zone,
+          :target_time,
+          :target_days,
+          :window_start,
+          :window_end,
+          :window_objective,
+          notification_rules: [:type, :threshold]
         )
       end
 
       def stop_json(stop)
-        stop.as_json(except: [:created_at, :updated_at])
+        stop.as_json(except: [:created_at, :updated_at]).merge(board_ids: stop.board_stops.map(&:board_id))
       end
     end
   end
@@ -10,6 +10,7 @@ module Api
       before_action :authenticate_user!, except: [:live_transit]
 
       # Endpoint to fetch transit data (runs script to update JSON files)
+      # The script writes a data file for each of the user's stops that has one
       def fetch
         begin
           # Get the path to the Node.js script
@@ -32,9 +33,13 @@ module Api
           # Run the Node.js script and capture output
           # Use Open3 to capture both stdout and stderr
           require 'open3'
-          stdout, stderr, status = Open3.capture3("cd #{script_dir} && node #{script_name}")
+          stdout, stderr, status = Open3.capture3(
+            "cd #{script_dir} && node #{script_name}",
+            stdin_data: data_file_stops_payload.to_json
+          )
           
           if status.success?
+            move_stops_off_seed_data(script_dir)
             Rails.logger.info("Transit data fetched successfully: #{stdout}")
             render json: { message: "Transit data fetched successfully", status: "success", output: stdout }
           else
@@ -55,6 +60,9 @@ module Api
           mode = params[:mode] || 'transit'  # Can be 'transit' or 'driving'
           transit_mode = params[:transit_mode] || 'bus'  # Only used when mode is 'transit'
           route_filter = params[:route_filter]
+          # Arrive-by / depart-at stops pass a Unix timestamp; otherwise leave now
+          arrival_time = params[:arrival_time]
+          departure_time = params[:departure_time]
 
           unless origin && destination
             render_error("Origin and destination are required", status: :bad_request)
@@ -86,8 +94,14 @@ module Api
           # Add transit-specific parameters only when mode is 'transit'
           if mode == 'transit'
             params_hash[:transit_mode] = transit_mode
-            params_hash[:departure_time] = 'now'
             params_hash[:alternatives] = true
+            if arrival_time.present?
+              params_hash[:arrival_time] = arrival_time
+            else
+              params_hash[:departure_time] = departure_time.presence || 'now'
+            end
+          elsif departure_time.present?
+            params_hash[:departure_time] = departure_time
           end
 
           uri.query = URI.encode_www_form(params_hash)
@@ -113,6 +127,34 @@ module Api
           render_error("Error fetching live directions data: #{e.message}", status: :internal_server_error)
         end
       end
+
+      private
+
+      # Stops without an origin start from the user's home board. Stops still
+      # on a seed snapshot are fetched into their own file; the seed files
+      # are shared and stay as checked in.
+      def data_file_stops_payload
+        {
+          home_address: current_user.ensure_board!.origin,
+          stops: current_user.stops.where.not(data_file: nil).ordered.map do |stop|
+            stop.as_json(only: [:name, :transit_type, :origin, :destination, :route_filter, :data_file]).merge(
+              "data_file" => own_data_file(stop)
+            )
+          end
+        }
+      end
+
+      def own_data_file(stop)
+        StopTemplate.seed_data_file?(stop.data_file) ? StopTemplate.data_file_for(stop) : stop.data_file
+      end
+
+      # Point stops at the files the script wrote for them
+      def move_stops_off_seed_data(script_dir)
+        current_user.stops.where("data_file LIKE ?", "#{StopTemplate::SEED_DATA_DIR}/%").find_each do |stop|
+          data_file = StopTemplate.data_file_for(stop)
+          stop.update_column(:data_file, data_file) if File.exist?(File.join(script_dir, "public", data_file))
+        end
+      end
     end
   end
 end
@@ -1,6 +1,7 @@
 module Api
   module V1
     class UsersController < BaseController
+      skip_before_action :authenticate_user!, only: [:create]
       before_action :set_user, only: [:show, :update, :destroy]
 
       # GET /api/v1/users
@@ -15,14 +16,24 @@ module Api
       end
 
       # POST /api/v1/users
+      # user[stop_template_id] picks the stops the account starts with
       def create
         @user = User.new(user_params)
-        
-        if @user.save
+        template = requested_stop_template
+        return if performed?
+
+        User.transaction do
+          raise ActiveRecord::Rollback unless @user.save
+          template&.apply_to!(@user)
+        end
+
+        if @user.persisted?
           render_user_with_token(@user, status: :created)
         else
           render_validation_errors(@user)
         end
+      rescue ActiveRecord::RecordInvalid => e
+        render_validation_errors(e.record)
       end
 
       # PATCH /api/v1/users/:id
@@ -48,6 +59,18 @@ module Api
         render_error("User not found", status: :not_found)
       end
 
+      # Without a choice new accounts get the default template; a blank id
+      # starts with no stops
+      def requested_stop_template
+        return StopTemplate.default unless params[:user]&.key?(:stop_template_id)
+        return nil if params[:user][:stop_template_id].blank?
+
+        StopTemplate.find(params[:user][:stop_template_id])
+      rescue ActiveRecord::RecordNotFound
+        render_error("Stop template not found", status: :not_found)
+        nil
+      end
+
       def user_params
         params.require(:user).permit(:name, :email, :password, :password_confirmation)
       end
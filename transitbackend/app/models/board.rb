@@ -0,0 +1,20 @@
+class Board < ApplicationRecord
+  LAYOUTS = %w[grid list].freeze
+  DEFAULT_NAME = "Home".freeze
+
+  belongs_to :user
+  has_many :board_stops, dependent: :destroy
+  has_many :stops, through: :board_stops
+  has_secure_token :kiosk_token
+
+  validates :name, presence: true, uniqueness: { scope: :user_id }
+  validates :layout, inclusion: { in: LAYOUTS }
+  validates :refresh_minutes, numericality: { only_integer: true, in: 1..60 }
+
+  scope :ordered, -> { order(position: :asc, created_at: :asc) }
+
+  # The board's stops in their place on this board
+  def ordered_stops
+    stops.order("board_stops.position ASC", "stops.created_at ASC")
+  end
+end
@@ -0,0 +1,22 @@
+class BoardStop < ApplicationRecord
+  belongs_to :board
+  belongs_to :stop
+
+  validates :stop_id, uniqueness: { scope: :board_id }
+  validate :same_user
+
+  # New stops go to the end of the board
+  before_create :set_position
+
+  private
+
+  def set_position
+    self.position ||= board.board_stops.maximum(:position).to_i + 1
+  end
+
+  def same_user
+    if board && stop && board.user_id != stop.user_id
+      errors.add(:stop, "must belong to the board's user")
+    end
+  end
+end
@@ -0,0 +1,18 @@
+class CalendarFeed < ApplicationRecord
+  # Feeds are built by the board; keep a runaway upload from filling the database
+  MAX_ICS_BYTES = 1.megabyte
+
+  belongs_to :user
+  has_secure_token :token
+
+  validates :ics, presence: true, length: { maximum: MAX_ICS_BYTES }
+  validate :ics_is_a_calendar, if: -> { ics.present? }
+
+  private
+
+  def ics_is_a_calendar
+    unless ics.start_with?("BEGIN:VCALENDAR") && ics.rstrip.end_with?("END:VCALENDAR")
+      errors.add(:ics, "must be an iCalendar (VCALENDAR) document")
+    end
+  end
+end
@@ -1,12 +1,28 @@
 class Stop < ApplicationRecord
+  WEEKDAYS = %w[sun mon tue wed thu fri sat].freeze
+  WINDOW_OBJECTIVES = %w[fastest steadiest].freeze
+  NOTIFICATION_RULE_TYPES = %w[leave last_departures delay].freeze
+  TIME_OF_DAY = /\A([01]\d|2[0-3]):[0-5]\d\z/
+  TRANSIT_TYPES = %w[bus train ferry bike walk drive trip].freeze
+
   belongs_to :user
+  has_many :board_stops, dependent: :destroy
+  has_many :boards, through: :board_stops
 
   # Validations
   validates :destination, presence: true
-  validates :transit_type, presence: true, inclusion: { in: %w[bus train ferry bike walk drive] }
+  validates :transit_type, presence: true, inclusion: { in: TRANSIT_TYPES }
   validates :arrival, exclusion: { in: [true] }, if: :departure?
   validates :departure, exclusion: { in: [true] }, if: :arrival?
   validate :unique_stop_per_user
+  validate :time_zone_is_iana, if: -> { time_zone.present? }
+  validates :target_time, format: { with: TIME_OF_DAY, message: "must be HH:MM" }, allow_blank: true
+  validate :target_days_are_weekdays, if: -> { target_days.present? }
+  validates :window_start, :window_end, format: { with: TIME_OF_DAY, message: "must be HH:MM" }, allow_blank: true
+  validates :window_end, presence: true, if: -> { window_start.present? }
+  validates :window_start, presence: true, if: -> { window_end.present? }
+  validates :window_objective, inclusion: { in: WINDOW_OBJECTIVES }, allow_blank: true
+  validate :notification_rules_are_valid
 
   # Scopes
   scope :by_transit_type, ->(type) { where(transit_type: type) }
@@ -16,6 +32,7 @@ class Stop < ApplicationRecord
 
   # Defaults
   after_initialize :set_defaults
+  before_validation :normalize_notification_rules
 
   private
 
@@ -26,6 +43,47 @@ class Stop < ApplicationRecord
     self.departure ||= false
   end
 
+  def time_zone_is_iana
+    TZInfo::Timezone.get(time_zone)
+  rescue TZInfo::InvalidTimezoneIdentifier
+    errors.add(:time_zone, "is not a valid IANA time zone")
+  end
+
+  def target_days_are_weekdays
+    invalid = target_days.split(",").map(&:strip) - WEEKDAYS
+    errors.add(:target_days, "must be comma-separated weekdays (#{WEEKDAYS.join(',')})") if invalid.any?
+  end
+
+  # Permitted params arrive as ActionController::Parameters; store plain hashes.
+  # Anything but a list is left for notification_rules_are_valid to reject.
+  def normalize_notification_rules
+    self.notification_rules = [] if notification_rules.nil?
+    return unless notification_rules.is_a?(Array)
+
+    self.notification_rules = notification_rules.map do |rule|
+      rule = rule.to_h if rule.respond_to?(:permitted?)
+      rule.is_a?(Hash) ? rule.stringify_keys.slice("type", "threshold") : rule
+    end
+  end
+
+  def notification_rules_are_valid
+    unless notification_rules.is_a?(Array)
+      errors.add(:notification_rules, "must be a list of rules")
+      return
+    end
+
+    notification_rules.each do |rule|
+      type = rule.is_a?(Hash) ? rule["type"] : nil
+      threshold = rule.is_a?(Hash) ? rule["threshold"] : nil
+      unless NOTIFICATION_RULE_TYPES.include?(type)
+        errors.add(:notification_rules, "type must be one of #{NOTIFICATION_RULE_TYPES.join(', ')}")
+      end
+      unless threshold.to_s.match?(/\A\d+\z/) && threshold.to_i.between?(1, 120)
+        errors.add(:notification_rules, "threshold must be a whole number from 1 to 120")
+      end
+    end
+  end
+
   def unique_stop_per_user
     existing = Stop.where(user_id: user_id)
                    .where(destination: destination)
@@ -0,0 +1,102 @@
+class StopTemplate < ApplicationRecord
+  # Stop attributes a template entry can set
+  STOP_ATTRIBUTES = %w[name transit_type origin destination route_filter stop_filter location time_zone seed_data_file].freeze
+  # Types whose services fall back to a fetched data file
+  DATA_FILE_TYPES = %w[bus train bike walk drive].freeze
+  # Snapshots checked into transitschedule/public, used until a stop's own
+  # file has been fetched
+  SEED_DATA_DIR = "/data/seed".freeze
+
+  validates :name, presence: true, uniqueness: true
+  validate :stops_are_valid
+
+  scope :ordered, -> { order(position: :asc, created_at: :asc) }
+
+  before_validation :normalize_stops
+
+  # Template given to new accounts that don't pick one
+  def self.default
+    ordered.first
+  end
+
+  # "barton springs pool, Austin, TX" => "Barton springs pool"
+  def self.place_name(address)
+    address.to_s.split(",").first.to_s.strip.upcase_first
+  end
+
+  # Entries without a name get one from their addresses, e.g.
+  # "To Barton Springs Pool" or "Anacortes To Orcas"
+  def self.stop_name(entry)
+    name = "To #{place_name(entry['destination'])}"
+    entry["origin"].present? ? "#{place_name(entry['origin'])} #{name}" : name
+  end
+
+  # Where fetch-transit-data.js writes a stop's snapshot (under public/)
+  def self.data_file_for(stop)
+    "/data/stops/#{stop.id}-#{stop.name.parameterize}-#{stop.transit_type}.json"
+  end
+
+  def self.seed_data_file?(data_file)
+    data_file.to_s.start_with?("#{SEED_DATA_DIR}/")
+  end
+
+  # Add the template's stops to the user's first board as normal stops.
+  # Stops the user already has are left alone, so applying twice is harmless.
+  def apply_to!(user)
+    board = user.ensure_board!
+
+    transaction do
+      stops.map do |entry|
+        stop = user.stops.find_or_initialize_by(
+          destination: entry["destination"],
+          transit_type: entry["transit_type"],
+          origin: entry["origin"].presence
+        )
+        next stop if stop.persisted?
+
+        stop.assign_attributes(entry.except("origin", "seed_data_file"))
+        stop.name = entry["name"].presence || self.class.stop_name(entry)
+        stop.position = user.stops.count + 1
+        stop.board_ids = [board.id]
+        stop.save!
+        if DATA_FILE_TYPES.include?(stop.transit_type)
+          # Start from the seed snapshot so new stops have a fallback before
+          # their first fetch
+          data_file = entry["seed_data_file"].presence if self.class.seed_data_file?(entry["seed_data_file"])
+          stop.update_column(:data_file, data_file || self.class.data_file_for(stop))
+        end
+        stop
+      end
+    end
+  end
+
+  private
+
+  # Permitted params arrive as ActionController::Parameters; store plain hashes
+  def normalize_stops
+    self.stops = Array(stops).map do |entry|
+      entry = entry.to_h if entry.respond_to?(:permitted?)
+      entry.is_a?(Hash) ? entry.stringify_keys.slice(*STOP_ATTRIBUTES) : entry
+    end
+  end
+
+  def stops_are_valid
+    if stops.empty?
+      errors.add(:stops, "must have at least one stop")
+      return
+    end
+
+    stops.each_with_index do |entry, index|
+      unless entry.is_a?(Hash)
+        errors.add(:stops, "entry #{index + 1} must be a stop")
+        next
+      end
+      if entry["destination"].blank?
+        errors.add(:stops, "entry #{index + 1} needs a destination")
+      end
+      unless Stop::TRANSIT_TYPES.include?(entry["transit_type"])
+        errors.add(:stops, "entry #{index + 1} transit type must be one of #{Stop::TRANSIT_TYPES.join(', ')}")
+      end
+    end
+  end
+end
@@ -1,8 +1,20 @@
 class User < ApplicationRecord
   has_secure_password
   has_many :stops, dependent: :destroy
+  has_many :calendar_feeds, dependent: :destroy
+  has_many :boards, dependent: :destroy
   
   validates :email, presence: true, uniqueness: true
   validates :password, presence: true
   validates :name, presence: true
+
+  # Users from before boards (and new users) get a Home board holding all
+  # of their stops
+  def ensure_board!
+    boards.ordered.first || transaction do
+      board = boards.create!(name: Board::DEFAULT_NAME, position: 1)
+      stops.ordered.each { |stop| board.board_stops.create!(stop: stop) }
+      board
+    end
+  end
 end
@@ -11,8 +11,20 @@ Rails.application.routes.draw do
       post "auth/login", to: "auth#login"
       post "transit_data/fetch", to: "transit_data#fetch"
       get "transit_data/live_transit", to: "transit_data#live_transit"
+      get "calendars/:token", to: "calendar_feeds#show", as: :calendar
+      get "kiosk/:kiosk_token", to: "boards#kiosk", as: :kiosk
       resources :users
+      resources :boards do
+        member do
+          patch 'regenerate_kiosk_token'
+        end
+      end
+      resources :stop_templates, only: [:index, :create, :update, :destroy]
+      resources :calendar_feeds, only: [:create, :update, :destroy]
       resources :stops do
+        collection do
+          patch 'bulk'
+        end
         member do
           patch 'hide'
           patch 'reorder'
@@ -0,0 +1,6 @@
+class AddTimeZoneToStops < ActiveRecord::Migration[7.1]
+  def change
+    # IANA zone the stop's schedule is in (e.g. "America/Los_Angeles")
+    add_column :stops, :time_zone, :string
+  end
+end
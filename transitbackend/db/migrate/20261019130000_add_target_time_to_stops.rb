@@ -0,0 +1,9 @@
+class AddTargetTimeToStops < ActiveRecord::Migration[7.1]
+  def change
+    # "HH:MM" in the stop's time zone; arrival/departure say whether it is an
+    # arrive-by or depart-at time
+    add_column :stops, :target_time, :string
+    # Comma-separated weekdays ("mon,tue,wed"); blank means every day
+    add_column :stops, :target_days, :string
+  end
+end
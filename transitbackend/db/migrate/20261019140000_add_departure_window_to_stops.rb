@@ -0,0 +1,10 @@
+class AddDepartureWindowToStops < ActiveRecord::Migration[7.1]
+  def change
+    # "HH:MM" range in the stop's time zone that the departure recommender
+    # searches for the best time to leave (bike, walk and drive stops)
+    add_column :stops, :window_start, :string
+    add_column :stops, :window_end, :string
+    # "fastest" (lowest typical time) or "steadiest" (lowest variance)
+    add_column :stops, :window_objective, :string
+  end
+end
@@ -0,0 +1,7 @@
+class AddNotificationRulesToStops < ActiveRecord::Migration[7.1]
+  def change
+    # Per-stop notification rules, e.g.
+    # [{ "type": "leave", "threshold": 5 }, { "type": "delay", "threshold": 5 }]
+    add_column :stops, :notification_rules, :json, default: [], null: false
+  end
+end
@@ -0,0 +1,15 @@
+class CreateCalendarFeeds < ActiveRecord::Migration[7.1]
+  def change
+    # Published stop calendars, served at /api/v1/calendars/:token.ics
+    create_table :calendar_feeds do |t|
+      t.references :user, null: false, foreign_key: true
+      t.string :token, null: false
+      t.string :name
+      t.text :ics, null: false
+
+      t.timestamps
+    end
+
+    add_index :calendar_feeds, :token, unique: true
+  end
+end
@@ -0,0 +1,33 @@
+class CreateBoards < ActiveRecord::Migration[7.1]
+  def change
+    # Named boards (Home, Work, Weekend trip), each with its own origin,
+    # layout and refresh interval. A wall display pins to one board by its
+    # kiosk token.
+    create_table :boards do |t|
+      t.references :user, null: false, foreign_key: true
+      t.string :name, null: false
+      t.string :origin
+      t.string :layout, default: "grid", null: false
+      t.integer :refresh_minutes, default: 5, null: false
+      t.boolean :show_default_stops, default: true, null: false
+      t.integer :position
+      t.string :kiosk_token, null: false
+
+      t.timestamps
+    end
+
+    add_index :boards, :kiosk_token, unique: true
+    add_index :boards, [:user_id, :name], unique: true
+
+    # A stop can be on several boards, in its own place on each
+    create_table :board_stops do |t|
+      t.references :board, null: false, foreign_key: true
+      t.references :stop, null: false, foreign_key: true
+      t.integer :position
+
+      t.timestamps
+    end
+
+    add_index :board_stops, [:board_id, :stop_id], unique: true
+  end
+end
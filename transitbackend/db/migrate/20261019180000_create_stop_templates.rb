@@ -0,0 +1,24 @@
+class CreateStopTemplates < ActiveRecord::Migration[7.1]
+  def change
+    # Admin-defined stop sets applied to new accounts as normal stops, e.g.
+    # [{ "transit_type": "walk", "destination": "2400 S. Congress Ave, Austin, TX" }]
+    create_table :stop_templates do |t|
+      t.string :name, null: false
+      t.string :description
+      t.json :stops, default: [], null: false
+      t.integer :position
+
+      t.timestamps
+    end
+
+    add_index :stop_templates, :name, unique: true
+
+    add_column :users, :admin, :boolean, default: false, null: false
+
+    # Snapshot written by fetch-transit-data.js, used when live data fails
+    add_column :stops, :data_file, :string
+
+    # The built-in stops are now normal stops, so there is nothing to hide
+    remove_column :boards, :show_default_stops, :boolean, default: true, null: false
+  end
+end
@@ -10,7 +10,44 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema[7.1].define(version: 2025_12_06_153826) do
+ActiveRecord::Schema[7.1].define(version: 2026_10_19_180000) do
+  create_table "board_stops", force: :cascade do |t|
+    t.integer "board_id", null: false
+    t.integer "stop_id", null: false
+    t.integer "position"
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["board_id", "stop_id"], name: "index_board_stops_on_board_id_and_stop_id", unique: true
+    t.index ["board_id"], name: "index_board_stops_on_board_id"
+    t.index ["stop_id"], name: "index_board_stops_on_stop_id"
+  end
+
+  create_table "boards", force: :cascade do |t|
+    t.integer "user_id", null: false
+    t.string "name", null: false
+    t.string "origin"
+    t.string "layout", default: "grid", null: false
+    t.integer "refresh_minutes", default: 5, null: false
+    t.integer "position"
+    t.string "kiosk_token", null: false
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["kiosk_token"], name: "index_boards_on_kiosk_token", unique: true
+    t.index ["user_id", "name"], name: "index_boards_on_user_id_and_name", unique: true
+    t.index ["user_id"], name: "index_boards_on_user_id"
+  end
+
+  create_table "calendar_feeds", force: :cascade do |t|
+    t.integer "user_id", null: false
+    t.string "token", null: false
+    t.string "name"
+    t.text "ics", null: false
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["token"], name: "index_calendar_feeds_on_token", unique: true
+    t.index ["user_id"], name: "index_calendar_feeds_on_user_id"
+  end
+
   create_table "stops", force: :cascade do |t|
     t.integer "user_id", null: false
     t.string "name"
@@ -28,18 +65,41 @@ ActiveRecord::Schema[7.1].define(version: 2025_12_06_153826) do
     t.boolean "hidden", default: false
     t.datetime "created_at", null: false
     t.datetime "updated_at", null: false
+    t.string "time_zone"
+    t.string "target_time"
+    t.string "target_days"
+    t.string "window_start"
+    t.string "window_end"
+    t.string "window_objective"
+    t.json "notification_rules", default: [], null: false
+    t.string "data_file"
     t.index ["user_id", "destination", "transit_type", "origin"], name: "index_stops_on_user_destination_transit_origin", unique: true
     t.index ["user_id"], name: "index_stops_on_user_id"
   end
 
+  create_table "stop_templates", force: :cascade do |t|
+    t.string "name", null: false
+    t.string "description"
+    t.json "stops", default: [], null: false
+    t.integer "position"
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["name"], name: "index_stop_templates_on_name", unique: true
+  end
+
   create_table "users", force: :cascade do |t|
     t.string "name"
     t.string "email"
     t.string "password_digest"
     t.datetime "created_at", null: false
     t.datetime "updated_at", null: false
+    t.boolean "admin", default: false, null: false
     t.index ["email"], name: "index_users_on_email", unique: true
   end
 
+  add_foreign_key "board_stops", "boards"
+  add_foreign_key "board_stops", "stops"
+  add_foreign_key "boards", "users"
+  add_foreign_key "calendar_feeds", "users"
   add_foreign_key "stops", "users"
 end
@@ -2,107 +2,62 @@
 # development, test). The code here should be idempotent so that it can be executed at any point in every environment.
 # The data can then be loaded with the bin/rails db:seed command (or created alongside the database with db:setup).
 
-# Default home address
-DEFAULT_HOME_ADDRESS = "2215 post rd austin tx 78704"
-
-# Create seed user
+# Default stop template, given to new accounts that don't pick another one.
+# Stops without an origin start from the board's home address; names and
+# data files are generated when the template is applied. Each stop starts on
+# its seed snapshot in transitschedule/public/data/seed and gets its own file
+# the first time the user fetches transit data.
+template = StopTemplate.find_or_initialize_by(name: "Starter Commutes")
+template.update!(
+  description: "A bus, a train, a ferry and a bike, walk and drive from home",
+  position: template.position || 1,
+  stops: [
+    {
+      transit_type: "bus",
+      origin: "Congress and Oltorf, Austin, TX",
+      destination: "Downtown Station, Austin, TX",
+      route_filter: "801",
+      seed_data_file: "/data/seed/congress-oltorf-bus.json"
+    },
+    {
+      transit_type: "train",
+      origin: "South San Francisco Caltrain Station, CA",
+      destination: "San Francisco Caltrain Station, CA",
+      route_filter: "Caltrain",
+      seed_data_file: "/data/seed/south-san-francisco-train.json"
+    },
+    {
+      transit_type: "bike",
+      destination: "Barton Springs Pool, Austin, TX",
+      seed_data_file: "/data/seed/to-springs-bike.json"
+    },
+    {
+      transit_type: "walk",
+      destination: "HEB, 2400 S Congress Ave, Austin, TX 78704",
+      seed_data_file: "/data/seed/to-heb-walk.json"
+    },
+    {
+      transit_type: "drive",
+      destination: "Central Market, 4477 S Lamar Blvd, Austin, TX 78745",
+      seed_data_file: "/data/seed/central-market-drive.json"
+    },
+    {
+      transit_type: "ferry",
+      origin: "anacortes",
+      destination: "orcas",
+      location: "Anacortes, WA"
+    }
+  ]
+)
+
+# Create seed user (an admin, so it can edit templates)
 user = User.find_or_create_by(email: "d@d.com") do |u|
   u.name = "Donovan"
   u.password = "1234"
 end
+user.update_column(:admin, true) unless user.admin?
 
-# Create 4 stops for each user (walk, bus, drive, bike)
-# All stops use valid addresses that will return successful API responses
-
-# Walk stop - within 2 miles of home
-Stop.find_or_create_by(
-  user: user,
-  destination: "2400 S. CONGRESS AVE. AUSTIN, TX 78704",
-  transit_type: "walk",
-  origin: DEFAULT_HOME_ADDRESS
-) do |stop|
-  stop.name = "To HEB"
-  stop.position = user.stops.count + 1
-end
-
-# Bus stop - valid Cap Metro stop
-Stop.find_or_create_by(
-  user: user,
-  destination: "Lamar and Oltorf, Austin, TX",
-  transit_type: "bus",
-  origin: nil
-) do |stop|
-  stop.name = "Lamar and Oltorf"
-  stop.route_filter = "801"
-  stop.position = user.stops.count + 1
-end
-
-# Drive stop - within 2 miles of home
-Stop.find_or_create_by(
-  user: user,
-  destination: "4477 S Lamar Blvd, Austin, TX 78745",
-  transit_type: "drive",
-  origin: DEFAULT_HOME_ADDRESS
-) do |stop|
-  stop.name = "Central Market"
-  stop.position = user.stops.count + 1
-end
-
-# Bike stop - within 2 miles of home
-Stop.find_or_create_by(
-  user: user,
-  destination: "Barton Springs Pool, Austin, TX",
-  transit_type: "bike",
-  origin: DEFAULT_HOME_ADDRESS
-) do |stop|
-  stop.name = "To Springs"
-  stop.position = user.stops.count + 1
-end
-
-# Create stops for any other users in the database
-User.where.not(email: "d@d.com").find_each do |u|
-  # Walk stop
-  Stop.find_or_create_by(
-    user: u,
-    destination: "2400 S. CONGRESS AVE. AUSTIN, TX 78704",
-    transit_type: "walk",
-    origin: DEFAULT_HOME_ADDRESS
-  ) do |stop|
-    stop.name = "To HEB"
-    stop.position = u.stops.count + 1
-  end
-
-  # Bus stop
-  Stop.find_or_create_by(
-    user: u,
-    destination: "Lamar and Oltorf, Austin, TX",
-    transit_type: "bus",
-    origin: nil
-  ) do |stop|
-    stop.name = "Lamar and Oltorf"
-    stop.route_filter = "801"
-    stop.position = u.stops.count + 1
-  end
-
-  # Drive stop
-  Stop.find_or_create_by(
-    user: u,
-    destination: "4477 S Lamar Blvd, Austin, TX 78745",
-    transit_type: "drive",
-    origin: DEFAULT_HOME_ADDRESS
-  ) do |stop|
-    stop.name = "Central Market"
-    stop.position = u.stops.count + 1
-  end
-
-  # Bike stop
-  Stop.find_or_create_by(
-    user: u,
-    destination: "Barton Springs Pool, Austin, TX",
-    transit_type: "bike",
-    origin: DEFAULT_HOME_ADDRESS
-  ) do |stop|
-    stop.name = "To Springs"
-    stop.position = u.stops.count + 1
-  end
+# Give every user the template's stops (stops they already have are skipped)
+User.find_each do |u|
+  template.apply_to!(u)
 end
@@ -0,0 +1,148 @@
+require "test_helper"
+
+module Api
+  module V1
+    class BoardsControllerTest < ActionDispatch::IntegrationTest
+      setup do
+        @alice = users(:alice)
+        @home = boards(:alice_home)
+        @work = boards(:alice_work)
+      end
+
+      test "index requires a login" do
+        get api_v1_boards_url, as: :json
+
+        assert_response :unauthorized
+      end
+
+      test "index lists only the user's boards in order" do
+        get api_v1_boards_url, headers: auth_headers(@alice), as: :json
+
+        assert_response :success
+        assert_equal %w[Home Work], response.parsed_body.map { |board| board["name"] }
+        assert_not response.parsed_body.first.key?("user_id")
+      end
+
+      test "index gives users without boards a Home board with their stops" do
+        @alice.boards.destroy_all
+
+        get api_v1_boards_url, headers: auth_headers(@alice), as: :json
+
+        assert_response :success
+        assert_equal [Board::DEFAULT_NAME], response.parsed_body.map { |board| board["name"] }
+        assert_equal @alice.stops.count, @alice.boards.first.stops.count
+      end
+
+      test "show refuses another user's board" do
+        get api_v1_board_url(boards(:bob_home)), headers: auth_headers(@alice), as: :json
+
+        assert_response :not_found
+        assert_equal "Board not found", response.parsed_body["error"]
+      end
+
+      test "create adds the board at the end" do
+        assert_difference -> { @alice.boards.count } do
+          post api_v1_boards_url,
+               params: { board: { name: "Weekend trip", layout: "list", refresh_minutes: 10 } },
+               headers: auth_headers(@alice), as: :json
+        end
+
+        assert_response :created
+        assert_equal 3, response.parsed_body["position"]
+        assert response.parsed_body["kiosk_token"].present?
+      end
+
+      test "update rejects an unknown layout" do
+        patch api_v1_board_url(@home), params: { board: { layout: "carousel" } },
+                                       headers: auth_headers(@alice), as: :json
+
+        assert_response :unprocessable_entity
+        assert_equal "grid", @home.reload.layout
+      end
+
+      test "update refuses another user's board" do
+        patch api_v1_board_url(boards(:bob_home)), params: { board: { name: "Mine" } },
+                                                   headers: auth_headers(@alice), as: :json
+
+        assert_response :not_found
+        assert_equal "Home", boards(:bob_home).reload.name
+      end
+
+      test "destroy moves stops only on the board to the first remaining board" do
+        delete api_v1_board_url(@work), headers: auth_headers(@alice), as: :json
+
+        assert_response :success
+        assert_not Board.exists?(@work.id)
+        assert_includes @home.reload.stops, stops(:alice_bike)
+        # The bus was already on Home and isn't added twice
+        assert_equal 1, @home.board_stops.where(stop: stops(:alice_bus)).count
+        # Moved stops go to the end of the board
+        assert_equal stops(:alice_bike), @home.ordered_stops.last
+      end
+
+      test "destroy keeps the user's last board" do
+        bob = users(:bob)
+
+        delete api_v1_board_url(boards(:bob_home)), headers: auth_headers(bob), as: :json
+
+        assert_response :unprocessable_entity
+        assert_equal "A user needs at least one board", response.parsed_body["error"]
+        assert Board.exists?(boards(:bob_home).id)
+      end
+
+      test "destroy refuses another user's board" do
+        assert_no_difference -> { Board.count } do
+          delete api_v1_board_url(@work), headers: auth_headers(users(:bob)), as: :json
+        end
+
+        assert_response :not_found
+      end
+
+      test "kiosk shows the board's visible stops in board order without a login" do
+        get api_v1_kiosk_url(@work.kiosk_token), as: :json
+
+        assert_response :success
+        assert_equal "Work", response.parsed_body["board"]["name"]
+        assert_not response.parsed_body["board"].key?("kiosk_token")
+        assert_equal ["To Springs", "Congress and Oltorf"],
+                     response.parsed_body["stops"].map { |stop| stop["name"] }
+      end
+
+      test "kiosk leaves out the stops' per-user fields" do
+        stops(:alice_bus).update!(notification_rules: [{ type: "leave", threshold: 5 }])
+
+        get api_v1_kiosk_url(@work.kiosk_token), as: :json
+
+        stop = response.parsed_body["stops"].last
+        assert_equal "801", stop["route_filter"]
+        %w[user_id notification_rules hidden created_at updated_at].each do |field|
+          assert_not stop.key?(field), "kiosk stop should not include #{field}"
+        end
+      end
+
+      test "kiosk leaves out hidden stops" do
+        get api_v1_kiosk_url(@home.kiosk_token), as: :json
+
+        assert_response :success
+        assert_not_includes response.parsed_body["stops"].map { |stop| stop["name"] }, "Central Market"
+      end
+
+      test "kiosk returns not found for an unknown token" do
+        get api_v1_kiosk_url("not-a-kiosk-token"), as: :json
+
+        assert_response :not_found
+      end
+
+      test "regenerate_kiosk_token unpins the old kiosk URL" do
+        old_token = @home.kiosk_token
+
+        patch regenerate_kiosk_token_api_v1_board_url(@home), headers: auth_headers(@alice), as: :json
+
+        assert_response :success
+        assert_not_equal old_token, response.parsed_body["kiosk_token"]
+        get api_v1_kiosk_url(old_token), as: :json
+        assert_response :not_found
+      end
+    end
+  end
+end
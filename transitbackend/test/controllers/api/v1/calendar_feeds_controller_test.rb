@@ -0,0 +1,73 @@
+require "test_helper"
+
+module Api
+  module V1
+    class CalendarFeedsControllerTest < ActionDispatch::IntegrationTest
+      VCALENDAR = "BEGIN:VCALENDAR\r\nVERSION:2.0\r\nEND:VCALENDAR\r\n".freeze
+
+      setup do
+        @alice = users(:alice)
+        @feed = calendar_feeds(:alice_commute)
+      end
+
+      test "show serves the feed by token without a login" do
+        get api_v1_calendar_url(@feed.token, format: :ics)
+
+        assert_response :success
+        assert_equal "text/calendar", response.media_type
+        assert_equal @feed.ics, response.body
+      end
+
+      test "show returns not found for an unknown token" do
+        get api_v1_calendar_url("not-a-feed-token", format: :ics)
+
+        assert_response :not_found
+      end
+
+      test "create requires a login" do
+        post api_v1_calendar_feeds_url, params: { calendar_feed: { ics: VCALENDAR } }, as: :json
+
+        assert_response :unauthorized
+      end
+
+      test "create returns the feed's token without the ics body" do
+        post api_v1_calendar_feeds_url, params: { calendar_feed: { name: "Ferry", ics: VCALENDAR } },
+                                        headers: auth_headers(@alice), as: :json
+
+        assert_response :created
+        assert response.parsed_body["token"].present?
+        assert_not response.parsed_body.key?("ics")
+      end
+
+      test "create rejects a document that isn't a calendar" do
+        post api_v1_calendar_feeds_url, params: { calendar_feed: { ics: "hello" } },
+                                        headers: auth_headers(@alice), as: :json
+
+        assert_response :unprocessable_entity
+      end
+
+      test "update replaces the feed's events and keeps its token" do
+        ics = "BEGIN:VCALENDAR\r\nVERSION:2.0\r\nBEGIN:VEVENT\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n"
+
+        patch api_v1_calendar_feed_url(@feed), params: { calendar_feed: { ics: ics } },
+                                               headers: auth_headers(@alice), as: :json
+
+        assert_response :success
+        assert_equal @feed.token, response.parsed_body["token"]
+        assert_equal ics, @feed.reload.ics
+      end
+
+      test "update and destroy refuse another user's feed" do
+        bob = users(:bob)
+
+        patch api_v1_calendar_feed_url(@feed), params: { calendar_feed: { ics: VCALENDAR } },
+                                               headers: auth_headers(bob), as: :json
+        assert_response :not_found
+
+        delete api_v1_calendar_feed_url(@feed), headers: auth_headers(bob), as: :json
+        assert_response :not_found
+        assert CalendarFeed.exists?(@feed.id)
+      end
+    end
+  end
+end
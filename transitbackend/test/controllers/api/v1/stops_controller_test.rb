@@ -0,0 +1,182 @@
+require "test_helper"
+
+module Api
+  module V1
+    class StopsControllerTest < ActionDispatch::IntegrationTest
+      setup do
+        @alice = users(:alice)
+        @home = boards(:alice_home)
+        @work = boards(:alice_work)
+      end
+
+      test "index with board_id lists that board's visible stops in its order" do
+        get api_v1_stops_url, params: { board_id: @work.id }, headers: auth_headers(@alice)
+
+        assert_response :success
+        assert_equal ["To Springs", "Congress and Oltorf"], response.parsed_body.map { |stop| stop["name"] }
+        assert_equal [@home.id, @work.id].sort, response.parsed_body.last["board_ids"].sort
+      end
+
+      test "index refuses another user's board" do
+        get api_v1_stops_url, params: { board_id: boards(:bob_home).id }, headers: auth_headers(@alice)
+
+        assert_response :not_found
+      end
+
+      test "create puts the stop on the requested boards the user owns" do
+        post api_v1_stops_url,
+             params: {
+               stop: {
+                 name: "To Zilker",
+                 transit_type: "walk",
+                 destination: "Zilker Park, Austin, TX",
+                 board_ids: [@work.id, boards(:bob_home).id]
+               }
+             },
+             headers: auth_headers(@alice), as: :json
+
+        assert_response :created
+        assert_equal [@work.id], response.parsed_body["board_ids"]
+      end
+
+      test "create without board_ids puts the stop on the first board" do
+        post api_v1_stops_url,
+             params: { stop: { name: "To Zilker", transit_type: "walk", destination: "Zilker Park, Austin, TX" } },
+             headers: auth_headers(@alice), as: :json
+
+        assert_response :created
+        assert_equal [@home.id], response.parsed_body["board_ids"]
+      end
+
+      test "update with board_ids replaces the stop's boards" do
+        stop = stops(:alice_walk)
+
+        patch api_v1_stop_url(stop), params: { stop: { board_ids: [@work.id] } },
+                                     headers: auth_headers(@alice), as: :json
+
+        assert_response :success
+        assert_equal [@work.id], stop.reload.board_ids
+      end
+
+      test "update without board_ids leaves the stop's boards alone" do
+        stop = stops(:alice_bus)
+
+        patch api_v1_stop_url(stop), params: { stop: { favorite: true } },
+                                     headers: auth_headers(@alice), as: :json
+
+        assert_response :success
+        assert_equal [@home.id, @work.id].sort, stop.reload.board_ids.sort
+      end
+
+      test "index leaves out hidden stops unless asked for them" do
+        get api_v1_stops_url, headers: auth_headers(@alice)
+        assert_not_includes response.parsed_body.map { |stop| stop["name"] }, "Central Market"
+
+        get api_v1_stops_url, params: { include_hidden: true }, headers: auth_headers(@alice)
+        assert_includes response.parsed_body.map { |stop| stop["name"] }, "Central Market"
+      end
+
+      test "bulk updates only the user's own stops" do
+        ids = [stops(:alice_bus), stops(:alice_walk), stops(:bob_ferry)].map(&:id)
+
+        patch bulk_api_v1_stops_url, params: { ids: ids, stop: { favorite: true } },
+                                     headers: auth_headers(@alice), as: :json
+
+        assert_response :success
+        assert_equal ["Congress and Oltorf", "To HEB"], response.parsed_body.map { |stop| stop["name"] }
+        assert stops(:alice_bus).reload.favorite
+        assert stops(:alice_walk).reload.favorite
+        assert_not stops(:bob_ferry).reload.favorite
+      end
+
+      test "bulk can show hidden stops again" do
+        patch bulk_api_v1_stops_url, params: { ids: [stops(:alice_hidden).id], stop: { hidden: false } },
+                                     headers: auth_headers(@alice), as: :json
+
+        assert_response :success
+        assert_not stops(:alice_hidden).reload.hidden
+      end
+
+      test "bulk needs hidden or favorite" do
+        patch bulk_api_v1_stops_url, params: { ids: [stops(:alice_bus).id], stop: { name: "Renamed" } },
+                                     headers: auth_headers(@alice), as: :json
+
+        assert_response :unprocessable_entity
+        assert_equal "Nothing to update (hidden or favorite)", response.parsed_body["error"]
+        assert_equal "Congress and Oltorf", stops(:alice_bus).reload.name
+      end
+
+      test "bulk with no stops of the user's is not found" do
+        patch bulk_api_v1_stops_url, params: { ids: [stops(:bob_ferry).id], stop: { hidden: true } },
+                                     headers: auth_headers(@alice), as: :json
+
+        assert_response :not_found
+        assert_not stops(:bob_ferry).reload.hidden
+      end
+
+      test "reorder moves the stop among the visible stops and renumbers the rest" do
+        patch reorder_api_v1_stop_url(stops(:alice_bike)), params: { position: 1 },
+                                                           headers: auth_headers(@alice), as: :json
+
+        assert_response :success
+        assert_equal [stops(:alice_bike), stops(:alice_bus), stops(:alice_walk)], @alice.stops.visible.ordered.to_a
+        assert_equal [1, 2, 3], @alice.stops.visible.ordered.pluck(:position)
+        # Hidden stops keep their place
+        assert_equal 4, stops(:alice_hidden).reload.position
+      end
+
+      test "reorder clamps the position to the list" do
+        patch reorder_api_v1_stop_url(stops(:alice_bus)), params: { position: 99 },
+                                                          headers: auth_headers(@alice), as: :json
+
+        assert_response :success
+        assert_equal [stops(:alice_walk), stops(:alice_bike), stops(:alice_bus)], @alice.stops.visible.ordered.to_a
+      end
+
+      test "reorder rejects a position that isn't a number" do
+        patch reorder_api_v1_stop_url(stops(:alice_bus)), params: { position: "first" },
+                                                          headers: auth_headers(@alice), as: :json
+
+        assert_response :unprocessable_entity
+        assert_equal "Position must be a number", response.parsed_body["error"]
+        assert_equal 1, stops(:alice_bus).reload.position
+      end
+
+      test "reorder refuses another user's stop" do
+        patch reorder_api_v1_stop_url(stops(:bob_ferry)), params: { position: 2 },
+                                                          headers: auth_headers(@alice), as: :json
+
+        assert_response :not_found
+        assert_equal 1, stops(:bob_ferry).reload.position
+      end
+
+      test "reorder with board_id moves the stop within that board only" do
+        stop = stops(:alice_bike)
+
+        patch reorder_api_v1_stop_url(stop), params: { position: 2, board_id: @work.id },
+                                             headers: auth_headers(@alice), as: :json
+
+        assert_response :success
+        assert_equal [stops(:alice_bus), stops(:alice_bike)], @work.ordered_stops.to_a
+        assert_equal [stops(:alice_bus), stops(:alice_walk), stops(:alice_hidden)], @home.ordered_stops.to_a
+        # The stop's place in the user's own list doesn't change
+        assert_equal 3, stop.reload.position
+      end
+
+      test "reorder with a board the stop isn't on is not found" do
+        patch reorder_api_v1_stop_url(stops(:alice_walk)), params: { position: 1, board_id: @work.id },
+                                                           headers: auth_headers(@alice), as: :json
+
+        assert_response :not_found
+        assert_equal "Stop is not on this board", response.parsed_body["error"]
+      end
+
+      test "reorder with another user's board is not found" do
+        patch reorder_api_v1_stop_url(stops(:alice_bus)), params: { position: 1, board_id: boards(:bob_home).id },
+                                                          headers: auth_headers(@alice), as: :json
+
+        assert_response :not_found
+      end
+    end
+  end
+end
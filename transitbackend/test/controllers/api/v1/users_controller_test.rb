@@ -0,0 +1,65 @@
+require "test_helper"
+
+module Api
+  module V1
+    class UsersControllerTest < ActionDispatch::IntegrationTest
+      setup do
+        @template = StopTemplate.create!(
+          name: "Starter Commutes",
+          position: 1,
+          stops: [{ transit_type: "walk", destination: "HEB, 2400 S Congress Ave, Austin, TX 78704" }]
+        )
+      end
+
+      def sign_up(extra = {})
+        post api_v1_users_url,
+             params: { user: { name: "Carol", email: "carol@example.com", password: "password" }.merge(extra) },
+             as: :json
+      end
+
+      test "create signs up without a login and starts from the default template" do
+        assert_difference -> { User.count } do
+          sign_up
+        end
+
+        assert_response :created
+        assert response.parsed_body["token"].present?
+        assert_not response.parsed_body["user"].key?("password_digest")
+        user = User.find_by(email: "carol@example.com")
+        assert_equal ["To HEB"], user.boards.first.stops.map(&:name)
+      end
+
+      test "create with a blank template starts with no stops" do
+        sign_up(stop_template_id: "")
+
+        assert_response :created
+        assert_empty User.find_by(email: "carol@example.com").stops
+      end
+
+      test "create with an unknown template doesn't create the user" do
+        assert_no_difference -> { User.count } do
+          sign_up(stop_template_id: 0)
+        end
+
+        assert_response :not_found
+        assert_equal "Stop template not found", response.parsed_body["error"]
+      end
+
+      test "create rejects a taken email" do
+        assert_no_difference -> { User.count } do
+          sign_up(email: users(:alice).email)
+        end
+
+        assert_response :unprocessable_entity
+      end
+
+      test "other actions require a login" do
+        get api_v1_users_url, as: :json
+        assert_response :unauthorized
+
+        get api_v1_user_url(users(:alice)), as: :json
+        assert_response :unauthorized
+      end
+    end
+  end
+end
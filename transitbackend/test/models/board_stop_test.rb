@@ -0,0 +1,23 @@
+require "test_helper"
+
+class BoardStopTest < ActiveSupport::TestCase
+  test "new board stops go to the end of the board" do
+    board_stop = boards(:alice_work).board_stops.create!(stop: stops(:alice_walk))
+
+    assert_equal 3, board_stop.position
+  end
+
+  test "a stop is on a board at most once" do
+    duplicate = boards(:alice_home).board_stops.build(stop: stops(:alice_bus))
+
+    assert_not duplicate.valid?
+    assert_includes duplicate.errors[:stop_id], "has already been taken"
+  end
+
+  test "stops can only go on their owner's boards" do
+    board_stop = boards(:bob_home).board_stops.build(stop: stops(:alice_bus))
+
+    assert_not board_stop.valid?
+    assert_includes board_stop.errors[:stop], "must belong to the board's user"
+  end
+end
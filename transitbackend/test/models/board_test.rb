@@ -0,0 +1,47 @@
+require "test_helper"
+
+class BoardTest < ActiveSupport::TestCase
+  test "validates layout and refresh interval" do
+    board = boards(:alice_home)
+
+    board.layout = "carousel"
+    assert_not board.valid?
+    assert_includes board.errors[:layout], "is not included in the list"
+
+    board.layout = "list"
+    board.refresh_minutes = 0
+    assert_not board.valid?
+    board.refresh_minutes = 61
+    assert_not board.valid?
+    board.refresh_minutes = 60
+    assert board.valid?
+  end
+
+  test "names are unique per user only" do
+    duplicate = users(:alice).boards.build(name: "Work")
+    assert_not duplicate.valid?
+    assert_includes duplicate.errors[:name], "has already been taken"
+
+    assert users(:bob).boards.build(name: "Work").valid?
+  end
+
+  test "new boards get a kiosk token" do
+    board = users(:bob).boards.create!(name: "Weekend trip")
+
+    assert board.kiosk_token.present?
+    assert_not_equal boards(:bob_home).kiosk_token, board.kiosk_token
+  end
+
+  test "ordered_stops follows the board's own positions" do
+    assert_equal [stops(:alice_bike), stops(:alice_bus)], boards(:alice_work).ordered_stops.to_a
+    assert_equal [stops(:alice_bus), stops(:alice_walk), stops(:alice_hidden)],
+                 boards(:alice_home).ordered_stops.to_a
+  end
+
+  test "destroying a board keeps its stops" do
+    assert_no_difference -> { Stop.count } do
+      boards(:alice_work).destroy
+    end
+    assert_not BoardStop.exists?(board_id: boards(:alice_work).id)
+  end
+end
@@ -0,0 +1,30 @@
+require "test_helper"
+
+class CalendarFeedTest < ActiveSupport::TestCase
+  VCALENDAR = "BEGIN:VCALENDAR\r\nVERSION:2.0\r\nEND:VCALENDAR\r\n".freeze
+
+  test "new feeds get a token" do
+    feed = users(:bob).calendar_feeds.create!(ics: VCALENDAR)
+
+    assert feed.token.present?
+  end
+
+  test "ics must be an iCalendar document" do
+    feed = users(:bob).calendar_feeds.build(ics: "<html>not a calendar</html>")
+
+    assert_not feed.valid?
+    assert_includes feed.errors[:ics], "must be an iCalendar (VCALENDAR) document"
+
+    feed.ics = "BEGIN:VCALENDAR\r\nVERSION:2.0\r\n"
+    assert_not feed.valid?
+  end
+
+  test "ics is required and size-limited" do
+    feed = users(:bob).calendar_feeds.build(ics: "")
+    assert_not feed.valid?
+    assert_includes feed.errors[:ics], "can't be blank"
+
+    feed.ics = "BEGIN:VCALENDAR\r\n#{'X' * CalendarFeed::MAX_ICS_BYTES}\r\nEND:VCALENDAR\r\n"
+    assert_not feed.valid?
+  end
+end
@@ -0,0 +1,84 @@
+require "test_helper"
+
+class StopTemplateTest < ActiveSupport::TestCase
+  setup do
+    @template = StopTemplate.create!(
+      name: "Starter Commutes",
+      position: 1,
+      stops: [
+        { transit_type: "bus", origin: "Congress and Oltorf, Austin, TX", destination: "Downtown Station, Austin, TX",
+          route_filter: "801", seed_data_file: "/data/seed/congress-oltorf-bus.json" },
+        { transit_type: "bike", destination: "barton springs pool, Austin, TX" },
+        { transit_type: "ferry", origin: "anacortes", destination: "orcas", location: "Anacortes, WA" }
+      ]
+    )
+    @user = User.create!(name: "Carol", email: "carol@example.com", password: "password")
+  end
+
+  test "needs at least one valid stop" do
+    template = StopTemplate.new(name: "Empty", stops: [])
+    assert_not template.valid?
+    assert_includes template.errors[:stops], "must have at least one stop"
+
+    template.stops = [{ transit_type: "hovercraft", destination: "Orcas" }, { transit_type: "walk" }, "HEB"]
+    assert_not template.valid?
+    assert_includes template.errors[:stops], "entry 1 transit type must be one of #{Stop::TRANSIT_TYPES.join(', ')}"
+    assert_includes template.errors[:stops], "entry 2 needs a destination"
+    assert_includes template.errors[:stops], "entry 3 must be a stop"
+  end
+
+  test "keeps only stop attributes" do
+    template = StopTemplate.create!(name: "Walks", stops: [{ transit_type: "walk", destination: "HEB", user_id: 99 }])
+
+    assert_equal [{ "transit_type" => "walk", "destination" => "HEB" }], template.stops
+  end
+
+  test "default is the first template in order" do
+    StopTemplate.create!(name: "Later", position: 2, stops: [{ transit_type: "walk", destination: "HEB" }])
+
+    assert_equal @template, StopTemplate.default
+  end
+
+  test "names stops from their addresses" do
+    assert_equal "To Barton springs pool", StopTemplate.stop_name("destination" => "barton springs pool, Austin, TX")
+    assert_equal "Anacortes To Orcas", StopTemplate.stop_name("origin" => "anacortes", "destination" => "orcas")
+  end
+
+  test "apply_to! adds the stops to the user's first board" do
+    stops = @template.apply_to!(@user)
+
+    board = @user.boards.first
+    assert_equal ["Congress and Oltorf To Downtown Station", "To Barton springs pool", "Anacortes To Orcas"],
+                 board.ordered_stops.map(&:name)
+    assert_equal [1, 2, 3], stops.map(&:position)
+    assert_nil stops.second.origin
+  end
+
+  test "apply_to! starts stops on their seed snapshot or their own data file" do
+    bus, bike, ferry = @template.apply_to!(@user)
+
+    assert_equal "/data/seed/congress-oltorf-bus.json", bus.reload.data_file
+    assert_equal StopTemplate.data_file_for(bike), bike.reload.data_file
+    # Ferry stops use the ferry timetable, not a data file
+    assert_nil ferry.reload.data_file
+  end
+
+  test "apply_to! ignores seed files outside the seed directory" do
+    template = StopTemplate.create!(
+      name: "Walks",
+      stops: [{ transit_type: "walk", destination: "HEB", seed_data_file: "/data/stops/1-someone-elses-walk.json" }]
+    )
+
+    stop = template.apply_to!(@user).first
+
+    assert_equal StopTemplate.data_file_for(stop), stop.reload.data_file
+  end
+
+  test "applying twice doesn't duplicate stops" do
+    @template.apply_to!(@user)
+
+    assert_no_difference -> { @user.stops.count } do
+      @template.apply_to!(@user)
+    end
+  end
+end
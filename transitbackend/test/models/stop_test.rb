@@ -0,0 +1,90 @@
+require "test_helper"
+
+class StopTest < ActiveSupport::TestCase
+  setup do
+    @stop = stops(:alice_bus)
+  end
+
+  test "time zones must be IANA identifiers" do
+    @stop.time_zone = "America/Chicago"
+    assert @stop.valid?
+
+    @stop.time_zone = "Central Time"
+    assert_not @stop.valid?
+    assert_includes @stop.errors[:time_zone], "is not a valid IANA time zone"
+  end
+
+  test "target times must be HH:MM" do
+    @stop.target_time = "08:45"
+    assert @stop.valid?
+
+    @stop.target_time = "8:45am"
+    assert_not @stop.valid?
+    assert_includes @stop.errors[:target_time], "must be HH:MM"
+
+    @stop.target_time = "24:00"
+    assert_not @stop.valid?
+  end
+
+  test "target days must be known weekdays" do
+    @stop.target_days = "mon, tue,fri"
+    assert @stop.valid?
+
+    @stop.target_days = "mon,funday"
+    assert_not @stop.valid?
+    assert_includes @stop.errors[:target_days], "must be comma-separated weekdays (sun,mon,tue,wed,thu,fri,sat)"
+  end
+
+  test "departure windows need both ends as HH:MM" do
+    @stop.assign_attributes(window_start: "07:30", window_end: "08:20", window_objective: "fastest")
+    assert @stop.valid?
+
+    @stop.window_end = "8:20"
+    assert_not @stop.valid?
+    assert_includes @stop.errors[:window_end], "must be HH:MM"
+
+    @stop.window_end = nil
+    assert_not @stop.valid?
+    assert_includes @stop.errors[:window_end], "can't be blank"
+
+    @stop.assign_attributes(window_start: nil, window_end: "08:20")
+    assert_not @stop.valid?
+    assert_includes @stop.errors[:window_start], "can't be blank"
+  end
+
+  test "window objectives must be known" do
+    @stop.window_objective = "steadiest"
+    assert @stop.valid?
+
+    @stop.window_objective = "cheapest"
+    assert_not @stop.valid?
+    assert_includes @stop.errors[:window_objective], "is not included in the list"
+  end
+
+  test "notification rules need a known type and a threshold from 1 to 120" do
+    @stop.notification_rules = [{ type: "leave", threshold: 5 }, { "type" => "delay", "threshold" => "120" }]
+    assert @stop.valid?
+    assert_equal [{ "type" => "leave", "threshold" => 5 }, { "type" => "delay", "threshold" => "120" }],
+                 @stop.notification_rules
+
+    @stop.notification_rules = [{ type: "arrive", threshold: 5 }]
+    assert_not @stop.valid?
+    assert_includes @stop.errors[:notification_rules], "type must be one of leave, last_departures, delay"
+
+    [0, 121, 2.5, "soon", nil].each do |threshold|
+      @stop.notification_rules = [{ type: "leave", threshold: threshold }]
+      assert_not @stop.valid?, "threshold #{threshold.inspect} should be rejected"
+      assert_includes @stop.errors[:notification_rules], "threshold must be a whole number from 1 to 120"
+    end
+  end
+
+  test "notification rules must be a list" do
+    @stop.notification_rules = { type: "leave", threshold: 5 }
+    assert_not @stop.valid?
+    assert_equal ["must be a list of rules"], @stop.errors[:notification_rules]
+
+    @stop.notification_rules = nil
+    assert @stop.valid?
+    assert_equal [], @stop.notification_rules
+  end
+end
@@ -13,3 +13,12 @@ module ActiveSupport
     # Add more helper methods to be used by all tests here...
   end
 end
+
+module ActionDispatch
+  class IntegrationTest
+    # Authorization header for API requests as user
+    def auth_headers(user)
+      { "Authorization" => "Bearer #{JwtService.encode({ user_id: user.id })}" }
+    end
+  end
+end
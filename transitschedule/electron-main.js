@@ -1,4 +1,11 @@
-const { app, BrowserWindow, screen, nativeImage } = require("electron");
+const {
+  app,
+  BrowserWindow,
+  screen,
+  nativeImage,
+  ipcMain,
+  Notification,
+} = require("electron");
 const path = require("path");
 const { spawn, exec } = require("child_process");
 const fs = require("fs");
@@ -140,6 +147,7 @@ function createWindow() {
       nodeIntegration: false,
       contextIsolation: true,
       enableRemoteModule: false,
+      preload: path.join(__dirname, "electron-preload.js"),
     },
     show: false, // Don't show until ready
   });
@@ -327,6 +335,15 @@ end tell`;
   }
 }
 
+// Show stop notifications from the React app as native notifications
+ipcMain.on("show-notification", (event, { title, body }) => {
+  if (!Notification.isSupported()) {
+    console.log("Native notifications are not supported on this system");
+    return;
+  }
+  new Notification({ title, body }).show();
+});
+
 // This method will be called when Electron has finished initialization
 app.whenReady().then(async () => {
   // Check if server is already running
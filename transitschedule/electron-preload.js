@@ -0,0 +1,8 @@
+const { contextBridge, ipcRenderer } = require("electron");
+
+// Let the React app show native notifications without Node access
+// (the window runs with contextIsolation and no nodeIntegration)
+contextBridge.exposeInMainWorld("electronNotifications", {
+  show: ({ title, body }) =>
+    ipcRenderer.send("show-notification", { title, body }),
+});
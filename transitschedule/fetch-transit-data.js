@@ -2,7 +2,13 @@
 
 /**
  * Script to fetch transit data once and save to JSON files
- * Run this script once to populate the data files, then the app will use those files
+ * Reads the stops to fetch as JSON on stdin ({ home_address, stops }, sent by
+ * the backend's transit_data#fetch) and writes each stop's data_file, which
+ * the app falls back to when live data can't be fetched.
+ *
+ * With --gtfs it instead downloads the GTFS static feeds (GTFS_FEEDS in
+ * src/utils/constants.js) to public/data/gtfs, for scheduled bus and train
+ * times without the Directions API.
  */
 
 const axios = require("axios");
@@ -13,121 +19,200 @@ const path = require("path");
 require("dotenv").config({ path: path.join(__dirname, ".env") });
 const apiKey = process.env.REACT_APP_GOOGLE_MAPS_API_KEY;
 
-if (!apiKey || apiKey === "YOUR_API_KEY_HERE") {
-  console.error("Error: REACT_APP_GOOGLE_MAPS_API_KEY not set in .env file");
-  process.exit(1);
-}
-
 const baseUrl = "https://maps.googleapis.com/maps/api/directions/json";
-const dataDir = path.join(__dirname, "public", "data");
+const publicDir = path.join(__dirname, "public");
 
-// Create data directory if it doesn't exist
-if (!fs.existsSync(dataDir)) {
-  fs.mkdirSync(dataDir, { recursive: true });
-}
+// Fallback origin for stops without one when the board has no home address
+const DEFAULT_HOME_ADDRESS = "2215 post rd austin tx 78704";
+
+// Directions modes for stops that aren't transit
+const ROUTE_MODES = { bike: "bicycling", walk: "walking", drive: "driving" };
 
-// Define the stops we want to fetch
-const stopsConfig = [
-  {
-    name: "Congress and Oltorf",
-    type: "bus",
-    origin: "Congress and Oltorf, Austin, TX",
-    destination: "Downtown Station, Austin, TX",
-    routeFilter: "801",
-    transitMode: "bus",
-    filename: "congress-oltorf-bus.json",
-  },
-  {
-    name: "South San Francisco",
-    type: "train",
-    origin: "South San Francisco Caltrain Station, CA",
-    destination: "San Francisco Caltrain Station, CA",
-    routeFilter: "Caltrain",
-    transitMode: "rail",
-    filename: "south-san-francisco-train.json",
-  },
-  {
-    name: "To Springs",
-    type: "bike",
-    origin: "2215 post rd austin tx 78704",
-    destination: "barton springs pool in austin tx",
-    mode: "bicycling",
-    filename: "to-springs-bike.json",
-  },
-  {
-    name: "To HEB",
-    type: "walk",
-    origin: "2215 post rd austin tx 78704",
-    destination: "2400 S. CONGRESS AVE. AUSTIN, TX 78704",
-    mode: "walking",
-    filename: "to-heb-walk.json",
-  },
-  {
-    name: "Central Market",
-    type: "drive",
-    origin: "2215 post rd austin tx 78704",
-    destination: "4477 S Lamar Blvd, Austin, TX 78745",
-    mode: "driving",
-    filename: "central-market-drive.json",
-  },
-];
+// Transit modes for transit stops
+const TRANSIT_MODES = { bus: "bus", train: "rail" };
+
+// Where each GTFS static feed is published, by file under public/data/gtfs
+// (override with GTFS_CAPMETRO_URL / GTFS_CALTRAIN_URL in .env)
+const GTFS_FEED_SOURCES = {
+  "capmetro.zip":
+    process.env.GTFS_CAPMETRO_URL ||
+    "https://data.texas.gov/download/r4v4-vz24/application%2Fx-zip-compressed",
+  "caltrain.zip":
+    process.env.GTFS_CALTRAIN_URL ||
+    "https://data.trilliumtransit.com/gtfs/caltrain-ca-us/caltrain-ca-us.zip",
+};
+
+/**
+ * Read all of stdin
+ *
+ * @returns {Promise<string>} - The input
+ */
+const readStdin = () =>
+  new Promise((resolve, reject) => {
+    let input = "";
+    process.stdin.setEncoding("utf8");
+    process.stdin.on("data", (chunk) => {
+      input += chunk;
+    });
+    process.stdin.on("end", () => resolve(input));
+    process.stdin.on("error", reject);
+  });
+
+/**
+ * Resolve a stop's data file to a path under public/data
+ * The checked-in seed snapshots in public/data/seed are never overwritten.
+ *
+ * @param {string} dataFile - Public path, e.g. "/data/stops/3-to-heb-walk.json"
+ * @returns {string|null} - File path, or null if it points elsewhere
+ */
+const resolveDataFile = (dataFile) => {
+  const filePath = path.join(publicDir, String(dataFile || ""));
+  const dataDir = path.join(publicDir, "data") + path.sep;
+  const seedDir = path.join(dataDir, "seed") + path.sep;
+  return filePath.startsWith(dataDir) &&
+    !filePath.startsWith(seedDir) &&
+    filePath.endsWith(".json")
+    ? filePath
+    : null;
+};
+
+/**
+ * Build Directions API params for a stop
+ *
+ * @param {Object} stop - Stop from the backend
+ * @param {string} homeAddress - Origin for stops without one
+ * @returns {Object} - Query params
+ */
+const buildParams = (stop, homeAddress) => {
+  const origin = stop.origin || homeAddress;
+
+  if (ROUTE_MODES[stop.transit_type]) {
+    return {
+      origin,
+      destination: stop.destination,
+      mode: ROUTE_MODES[stop.transit_type],
+      key: apiKey,
+    };
+  }
+
+  return {
+    origin,
+    destination: stop.destination,
+    mode: "transit",
+    transit_mode: TRANSIT_MODES[stop.transit_type] || "bus",
+    departure_time: "now",
+    alternatives: true,
+    key: apiKey,
+  };
+};
 
 async function fetchAndSaveData() {
-  console.log("Fetching transit data...\n");
+  if (!apiKey || apiKey === "YOUR_API_KEY_HERE") {
+    console.error("Error: REACT_APP_GOOGLE_MAPS_API_KEY not set in .env file");
+    process.exit(1);
+  }
 
-  for (const stopConfig of stopsConfig) {
-    try {
-      let params;
-
-      if (
-        stopConfig.type === "bike" ||
-        stopConfig.type === "walk" ||
-        stopConfig.type === "drive"
-      ) {
-        params = {
-          origin: stopConfig.origin,
-          destination: stopConfig.destination,
-          mode: stopConfig.mode,
-          key: apiKey,
-        };
-      } else {
-        params = {
-          origin: stopConfig.origin,
-          destination: stopConfig.destination,
-          mode: "transit",
-          transit_mode: stopConfig.transitMode,
-          departure_time: "now",
-          alternatives: true,
-          key: apiKey,
-        };
-      }
+  let input;
+  try {
+    input = JSON.parse((await readStdin()) || "{}");
+  } catch (error) {
+    console.error("Error: stdin is not valid JSON:", error.message);
+    process.exit(1);
+  }
+
+  const stops = Array.isArray(input.stops) ? input.stops : [];
+  const homeAddress = input.home_address || DEFAULT_HOME_ADDRESS;
 
+  if (stops.length === 0) {
+    console.log("No stops with data files to fetch");
+    return;
+  }
+
+  console.log("Fetching transit data...\n");
+
+  for (const stop of stops) {
+    const filePath = resolveDataFile(stop.data_file);
+    if (!filePath) {
       console.log(
-        `Fetching data for ${stopConfig.name} (${stopConfig.type})...`
+        `✗ Skipping ${stop.name}: data file ${stop.data_file} is not under /data or is a seed snapshot`
       );
-      const response = await axios.get(baseUrl, { params });
+      continue;
+    }
+
+    try {
+      console.log(`Fetching data for ${stop.name} (${stop.transit_type})...`);
+      const response = await axios.get(baseUrl, {
+        params: buildParams(stop, homeAddress),
+      });
 
       if (response.data && response.data.status === "OK") {
-        const filePath = path.join(dataDir, stopConfig.filename);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
         fs.writeFileSync(filePath, JSON.stringify(response.data, null, 2));
-        console.log(`✓ Saved data to ${stopConfig.filename}`);
+        console.log(`✓ Saved data to ${stop.data_file}`);
       } else {
         console.log(
-          `✗ Error for ${stopConfig.name}: ${
-            response.data?.status || "Unknown error"
-          }`
+          `✗ Error for ${stop.name}: ${response.data?.status || "Unknown error"}`
         );
         if (response.data?.error_message) {
           console.log(`  ${response.data.error_message}`);
         }
       }
     } catch (error) {
-      console.error(`✗ Error fetching ${stopConfig.name}:`, error.message);
+      console.error(`✗ Error fetching ${stop.name}:`, error.message);
     }
   }
 
   console.log("\n✓ Data fetch complete!");
-  console.log(`Data files saved in: ${dataDir}`);
+  console.log(`Data files saved in: ${path.join(publicDir, "data")}`);
+}
+
+/**
+ * Download the GTFS static feeds to public/data/gtfs
+ * Each zip is written to a temporary file first, so a failed download leaves
+ * the previous feed in place.
+ */
+async function fetchGtfsFeeds() {
+  const gtfsDir = path.join(publicDir, "data", "gtfs");
+  fs.mkdirSync(gtfsDir, { recursive: true });
+
+  console.log("Fetching GTFS feeds...\n");
+  let failed = 0;
+
+  for (const [fileName, url] of Object.entries(GTFS_FEED_SOURCES)) {
+    const filePath = path.join(gtfsDir, fileName);
+    try {
+      console.log(`Fetching ${fileName} from ${url}...`);
+      const response = await axios.get(url, {
+        responseType: "arraybuffer",
+        maxRedirects: 5,
+      });
+      const data = Buffer.from(response.data);
+
+      // Zip files start with "PK"; anything else is an error page
+      if (data.subarray(0, 2).toString() !== "PK") {
+        throw new Error("Response is not a zip file");
+      }
+
+      fs.writeFileSync(`${filePath}.tmp`, data);
+      fs.renameSync(`${filePath}.tmp`, filePath);
+      console.log(
+        `✓ Saved ${fileName} (${(data.length / 1024 / 1024).toFixed(1)} MB)`
+      );
+    } catch (error) {
+      failed += 1;
+      console.error(`✗ Error fetching ${fileName}:`, error.message);
+    }
+  }
+
+  if (failed > 0) {
+    console.error(`\n✗ ${failed} GTFS feed(s) could not be fetched`);
+    process.exit(1);
+  }
+  console.log(`\n✓ GTFS feeds saved in: ${gtfsDir}`);
 }
 
-fetchAndSaveData();
+if (process.argv.includes("--gtfs")) {
+  fetchGtfsFeeds();
+} else {
+  fetchAndSaveData();
+}
@@ -0,0 +1,153 @@
+/* eslint-env serviceworker */
+
+/**
+ * Service Worker
+ *
+ * Keeps the app usable offline. The app shell (index.html and the built JS
+ * and CSS listed in asset-manifest.json) is cached at install; data files
+ * under /data (stops' saved Directions responses, GTFS feeds, the ferry
+ * schedule) are cached as they load, or when the app asks for them. Backend
+ * and Google responses aren't handled here: the app keeps its own copies of
+ * those in IndexedDB.
+ *
+ * Pages load network first, so a new deploy shows up as soon as it's online.
+ */
+
+const SHELL_CACHE = "eggy-shell-v1";
+const DATA_CACHE = "eggy-data-v1";
+const CACHES = [SHELL_CACHE, DATA_CACHE];
+
+// Shell files outside the build output, relative to the app's scope
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "manifest.json",
+  "favicon.ico",
+  "logo192.png",
+  "logo512.png",
+];
+
+const toScopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+/**
+ * Cache the app shell, including the current build's JS and CSS
+ */
+const cacheShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  const response = await fetch(toScopeUrl("asset-manifest.json"), {
+    cache: "no-store",
+  });
+  const manifest = await response.json();
+  const buildFiles = Object.values(manifest.files || {}).filter(
+    (file) => !file.endsWith(".map")
+  );
+  await cache.addAll([
+    ...new Set([...SHELL_FILES.map(toScopeUrl), ...buildFiles]),
+  ]);
+};
+
+/**
+ * Cache data files the app will need offline; files that fail to load
+ * (e.g., not generated yet) are skipped
+ *
+ * @param {Array<string>} urls - Data file URLs
+ */
+const cacheDataFiles = async (urls) => {
+  const cache = await caches.open(DATA_CACHE);
+  await Promise.all(
+    urls.map((url) =>
+      cache.add(url).catch(() => {
+        // Not available; it's cached if it loads later
+      })
+    )
+  );
+};
+
+/**
+ * Answer from the network, keeping a copy; fall back to the copy offline
+ *
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to use
+ * @param {string|null} fallbackUrl - Cached page to show if this one wasn't cached
+ * @returns {Promise<Response>}
+ */
+const networkFirst = async (request, cacheName, fallbackUrl = null) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached =
+      (await cache.match(request)) ||
+      (fallbackUrl && (await cache.match(fallbackUrl)));
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+/**
+ * Answer from the cache, loading (and keeping) what isn't cached yet
+ * Built files have content hashes in their names, so a cached copy is
+ * always current.
+ *
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to use
+ * @returns {Promise<Response>}
+ */
+const cacheFirst = async (request, cacheName) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(cacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => !CACHES.includes(name))
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  // The backend and Google are on other origins
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      networkFirst(request, SHELL_CACHE, toScopeUrl("index.html"))
+    );
+  } else if (url.pathname.includes("/static/")) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  } else if (url.pathname.includes("/data/")) {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+  }
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "CACHE_DATA_FILES") {
+    event.waitUntil(cacheDataFiles(event.data.urls || []));
+  }
+});
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import TransitDisplay from "./TransitDisplay";
 import AuthPage from "./components/AuthPage";
 import "./App.css";
@@ -7,15 +7,24 @@ import "./App.css";
 import { useAppDispatch, useAppSelector } from "./store/hooks";
 import {
   selectAllStops,
+  selectOrderedStops,
   selectHomeAddress,
-  selectFerryDirection,
+  selectDisplayTimeZone,
+  selectLeaveBufferMinutes,
+  selectFavoritesOnly,
+  selectUserStops,
   loadUserStops,
-  fetchDefaultStopsTransitData,
-  refreshDefaultStops,
+  retryStopAction,
+  replayQueuedEdits,
   addStop,
   deleteStopAction,
+  reorderStopAction,
+  updateStopFlagsAction,
+  setStopBoardsAction,
   setHomeAddress,
-  setFerryDirection,
+  setDisplayTimeZone,
+  setLeaveBufferMinutes,
+  setFavoritesOnly,
 } from "./store/slices/stopsSlice";
 import {
   selectIsAuthenticated,
@@ -23,14 +32,48 @@ import {
   fetchCurrentUser,
   logoutUser,
 } from "./store/slices/authSlice";
+import {
+  selectBoards,
+  selectCurrentBoard,
+  selectCurrentBoardId,
+  selectBoardsLoaded,
+  loadBoards,
+  saveBoardAction,
+  deleteBoardAction,
+  regenerateKioskTokenAction,
+  setCurrentBoard,
+} from "./store/slices/boardsSlice";
 
 // Import utilities
-import { INITIAL_PAGE_TITLE } from "./utils/constants";
+import {
+  INITIAL_HOME_ADDRESS,
+  INITIAL_PAGE_TITLE,
+  NOTIFICATION_CHECK_SECONDS,
+} from "./utils/constants";
+import { getKioskUrl, getBoardRefreshMs } from "./utils/boards";
 import { updateStop } from "./utils/stopUpdater";
 import { fetchTransitData } from "./services/stopService";
+import { subscribeRequestCache } from "./utils/requestCache";
+import {
+  getBudgetLevel,
+  getBudgetRefreshMs,
+  subscribeRequestMeter,
+} from "./utils/requestMeter";
+import { isOffline, subscribeConnectivity } from "./utils/connectivity";
+import {
+  getStopRetryDelayMs,
+  hasRetryableStopErrors,
+} from "./utils/stopErrors";
+import { cacheOfflineDataFiles } from "./serviceWorkerRegistration";
+import { notifyStopEvents } from "./services/notificationService";
+import { getTransitTypes } from "./config/transitTypes";
 
 // Import stop service and form
 import GoogleMapsStopSelector from "./components/GoogleMapsStopSelector";
+import ModeComparison from "./components/ModeComparison";
+import ManageStops from "./components/ManageStops";
+import ApiUsage from "./components/ApiUsage";
+import OfflineBanner from "./components/OfflineBanner";
 
 /**
  * App Component
@@ -42,8 +85,26 @@ function App() {
   // Redux hooks
   const dispatch = useAppDispatch();
   const allStops = useAppSelector(selectAllStops);
-  const homeAddress = useAppSelector(selectHomeAddress);
-  const ferryDirection = useAppSelector(selectFerryDirection);
+  // Every board stop, including ones the favorites filter hides
+  const orderedStops = useAppSelector(selectOrderedStops);
+  const storedHomeAddress = useAppSelector(selectHomeAddress);
+  const displayTimeZone = useAppSelector(selectDisplayTimeZone);
+  const leaveBufferMinutes = useAppSelector(selectLeaveBufferMinutes);
+  const favoritesOnly = useAppSelector(selectFavoritesOnly);
+  const userStops = useAppSelector(selectUserStops);
+
+  // Named boards; the board shown sets the origin, layout and refresh interval
+  const boards = useAppSelector(selectBoards);
+  const currentBoard = useAppSelector(selectCurrentBoard);
+  const currentBoardId = useAppSelector(selectCurrentBoardId);
+  const boardsLoaded = useAppSelector(selectBoardsLoaded);
+  const homeAddress = currentBoard?.origin || storedHomeAddress;
+  // Near an API budget the board refreshes less often
+  const [budgetLevel, setBudgetLevel] = useState(() => getBudgetLevel());
+  const refreshMs = getBudgetRefreshMs(
+    getBoardRefreshMs(currentBoard),
+    budgetLevel
+  );
 
   // Authentication from Redux
   const isAuthenticated = useAppSelector(selectIsAuthenticated);
@@ -52,10 +113,16 @@ function App() {
   const [pageTitle, setPageTitle] = useState(INITIAL_PAGE_TITLE);
   const [editingStop, setEditingStop] = useState(null);
   const [editingHome, setEditingHome] = useState(false);
+  const [creatingBoard, setCreatingBoard] = useState(false);
   const [reviewData, setReviewData] = useState(null);
   const [addingStop, setAddingStop] = useState(false);
   const [addingStopType, setAddingStopType] = useState(null);
+  const [comparingModes, setComparingModes] = useState(false);
+  const [managingStops, setManagingStops] = useState(false);
+  const [showingApiUsage, setShowingApiUsage] = useState(false);
   const [fetchingTransitData, setFetchingTransitData] = useState(false);
+  // Retries made since stops started failing (for backoff)
+  const retryAttemptsRef = useRef(0);
 
   // Get API key from environment variables with default
   const apiKey =
@@ -70,12 +137,28 @@ function App() {
       if (result.payload?.isAuthenticated) {
         // If we have a user in storage, fetch fresh data from backend
         dispatch(fetchCurrentUser()).then(() => {
-          // After fetching user, load user stops
-          dispatch(loadUserStops({ apiKey, homeAddress }));
+          // After fetching user, load boards (their stops load below)
+          dispatch(loadBoards());
         });
       }
     });
-  }, [dispatch, apiKey, homeAddress]);
+  }, [dispatch]);
+
+  /**
+   * Load the current board's stops once boards are known, and again when
+   * switching boards or changing the board's origin
+   */
+  useEffect(() => {
+    if (!isAuthenticated || !boardsLoaded) return;
+    dispatch(loadUserStops({ apiKey, homeAddress }));
+  }, [
+    dispatch,
+    apiKey,
+    homeAddress,
+    currentBoardId,
+    isAuthenticated,
+    boardsLoaded,
+  ]);
 
   /**
    * Handle successful login
@@ -104,31 +187,16 @@ function App() {
     } catch (error) {
       console.error("[App] Error in fetchTransitData:", error);
       // Error already logged in fetchTransitData, continue anyway
-    }
-
-    // Always fetch transit times - will use live API or saved files
-    try {
-      if (apiKey && apiKey !== "YOUR_API_KEY_HERE") {
-        console.log("[App] Fetching all transit times...");
-        await dispatch(
-          fetchDefaultStopsTransitData({ apiKey, homeAddress, ferryDirection })
-        );
-        console.log("[App] Transit times refreshed after login");
-      } else {
-        console.warn(
-          "[App] API key not configured, skipping transit times fetch"
-        );
-      }
-    } catch (error) {
-      console.error("[App] Error fetching transit times:", error);
     } finally {
       console.log("[App] Setting fetchingTransitData to false");
       setFetchingTransitData(false);
-      // Load user stops after authentication is set
-      console.log("[App] Loading user stops...");
-      await dispatch(loadUserStops({ apiKey, homeAddress }));
-      console.log("[App] Login success flow completed");
     }
+
+    // Load boards after authentication is set; their stops follow, with
+    // live data or the saved files
+    console.log("[App] Loading boards...");
+    await dispatch(loadBoards());
+    console.log("[App] Login success flow completed");
   };
 
   /**
@@ -138,28 +206,92 @@ function App() {
     dispatch(logoutUser());
   };
 
-  // Fetch transit times when authenticated
+  // Refresh transit times when authenticated, on the board's refresh interval
   useEffect(() => {
-    if (!isAuthenticated) return; // Don't fetch on login page
-
-    // Set up initial fetch and interval for refreshing transit times
-    if (apiKey && apiKey !== "YOUR_API_KEY_HERE") {
-      dispatch(refreshDefaultStops({ apiKey, homeAddress, ferryDirection }));
-      const interval = setInterval(() => {
-        dispatch(refreshDefaultStops({ apiKey, homeAddress, ferryDirection }));
-      }, 5 * 60 * 1000);
-      return () => clearInterval(interval);
-    } else {
+    if (!isAuthenticated || !boardsLoaded) return; // Don't fetch on login page
+
+    if (!apiKey || apiKey === "YOUR_API_KEY_HERE") {
       console.warn("Google Maps API key not configured");
-      dispatch(
-        refreshDefaultStops({
-          apiKey: apiKey || "YOUR_API_KEY_HERE",
-          homeAddress,
-          ferryDirection,
-        })
-      );
+      return;
+    }
+    const interval = setInterval(() => {
+      dispatch(loadUserStops({ apiKey, homeAddress }));
+    }, refreshMs);
+    return () => clearInterval(interval);
+  }, [apiKey, homeAddress, isAuthenticated, boardsLoaded, refreshMs, dispatch]);
+
+  // Retry sooner while stops fail with network or server errors, backing off
+  // each time; stops served from the request cache aren't fetched again
+  useEffect(() => {
+    if (!isAuthenticated || !boardsLoaded) return;
+
+    if (!hasRetryableStopErrors(orderedStops)) {
+      retryAttemptsRef.current = 0;
+      return;
+    }
+    const delayMs = getStopRetryDelayMs(retryAttemptsRef.current);
+    if (delayMs >= refreshMs) return; // The regular refresh comes first
+    const timeout = setTimeout(() => {
+      retryAttemptsRef.current += 1;
+      dispatch(loadUserStops({ apiKey, homeAddress }));
+    }, delayMs);
+    return () => clearTimeout(timeout);
+  }, [
+    orderedStops,
+    apiKey,
+    homeAddress,
+    isAuthenticated,
+    boardsLoaded,
+    refreshMs,
+    dispatch,
+  ]);
+
+  // Follow API usage against the budgets
+  useEffect(
+    () => subscribeRequestMeter(() => setBudgetLevel(getBudgetLevel())),
+    []
+  );
+
+  // Send stop edits made offline once the backend can be reached
+  useEffect(() => {
+    if (!isAuthenticated || !boardsLoaded) return;
+
+    const replay = () => {
+      if (!isOffline()) {
+        dispatch(replayQueuedEdits({ apiKey, homeAddress }));
+      }
+    };
+    replay();
+    return subscribeConnectivity(replay);
+  }, [apiKey, homeAddress, isAuthenticated, boardsLoaded, dispatch]);
+
+  // Keep the board's data files cached for offline use
+  useEffect(() => {
+    if (userStops.length > 0) {
+      cacheOfflineDataFiles(userStops);
     }
-  }, [apiKey, homeAddress, ferryDirection, isAuthenticated, dispatch]);
+  }, [userStops]);
+
+  // Stops may first show cached data while fresh data loads in the
+  // background; redraw with it (from the cache) once it lands
+  useEffect(() => {
+    if (!isAuthenticated || !boardsLoaded) return;
+
+    return subscribeRequestCache(() => {
+      dispatch(loadUserStops({ apiKey, homeAddress }));
+    });
+  }, [apiKey, homeAddress, isAuthenticated, boardsLoaded, dispatch]);
+
+  // Check stop notification rules (leave time, last departures, delays)
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const check = () =>
+      notifyStopEvents(orderedStops, new Date(), leaveBufferMinutes);
+    check();
+    const interval = setInterval(check, NOTIFICATION_CHECK_SECONDS * 1000);
+    return () => clearInterval(interval);
+  }, [orderedStops, leaveBufferMinutes, isAuthenticated]);
 
   const handleUpdateStop = async (stopIndex, newConfig) => {
     console.log("[App] handleUpdateStop called");
@@ -176,52 +308,21 @@ function App() {
 
     console.log("[App] Calling updateStop...");
     try {
-      // For ferry, update direction in Redux
-      if (stop.type === "ferry") {
-        const newFerryDirection = newConfig.ferryDirection || "anacortes";
-        dispatch(setFerryDirection(newFerryDirection));
-        await dispatch(
-          refreshDefaultStops({
-            apiKey,
-            homeAddress,
-            ferryDirection: newFerryDirection,
-          })
-        );
-        setEditingStop(null);
-        setReviewData(null);
-        window.location.reload();
-        return;
-      }
-
-      // For other stops, use the existing updateStop utility
-      // It will handle creating new stop and reloading user stops via Redux
+      // The updateStop utility creates the new stop and reloads user stops via Redux
       await updateStop({
         stop,
         stopIndex,
         newConfig,
         apiKey,
         homeAddress,
-        ferryDirection,
-        stops: allStops,
-        setStops: (updatedStops) => {
-          // This won't be used anymore since we're using Redux
-          // But keep for compatibility with updateStop utility
-        },
-        setFerryDirection: (direction) => {
-          dispatch(setFerryDirection(direction));
-        },
         setEditingStop,
         setReviewData,
         loadUserStops: async () => {
           await dispatch(loadUserStops({ apiKey, homeAddress }));
         },
+        boardId: currentBoardId,
       });
 
-      // Refresh default stops transit data after update
-      await dispatch(
-        refreshDefaultStops({ apiKey, homeAddress, ferryDirection })
-      );
-
       console.log("[App] updateStop completed successfully");
     } catch (error) {
       console.error("[App] updateStop failed:", error);
@@ -229,20 +330,77 @@ function App() {
     }
   };
 
-  const updateHomeAddress = async (newHomeAddress, newPageTitle) => {
-    dispatch(setHomeAddress(newHomeAddress));
-    if (newPageTitle) setPageTitle(newPageTitle);
-    await dispatch(
-      refreshDefaultStops({
-        apiKey,
-        homeAddress: newHomeAddress,
-        ferryDirection,
-      })
-    );
+  const updateHomeAddress = async (
+    newHomeAddress,
+    newPageTitle,
+    boardSettings = {}
+  ) => {
+    if (boardSettings.displayTimeZone !== undefined) {
+      dispatch(setDisplayTimeZone(boardSettings.displayTimeZone));
+    }
+    if (boardSettings.leaveBufferMinutes !== undefined) {
+      dispatch(setLeaveBufferMinutes(boardSettings.leaveBufferMinutes));
+    }
+
+    if (creatingBoard || currentBoard) {
+      // With boards, the name and address are the board's name and origin;
+      // the stops reload and refresh when the board or its origin changes
+      const result = await dispatch(
+        saveBoardAction({
+          id: creatingBoard ? null : currentBoard.id,
+          changes: {
+            name: newPageTitle,
+            origin: newHomeAddress || null,
+            layout: boardSettings.layout,
+            refresh_minutes: boardSettings.refreshMinutes,
+          },
+        })
+      );
+      if (saveBoardAction.rejected.match(result)) {
+        alert(`Error saving board: ${result.payload || "Unknown error"}`);
+        return;
+      }
+      if (creatingBoard) {
+        dispatch(setCurrentBoard(result.payload.id));
+      }
+    } else {
+      // The stops reload with the new home address
+      dispatch(setHomeAddress(newHomeAddress || INITIAL_HOME_ADDRESS));
+      if (newPageTitle) setPageTitle(newPageTitle);
+    }
+    setEditingHome(false);
+    setCreatingBoard(false);
+    setReviewData(null);
+  };
+
+  const handleDeleteBoard = async () => {
+    const fallback = boards.find((board) => board.id !== currentBoardId);
+    if (
+      !currentBoard ||
+      !window.confirm(
+        `Delete the "${currentBoard.name}" board? Stops only on this board move to "${fallback?.name}".`
+      )
+    ) {
+      return;
+    }
+    const result = await dispatch(deleteBoardAction(currentBoard.id));
+    if (deleteBoardAction.rejected.match(result)) {
+      alert(`Error deleting board: ${result.payload || "Unknown error"}`);
+      return;
+    }
     setEditingHome(false);
     setReviewData(null);
   };
 
+  const handleRegenerateKioskUrl = async () => {
+    const result = await dispatch(regenerateKioskTokenAction(currentBoard.id));
+    if (regenerateKioskTokenAction.rejected.match(result)) {
+      alert(
+        `Error making a new kiosk URL: ${result.payload || "Unknown error"}`
+      );
+    }
+  };
+
   const handleCreateStopWrapper = async (stopData) => {
     try {
       await dispatch(addStop({ stopData, apiKey, homeAddress }));
@@ -267,6 +425,32 @@ function App() {
     }
   };
 
+  const handleUpdateStopFlags = async (stopIds, changes) => {
+    const result = await dispatch(
+      updateStopFlagsAction({ stopIds, changes, apiKey, homeAddress })
+    );
+    if (updateStopFlagsAction.rejected.match(result)) {
+      throw new Error(result.payload || "Failed to update stops");
+    }
+  };
+
+  const handleSetStopBoards = async (stopId, boardIds) => {
+    const result = await dispatch(
+      setStopBoardsAction({ stopId, boardIds, apiKey, homeAddress })
+    );
+    if (setStopBoardsAction.rejected.match(result)) {
+      throw new Error(result.payload || "Failed to update boards");
+    }
+  };
+
+  const handleReorderStop = async (fromIndex, toIndex) => {
+    const result = await dispatch(reorderStopAction({ fromIndex, toIndex }));
+    if (reorderStopAction.rejected.match(result)) {
+      console.error("Error reordering stop:", result.payload);
+      alert(`Error moving stop: ${result.payload || "Unknown error"}`);
+    }
+  };
+
   // Show auth page if not authenticated
   if (!isAuthenticated) {
     return (
@@ -290,6 +474,7 @@ function App() {
 
   return (
     <div className="App">
+      <OfflineBanner displayTimeZone={displayTimeZone} />
       {addingStop && !addingStopType && (
         <div className="modal-overlay" onClick={() => setAddingStop(false)}>
           <div
@@ -298,17 +483,15 @@ function App() {
           >
             <h2 className="stop-type-selector-title">Select Stop Type</h2>
             <div className="stop-type-options">
-              {["drive", "walk", "bike", "bus", "train", "ferry"].map(
-                (type) => (
-                  <button
-                    key={type}
-                    onClick={() => setAddingStopType(type)}
-                    className="stop-type-button"
-                  >
-                    {type.toUpperCase()}
-                  </button>
-                )
-              )}
+              {getTransitTypes().map(({ type, label }) => (
+                <button
+                  key={type}
+                  onClick={() => setAddingStopType(type)}
+                  className="stop-type-button"
+                >
+                  {label}
+                </button>
+              ))}
             </div>
             <button
               onClick={() => setAddingStop(false)}
@@ -334,6 +517,28 @@ function App() {
           }}
         />
       )}
+      {comparingModes && (
+        <ModeComparison
+          homeAddress={homeAddress}
+          apiKey={apiKey}
+          displayTimeZone={displayTimeZone}
+          onPin={handleCreateStopWrapper}
+          onClose={() => setComparingModes(false)}
+        />
+      )}
+      {managingStops && (
+        <ManageStops
+          favoritesOnly={favoritesOnly}
+          onFavoritesOnlyChange={(value) => dispatch(setFavoritesOnly(value))}
+          onUpdateStops={handleUpdateStopFlags}
+          boards={boards}
+          onSetStopBoards={handleSetStopBoards}
+          onClose={() => setManagingStops(false)}
+        />
+      )}
+      {showingApiUsage && (
+        <ApiUsage onClose={() => setShowingApiUsage(false)} />
+      )}
       <TransitDisplay
         stops={allStops}
         onEditStop={(index) => {
@@ -341,21 +546,44 @@ function App() {
         }}
         onEditHome={() => setEditingHome(true)}
         onAddStop={() => setAddingStop(true)}
+        onCompareModes={() => setComparingModes(true)}
+        onManageStops={() => setManagingStops(true)}
+        onShowApiUsage={() => setShowingApiUsage(true)}
         onDeleteStop={handleDeleteStopWrapper}
+        onReorderStop={handleReorderStop}
+        onRetryStop={(stop) =>
+          dispatch(retryStopAction({ stopId: stop.id, apiKey, homeAddress }))
+        }
         editingStop={editingStop}
         editingHome={editingHome}
         onCloseEdit={() => {
           setEditingStop(null);
           setEditingHome(false);
+          setCreatingBoard(false);
           setReviewData(null);
         }}
         onReview={(data) => setReviewData(data)}
         onUpdateStop={handleUpdateStop}
         onUpdateHome={updateHomeAddress}
         reviewData={reviewData}
-        pageTitle={pageTitle}
+        pageTitle={currentBoard?.name || pageTitle}
         homeAddress={homeAddress}
+        displayTimeZone={displayTimeZone}
+        leaveBufferMinutes={leaveBufferMinutes}
         onLogout={handleLogout}
+        boards={boards}
+        currentBoardId={currentBoardId}
+        onSwitchBoard={(boardId) => dispatch(setCurrentBoard(boardId))}
+        onNewBoard={() => {
+          setCreatingBoard(true);
+          setEditingHome(true);
+        }}
+        board={currentBoard}
+        creatingBoard={creatingBoard}
+        kioskUrl={getKioskUrl(currentBoard)}
+        onRegenerateKioskUrl={handleRegenerateKioskUrl}
+        onDeleteBoard={handleDeleteBoard}
+        layout={currentBoard?.layout}
       />
     </div>
   );
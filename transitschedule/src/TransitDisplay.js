@@ -1,4 +1,4 @@
-import React, { useState, useRef, useEffect } from "react";
+import React, { useState, useRef, useEffect, useMemo } from "react";
 import "./TransitDisplay.css";
 import "@fontsource/press-start-2p";
 // Import components
@@ -6,8 +6,57 @@ import ScrollText from "./components/ScrollText";
 import GoogleMapsStopSelector from "./components/GoogleMapsStopSelector";
 import ReviewPopup from "./components/ReviewPopup";
 import EditHomeForm from "./components/EditHomeForm";
+import LegStrip from "./components/LegStrip";
+import StopHistory from "./components/StopHistory";
+import CalendarExport from "./components/CalendarExport";
+import ReliabilityDetails, {
+  reliabilityGradeColors,
+} from "./components/ReliabilityDetails";
+import ProvenanceBadge from "./components/ProvenanceBadge";
+import ErrorBoundary from "./components/ErrorBoundary";
 // Import utilities
-import { formatArrivalTime } from "./utils/timeFormatters";
+import {
+  formatArrivalTime,
+  formatDelay,
+  formatLeaveCountdown,
+  formatTrafficDelay,
+} from "./utils/timeFormatters";
+import { calculateLeaveTime } from "./utils/leaveTime";
+import {
+  calculateRecommendedDeparture,
+  formatTargetDays,
+} from "./utils/targetTime";
+import {
+  getStopRecommendation,
+  formatDepartureRecommendation,
+} from "./utils/departureRecommender";
+import {
+  getStopReliability,
+  formatReliabilityBadge,
+} from "./utils/reliability";
+import { resolveStopTimeZone, getLocalTimeZone } from "./utils/timeZones";
+import { getStopStorageId } from "./utils/commuteHistory";
+import { clampStopMove } from "./utils/stopOrder";
+import { isProvenanceStale } from "./utils/provenance";
+import { getStopDisplayError } from "./utils/stopErrors";
+import { getTransitTypeLabel, isRouteType } from "./config/transitTypes";
+
+// Box border and countdown colors for each leave state
+const leaveStatusColors = {
+  green: "#00E676",
+  hurry: "#FFC400",
+  missed: "#FF1744",
+};
+
+// Drive box border and traffic delta colors for each congestion level
+const congestionColors = {
+  light: "#00E676",
+  moderate: "#FFC400",
+  heavy: "#FF1744",
+};
+
+// Renders a stop box from inside its error boundary, where render errors are caught
+const RenderStopBox = ({ render }) => render();
 
 /**
  * TransitDisplay Component
@@ -22,15 +71,45 @@ import { formatArrivalTime } from "./utils/timeFormatters";
  *   - name: string - The stop name
  *   - type: 'bus' | 'train' - The transit type
  *   - allArrivalTimes: Array - All arrival times for this stop
- *   - nextArrivalTime: string - Next arrival time in Central Time Zone
+ *   - nextArrivalTime: Date - Next arrival time
  *   - lastStopTime: string | null - Last stop time for this stop
  *   - isWithinTwoStops: boolean - Whether next arrival is within 2 stops of last stop
+ *   - timeZone: string - The stop's IANA time zone
+ *   - walkTime: string | null - Walk from home to the stop (e.g., "8 min")
+ *   - arrival/departure: boolean, targetTime: string, targetDays: string - Arrive-by / depart-at target
+ *   - legs: Array - Trip stops' legs (walk, bus, train) for the next itinerary
+ *   - tripArrivalTime: Date - Trip stops' end-to-end arrival
+ *   - typicalTime: string, trafficDelaySeconds: number, congestion: string - Drive stops' traffic
+ *   - windowStart/windowEnd: string, windowObjective: string - Range for the best-departure recommendation
+ *   - notificationRules: Array - Notification rules ({ type, threshold }) checked by the app
+ *   - favorite: boolean - Pinned to the top of the board
+ *   - provenance: Object - Where the times came from ({ source, fetchedAt, dataAt, error })
+ * @param {string|null} props.displayTimeZone - Zone to show all times in (null uses each stop's zone)
+ * @param {number} props.leaveBufferMinutes - Slack added to walk time in the "leave in" countdown
+ * @param {Function} props.onManageStops - Opens the manage stops screen (hide, favorite)
+ * @param {Function} props.onShowApiUsage - Opens the API usage and budgets panel
+ * @param {Function} props.onRetryStop - Called with a stop to fetch its times again
+ * @param {Function} props.onReorderStop - Called with (fromIndex, toIndex) when a box is dragged or moved with Alt+arrow keys
+ * @param {Array} props.boards - The user's named boards, listed in the menu to switch between
+ * @param {number|null} props.currentBoardId - Board being shown
+ * @param {Function} props.onSwitchBoard - Called with the board id to show
+ * @param {Function} props.onNewBoard - Opens the board form to create a board
+ * @param {Object|null} props.board - Board edited by the board form (null for a new board or without boards)
+ * @param {boolean} props.creatingBoard - Whether the board form creates a board
+ * @param {string|null} props.kioskUrl - The board's kiosk URL, shown in the board form
+ * @param {Function} props.onRegenerateKioskUrl - Replaces the board's kiosk URL
+ * @param {Function} props.onDeleteBoard - Deletes the board being edited
+ * @param {'grid'|'list'} props.layout - How the stop boxes are laid out
+ * @param {boolean} props.readOnly - Kiosk mode: no menu, editing or moving boxes
  */
 function TransitDisplay({
   stops,
   onEditStop,
   onEditHome,
   onAddStop,
+  onCompareModes,
+  onManageStops,
+  onShowApiUsage,
   onDeleteStop,
   editingStop,
   editingHome,
@@ -41,12 +120,48 @@ function TransitDisplay({
   reviewData,
   pageTitle,
   homeAddress,
+  displayTimeZone,
+  leaveBufferMinutes,
+  onReorderStop,
+  onRetryStop,
   onLogout,
+  boards = [],
+  currentBoardId = null,
+  onSwitchBoard,
+  onNewBoard,
+  board = null,
+  creatingBoard = false,
+  kioskUrl = null,
+  onRegenerateKioskUrl,
+  onDeleteBoard,
+  layout = "grid",
+  readOnly = false,
 }) {
   // Menu state
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const menuRef = useRef(null);
 
+  // Stop whose commute history is open
+  const [historyStop, setHistoryStop] = useState(null);
+
+  // Bus or train stop whose reliability details are open
+  const [reliabilityStop, setReliabilityStop] = useState(null);
+
+  // Stop whose calendar export is open
+  const [calendarStop, setCalendarStop] = useState(null);
+
+  // Box being dragged and the box it is over
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  // Box to refocus after a keyboard move, and the screen reader announcement
+  const [focusKey, setFocusKey] = useState(null);
+  const [reorderMessage, setReorderMessage] = useState("");
+  const stopsContainerRef = useRef(null);
+
+  // Current time for the "leave in" countdowns, ticking every second
+  const [now, setNow] = useState(() => new Date());
+
   // Get customizable colors from environment variables with defaults
   const bgColor = process.env.REACT_APP_DISPLAY_BG_COLOR || "#000000";
   const textColor = process.env.REACT_APP_DISPLAY_TEXT_COLOR || "#CCFF00";
@@ -68,6 +183,84 @@ function TransitDisplay({
     };
   }, [isMenuOpen]);
 
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Best departure windows from commute history (recomputed on each refresh)
+  const recommendations = useMemo(
+    () => (stops || []).map(getStopRecommendation),
+    [stops]
+  );
+
+  // Reliability scores from recorded departures (recomputed on each refresh)
+  const reliabilities = useMemo(
+    () => (stops || []).map((stop) => getStopReliability(stop)),
+    [stops]
+  );
+
+  // Keep focus on a box moved with the keyboard once the board re-renders
+  useEffect(() => {
+    if (!focusKey || !stopsContainerRef.current) return;
+    const box = stopsContainerRef.current.querySelector(
+      `[data-stop-key="${focusKey}"]`
+    );
+    if (box) box.focus();
+    setFocusKey(null);
+  }, [stops, focusKey]);
+
+  // Move a box and announce its new place
+  const moveStop = (fromIndex, toIndex, { keepFocus = false } = {}) => {
+    setDragIndex(null);
+    setDropIndex(null);
+    if (
+      !onReorderStop ||
+      fromIndex === null ||
+      toIndex < 0 ||
+      toIndex >= stops.length ||
+      fromIndex === toIndex
+    ) {
+      return;
+    }
+
+    // Favorites stay pinned above the other stops
+    const stop = stops[fromIndex];
+    const targetIndex = clampStopMove(stops, fromIndex, toIndex);
+    if (targetIndex === fromIndex) {
+      setReorderMessage(
+        stop.favorite
+          ? `${stop.name} can't move below the other stops while it's a favorite`
+          : `${stop.name} can't move above the favorites`
+      );
+      return;
+    }
+
+    if (keepFocus) setFocusKey(getStopStorageId(stop));
+    setReorderMessage(
+      `Moved ${stop.name} to position ${targetIndex + 1} of ${stops.length}`
+    );
+    onReorderStop(fromIndex, targetIndex);
+  };
+
+  // Alt+arrow keys move a box; Enter opens it for editing
+  const handleStopKeyDown = (e, index) => {
+    if (readOnly || e.target !== e.currentTarget) return;
+    if (e.key === "Enter") {
+      onEditStop(index);
+      return;
+    }
+    if (!e.altKey) return;
+
+    const step = { ArrowLeft: -1, ArrowUp: -1, ArrowRight: 1, ArrowDown: 1 }[
+      e.key
+    ];
+    if (step) {
+      e.preventDefault();
+      moveStop(index, index + step, { keepFocus: true });
+    }
+  };
+
   // Handle logout with confirmation
   const handleLogoutClick = () => {
     const confirmed = window.confirm("Are you sure you want to logout?");
@@ -91,11 +284,314 @@ function TransitDisplay({
     );
   }
 
+  // Zone abbreviations are shown for times outside the viewer's own zone
+  const localTimeZone = getLocalTimeZone();
+
   // Background image path - using process.env.PUBLIC_URL for proper path resolution
   const backgroundImageUrl = `${
     process.env.PUBLIC_URL || ""
   }/images/Commute_Champions.jpg`;
 
+  /**
+   * Build one stop's box
+   * Rendered inside the stop's error boundary, so an error building one box
+   * shows a fallback for that stop instead of blanking the board.
+   */
+  const renderStopBox = (stop, index) => {
+    const isBikeWalkDrive = isRouteType(stop.type);
+    const bikeBgColor = "rgb(61, 179, 218)"; // Light blue with full opacity
+    const bikeTextColor = "#FFA500"; // Highlighter orange
+
+    // Leave-in countdown for stops with departures (bus, train, ferry)
+    const leaveTime = isBikeWalkDrive
+      ? null
+      : calculateLeaveTime(stop, now, leaveBufferMinutes);
+    const leaveColor = leaveTime ? leaveStatusColors[leaveTime.status] : null;
+
+    // Congestion color for drive stops with traffic data
+    const congestionColor = stop.congestion
+      ? congestionColors[stop.congestion]
+      : null;
+
+    // Recommended departure for arrive-by / depart-at stops
+    const plan = calculateRecommendedDeparture(stop, now);
+
+    // Determine the type label from the transit type registry
+    const typeLabel = getTransitTypeLabel(stop.type);
+
+    // Show times in the board's display zone, or the stop's own zone
+    const timeZone = displayTimeZone || resolveStopTimeZone(stop);
+    const formatStopTime = (time) =>
+      formatArrivalTime(time, timeZone, {
+        showZone: timeZone !== localTimeZone,
+      });
+
+    const stopKey = getStopStorageId(stop);
+
+    // Saved-file and old cached times are dimmed so they don't read as live
+    const isStale = isProvenanceStale(stop.provenance, now.getTime());
+
+    // Why the stop has no times (no API key, quota, network...), if it has none
+    const displayError = getStopDisplayError(stop);
+
+    return (
+      <div
+        data-stop-key={stopKey}
+        className={`stop-box ${isBikeWalkDrive ? "bike-box" : ""} ${
+          leaveTime ? `leave-${leaveTime.status}` : ""
+        } ${stop.congestion ? `traffic-${stop.congestion}` : ""} ${
+          isStale ? "stale-data" : ""
+        } ${dragIndex === index ? "dragging" : ""} ${
+          dropIndex === index && dragIndex !== index ? "drop-target" : ""
+        }`}
+        style={{
+          backgroundColor: isBikeWalkDrive ? bikeBgColor : bgColor,
+          borderColor: leaveColor || congestionColor || "#000000",
+          color: isBikeWalkDrive ? bikeTextColor : textColor,
+        }}
+        onClick={() => !readOnly && onEditStop(index)}
+        tabIndex={0}
+        aria-label={`${stop.name}, position ${index + 1} of ${stops.length}`}
+        aria-keyshortcuts={
+          onReorderStop && !readOnly
+            ? "Alt+ArrowLeft Alt+ArrowRight"
+            : undefined
+        }
+        onKeyDown={(e) => handleStopKeyDown(e, index)}
+        draggable={Boolean(onReorderStop) && !readOnly}
+        onDragStart={(e) => {
+          setDragIndex(index);
+          e.dataTransfer.effectAllowed = "move";
+          e.dataTransfer.setData("text/plain", stop.name);
+        }}
+        onDragOver={(e) => {
+          if (dragIndex === null) return;
+          e.preventDefault(); // Allow dropping here
+          e.dataTransfer.dropEffect = "move";
+          if (dropIndex !== index) setDropIndex(index);
+        }}
+        onDrop={(e) => {
+          e.preventDefault();
+          moveStop(dragIndex, index);
+        }}
+        onDragEnd={() => {
+          setDragIndex(null);
+          setDropIndex(null);
+        }}
+      >
+        {/* History, Calendar and Delete Buttons - only show on hover */}
+        {!readOnly && (
+          <div className="stop-action-buttons">
+            <button
+              className="stop-delete-button"
+              onClick={(e) => {
+                e.stopPropagation(); // Prevent triggering the box click
+                setHistoryStop(stop);
+              }}
+              title="Commute history"
+            >
+              📈
+            </button>
+            {(!isBikeWalkDrive || plan) && (
+              <button
+                className="stop-delete-button"
+                onClick={(e) => {
+                  e.stopPropagation(); // Prevent triggering the box click
+                  setCalendarStop(stop);
+                }}
+                title="Add to calendar"
+              >
+                📅
+              </button>
+            )}
+            {stop.id && onDeleteStop && (
+              <button
+                className="stop-delete-button"
+                onClick={(e) => {
+                  e.stopPropagation(); // Prevent triggering the box click
+                  onDeleteStop(stop.id);
+                }}
+                title="Delete stop"
+              >
+                🗑️
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Transit Type Label */}
+        <div className="transit-type">
+          {stop.favorite && (
+            <span className="favorite-star" title="Favorite">
+              ★{" "}
+            </span>
+          )}
+          {typeLabel}
+        </div>
+
+        {/* Where the times came from and how old they are */}
+        <ProvenanceBadge
+          provenance={stop.provenance}
+          timeZone={timeZone}
+          now={now}
+        />
+
+        {/* Scrolling Stop Name */}
+        <div className="stop-name-container">
+          <ScrollText
+            text={stop.name}
+            textColor={isBikeWalkDrive ? bikeTextColor : textColor}
+          />
+        </div>
+
+        {/* Arrive-by / depart-at target and the departure that meets it */}
+        {plan && (
+          <div className="target-plan">
+            <div>
+              {plan.mode === "arrival" ? "Arrive by" : "Depart at"}{" "}
+              {formatStopTime(plan.target)} ({formatTargetDays(stop)})
+            </div>
+            <div className="target-plan-departure">
+              Recommended departure:{" "}
+              {plan.departureTime ? formatStopTime(plan.departureTime) : "N/A"}
+            </div>
+          </div>
+        )}
+
+        {/* Estimated Time for bike/walk/drive, leg strip for trips, Arrival/Departure for transit */}
+        {isBikeWalkDrive ? (
+          <>
+            <div className="arrival-time">
+              <span className="arrival-label">
+                {stop.congestion ? "Now:" : "Estimated time:"}
+              </span>
+              <span className="arrival-value">
+                {stop.estimatedTime || "N/A"}
+              </span>
+            </div>
+            {recommendations[index] && (
+              <div className="departure-recommendation">
+                {formatDepartureRecommendation(
+                  recommendations[index],
+                  stop.type
+                )}
+              </div>
+            )}
+            {stop.congestion && (
+              <div className="traffic-info">
+                <span>Typical: {stop.typicalTime || "N/A"}</span>
+                <span
+                  className="traffic-delay"
+                  style={{ color: congestionColor }}
+                >
+                  {formatTrafficDelay(stop.trafficDelaySeconds)}
+                </span>
+              </div>
+            )}
+          </>
+        ) : stop.type === "trip" ? (
+          <>
+            <div className="arrival-time">
+              <span className="arrival-label">Leave at:</span>
+              <span className="arrival-value">
+                {formatStopTime(stop.nextDepartureTime)}
+              </span>
+            </div>
+            <LegStrip legs={stop.legs} formatTime={formatStopTime} />
+            <div className="arrival-time">
+              <span className="arrival-label">Arrive:</span>
+              <span className="arrival-value">
+                {formatStopTime(stop.tripArrivalTime)}
+              </span>
+            </div>
+            {leaveTime && (
+              <div className="leave-countdown" style={{ color: leaveColor }}>
+                {formatLeaveCountdown(leaveTime)}
+              </div>
+            )}
+          </>
+        ) : (
+          <>
+            <div className="arrival-time">
+              <span className="arrival-label">
+                {stop.type === "ferry"
+                  ? "Next departure time:"
+                  : "Next arrival time:"}
+              </span>
+              <span className="arrival-value">
+                {stop.type === "ferry"
+                  ? formatStopTime(stop.nextDepartureTime)
+                  : formatStopTime(stop.nextArrivalTime)}
+              </span>
+            </div>
+
+            {/* GTFS-Realtime delay for the next bus or train */}
+            {formatDelay(stop.nextArrivalDelaySeconds) && (
+              <div className="arrival-delay">
+                {formatDelay(stop.nextArrivalDelaySeconds)}
+              </div>
+            )}
+
+            {/* Reliability badge for bus and train stops */}
+            {formatReliabilityBadge(reliabilities[index]) && (
+              <button
+                className="reliability-badge"
+                style={{
+                  color: reliabilityGradeColors[reliabilities[index].grade],
+                }}
+                onClick={(e) => {
+                  e.stopPropagation(); // Prevent triggering the box click
+                  setReliabilityStop(stop);
+                }}
+                title="Reliability details"
+              >
+                {formatReliabilityBadge(reliabilities[index])}
+              </button>
+            )}
+
+            {/* Walk time display for bus and train stops */}
+            {(stop.type === "bus" || stop.type === "train") &&
+              stop.walkTime && (
+                <div className="walk-time">walk to stop {stop.walkTime}</div>
+              )}
+
+            {/* Leave-in countdown: next catchable departure minus walk and buffer */}
+            {leaveTime && (
+              <div className="leave-countdown" style={{ color: leaveColor }}>
+                {formatLeaveCountdown(leaveTime)}
+              </div>
+            )}
+
+            {/* Conditional Last Stop Display */}
+            {stop.isWithinTwoStops && stop.lastStopTime && (
+              <div className="last-stop">
+                Last stop: {formatStopTime(stop.lastStopTime)}
+              </div>
+            )}
+          </>
+        )}
+
+        {/* Error in place of the times, with a way to try again */}
+        {displayError && (
+          <div className="stop-error" role="alert">
+            <span>{displayError.message}</span>
+            {onRetryStop && displayError.code !== "noApiKey" && (
+              <button
+                className="stop-retry-button"
+                onClick={(e) => {
+                  e.stopPropagation(); // Prevent triggering the box click
+                  onRetryStop(stop);
+                }}
+              >
+                Retry
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
   return (
     <div
       className="transit-display-container"
@@ -106,155 +602,148 @@ function TransitDisplay({
       {/* Page Title Box with Title and Menu */}
       <div className="page-title-box">
         <h1 className="page-title">{pageTitle || "Eggy Commutes"}</h1>
-        {/* Menu Button and Dropdown */}
-        <div className="menu-container" ref={menuRef}>
-          <button
-            className="menu-button"
-            onClick={() => setIsMenuOpen(!isMenuOpen)}
-            title="Menu"
-          >
-            ☰
-          </button>
-          {isMenuOpen && (
-            <div className="menu-dropdown">
-              <div className="menu-item" onClick={() => setIsMenuOpen(false)}>
-                Edit Profile
-              </div>
-              <div
-                className="menu-item"
-                onClick={() => {
-                  setIsMenuOpen(false);
-                  if (onEditHome) {
-                    onEditHome();
-                  }
-                }}
-              >
-                Edit Home Address
-              </div>
-              <div
-                className="menu-item"
-                onClick={() => {
-                  setIsMenuOpen(false);
-                  if (onAddStop) {
-                    onAddStop();
-                  }
-                }}
-              >
-                Add Stop
-              </div>
-              <div className="menu-item" onClick={handleLogoutClick}>
-                Logout
-              </div>
-            </div>
-          )}
-        </div>
-      </div>
-
-      {/* All stops in a single flex container */}
-      <div className="stops-container">
-        {stops.map((stop, index) => {
-          const fullIndex = index;
-          const isBikeWalkDrive =
-            stop.type === "bike" ||
-            stop.type === "walk" ||
-            stop.type === "drive";
-          const bikeBgColor = "rgb(61, 179, 218)"; // Light blue with full opacity
-          const bikeTextColor = "#FFA500"; // Highlighter orange
-
-          // Determine the type label
-          const typeLabel =
-            stop.type === "bike"
-              ? "BIKE"
-              : stop.type === "walk"
-              ? "WALK"
-              : stop.type === "drive"
-              ? "DRIVE"
-              : stop.type === "bus"
-              ? "BUS"
-              : stop.type === "train"
-              ? "TRAIN"
-              : "FERRY";
-
-          return (
-            <div
-              key={`stop-${index}-${stop.id || stop.name}`}
-              className={`stop-box ${isBikeWalkDrive ? "bike-box" : ""}`}
-              style={{
-                backgroundColor: isBikeWalkDrive ? bikeBgColor : bgColor,
-                borderColor: "#000000",
-                color: isBikeWalkDrive ? bikeTextColor : textColor,
-              }}
-              onClick={() => onEditStop(fullIndex)}
+        {/* Menu Button and Dropdown (not on kiosk displays) */}
+        {!readOnly && (
+          <div className="menu-container" ref={menuRef}>
+            <button
+              className="menu-button"
+              onClick={() => setIsMenuOpen(!isMenuOpen)}
+              title="Menu"
             >
-              {/* Delete Button - only show on hover */}
-              {stop.id && onDeleteStop && (
-                <div className="stop-action-buttons">
-                  <button
-                    className="stop-delete-button"
-                    onClick={(e) => {
-                      e.stopPropagation(); // Prevent triggering the box click
-                      onDeleteStop(stop.id);
+              ☰
+            </button>
+            {isMenuOpen && (
+              <div className="menu-dropdown">
+                {/* Board switcher */}
+                {boards.map((menuBoard) => (
+                  <div
+                    key={menuBoard.id}
+                    className={`menu-item menu-board ${
+                      menuBoard.id === currentBoardId
+                        ? "menu-board-current"
+                        : ""
+                    }`}
+                    aria-current={menuBoard.id === currentBoardId || undefined}
+                    onClick={() => {
+                      setIsMenuOpen(false);
+                      if (onSwitchBoard && menuBoard.id !== currentBoardId) {
+                        onSwitchBoard(menuBoard.id);
+                      }
                     }}
-                    title="Delete stop"
                   >
-                    🗑️
-                  </button>
+                    {menuBoard.id === currentBoardId ? "✓ " : ""}
+                    {menuBoard.name}
+                  </div>
+                ))}
+                {boards.length > 0 && (
+                  <div
+                    className="menu-item menu-board-new"
+                    onClick={() => {
+                      setIsMenuOpen(false);
+                      if (onNewBoard) {
+                        onNewBoard();
+                      }
+                    }}
+                  >
+                    + New Board
+                  </div>
+                )}
+                <div className="menu-item" onClick={() => setIsMenuOpen(false)}>
+                  Edit Profile
+                </div>
+                <div
+                  className="menu-item"
+                  onClick={() => {
+                    setIsMenuOpen(false);
+                    if (onEditHome) {
+                      onEditHome();
+                    }
+                  }}
+                >
+                  {boards.length > 0 ? "Edit Board" : "Edit Home Address"}
+                </div>
+                <div
+                  className="menu-item"
+                  onClick={() => {
+                    setIsMenuOpen(false);
+                    if (onAddStop) {
+                      onAddStop();
+                    }
+                  }}
+                >
+                  Add Stop
+                </div>
+                <div
+                  className="menu-item"
+                  onClick={() => {
+                    setIsMenuOpen(false);
+                    if (onCompareModes) {
+                      onCompareModes();
+                    }
+                  }}
+                >
+                  Compare Modes
+                </div>
+                <div
+                  className="menu-item"
+                  onClick={() => {
+                    setIsMenuOpen(false);
+                    if (onManageStops) {
+                      onManageStops();
+                    }
+                  }}
+                >
+                  Manage Stops
+                </div>
+                <div
+                  className="menu-item"
+                  onClick={() => {
+                    setIsMenuOpen(false);
+                    if (onShowApiUsage) {
+                      onShowApiUsage();
+                    }
+                  }}
+                >
+                  API Usage
+                </div>
+                <div className="menu-item" onClick={handleLogoutClick}>
+                  Logout
                 </div>
-              )}
-
-              {/* Transit Type Label */}
-              <div className="transit-type">{typeLabel}</div>
-
-              {/* Scrolling Stop Name */}
-              <div className="stop-name-container">
-                <ScrollText
-                  text={stop.name}
-                  textColor={isBikeWalkDrive ? bikeTextColor : textColor}
-                />
               </div>
+            )}
+          </div>
+        )}
+      </div>
 
-              {/* Estimated Time for bike/walk/drive, Arrival/Departure for transit */}
-              {isBikeWalkDrive ? (
-                <div className="arrival-time">
-                  <span className="arrival-label">Estimated time:</span>
-                  <span className="arrival-value">
-                    {stop.estimatedTime || "N/A"}
-                  </span>
+      {/* All stops in a single flex container */}
+      <div
+        className={`stops-container layout-${layout}`}
+        ref={stopsContainerRef}
+      >
+        {stops.map((stop, index) => (
+          // Stable key so a moved box keeps its element (and focus)
+          <ErrorBoundary
+            key={getStopStorageId(stop)}
+            name={`stop ${stop.name}`}
+            fallback={(error, reset) => (
+              <div className="stop-box stop-box-failed" role="alert">
+                <div className="stop-error">
+                  <span>Couldn't show {stop.name}</span>
+                  <button className="stop-retry-button" onClick={reset}>
+                    Retry
+                  </button>
                 </div>
-              ) : (
-                <>
-                  <div className="arrival-time">
-                    <span className="arrival-label">
-                      {stop.type === "ferry"
-                        ? "Next departure time:"
-                        : "Next arrival time:"}
-                    </span>
-                    <span className="arrival-value">
-                      {stop.type === "ferry"
-                        ? formatArrivalTime(stop.nextDepartureTime)
-                        : formatArrivalTime(stop.nextArrivalTime)}
-                    </span>
-                  </div>
+              </div>
+            )}
+          >
+            <RenderStopBox render={() => renderStopBox(stop, index)} />
+          </ErrorBoundary>
+        ))}
+      </div>
 
-                  {/* Walk time display for bus and train stops */}
-                  {(stop.type === "bus" || stop.type === "train") &&
-                    stop.walkTime && (
-                      <div className="walk-time">
-                        walk to stop {stop.walkTime}
-                      </div>
-                    )}
-
-                  {/* Conditional Last Stop Display */}
-                  {stop.isWithinTwoStops && stop.lastStopTime && (
-                    <div className="last-stop">
-                      Last stop: {formatArrivalTime(stop.lastStopTime)}
-                    </div>
-                  )}
-                </>
-              )}
-            </div>
-          );
-        })}
+      {/* Announces keyboard and drag moves to screen readers */}
+      <div className="visually-hidden" aria-live="polite">
+        {reorderMessage}
       </div>
 
       {/* Edit Stop Modal */}
@@ -269,21 +758,27 @@ function TransitDisplay({
           onSubmit={async (stopData) => {
             // Transform stopData to match format expected by updateStop
             const stop = stops[editingStop];
-            let newConfig = {};
+            let newConfig = {
+              arrival: stopData.arrival,
+              departure: stopData.departure,
+              targetTime: stopData.target_time,
+              targetDays: stopData.target_days,
+              windowStart: stopData.window_start,
+              windowEnd: stopData.window_end,
+              windowObjective: stopData.window_objective,
+              notificationRules: stopData.notification_rules,
+            };
 
             if (stop.type === "ferry") {
-              newConfig.ferryDirection =
-                stopData.ferry_direction || "anacortes";
+              newConfig.origin = stopData.origin;
+              newConfig.destination = stopData.destination;
+              newConfig.name = stopData.name;
               // For ferry, we can submit directly without directions
               if (onUpdateStop) {
                 await onUpdateStop(editingStop, newConfig);
               }
               return;
-            } else if (
-              stop.type === "bike" ||
-              stop.type === "walk" ||
-              stop.type === "drive"
-            ) {
+            } else if (isRouteType(stop.type) || stop.type === "trip") {
               newConfig.origin = stopData.origin;
               newConfig.destination = stopData.destination;
             } else if (stop.type === "bus") {
@@ -306,11 +801,40 @@ function TransitDisplay({
         />
       )}
 
+      {/* Commute History Modal */}
+      {historyStop && (
+        <StopHistory stop={historyStop} onClose={() => setHistoryStop(null)} />
+      )}
+
+      {/* Reliability Details Modal */}
+      {reliabilityStop && (
+        <ReliabilityDetails
+          stop={reliabilityStop}
+          onClose={() => setReliabilityStop(null)}
+        />
+      )}
+
+      {/* Calendar Export Modal */}
+      {calendarStop && (
+        <CalendarExport
+          stop={calendarStop}
+          leaveBufferMinutes={leaveBufferMinutes}
+          onClose={() => setCalendarStop(null)}
+        />
+      )}
+
       {/* Edit Home Modal */}
       {editingHome && (
         <EditHomeForm
           homeAddress={homeAddress}
           pageTitle={pageTitle}
+          displayTimeZone={displayTimeZone}
+          leaveBufferMinutes={leaveBufferMinutes}
+          board={creatingBoard ? null : board}
+          isNewBoard={creatingBoard}
+          kioskUrl={kioskUrl}
+          onRegenerateKioskUrl={onRegenerateKioskUrl}
+          onDeleteBoard={boards.length > 1 ? onDeleteBoard : undefined}
           onClose={onCloseEdit}
           onReview={onReview}
         />
@@ -337,10 +861,15 @@ function TransitDisplay({
               reviewData.formData
             );
 
-            if (reviewData.fullAddress) {
-              // Home address update
+            if (reviewData.home) {
+              // Home address (or board) update
               console.log("[TransitDisplay] Updating home address");
-              onUpdateHome(reviewData.fullAddress, reviewData.formData.name);
+              onUpdateHome(reviewData.fullAddress, reviewData.formData.name, {
+                displayTimeZone: reviewData.formData.timeZone || null,
+                leaveBufferMinutes: reviewData.formData.leaveBufferMinutes,
+                layout: reviewData.formData.layout,
+                refreshMinutes: reviewData.formData.refreshMinutes,
+              });
             } else {
               // Stop update
               console.log("[TransitDisplay] Updating stop");
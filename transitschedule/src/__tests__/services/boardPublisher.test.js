@@ -0,0 +1,286 @@
+import http from "http";
+import WebSocket from "ws";
+import {
+  createBoardPublisher,
+  retryWithBackoff,
+} from "../../services/boardPublisher";
+
+const NOW = new Date("2026-03-04T14:00:00Z");
+const minutesFromNow = (minutes) =>
+  new Date(NOW.getTime() + minutes * 60 * 1000);
+
+const busStop = (nextMinutes) => ({
+  id: 7,
+  name: "801 to Downtown",
+  type: "bus",
+  allArrivalTimes: [
+    { arrivalTime: minutesFromNow(nextMinutes), isRealTime: false },
+  ],
+  nextArrivalTime: minutesFromNow(nextMinutes),
+});
+
+const driveStop = {
+  name: "Central Market",
+  type: "drive",
+  estimatedTime: "14 mins",
+};
+
+/**
+ * Local webhook receiver; answers with the queued statuses, then 200
+ */
+const startWebhookServer = (statuses = []) =>
+  new Promise((resolve) => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      res.setHeader("Access-Control-Allow-Origin", "*");
+      res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+      if (req.method === "OPTIONS") {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+
+      let body = "";
+      req.on("data", (chunk) => {
+        body += chunk;
+      });
+      req.on("end", () => {
+        const status = statuses.shift() || 200;
+        received.push({ status, body: JSON.parse(body) });
+        res.writeHead(status);
+        res.end();
+      });
+    });
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        received,
+        close: () => new Promise((done) => server.close(done)),
+      })
+    );
+  });
+
+// Decode an MQTT fixed header: packet type, flags and where the body starts
+const readFixedHeader = (bytes) => {
+  let length = 0;
+  let multiplier = 1;
+  let offset = 1;
+  let byte;
+  do {
+    byte = bytes[offset++];
+    length += (byte & 0x7f) * multiplier;
+    multiplier *= 128;
+  } while (byte & 0x80);
+  return { type: bytes[0] & 0xf0, flags: bytes[0] & 0x0f, offset, length };
+};
+
+const readString = (bytes, offset) => {
+  const length = (bytes[offset] << 8) | bytes[offset + 1];
+  return bytes.slice(offset + 2, offset + 2 + length).toString("utf8");
+};
+
+/**
+ * Local MQTT-over-WebSocket broker that records CONNECT and PUBLISH packets
+ * and, like a real broker, closes the connection on DISCONNECT
+ */
+const startMockBroker = ({ returnCode = 0 } = {}) =>
+  new Promise((resolve) => {
+    const connects = [];
+    const published = [];
+    const server = new WebSocket.Server({ port: 0, host: "127.0.0.1" });
+
+    server.on("connection", (socket, req) => {
+      socket.on("message", (data) => {
+        const bytes = Buffer.from(data);
+        const { type, flags, offset, length } = readFixedHeader(bytes);
+
+        if (type === 0x10) {
+          const protocol = readString(bytes, offset);
+          const clientId = readString(bytes, offset + 10);
+          connects.push({
+            protocol,
+            subprotocol: req.headers["sec-websocket-protocol"],
+            clientId,
+          });
+          socket.send(Buffer.from([0x20, 0x02, 0x00, returnCode]));
+        } else if (type === 0x30) {
+          const topic = readString(bytes, offset);
+          const payloadStart = offset + 2 + Buffer.byteLength(topic);
+          published.push({
+            topic,
+            retain: (flags & 0x01) === 1,
+            message: JSON.parse(
+              bytes.slice(payloadStart, offset + length).toString("utf8")
+            ),
+          });
+        } else if (type === 0xe0) {
+          socket.close();
+        }
+      });
+    });
+    server.on("listening", () =>
+      resolve({
+        url: `ws://127.0.0.1:${server.address().port}/mqtt`,
+        connects,
+        published,
+        close: () => new Promise((done) => server.close(done)),
+      })
+    );
+  });
+
+describe("boardPublisher", () => {
+  let webhook;
+  let broker;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    if (webhook) await webhook.close();
+    if (broker) await broker.close();
+    webhook = null;
+    broker = null;
+    jest.restoreAllMocks();
+  });
+
+  it("should post the snapshot to webhooks and publish retained MQTT topics", async () => {
+    webhook = await startWebhookServer();
+    broker = await startMockBroker();
+    const publisher = createBoardPublisher({
+      webhookUrls: [webhook.url],
+      mqtt: { url: broker.url, topicPrefix: "board-test" },
+    });
+
+    const result = await publisher.publish([busStop(20), driveStop], {
+      now: NOW,
+    });
+
+    expect(result).toEqual({
+      webhooks: [webhook.url],
+      topics: [
+        "board-test/board",
+        "board-test/stops/stop-7",
+        "board-test/stops/default-central-market",
+      ],
+    });
+    expect(webhook.received).toHaveLength(1);
+    expect(webhook.received[0].body.stops[0]).toMatchObject({
+      name: "801 to Downtown",
+      type: "bus",
+      nextTime: "2026-03-04T14:20:00.000Z",
+    });
+    expect(broker.connects[0]).toMatchObject({
+      protocol: "MQTT",
+      subprotocol: "mqtt",
+    });
+    expect(broker.published.map((p) => [p.topic, p.retain])).toEqual([
+      ["board-test/board", true],
+      ["board-test/stops/stop-7", true],
+      ["board-test/stops/default-central-market", true],
+    ]);
+    expect(broker.published[2].message).toMatchObject({
+      name: "Central Market",
+      estimatedTime: "14 mins",
+      generatedAt: "2026-03-04T14:00:00.000Z",
+    });
+  });
+
+  it("should only send what changed since the last publish", async () => {
+    webhook = await startWebhookServer();
+    broker = await startMockBroker();
+    const publisher = createBoardPublisher({
+      webhookUrls: [webhook.url],
+      mqtt: { url: broker.url, topicPrefix: "board-test" },
+    });
+
+    await publisher.publish([busStop(20), driveStop], { now: NOW });
+    const unchanged = await publisher.publish([busStop(20), driveStop], {
+      now: minutesFromNow(1),
+    });
+    const changed = await publisher.publish([busStop(35), driveStop], {
+      now: minutesFromNow(2),
+    });
+
+    expect(unchanged).toEqual({ webhooks: [], topics: [] });
+    expect(changed.topics).toEqual([
+      "board-test/board",
+      "board-test/stops/stop-7",
+    ]);
+    expect(webhook.received).toHaveLength(2);
+    expect(broker.connects).toHaveLength(2);
+  });
+
+  it("should retry a failing webhook with backoff", async () => {
+    webhook = await startWebhookServer([500, 503]);
+    const publisher = createBoardPublisher({
+      webhookUrls: [webhook.url],
+      attempts: 3,
+      baseDelayMs: 5,
+    });
+
+    const result = await publisher.publish([driveStop], { now: NOW });
+
+    expect(result.webhooks).toEqual([webhook.url]);
+    expect(webhook.received.map((r) => r.status)).toEqual([500, 503, 200]);
+  });
+
+  it("should send again on the next refresh after giving up", async () => {
+    webhook = await startWebhookServer([500, 500]);
+    const publisher = createBoardPublisher({
+      webhookUrls: [webhook.url],
+      attempts: 2,
+      baseDelayMs: 5,
+    });
+
+    const first = await publisher.publish([driveStop], { now: NOW });
+    const second = await publisher.publish([driveStop], { now: NOW });
+
+    expect(first.webhooks).toEqual([]);
+    expect(second.webhooks).toEqual([webhook.url]);
+    expect(webhook.received).toHaveLength(3);
+  });
+
+  it("should not mark topics sent when the broker refuses the connection", async () => {
+    broker = await startMockBroker({ returnCode: 5 });
+    const publisher = createBoardPublisher({
+      mqtt: { url: broker.url },
+      attempts: 2,
+      baseDelayMs: 5,
+    });
+
+    const result = await publisher.publish([driveStop], { now: NOW });
+
+    expect(result.topics).toEqual([]);
+    expect(broker.connects).toHaveLength(2);
+    expect(broker.published).toHaveLength(0);
+  });
+
+  describe("retryWithBackoff", () => {
+    it("should double the delay between attempts", async () => {
+      const calls = [];
+      const task = jest.fn(async () => {
+        calls.push(Date.now());
+        if (calls.length < 3) throw new Error("down");
+        return "ok";
+      });
+
+      await expect(
+        retryWithBackoff(task, { attempts: 3, baseDelayMs: 20 })
+      ).resolves.toBe("ok");
+      expect(calls[1] - calls[0]).toBeGreaterThanOrEqual(20);
+      expect(calls[2] - calls[1]).toBeGreaterThanOrEqual(40);
+    });
+
+    it("should reject with the last error after the final attempt", async () => {
+      const task = jest.fn().mockRejectedValue(new Error("down"));
+
+      await expect(
+        retryWithBackoff(task, { attempts: 2, baseDelayMs: 1 })
+      ).rejects.toThrow("down");
+      expect(task).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -1,8 +1,18 @@
 import { fetchDriveRoute, processDriveResponse, getDriveStopData } from "../../services/driveService";
 
-// Mock axios
-jest.mock("axios");
+// Mock axios (its ESM build can't be loaded by jest), the backend client
+// and the request cache, so requests go straight to the mocks
+jest.mock("axios", () => ({ get: jest.fn() }));
+jest.mock("../../config/api", () => ({
+  __esModule: true,
+  default: { get: jest.fn() },
+}));
+jest.mock("../../utils/requestCache", () => ({
+  cachedGet: (client, url, { stop, ...config } = {}) =>
+    client.get(url, config),
+}));
 const axios = require("axios");
+const api = require("../../config/api").default;
 
 describe("driveService", () => {
   const mockApiKey = "test-api-key";
@@ -11,6 +21,8 @@ describe("driveService", () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    // Backend proxy down: requests go to Google directly
+    api.get.mockRejectedValue(new Error("Backend down"));
   });
 
   describe("fetchDriveRoute", () => {
@@ -41,6 +53,7 @@ describe("driveService", () => {
             origin: mockOrigin,
             destination: mockDestination,
             mode: "driving",
+            departure_time: "now",
             key: mockApiKey,
           },
         }
@@ -119,6 +132,39 @@ describe("driveService", () => {
         allArrivalTimes: [],
       });
     });
+
+    it("should show duration in traffic against the typical time", () => {
+      const stopConfig = {
+        name: "Central Market",
+        type: "drive",
+        origin: mockOrigin,
+        destination: mockDestination,
+        mode: "driving",
+      };
+
+      const response = {
+        status: "OK",
+        routes: [
+          {
+            legs: [
+              {
+                duration: { value: 900, text: "15 mins" },
+                duration_in_traffic: { value: 1620, text: "27 mins" },
+              },
+            ],
+          },
+        ],
+      };
+
+      const result = processDriveResponse(stopConfig, response);
+
+      expect(result).toMatchObject({
+        estimatedTime: "27 min",
+        typicalTime: "15 min",
+        trafficDelaySeconds: 720,
+        congestion: "heavy",
+      });
+    });
   });
 
   describe("getDriveStopData", () => {
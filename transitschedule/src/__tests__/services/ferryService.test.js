@@ -1,4 +1,6 @@
-import { getFerrySchedule, processFerryStop, getFerryStopData } from "../../services/ferryService";
+import { getFerrySchedule, processFerryStop, getFerryStopData, getFerryDeparturesAhead, loadFerrySchedule } from "../../services/ferryService";
+import { normalizeFerrySchedule } from "../../utils/ferrySchedule";
+import { isProvenanceStale } from "../../utils/provenance";
 
 describe("ferryService", () => {
   beforeEach(() => {
@@ -6,6 +8,16 @@ describe("ferryService", () => {
   });
 
   describe("getFerrySchedule", () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      // Wednesday before the first sailing, outside the summer season
+      jest.setSystemTime(new Date("2026-03-04T04:00:00-08:00"));
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
     it("should return Anacortes schedule times", () => {
       const times = getFerrySchedule("anacortes");
       
@@ -28,6 +40,15 @@ describe("ferryService", () => {
   });
 
   describe("processFerryStop", () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date("2026-03-04T04:00:00-08:00"));
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
     it("should process Anacortes ferry stop", () => {
       const stopConfig = {
         name: "Anacortes To Orcas Island",
@@ -73,6 +94,149 @@ describe("ferryService", () => {
       });
       expect(result.allArrivalTimes).toHaveLength(6);
     });
+
+    it("should use terminal ids from origin and destination", () => {
+      const schedule = normalizeFerrySchedule({
+        terminals: [
+          { id: "anacortes", name: "Anacortes", location: "Anacortes, WA" },
+          { id: "friday-harbor", name: "Friday Harbor" },
+        ],
+        sailings: [
+          {
+            id: "s1",
+            stops: [
+              { terminal: "anacortes", departs: "08:00" },
+              { terminal: "friday-harbor", arrives: "09:05" },
+            ],
+          },
+        ],
+      });
+
+      const result = processFerryStop(
+        { type: "ferry", origin: "anacortes", destination: "friday-harbor" },
+        schedule
+      );
+
+      expect(result).toMatchObject({
+        name: "Anacortes To Friday Harbor",
+        origin: "anacortes",
+        destination: "friday-harbor",
+        location: "Anacortes, WA",
+      });
+      expect(result.allArrivalTimes).toHaveLength(1);
+      expect(
+        result.allArrivalTimes[0].arrivalAtNextStop -
+          result.allArrivalTimes[0].departureTime
+      ).toBe(65 * 60 * 1000);
+    });
+  });
+
+  describe("daylight saving time", () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it("should keep Pacific sailing times when DST starts", () => {
+      // Saturday evening PST, after the last Anacortes sailing
+      jest.setSystemTime(new Date("2026-03-07T21:00:00-08:00"));
+
+      const times = getFerrySchedule("anacortes");
+
+      expect(times).toHaveLength(6);
+      expect(times[0]).toEqual(new Date("2026-03-08T05:30:00-07:00"));
+      expect(times[5]).toEqual(new Date("2026-03-08T20:40:00-07:00"));
+    });
+
+    it("should keep Pacific sailing times when DST ends", () => {
+      jest.setSystemTime(new Date("2026-10-31T21:00:00-07:00"));
+
+      const times = getFerrySchedule("anacortes");
+
+      // The 24 hour window ends at 20:00 PST, before the 20:40 sailing
+      expect(times).toHaveLength(5);
+      expect(times[0]).toEqual(new Date("2026-11-01T05:30:00-08:00"));
+    });
+  });
+
+  describe("bundled schedule", () => {
+    const departures = (origin, destination, now) =>
+      getFerryDeparturesAhead({ origin, destination }, 1, now).then((times) =>
+        times.map((entry) => entry.departureTime)
+      );
+
+    it("should add sailings in the summer season", async () => {
+      const winter = await departures(
+        "anacortes",
+        "orcas",
+        new Date("2026-03-04T04:00:00-08:00")
+      );
+      const summer = await departures(
+        "anacortes",
+        "orcas",
+        new Date("2026-07-15T04:00:00-07:00")
+      );
+
+      expect(winter).toHaveLength(6);
+      expect(summer).toHaveLength(8);
+      expect(summer).toContainEqual(new Date("2026-07-15T13:10:00-07:00"));
+    });
+
+    it("should run commuter sailings on weekdays only", async () => {
+      const weekday = await departures(
+        "seattle",
+        "bainbridge",
+        new Date("2026-03-04T03:00:00-08:00")
+      );
+      const saturday = await departures(
+        "seattle",
+        "bainbridge",
+        new Date("2026-03-07T03:00:00-08:00")
+      );
+      // Thanksgiving runs the Sunday schedule
+      const holiday = await departures(
+        "seattle",
+        "bainbridge",
+        new Date("2026-11-26T03:00:00-08:00")
+      );
+
+      expect(weekday).toHaveLength(22);
+      expect(weekday[0]).toEqual(new Date("2026-03-04T05:35:00-08:00"));
+      // The last boat leaves after midnight
+      expect(weekday[21]).toEqual(new Date("2026-03-05T00:50:00-08:00"));
+      expect(saturday).toHaveLength(19);
+      expect(holiday).toHaveLength(19);
+    });
+
+    it("should find inter-island sailings", async () => {
+      const times = await departures(
+        "friday-harbor",
+        "lopez",
+        new Date("2026-03-07T04:00:00-08:00")
+      );
+
+      // Saturday: no weekday 06:40 boat
+      expect(times[0]).toEqual(new Date("2026-03-07T10:20:00-08:00"));
+    });
+  });
+
+  describe("loadFerrySchedule", () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it("should not request a missing schedule file again", async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+
+      expect(await loadFerrySchedule("/data/missing-ferry.json")).toBeNull();
+      expect(await loadFerrySchedule("/data/missing-ferry.json")).toBeNull();
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
   });
 
   describe("getFerryStopData", () => {
@@ -92,8 +256,97 @@ describe("ferryService", () => {
         ferryDirection: "anacortes",
         allArrivalTimes: expect.any(Array),
         nextDepartureTime: expect.any(Date),
+        provenance: expect.objectContaining({ source: "schedule" }),
       });
     });
   });
-});
 
+  describe("out-of-date schedules", () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+    });
+
+    it("should flag stops once the bundled schedule has run out", async () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date("2027-03-04T04:00:00-08:00"));
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      const result = await getFerryStopData({ ferryDirection: "anacortes" });
+      await getFerryStopData({ ferryDirection: "orcas" });
+
+      expect(result.provenance).toMatchObject({
+        source: "schedule",
+        error: {
+          code: "scheduleExpired",
+          detail: "valid from 2026-01-01 through 2027-01-01",
+        },
+      });
+      expect(isProvenanceStale(result.provenance)).toBe(true);
+      expect(warn).toHaveBeenCalledTimes(1);
+    });
+
+    it("should pass over an out-of-date schedule file for the bundled one", async () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date("2026-03-04T04:00:00-08:00"));
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        text: () =>
+          Promise.resolve(
+            JSON.stringify({
+              validUntil: "2025-12-31",
+              terminals: [{ id: "anacortes", name: "Old Anacortes" }],
+              sailings: [
+                {
+                  id: "old",
+                  stops: [
+                    { terminal: "anacortes", departs: "05:00" },
+                    { terminal: "orcas", arrives: "06:00" },
+                  ],
+                },
+              ],
+            })
+          ),
+      });
+
+      const result = await getFerryStopData({
+        origin: "anacortes",
+        destination: "orcas",
+        scheduleUrl: "/data/old-ferry.json",
+      });
+
+      expect(result.name).toBe("Anacortes To Orcas Island");
+      expect(result.provenance.error).toBeNull();
+      expect(result.allArrivalTimes).toHaveLength(6);
+    });
+  });
+
+  describe("getFerryDeparturesAhead", () => {
+    it("should return sailings for several days, sorted", async () => {
+      const now = new Date("2026-03-04T08:00:00-08:00");
+
+      const departures = await getFerryDeparturesAhead(
+        { ferryDirection: "anacortes" },
+        3,
+        now
+      );
+      const times = departures.map((d) => d.departureTime.getTime());
+
+      expect(departures.length).toBeGreaterThan(12);
+      expect(times).toEqual([...times].sort((a, b) => a - b));
+      expect(times[0]).toBeGreaterThan(now.getTime());
+      expect(times[times.length - 1]).toBeLessThanOrEqual(
+        now.getTime() + 3 * 24 * 60 * 60 * 1000
+      );
+      expect(departures[0]).toMatchObject({
+        stopName: "Anacortes",
+        headsign: "Orcas Island",
+        isRealTime: false,
+      });
+    });
+  });
+});
@@ -0,0 +1,169 @@
+import fs from "fs";
+import path from "path";
+import {
+  decodeFeedMessage,
+  indexTripUpdates,
+  indexVehiclePositions,
+  applyRealtimeUpdates,
+} from "../../services/gtfsRealtimeService";
+
+// Recorded Cap Metro style feeds for Wednesday, March 4 2026 (08:00 CST = 14:00 UTC)
+const FIXTURES_DIR = path.join(__dirname, "../fixtures/gtfs-realtime");
+const loadFixture = (name) =>
+  decodeFeedMessage(fs.readFileSync(path.join(FIXTURES_DIR, name)));
+
+const BASE = new Date(Date.UTC(2026, 2, 4, 14, 0));
+const minutesAfterBase = (minutes) =>
+  new Date(BASE.getTime() + minutes * 60 * 1000);
+
+const scheduledEntry = (tripId, minutes, overrides = {}) => ({
+  stopName: "Congress & Oltorf",
+  arrivalTime: minutesAfterBase(minutes),
+  departureTime: minutesAfterBase(minutes),
+  arrivalAtNextStop: minutesAfterBase(minutes + 12),
+  headsign: "Tech Ridge",
+  lineName: "801",
+  isRealTime: false,
+  tripId: tripId,
+  routeId: "801",
+  stopId: "100",
+  stopSequence: 1,
+  ...overrides,
+});
+
+describe("gtfsRealtimeService", () => {
+  const realtime = {
+    tripUpdates: loadFixture("trip-updates.pb"),
+    vehiclePositions: loadFixture("vehicle-positions.pb"),
+  };
+
+  describe("indexTripUpdates", () => {
+    it("should index trip updates by trip ID", () => {
+      const tripUpdates = indexTripUpdates(realtime.tripUpdates);
+
+      expect(tripUpdates.get("t1")).toMatchObject({
+        routeId: "801",
+        isCanceled: false,
+        delay: null,
+      });
+      expect(tripUpdates.get("t1").stopTimeUpdates[0]).toMatchObject({
+        stopId: "100",
+        stopSequence: 1,
+        delay: 240,
+        time: BASE.getTime() / 1000 + 240,
+      });
+      expect(tripUpdates.get("t3").isCanceled).toBe(true);
+    });
+
+    it("should leave unset fields null instead of protobuf defaults", () => {
+      const tripUpdates = indexTripUpdates(realtime.tripUpdates);
+
+      expect(tripUpdates.get("t2").stopTimeUpdates[0].time).toBeNull();
+    });
+  });
+
+  describe("indexVehiclePositions", () => {
+    it("should index vehicle positions by trip ID", () => {
+      const vehicles = indexVehiclePositions(realtime.vehiclePositions);
+
+      expect(vehicles.get("t1")).toMatchObject({
+        vehicleId: "2341",
+        currentStopSequence: 1,
+        stopId: "100",
+      });
+      expect(vehicles.get("t1").latitude).toBeCloseTo(30.2401, 3);
+    });
+  });
+
+  describe("applyRealtimeUpdates", () => {
+    it("should apply predicted times with scheduled time and delay", () => {
+      const [entry] = applyRealtimeUpdates(
+        [scheduledEntry("t1", 0)],
+        realtime,
+        { routeFilter: "801" }
+      );
+
+      expect(entry).toMatchObject({
+        scheduledTime: BASE,
+        predictedTime: minutesAfterBase(4),
+        departureTime: minutesAfterBase(4),
+        arrivalTime: minutesAfterBase(4),
+        delaySeconds: 240,
+        isRealTime: true,
+      });
+      expect(entry.vehiclePosition.vehicleId).toBe("2341");
+    });
+
+    it("should apply delays without absolute times", () => {
+      const [entry] = applyRealtimeUpdates(
+        [scheduledEntry("t2", 60)],
+        realtime,
+        { routeFilter: "801" }
+      );
+
+      expect(entry.delaySeconds).toBe(20);
+      expect(entry.predictedTime).toEqual(
+        new Date(minutesAfterBase(60).getTime() + 20 * 1000)
+      );
+    });
+
+    it("should propagate delays from earlier stops on the trip", () => {
+      const [entry] = applyRealtimeUpdates(
+        [scheduledEntry("t6", 30, { stopId: "300", stopSequence: 3 })],
+        realtime,
+        { routeFilter: "801" }
+      );
+
+      expect(entry.delaySeconds).toBe(-120);
+      expect(entry.predictedTime).toEqual(minutesAfterBase(28));
+    });
+
+    it("should drop canceled trips, skipped stops and departed vehicles", () => {
+      const arrivals = applyRealtimeUpdates(
+        [
+          scheduledEntry("t3", 90),
+          scheduledEntry("t4", 120),
+          scheduledEntry("t5", 20, { routeId: "7", lineName: "7" }),
+        ],
+        realtime,
+        { routeFilter: "801" }
+      );
+
+      expect(arrivals).toEqual([]);
+    });
+
+    it("should leave trips without updates as scheduled", () => {
+      const entry = scheduledEntry("t7", 150);
+
+      const arrivals = applyRealtimeUpdates([entry], realtime, {
+        routeFilter: "801",
+      });
+
+      expect(arrivals).toEqual([entry]);
+    });
+
+    it("should match Directions entries by scheduled time at the stop", () => {
+      const directionsEntry = {
+        ...scheduledEntry(undefined, 0),
+        tripId: undefined,
+        routeId: undefined,
+        stopId: undefined,
+        stopSequence: undefined,
+      };
+
+      const [matched] = applyRealtimeUpdates([directionsEntry], realtime, {
+        routeFilter: "801",
+        stopIds: ["100"],
+      });
+      const [unmatched] = applyRealtimeUpdates(
+        [{ ...directionsEntry, lineName: "7" }],
+        realtime,
+        { routeFilter: "7", stopIds: ["100"] }
+      );
+
+      expect(matched.delaySeconds).toBe(240);
+      expect(matched.isRealTime).toBe(true);
+      expect(unmatched.isRealTime).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,236 @@
+import { zipSync, strToU8 } from "fflate";
+import {
+  parseGtfsTime,
+  parseGtfsZip,
+  getActiveServiceIds,
+  findGtfsStopIds,
+  getGtfsArrivalTimes,
+  loadGtfsFeed,
+  clearGtfsFeedCache,
+} from "../../services/gtfsService";
+
+const buildFeedZip = (overrides = {}) =>
+  zipSync({
+    "agency.txt": strToU8(
+      "agency_id,agency_name,agency_url,agency_timezone\n" +
+        "CM,Capital Metro,https://capmetro.org,America/Chicago\n"
+    ),
+    "stops.txt": strToU8(
+      "stop_id,stop_name,stop_lat,stop_lon\n" +
+        "100,Congress & Oltorf,30.24,-97.75\n" +
+        "200,Downtown Station,30.26,-97.74\n"
+    ),
+    "routes.txt": strToU8(
+      "route_id,agency_id,route_short_name,route_long_name,route_type\n" +
+        "801,CM,801,North Lamar/South Congress,3\n" +
+        "7,CM,7,Duval/Dove Springs,3\n"
+    ),
+    "trips.txt": strToU8(
+      "route_id,service_id,trip_id,trip_headsign\n" +
+        "801,WKDY,t1,Tech Ridge\n" +
+        "801,WKDY,t2,Tech Ridge\n" +
+        "801,WKDY,t3,Tech Ridge\n" +
+        "801,WKND,t4,Tech Ridge\n" +
+        "7,WKDY,t5,Duval\n"
+    ),
+    "stop_times.txt": strToU8(
+      "trip_id,arrival_time,departure_time,stop_id,stop_sequence\n" +
+        "t1,08:00:00,08:00:00,100,1\n" +
+        "t1,08:12:00,08:12:00,200,2\n" +
+        "t2,09:00:00,09:00:00,100,1\n" +
+        "t2,09:12:00,09:12:00,200,2\n" +
+        "t3,24:30:00,24:30:00,100,1\n" +
+        "t3,24:42:00,24:42:00,200,2\n" +
+        "t4,10:00:00,10:00:00,100,1\n" +
+        "t4,10:12:00,10:12:00,200,2\n" +
+        "t5,08:30:00,08:30:00,100,1\n" +
+        "t5,08:45:00,08:45:00,200,2\n"
+    ),
+    "calendar.txt": strToU8(
+      "service_id,monday,tuesday,wednesday,thursday,friday,saturday,sunday,start_date,end_date\n" +
+        "WKDY,1,1,1,1,1,0,0,20260101,20261231\n" +
+        "WKND,0,0,0,0,0,1,1,20260101,20261231\n"
+    ),
+    "calendar_dates.txt": strToU8(
+      "service_id,date,exception_type\n" +
+        "WKDY,20261126,2\n" +
+        "WKND,20261126,1\n"
+    ),
+    ...overrides,
+  });
+
+describe("gtfsService", () => {
+  const stopConfig = {
+    name: "Congress and Oltorf",
+    type: "bus",
+    origin: "Congress and Oltorf, Austin, TX",
+    routeFilter: "801",
+  };
+
+  describe("loadGtfsFeed", () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+      clearGtfsFeedCache();
+    });
+
+    it("should not retry a missing feed until the cache is cleared", async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+
+      expect(await loadGtfsFeed("/data/gtfs/missing.zip")).toBeNull();
+      expect(await loadGtfsFeed("/data/gtfs/missing.zip")).toBeNull();
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+
+      clearGtfsFeedCache();
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        arrayBuffer: async () => buildFeedZip(),
+      });
+
+      const feed = await loadGtfsFeed("/data/gtfs/missing.zip");
+      expect(feed.stopsById.size).toBe(2);
+    });
+  });
+
+  describe("parseGtfsTime", () => {
+    it("should parse times past midnight", () => {
+      expect(parseGtfsTime("08:05:30")).toBe(8 * 3600 + 5 * 60 + 30);
+      expect(parseGtfsTime("25:10:00")).toBe(25 * 3600 + 10 * 60);
+      expect(parseGtfsTime("")).toBeNull();
+    });
+  });
+
+  describe("parseGtfsZip", () => {
+    it("should index stops, trips and stop times", () => {
+      const feed = parseGtfsZip(buildFeedZip());
+
+      expect(feed.stopsById.size).toBe(2);
+      expect(feed.tripsById.get("t1").trip_headsign).toBe("Tech Ridge");
+      expect(feed.stopTimesByTrip.get("t1")).toHaveLength(2);
+    });
+
+    it("should reject feeds missing required files", () => {
+      const zip = zipSync({ "stops.txt": strToU8("stop_id,stop_name\n") });
+
+      expect(() => parseGtfsZip(zip)).toThrow(/trips\.txt/);
+    });
+  });
+
+  describe("getActiveServiceIds", () => {
+    it("should apply weekday calendars", () => {
+      const feed = parseGtfsZip(buildFeedZip());
+
+      // Wednesday, March 4 2026
+      expect([...getActiveServiceIds(feed, new Date(2026, 2, 4))]).toEqual([
+        "WKDY",
+      ]);
+      // Saturday, March 7 2026
+      expect([...getActiveServiceIds(feed, new Date(2026, 2, 7))]).toEqual([
+        "WKND",
+      ]);
+    });
+
+    it("should apply calendar_dates exceptions", () => {
+      const feed = parseGtfsZip(buildFeedZip());
+
+      // Thanksgiving runs the weekend schedule
+      expect([...getActiveServiceIds(feed, new Date(2026, 10, 26))]).toEqual([
+        "WKND",
+      ]);
+    });
+  });
+
+  describe("findGtfsStopIds", () => {
+    it("should match stop IDs and loosely matched names", () => {
+      const feed = parseGtfsZip(buildFeedZip());
+
+      expect(findGtfsStopIds(feed, "200")).toEqual(["200"]);
+      expect(findGtfsStopIds(feed, "Congress and Oltorf, Austin, TX")).toEqual([
+        "100",
+      ]);
+      expect(findGtfsStopIds(feed, "Lamar and Oltorf, Austin, TX")).toEqual(
+        []
+      );
+    });
+  });
+
+  describe("getGtfsArrivalTimes", () => {
+    // Stop times are in the agency's zone (America/Chicago), whatever the host zone
+    it("should return upcoming departures for the route in the allArrivalTimes shape", () => {
+      const feed = parseGtfsZip(buildFeedZip());
+      const now = new Date("2026-03-04T07:45:00-06:00");
+
+      const arrivals = getGtfsArrivalTimes(feed, stopConfig, now);
+
+      expect(arrivals.map((a) => a.tripId)).toEqual(["t1", "t2", "t3"]);
+      expect(arrivals[0]).toMatchObject({
+        stopName: "Congress & Oltorf",
+        headsign: "Tech Ridge",
+        lineName: "801",
+        isRealTime: false,
+      });
+      expect(arrivals[0].departureTime).toEqual(
+        new Date("2026-03-04T08:00:00-06:00")
+      );
+      expect(arrivals[0].arrivalTime).toEqual(arrivals[0].departureTime);
+      expect(arrivals[0].arrivalAtNextStop).toEqual(
+        new Date("2026-03-04T08:12:00-06:00")
+      );
+      // 24:30:00 on the Wednesday service day is 00:30 Thursday
+      expect(arrivals[2].departureTime).toEqual(
+        new Date("2026-03-05T00:30:00-06:00")
+      );
+    });
+
+    it("should include trips past midnight from the previous service day", () => {
+      const feed = parseGtfsZip(buildFeedZip());
+      const now = new Date("2026-03-05T00:15:00-06:00");
+
+      const arrivals = getGtfsArrivalTimes(feed, stopConfig, now, {
+        lookaheadHours: 1,
+      });
+
+      expect(arrivals.map((a) => a.tripId)).toEqual(["t3"]);
+    });
+
+    it("should keep wall-clock times on the day DST starts", () => {
+      const feed = parseGtfsZip(buildFeedZip());
+      // Sunday, March 8 2026: clocks go from 2:00 CST to 3:00 CDT
+      const now = new Date("2026-03-08T01:00:00-06:00");
+
+      const arrivals = getGtfsArrivalTimes(feed, stopConfig, now, {
+        lookaheadHours: 12,
+      });
+
+      expect(arrivals.map((a) => a.tripId)).toEqual(["t4"]);
+      expect(arrivals[0].departureTime).toEqual(
+        new Date("2026-03-08T10:00:00-05:00")
+      );
+    });
+
+    it("should skip the last stop of a trip", () => {
+      const feed = parseGtfsZip(buildFeedZip());
+      const now = new Date("2026-03-04T07:45:00-06:00");
+
+      const arrivals = getGtfsArrivalTimes(
+        feed,
+        { ...stopConfig, origin: "Downtown Station, Austin, TX" },
+        now
+      );
+
+      expect(arrivals).toEqual([]);
+    });
+
+    it("should respect the limit option", () => {
+      const feed = parseGtfsZip(buildFeedZip());
+      const now = new Date("2026-03-04T07:45:00-06:00");
+
+      const arrivals = getGtfsArrivalTimes(feed, stopConfig, now, {
+        limit: 1,
+      });
+
+      expect(arrivals).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import { notifyStopEvents } from "../../services/notificationService";
+
+const NOW = new Date("2026-03-04T08:00:00-06:00");
+const minutesFromNow = (minutes) =>
+  new Date(NOW.getTime() + minutes * 60 * 1000);
+
+// Leave at 8:10 for the 8:20 bus (8 min walk, 2 min buffer)
+const busStop = {
+  id: 7,
+  name: "801 to Downtown",
+  type: "bus",
+  timeZone: "America/Chicago",
+  walkTime: "8 min",
+  allArrivalTimes: [
+    {
+      arrivalTime: minutesFromNow(20),
+      departureTime: minutesFromNow(20),
+      isRealTime: false,
+    },
+  ],
+  notificationRules: [{ type: "leave", threshold: 5 }],
+};
+
+describe("notificationService", () => {
+  describe("notifyStopEvents", () => {
+    const originalNotification = window.Notification;
+
+    beforeEach(() => {
+      localStorage.clear();
+      window.Notification = jest.fn();
+    });
+
+    afterEach(() => {
+      window.Notification = originalNotification;
+    });
+
+    it("should not record events shown without permission", () => {
+      const at = minutesFromNow(6);
+      window.Notification.permission = "default";
+
+      expect(notifyStopEvents([busStop], at, 2)).toEqual([]);
+      expect(window.Notification).not.toHaveBeenCalled();
+
+      // Granted a minute later: the same event still fires, once
+      window.Notification.permission = "granted";
+      expect(notifyStopEvents([busStop], minutesFromNow(7), 2)).toHaveLength(1);
+      expect(notifyStopEvents([busStop], minutesFromNow(8), 2)).toEqual([]);
+      expect(window.Notification).toHaveBeenCalledTimes(1);
+      expect(window.Notification).toHaveBeenCalledWith(
+        "Leave in 3 min for 801 to Downtown",
+        expect.objectContaining({ body: "Departs at 8:20 AM" })
+      );
+    });
+
+    it("should not record events while permission is denied", () => {
+      window.Notification.permission = "denied";
+
+      expect(notifyStopEvents([busStop], minutesFromNow(6), 2)).toEqual([]);
+      expect(localStorage.getItem("notification_log")).toBeNull();
+    });
+  });
+});
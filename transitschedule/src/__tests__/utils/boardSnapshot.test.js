@@ -0,0 +1,78 @@
+import {
+  buildBoardSnapshot,
+  getStopFingerprint,
+  getSnapshotFingerprint,
+} from "../../utils/boardSnapshot";
+
+const NOW = new Date("2026-03-04T14:00:00Z");
+const minutesFromNow = (minutes) =>
+  new Date(NOW.getTime() + minutes * 60 * 1000);
+
+const busStop = {
+  id: 7,
+  name: "801 to Downtown",
+  type: "bus",
+  walkTime: "8 min",
+  allArrivalTimes: [
+    { arrivalTime: minutesFromNow(20), isRealTime: false },
+    { arrivalTime: minutesFromNow(50), isRealTime: false },
+  ],
+  nextArrivalTime: minutesFromNow(20),
+  lastStopTime: minutesFromNow(50),
+};
+
+const driveStop = {
+  name: "Central Market",
+  type: "drive",
+  estimatedTime: "14 mins",
+};
+
+describe("boardSnapshot", () => {
+  describe("buildBoardSnapshot", () => {
+    it("should summarize each stop with ISO times and leave-in", () => {
+      expect(buildBoardSnapshot([busStop, driveStop], NOW, 2)).toEqual({
+        generatedAt: "2026-03-04T14:00:00.000Z",
+        stops: [
+          {
+            id: "stop-7",
+            name: "801 to Downtown",
+            type: "bus",
+            nextTime: "2026-03-04T14:20:00.000Z",
+            estimatedTime: null,
+            leaveInMinutes: 10,
+            leaveAt: "2026-03-04T14:10:00.000Z",
+            lastStopTime: "2026-03-04T14:50:00.000Z",
+          },
+          {
+            id: "default-central-market",
+            name: "Central Market",
+            type: "drive",
+            nextTime: null,
+            estimatedTime: "14 mins",
+            leaveInMinutes: null,
+            leaveAt: null,
+            lastStopTime: null,
+          },
+        ],
+      });
+    });
+  });
+
+  describe("fingerprints", () => {
+    it("should ignore the leave-in countdown but not the data behind it", () => {
+      const first = buildBoardSnapshot([busStop], NOW, 2);
+      const later = buildBoardSnapshot([busStop], minutesFromNow(3), 2);
+      const changed = buildBoardSnapshot(
+        [{ ...busStop, nextArrivalTime: minutesFromNow(25) }],
+        minutesFromNow(3),
+        2
+      );
+
+      expect(later.stops[0].leaveInMinutes).toBe(7);
+      expect(getSnapshotFingerprint(later)).toBe(getSnapshotFingerprint(first));
+      expect(getStopFingerprint(changed.stops[0])).not.toBe(
+        getStopFingerprint(first.stops[0])
+      );
+    });
+  });
+});
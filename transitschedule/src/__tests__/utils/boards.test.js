@@ -0,0 +1,62 @@
+import {
+  loadCurrentBoardId,
+  saveCurrentBoardId,
+  resolveCurrentBoardId,
+  getKioskToken,
+  getKioskUrl,
+  getBoardRefreshMs,
+} from "../../utils/boards";
+
+const boards = [
+  { id: 3, name: "Home", kiosk_token: "abc123", refresh_minutes: 5 },
+  { id: 8, name: "Work", kiosk_token: "def456", refresh_minutes: 2 },
+];
+
+describe("boards", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe("loadCurrentBoardId", () => {
+    it("should round-trip the current board", () => {
+      expect(loadCurrentBoardId()).toBeNull();
+
+      saveCurrentBoardId(8);
+      expect(loadCurrentBoardId()).toBe(8);
+
+      saveCurrentBoardId(null);
+      expect(loadCurrentBoardId()).toBeNull();
+    });
+  });
+
+  describe("resolveCurrentBoardId", () => {
+    it("should keep a board that still exists", () => {
+      expect(resolveCurrentBoardId(boards, 8)).toBe(8);
+    });
+
+    it("should fall back to the first board", () => {
+      expect(resolveCurrentBoardId(boards, 12)).toBe(3);
+      expect(resolveCurrentBoardId(boards, null)).toBe(3);
+      expect(resolveCurrentBoardId([], 8)).toBeNull();
+    });
+  });
+
+  describe("kiosk URLs", () => {
+    it("should build and read the kiosk token", () => {
+      const url = getKioskUrl(boards[1], "https://board.example.com/");
+
+      expect(url).toBe("https://board.example.com/?kiosk=def456");
+      expect(getKioskToken(new URL(url).search)).toBe("def456");
+      expect(getKioskToken("?foo=bar")).toBeNull();
+      expect(getKioskUrl(null)).toBeNull();
+    });
+  });
+
+  describe("getBoardRefreshMs", () => {
+    it("should use the board's interval or the default", () => {
+      expect(getBoardRefreshMs(boards[1])).toBe(2 * 60 * 1000);
+      expect(getBoardRefreshMs(null)).toBe(5 * 60 * 1000);
+      expect(getBoardRefreshMs({ refresh_minutes: 0 })).toBe(5 * 60 * 1000);
+    });
+  });
+});
@@ -0,0 +1,201 @@
+import {
+  getHistoryKey,
+  buildObservation,
+  recordObservations,
+  getStopHistory,
+  clearStopHistory,
+  summarizeHistoryByHour,
+  summarizeHistoryByWeekday,
+  findFastestBucket,
+} from "../../utils/commuteHistory";
+
+const busStop = (scheduled, predicted, source = "live") => ({
+  id: 7,
+  name: "Congress and Oltorf",
+  type: "bus",
+  timeZone: "America/Chicago",
+  provenance: { source, dataAt: null },
+  allArrivalTimes: [
+    {
+      arrivalTime: predicted || scheduled,
+      departureTime: predicted || scheduled,
+      scheduledTime: scheduled,
+      arrivalAtNextStop: new Date(
+        (predicted || scheduled).getTime() + 12 * 60 * 1000
+      ),
+      isRealTime: !!predicted,
+    },
+  ],
+});
+
+const driveStop = (estimatedTime, provenance = { source: "live" }) => ({
+  name: "Central Market",
+  type: "drive",
+  timeZone: "America/Chicago",
+  estimatedTime: estimatedTime,
+  congestion: "moderate",
+  provenance,
+});
+
+describe("commuteHistory", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe("getHistoryKey", () => {
+    it("should key stops by id and unsaved stops by name", () => {
+      expect(getHistoryKey({ id: 7, name: "Congress" })).toBe(
+        "commute_history_stop-7"
+      );
+      expect(getHistoryKey({ name: "Central Market" })).toBe(
+        "commute_history_default-central-market"
+      );
+    });
+  });
+
+  describe("buildObservation", () => {
+    it("should record scheduled and predicted departures for real-time transit", () => {
+      const now = new Date("2026-03-04T07:55:00-06:00");
+      const scheduled = new Date("2026-03-04T08:00:00-06:00");
+      const predicted = new Date("2026-03-04T08:04:00-06:00");
+
+      expect(buildObservation(busStop(scheduled, predicted), now)).toEqual({
+        t: now.getTime(),
+        d: 12 * 60,
+        s: scheduled.getTime(),
+        p: predicted.getTime(),
+        src: "live",
+      });
+    });
+
+    it("should record the estimated time for route stops", () => {
+      const now = new Date("2026-03-04T07:55:00-06:00");
+
+      expect(buildObservation(driveStop("27 min"), now)).toMatchObject({
+        d: 27 * 60,
+        s: null,
+        p: null,
+        src: "live",
+      });
+      expect(buildObservation(driveStop(null), now)).toBeNull();
+    });
+  });
+
+  describe("recordObservations", () => {
+    it("should sample each stop at most once per period", () => {
+      const first = new Date("2026-03-04T08:00:00-06:00");
+      const stops = [driveStop("20 min")];
+
+      expect(recordObservations(stops, first)).toBe(1);
+      expect(
+        recordObservations(stops, new Date(first.getTime() + 2 * 60 * 1000))
+      ).toBe(0);
+      expect(
+        recordObservations(stops, new Date(first.getTime() + 5 * 60 * 1000))
+      ).toBe(1);
+
+      expect(getStopHistory(stops[0])).toHaveLength(2);
+    });
+
+    it("should not record cached data again as new", () => {
+      const fetchedAt = new Date("2026-03-04T08:00:00-06:00");
+      const stop = driveStop("20 min");
+      recordObservations([stop], fetchedAt);
+
+      // The 8:00 drive time served from the request cache at 17:00
+      const cached = driveStop("20 min", {
+        source: "cached",
+        dataAt: fetchedAt.getTime(),
+      });
+      expect(
+        recordObservations([cached], new Date("2026-03-04T17:00:00-06:00"))
+      ).toBe(0);
+
+      expect(getStopHistory(stop)).toHaveLength(1);
+      expect(getStopHistory(stop)[0].observedAt).toEqual(fetchedAt);
+    });
+
+    it("should skip saved data files and record timetables", () => {
+      const now = new Date("2026-03-04T07:55:00-06:00");
+      const departure = new Date("2026-03-04T08:00:00-06:00");
+
+      expect(recordObservations([busStop(departure, null, "saved")], now)).toBe(
+        0
+      );
+      expect(getStopHistory({ id: 7 })).toEqual([]);
+
+      expect(
+        recordObservations([busStop(departure, null, "schedule")], now)
+      ).toBe(1);
+      expect(getStopHistory({ id: 7 })[0].source).toBe("schedule");
+    });
+
+    it("should drop observations past the retention period", () => {
+      const stop = driveStop("20 min");
+      recordObservations([stop], new Date("2026-01-01T08:00:00-06:00"));
+      recordObservations([stop], new Date("2026-03-04T08:00:00-06:00"));
+
+      const history = getStopHistory(stop);
+      expect(history).toHaveLength(1);
+      expect(history[0].observedAt).toEqual(
+        new Date("2026-03-04T08:00:00-06:00")
+      );
+    });
+
+    it("should clear a stop's history", () => {
+      const stop = driveStop("20 min");
+      recordObservations([stop], new Date("2026-03-04T08:00:00-06:00"));
+
+      clearStopHistory(stop);
+
+      expect(getStopHistory(stop)).toEqual([]);
+    });
+  });
+
+  describe("summaries", () => {
+    it("should average delays by scheduled hour and weekday in the stop's zone", () => {
+      // Wednesday and Thursday 8:00 departures, 4 and 2 minutes late
+      [
+        ["2026-03-04T08:00:00-06:00", "2026-03-04T08:04:00-06:00"],
+        ["2026-03-05T08:00:00-06:00", "2026-03-05T08:02:00-06:00"],
+      ].forEach(([scheduled, predicted]) => {
+        const departure = new Date(scheduled);
+        recordObservations(
+          [busStop(departure, new Date(predicted))],
+          new Date(departure.getTime() - 10 * 60 * 1000)
+        );
+      });
+
+      const history = getStopHistory({ id: 7 });
+      const byHour = summarizeHistoryByHour(history, "America/Chicago");
+      const byWeekday = summarizeHistoryByWeekday(history, "America/Chicago");
+
+      expect(byHour[8]).toEqual({
+        index: 8,
+        count: 2,
+        avgDurationSeconds: 12 * 60,
+        avgDelaySeconds: 3 * 60,
+      });
+      expect(byHour[7].count).toBe(0);
+      expect(byWeekday[3].avgDelaySeconds).toBe(4 * 60);
+      expect(byWeekday[4].avgDelaySeconds).toBe(2 * 60);
+    });
+
+    it("should find the fastest time of day", () => {
+      const stop = driveStop("30 min");
+      recordObservations([stop], new Date("2026-03-04T08:00:00-06:00"));
+      recordObservations(
+        [{ ...stop, estimatedTime: "18 min" }],
+        new Date("2026-03-04T11:00:00-06:00")
+      );
+
+      const byHour = summarizeHistoryByHour(
+        getStopHistory(stop),
+        "America/Chicago"
+      );
+
+      expect(findFastestBucket(byHour).index).toBe(11);
+      expect(findFastestBucket(summarizeHistoryByHour([], "UTC"))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import {
+  getOfflineSince,
+  isOffline,
+  isNetworkError,
+  markOffline,
+  markOnline,
+  subscribeConnectivity,
+} from "../../utils/connectivity";
+
+describe("connectivity", () => {
+  afterEach(() => {
+    markOnline();
+  });
+
+  describe("markOffline", () => {
+    it("should keep the time the connection first dropped", () => {
+      const listener = jest.fn();
+      const unsubscribe = subscribeConnectivity(listener);
+      const dropped = new Date(2026, 9, 19, 7, 42);
+
+      markOffline(dropped);
+      markOffline(new Date(2026, 9, 19, 7, 50));
+
+      expect(isOffline()).toBe(true);
+      expect(getOfflineSince()).toBe(dropped);
+      expect(localStorage.getItem("offline_since")).toBe(
+        String(dropped.getTime())
+      );
+
+      markOnline();
+      unsubscribe();
+
+      expect(isOffline()).toBe(false);
+      expect(localStorage.getItem("offline_since")).toBeNull();
+      expect(listener).toHaveBeenCalledTimes(2);
+    });
+
+    it("should follow the browser's offline and online events", () => {
+      window.dispatchEvent(new Event("offline"));
+      expect(isOffline()).toBe(true);
+
+      window.dispatchEvent(new Event("online"));
+      expect(isOffline()).toBe(false);
+    });
+  });
+
+  describe("isNetworkError", () => {
+    it("should tell unreachable servers from server errors", () => {
+      expect(isNetworkError({ request: {}, message: "timeout" })).toBe(true);
+      expect(isNetworkError({ code: "ERR_NETWORK" })).toBe(true);
+      expect(isNetworkError({ request: {}, response: { status: 500 } })).toBe(
+        false
+      );
+      expect(isNetworkError(new Error("Invalid stop"))).toBe(false);
+      expect(isNetworkError(null)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import {
+  formatMinutesOfDay,
+  buildDepartureSlots,
+  recommendDeparture,
+  formatDepartureRecommendation,
+} from "../../utils/departureRecommender";
+
+const TIME_ZONE = "America/Chicago";
+
+// Three weekdays of drives observed at the given times ("07:40") and minutes
+const buildHistory = (durationsByTime, jitterMinutes = [0, 0, 0]) =>
+  ["2026-03-02", "2026-03-03", "2026-03-04"].flatMap((day, dayIndex) =>
+    Object.entries(durationsByTime).map(([time, minutes]) => ({
+      observedAt: new Date(`${day}T${time}:00-06:00`),
+      durationSeconds: (minutes + jitterMinutes[dayIndex]) * 60,
+      scheduledDeparture: null,
+      predictedDeparture: null,
+      delaySeconds: null,
+      source: "live",
+    }))
+  );
+
+const morningHistory = buildHistory({
+  "07:32": 18,
+  "07:44": 14,
+  "07:55": 15,
+  "08:03": 20,
+  "08:12": 23,
+});
+
+const driveStop = {
+  type: "drive",
+  windowStart: "07:30",
+  windowEnd: "08:20",
+  windowObjective: "fastest",
+};
+
+describe("departureRecommender", () => {
+  describe("formatMinutesOfDay", () => {
+    it("should format clock times and wrap past midnight", () => {
+      expect(formatMinutesOfDay(7 * 60 + 40)).toBe("7:40 AM");
+      expect(formatMinutesOfDay(12 * 60 + 5)).toBe("12:05 PM");
+      expect(formatMinutesOfDay(24 * 60 + 30)).toBe("12:30 AM");
+    });
+  });
+
+  describe("buildDepartureSlots", () => {
+    it("should group observations into slots in the stop's zone", () => {
+      const slots = buildDepartureSlots(
+        morningHistory,
+        7 * 60 + 30,
+        8 * 60 + 20,
+        TIME_ZONE
+      );
+
+      expect(slots).toHaveLength(5);
+      expect(slots[1]).toEqual({
+        startMinutes: 7 * 60 + 40,
+        endMinutes: 7 * 60 + 50,
+        count: 3,
+        typicalSeconds: 14 * 60,
+        spreadSeconds: 0,
+      });
+    });
+
+    it("should handle windows that cross midnight", () => {
+      const history = buildHistory({ "23:55": 10, "00:05": 12 });
+
+      const slots = buildDepartureSlots(history, 23 * 60 + 50, 10, TIME_ZONE);
+
+      expect(slots.map((slot) => slot.count)).toEqual([3, 3]);
+    });
+  });
+
+  describe("recommendDeparture", () => {
+    it("should pick the slot with the lowest typical time", () => {
+      const recommendation = recommendDeparture(
+        driveStop,
+        morningHistory,
+        TIME_ZONE
+      );
+
+      expect(recommendation.best.startMinutes).toBe(7 * 60 + 40);
+      expect(recommendation.slowest.startMinutes).toBe(8 * 60 + 10);
+      expect(formatDepartureRecommendation(recommendation, "drive")).toBe(
+        "Leave between 7:40 AM and 7:50 AM for a typical 14 min drive; after 8:10 AM it's 23 min"
+      );
+    });
+
+    it("should pick the most predictable slot when asked", () => {
+      // 7:40 is fastest on average but swings by several minutes
+      const history = [
+        ...buildHistory({ "07:44": 14 }, [-4, 0, 4]),
+        ...buildHistory({ "07:55": 15 }),
+      ];
+
+      const recommendation = recommendDeparture(
+        { ...driveStop, windowObjective: "steadiest" },
+        history,
+        TIME_ZONE
+      );
+
+      expect(recommendation.best.startMinutes).toBe(7 * 60 + 50);
+      expect(formatDepartureRecommendation(recommendation, "bike")).toBe(
+        "Leave between 7:50 AM and 8:00 AM for a steady 15 min ride (±0 min)"
+      );
+    });
+
+    it("should need a window and enough observations", () => {
+      expect(
+        recommendDeparture({ type: "drive" }, morningHistory, TIME_ZONE)
+      ).toBeNull();
+      expect(
+        recommendDeparture(driveStop, morningHistory.slice(0, 5), TIME_ZONE)
+      ).toBeNull();
+      expect(formatDepartureRecommendation(null, "drive")).toBe("");
+    });
+  });
+});
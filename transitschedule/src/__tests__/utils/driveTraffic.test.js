@@ -0,0 +1,39 @@
+import { getDriveTraffic, getCongestionLevel } from "../../utils/driveTraffic";
+
+describe("driveTraffic", () => {
+  describe("getCongestionLevel", () => {
+    it("should classify the traffic ratio", () => {
+      expect(getCongestionLevel(16 * 60, 15 * 60)).toBe("light");
+      expect(getCongestionLevel(19 * 60, 15 * 60)).toBe("moderate");
+      expect(getCongestionLevel(27 * 60, 15 * 60)).toBe("heavy");
+      expect(getCongestionLevel(null, 15 * 60)).toBeNull();
+    });
+  });
+
+  describe("getDriveTraffic", () => {
+    it("should compare duration in traffic with the typical duration", () => {
+      const traffic = getDriveTraffic({
+        duration: { value: 15 * 60 },
+        duration_in_traffic: { value: 27 * 60 },
+      });
+
+      expect(traffic).toEqual({
+        currentSeconds: 27 * 60,
+        typicalSeconds: 15 * 60,
+        delaySeconds: 12 * 60,
+        congestion: "heavy",
+      });
+    });
+
+    it("should fall back to the typical duration without traffic data", () => {
+      const traffic = getDriveTraffic({ duration: { value: 15 * 60 } });
+
+      expect(traffic).toEqual({
+        currentSeconds: 15 * 60,
+        typicalSeconds: 15 * 60,
+        delaySeconds: null,
+        congestion: null,
+      });
+    });
+  });
+});
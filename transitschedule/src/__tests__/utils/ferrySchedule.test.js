@@ -0,0 +1,239 @@
+import {
+  parseDays,
+  parseScheduleTime,
+  normalizeFerrySchedule,
+  parseFerryScheduleCsv,
+  getFerryTerminals,
+  getFerrySailings,
+  isFerryScheduleCurrent,
+} from "../../utils/ferrySchedule";
+
+const scheduleData = {
+  timeZone: "America/Los_Angeles",
+  terminals: [
+    { id: "anacortes", name: "Anacortes", location: "Anacortes, WA" },
+    { id: "lopez", name: "Lopez Island" },
+    { id: "friday-harbor", name: "Friday Harbor" },
+    { id: "sidney", name: "Sidney BC" },
+  ],
+  seasons: [{ id: "summer", startDate: "2026-06-21", endDate: "2026-09-19" }],
+  holidays: [
+    { date: "2026-07-03", name: "Independence Day", runsAs: "sunday" },
+  ],
+  sailings: [
+    {
+      id: "daily-0600",
+      days: "daily",
+      stops: [
+        { terminal: "anacortes", departs: "06:00" },
+        { terminal: "lopez", arrives: "06:45", departs: "06:50" },
+        { terminal: "friday-harbor", arrives: "07:40" },
+      ],
+    },
+    {
+      id: "weekday-0900",
+      days: "weekdays",
+      notOn: ["2026-03-04"],
+      stops: [
+        { terminal: "anacortes", departs: "09:00" },
+        { terminal: "friday-harbor", arrives: "10:05" },
+      ],
+    },
+    {
+      id: "sunday-1300",
+      days: "sun",
+      alsoOn: ["2026-03-05"],
+      stops: [
+        { terminal: "anacortes", departs: "13:00" },
+        { terminal: "friday-harbor", arrives: "14:05" },
+      ],
+    },
+    {
+      id: "summer-1500",
+      days: "daily",
+      season: "summer",
+      stops: [
+        { terminal: "anacortes", departs: "15:00" },
+        { terminal: "friday-harbor", arrives: "16:05" },
+      ],
+    },
+  ],
+};
+
+const sailingIds = (schedule, origin, destination, date) =>
+  getFerrySailings(schedule, origin, destination, date).map(
+    (sailing) => sailing.sailingId
+  );
+
+describe("ferrySchedule", () => {
+  describe("parseScheduleTime", () => {
+    it("should convert HH:MM to minutes after midnight", () => {
+      expect(parseScheduleTime("05:30")).toBe(330);
+      expect(parseScheduleTime("24:15")).toBe(1455);
+      expect(parseScheduleTime("")).toBeNull();
+      expect(parseScheduleTime("noon")).toBeNull();
+    });
+  });
+
+  describe("parseDays", () => {
+    it("should build Sunday-first day masks", () => {
+      expect(parseDays("daily").every(Boolean)).toBe(true);
+      expect(parseDays("weekdays")).toEqual([
+        false,
+        true,
+        true,
+        true,
+        true,
+        true,
+        false,
+      ]);
+      expect(parseDays("weekends")).toEqual([
+        true,
+        false,
+        false,
+        false,
+        false,
+        false,
+        true,
+      ]);
+      expect(parseDays("Mon Wed friday")).toEqual([
+        false,
+        true,
+        false,
+        true,
+        false,
+        true,
+        false,
+      ]);
+    });
+  });
+
+  describe("getFerrySailings", () => {
+    const schedule = normalizeFerrySchedule(scheduleData);
+
+    it("should find sailings between intermediate terminals", () => {
+      // Wednesday, March 11 2026
+      const date = new Date(2026, 2, 11);
+
+      expect(
+        getFerrySailings(schedule, "lopez", "friday-harbor", date)
+      ).toEqual([
+        {
+          sailingId: "daily-0600",
+          routeId: null,
+          departs: 6 * 60 + 50,
+          arrives: 7 * 60 + 40,
+        },
+      ]);
+      expect(sailingIds(schedule, "friday-harbor", "anacortes", date)).toEqual(
+        []
+      );
+    });
+
+    it("should apply day masks and date exceptions", () => {
+      // Wednesday, March 4 2026 is excluded from the weekday sailing
+      expect(
+        sailingIds(schedule, "anacortes", "friday-harbor", new Date(2026, 2, 4))
+      ).toEqual(["daily-0600"]);
+      // Thursday, March 5 2026 adds the Sunday sailing
+      expect(
+        sailingIds(schedule, "anacortes", "friday-harbor", new Date(2026, 2, 5))
+      ).toEqual(["daily-0600", "weekday-0900", "sunday-1300"]);
+    });
+
+    it("should limit seasonal sailings to the season dates", () => {
+      expect(
+        sailingIds(
+          schedule,
+          "anacortes",
+          "friday-harbor",
+          new Date(2026, 5, 20)
+        )
+      ).not.toContain("summer-1500");
+      expect(
+        sailingIds(
+          schedule,
+          "anacortes",
+          "friday-harbor",
+          new Date(2026, 5, 22)
+        )
+      ).toContain("summer-1500");
+    });
+
+    it("should run holidays on their replacement day's schedule", () => {
+      // Friday, July 3 2026 runs the Sunday schedule
+      expect(
+        sailingIds(schedule, "anacortes", "friday-harbor", new Date(2026, 6, 3))
+      ).toEqual(["daily-0600", "sunday-1300", "summer-1500"]);
+    });
+  });
+
+  describe("isFerryScheduleCurrent", () => {
+    it("should only cover the schedule's dates", () => {
+      const schedule = normalizeFerrySchedule({
+        ...scheduleData,
+        validFrom: "2026-01-01",
+        validUntil: "2027-01-01",
+      });
+
+      expect(isFerryScheduleCurrent(schedule, new Date(2025, 11, 31))).toBe(
+        false
+      );
+      expect(isFerryScheduleCurrent(schedule, new Date(2026, 0, 1))).toBe(true);
+      expect(isFerryScheduleCurrent(schedule, new Date(2027, 0, 1))).toBe(true);
+      expect(isFerryScheduleCurrent(schedule, new Date(2027, 0, 2))).toBe(
+        false
+      );
+      // Without a range (e.g. CSV schedules) any date is covered
+      expect(
+        isFerryScheduleCurrent(
+          normalizeFerrySchedule(scheduleData),
+          new Date(2030, 0, 1)
+        )
+      ).toBe(true);
+    });
+  });
+
+  describe("getFerryTerminals", () => {
+    it("should only list terminals with sailings", () => {
+      const schedule = normalizeFerrySchedule(scheduleData);
+
+      expect(getFerryTerminals(schedule).map((t) => t.id)).toEqual([
+        "anacortes",
+        "lopez",
+        "friday-harbor",
+      ]);
+    });
+  });
+
+  describe("parseFerryScheduleCsv", () => {
+    it("should group rows into multi-stop sailings", () => {
+      const schedule = parseFerryScheduleCsv(
+        "sailing_id,route,terminal,arrives,departs,days,start_date,end_date,not_on,also_on\n" +
+          "s1,ana-sj,Anacortes,,06:00,weekdays,2026-01-01,2026-12-31,2026-03-04,\n" +
+          "s1,ana-sj,Lopez Island,06:45,06:50,,,,,\n" +
+          "s1,ana-sj,Friday Harbor,07:40,,,,,,\n"
+      );
+
+      expect(schedule.terminals.get("friday-harbor").name).toBe(
+        "Friday Harbor"
+      );
+      expect(schedule.sailings).toHaveLength(1);
+      expect(schedule.sailings[0].stops).toHaveLength(3);
+      expect(
+        sailingIds(
+          schedule,
+          "anacortes",
+          "friday-harbor",
+          new Date(2026, 2, 11)
+        )
+      ).toEqual(["s1"]);
+      expect(
+        sailingIds(schedule, "anacortes", "friday-harbor", new Date(2026, 2, 4))
+      ).toEqual([]);
+      expect(
+        sailingIds(schedule, "anacortes", "lopez", new Date(2026, 2, 14))
+      ).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+import {
+  escapeIcsText,
+  foldIcsLine,
+  formatIcsLocal,
+  formatIcsOffset,
+  findOffsetTransitions,
+  buildDepartureEvents,
+  buildPlanEvent,
+  buildStopEvents,
+  buildIcsCalendar,
+  getCalendarFileName,
+} from "../../utils/icsExport";
+
+const ZONE = "America/Los_Angeles";
+
+// Friday, March 6 2026, 07:00 in Anacortes; DST starts Sunday, March 8
+const NOW = new Date("2026-03-06T07:00:00-08:00");
+
+const sailing = (departs, arrives) => ({
+  stopName: "Anacortes",
+  arrivalTime: new Date(departs),
+  departureTime: new Date(departs),
+  arrivalAtNextStop: new Date(arrives),
+  headsign: "Orcas Island",
+  lineName: "Anacortes-Orcas Island",
+  isRealTime: false,
+});
+
+const ferryStop = {
+  id: 7,
+  name: "Anacortes To Orcas Island",
+  type: "ferry",
+  timeZone: ZONE,
+  walkTime: "10 min",
+  allArrivalTimes: [
+    sailing("2026-03-06T06:30:00-08:00", "2026-03-06T07:35:00-08:00"),
+    sailing("2026-03-06T08:15:00-08:00", "2026-03-06T09:20:00-08:00"),
+    sailing("2026-03-09T08:15:00-07:00", "2026-03-09T09:20:00-07:00"),
+  ],
+};
+
+describe("icsExport", () => {
+  describe("escapeIcsText", () => {
+    it("should escape separators and newlines", () => {
+      expect(escapeIcsText("A, B; C\\D\nE")).toBe("A\\, B\\; C\\\\D\\nE");
+    });
+  });
+
+  describe("foldIcsLine", () => {
+    it("should fold at 75 octets with a leading space", () => {
+      const folded = foldIcsLine(`SUMMARY:${"x".repeat(100)}`).split("\r\n");
+
+      expect(folded).toHaveLength(2);
+      expect(folded[0]).toHaveLength(75);
+      expect(folded[1]).toBe(` ${"x".repeat(33)}`);
+    });
+
+    it("should not split multi-byte characters", () => {
+      const folded = foldIcsLine(`SUMMARY:${"é".repeat(40)}`).split("\r\n");
+
+      // 8 ASCII octets + 33 two-octet characters = 74 octets
+      expect(folded[0]).toBe(`SUMMARY:${"é".repeat(33)}`);
+      expect(folded[1]).toBe(` ${"é".repeat(7)}`);
+    });
+  });
+
+  describe("formatting", () => {
+    it("should format local times and offsets", () => {
+      expect(formatIcsLocal(new Date("2026-03-06T16:15:00Z"), ZONE)).toBe(
+        "20260306T081500"
+      );
+      expect(formatIcsOffset(-480)).toBe("-0800");
+      expect(formatIcsOffset(330)).toBe("+0530");
+    });
+  });
+
+  describe("findOffsetTransitions", () => {
+    it("should find the DST change to the minute", () => {
+      const transitions = findOffsetTransitions(
+        ZONE,
+        new Date("2026-03-01T00:00:00Z"),
+        new Date("2026-03-20T00:00:00Z")
+      );
+
+      expect(transitions).toEqual([
+        { at: new Date("2026-03-08T10:00:00Z"), from: -480, to: -420 },
+      ]);
+    });
+  });
+
+  describe("buildDepartureEvents", () => {
+    it("should skip past departures and remind at the leave time", () => {
+      const events = buildDepartureEvents(ferryStop, {
+        now: NOW,
+        bufferMinutes: 5,
+      });
+
+      expect(events).toHaveLength(2);
+      expect(events[0]).toMatchObject({
+        uid: `stop-7-${new Date("2026-03-06T16:15:00Z").getTime()}@eggycommutes`,
+        summary: "Ferry Anacortes-Orcas Island",
+        location: "Anacortes",
+        end: new Date("2026-03-06T09:20:00-08:00"),
+        alarmMinutes: 15,
+      });
+      expect(events[0].description).toContain(
+        "Leave home at 8:00 AM (10 min walk + 5 min buffer)"
+      );
+    });
+
+    it("should name the headsign when the line doesn't", () => {
+      const [event] = buildDepartureEvents(
+        {
+          name: "Oltorf & Congress",
+          type: "bus",
+          timeZone: "America/Chicago",
+          allArrivalTimes: [
+            {
+              stopName: "Oltorf & Congress",
+              departureTime: new Date("2026-03-06T09:30:00-06:00"),
+              headsign: "Tech Ridge",
+              lineName: "801",
+            },
+          ],
+        },
+        { now: NOW, bufferMinutes: 0 }
+      );
+
+      expect(event.summary).toBe("Bus 801 to Tech Ridge");
+      expect(event.end).toBeNull();
+    });
+  });
+
+  describe("buildPlanEvent", () => {
+    it("should run from the leave time to the planned arrival", () => {
+      const stop = {
+        ...ferryStop,
+        arrival: true,
+        targetTime: "10:00",
+        targetDays: null,
+      };
+
+      const event = buildPlanEvent(stop, { now: NOW, bufferMinutes: 5 });
+
+      expect(event).toMatchObject({
+        start: new Date("2026-03-06T08:00:00-08:00"),
+        end: new Date("2026-03-06T09:20:00-08:00"),
+        summary: "Leave for Anacortes To Orcas Island",
+        alarmMinutes: 0,
+      });
+      expect(event.description).toContain("Arrive by 10:00 AM");
+      expect(buildStopEvents(stop, { now: NOW })).toHaveLength(1);
+    });
+
+    it("should return null without a target", () => {
+      expect(buildPlanEvent(ferryStop, { now: NOW })).toBeNull();
+    });
+  });
+
+  describe("buildIcsCalendar", () => {
+    const events = buildDepartureEvents(ferryStop, {
+      now: NOW,
+      bufferMinutes: 5,
+    });
+    const ics = buildIcsCalendar(events, {
+      name: ferryStop.name,
+      timeZone: ZONE,
+      now: NOW,
+      refreshMinutes: 60,
+    });
+    const lines = ics.split("\r\n");
+
+    it("should use CRLF lines of at most 75 octets", () => {
+      expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+      expect(ics.replace(/\r\n/g, "")).not.toMatch(/[\r\n]/);
+      lines.forEach((line) => expect(line.length).toBeLessThanOrEqual(75));
+    });
+
+    it("should include a VTIMEZONE covering the DST change", () => {
+      const daylight = lines.slice(lines.indexOf("BEGIN:DAYLIGHT"));
+
+      expect(lines).toContain(`TZID:${ZONE}`);
+      expect(daylight.slice(1, 4)).toEqual([
+        "DTSTART:20260308T020000",
+        "TZOFFSETFROM:-0800",
+        "TZOFFSETTO:-0700",
+      ]);
+    });
+
+    it("should write zoned events with a reminder", () => {
+      expect(lines).toContain(`DTSTART;TZID=${ZONE}:20260306T081500`);
+      expect(lines).toContain(`DTSTART;TZID=${ZONE}:20260309T081500`);
+      expect(lines).toContain("DTSTAMP:20260306T150000Z");
+      expect(lines).toContain("TRIGGER:-PT15M");
+      expect(lines).toContain("REFRESH-INTERVAL;VALUE=DURATION:PT60M");
+      expect(lines.filter((line) => line === "BEGIN:VEVENT")).toHaveLength(2);
+    });
+  });
+
+  describe("getCalendarFileName", () => {
+    it("should slug the stop name", () => {
+      expect(getCalendarFileName(ferryStop)).toBe(
+        "anacortes-to-orcas-island.ics"
+      );
+    });
+  });
+});
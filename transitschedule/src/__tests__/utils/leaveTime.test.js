@@ -0,0 +1,113 @@
+import { parseWalkMinutes, calculateLeaveTime } from "../../utils/leaveTime";
+
+const NOW = new Date("2026-03-04T08:00:00-06:00");
+const minutesFromNow = (minutes) =>
+  new Date(NOW.getTime() + minutes * 60 * 1000);
+
+const busStop = (departureMinutes, walkTime = "8 min") => ({
+  name: "Congress and Oltorf",
+  type: "bus",
+  walkTime,
+  allArrivalTimes: departureMinutes.map((minutes) => ({
+    arrivalTime: minutesFromNow(minutes),
+    departureTime: minutesFromNow(minutes),
+    isRealTime: false,
+  })),
+  nextArrivalTime: minutesFromNow(departureMinutes[0]),
+});
+
+describe("leaveTime", () => {
+  describe("parseWalkMinutes", () => {
+    it("should parse Directions durations", () => {
+      expect(parseWalkMinutes("8 min")).toBe(8);
+      expect(parseWalkMinutes("1 hour 5 mins")).toBe(65);
+      expect(parseWalkMinutes(12)).toBe(12);
+      expect(parseWalkMinutes("N/A")).toBe(0);
+      expect(parseWalkMinutes(null)).toBe(0);
+    });
+  });
+
+  describe("calculateLeaveTime", () => {
+    it("should subtract walk time and buffer from the next departure", () => {
+      const leaveTime = calculateLeaveTime(busStop([20, 35]), NOW, 2);
+
+      expect(leaveTime).toEqual({
+        status: "green",
+        departureTime: minutesFromNow(20),
+        leaveAt: minutesFromNow(10),
+        leaveInSeconds: 600,
+      });
+    });
+
+    it("should skip departures you can no longer reach", () => {
+      const leaveTime = calculateLeaveTime(busStop([5, 35]), NOW, 2);
+
+      expect(leaveTime.departureTime).toEqual(minutesFromNow(35));
+      expect(leaveTime.leaveInSeconds).toBe(25 * 60);
+    });
+
+    it("should hurry when the countdown is short or eating the buffer", () => {
+      expect(calculateLeaveTime(busStop([12]), NOW, 2).status).toBe("hurry");
+
+      const leaveTime = calculateLeaveTime(busStop([9]), NOW, 2);
+      expect(leaveTime.status).toBe("hurry");
+      expect(leaveTime.leaveInSeconds).toBe(-60);
+    });
+
+    it("should report missed when no departure can be caught", () => {
+      const leaveTime = calculateLeaveTime(busStop([-10, 5]), NOW, 2);
+
+      expect(leaveTime.status).toBe("missed");
+      expect(leaveTime.leaveAt).toBeNull();
+    });
+
+    it("should use departure times without a walk time", () => {
+      const ferry = {
+        type: "ferry",
+        allArrivalTimes: [],
+        nextDepartureTime: minutesFromNow(30),
+      };
+
+      expect(calculateLeaveTime(ferry, NOW, 5).leaveInSeconds).toBe(25 * 60);
+    });
+
+    it("should return null without departures", () => {
+      expect(calculateLeaveTime({ allArrivalTimes: [] }, NOW)).toBeNull();
+    });
+
+    describe("as the clock ticks", () => {
+      beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(NOW);
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      it("should count down and move from green to hurry to the next departure", () => {
+        const stop = busStop([15, 30]);
+
+        expect(calculateLeaveTime(stop, new Date(), 2)).toMatchObject({
+          status: "green",
+          leaveInSeconds: 300,
+        });
+
+        jest.advanceTimersByTime(1000);
+        expect(calculateLeaveTime(stop, new Date(), 2).leaveInSeconds).toBe(
+          299
+        );
+
+        jest.advanceTimersByTime(3 * 60 * 1000);
+        expect(calculateLeaveTime(stop, new Date(), 2).status).toBe("hurry");
+
+        // 7:01 from the 15 minute bus with an 8 minute walk: catch the next one
+        jest.advanceTimersByTime(4 * 60 * 1000);
+        expect(calculateLeaveTime(stop, new Date(), 2)).toMatchObject({
+          status: "green",
+          departureTime: minutesFromNow(30),
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import {
+  summarizeModeResponse,
+  rankModeSummaries,
+  formatComparisonDuration,
+} from "../../utils/modeComparison";
+
+// 08:00 Pacific on Wednesday, March 4 2026
+const BASE = Date.UTC(2026, 2, 4, 16, 0) / 1000;
+const NOW = new Date(BASE * 1000);
+const timeAt = (minutes) => ({
+  value: BASE + minutes * 60,
+  text: "",
+  time_zone: "America/Los_Angeles",
+});
+const dateAt = (minutes) => new Date((BASE + minutes * 60) * 1000);
+
+const routeResponse = (minutes, distanceText, extra = {}) => ({
+  status: "OK",
+  routes: [
+    {
+      legs: [
+        {
+          duration: { value: minutes * 60 },
+          distance: { value: 1000, text: distanceText },
+          ...extra,
+        },
+      ],
+    },
+  ],
+});
+
+// Walk 5 min → 801 departing at `departs` for 20 min → walk 5 min
+const transitRoute = (departs) => ({
+  legs: [
+    {
+      departure_time: timeAt(departs - 5),
+      arrival_time: timeAt(departs + 25),
+      duration: { value: 30 * 60 },
+      distance: { value: 9000, text: "5.6 mi" },
+      steps: [
+        { travel_mode: "WALKING", duration: { value: 300 } },
+        {
+          travel_mode: "TRANSIT",
+          duration: { value: 1200 },
+          transit_details: {
+            line: { short_name: "801", vehicle: { type: "BUS" } },
+            departure_time: timeAt(departs),
+            arrival_time: timeAt(departs + 20),
+          },
+        },
+        { travel_mode: "WALKING", duration: { value: 300 } },
+      ],
+    },
+  ],
+});
+
+describe("modeComparison", () => {
+  describe("summarizeModeResponse", () => {
+    it("should summarize route modes as leaving now", () => {
+      const summary = summarizeModeResponse(
+        "bike",
+        routeResponse(22, "4.1 mi"),
+        NOW
+      );
+
+      expect(summary).toMatchObject({
+        mode: "bike",
+        label: "Bike",
+        stopType: "bike",
+        available: true,
+        durationSeconds: 22 * 60,
+        distanceText: "4.1 mi",
+        arrivalTime: dateAt(22),
+        nextDepartureTime: null,
+      });
+    });
+
+    it("should prefer duration in traffic for driving", () => {
+      const summary = summarizeModeResponse(
+        "drive",
+        routeResponse(15, "5.2 mi", { duration_in_traffic: { value: 1260 } }),
+        NOW
+      );
+
+      expect(summary.durationSeconds).toBe(1260);
+      expect(summary.arrivalTime).toEqual(dateAt(21));
+    });
+
+    it("should count transit from now to the earliest upcoming arrival", () => {
+      const response = {
+        status: "OK",
+        routes: [transitRoute(20), transitRoute(-5), transitRoute(10)],
+      };
+
+      const summary = summarizeModeResponse("transit", response, NOW);
+
+      expect(summary).toMatchObject({
+        stopType: "trip",
+        available: true,
+        arrivalTime: dateAt(35),
+        nextDepartureTime: dateAt(10),
+        durationSeconds: 35 * 60,
+        distanceText: "5.6 mi",
+        lineNames: ["801"],
+      });
+    });
+
+    it("should mark failed or empty responses unavailable", () => {
+      expect(
+        summarizeModeResponse("walk", { status: "ZERO_RESULTS", routes: [] })
+      ).toMatchObject({ available: false, error: "ZERO_RESULTS" });
+      expect(
+        summarizeModeResponse(
+          "transit",
+          { status: "OK", routes: [transitRoute(-5)] },
+          NOW
+        )
+      ).toMatchObject({ available: false, error: "No upcoming trips" });
+    });
+  });
+
+  describe("rankModeSummaries", () => {
+    it("should rank by arrival and list unavailable modes last", () => {
+      const summaries = [
+        summarizeModeResponse("drive", routeResponse(18, "5 mi"), NOW),
+        summarizeModeResponse("bike", routeResponse(22, "4 mi"), NOW),
+        summarizeModeResponse("walk", null, NOW),
+        summarizeModeResponse(
+          "transit",
+          { status: "OK", routes: [transitRoute(5)] },
+          NOW
+        ),
+      ];
+
+      const ranked = rankModeSummaries(summaries);
+
+      expect(ranked.map((s) => [s.mode, s.rank])).toEqual([
+        ["drive", 1],
+        ["bike", 2],
+        ["transit", 3],
+        ["walk", null],
+      ]);
+    });
+  });
+
+  describe("formatComparisonDuration", () => {
+    it("should format minutes and hours", () => {
+      expect(formatComparisonDuration(45 * 60)).toBe("45 min");
+      expect(formatComparisonDuration(65 * 60)).toBe("1 hr 5 min");
+      expect(formatComparisonDuration(120 * 60)).toBe("2 hr");
+      expect(formatComparisonDuration(null)).toBe("--");
+    });
+  });
+});
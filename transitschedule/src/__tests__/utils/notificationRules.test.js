@@ -0,0 +1,144 @@
+import {
+  getRuleTypesForStop,
+  evaluateNotificationRules,
+  getUnsentEvents,
+  markEventsSent,
+} from "../../utils/notificationRules";
+
+const NOW = new Date("2026-03-04T08:00:00-06:00");
+const minutesFromNow = (minutes) =>
+  new Date(NOW.getTime() + minutes * 60 * 1000);
+
+const departure = (minutes, delayMinutes) => {
+  const scheduled = minutesFromNow(minutes);
+  if (delayMinutes === undefined) {
+    return {
+      arrivalTime: scheduled,
+      departureTime: scheduled,
+      isRealTime: false,
+    };
+  }
+  const predicted = minutesFromNow(minutes + delayMinutes);
+  return {
+    arrivalTime: predicted,
+    departureTime: predicted,
+    scheduledTime: scheduled,
+    predictedTime: predicted,
+    delaySeconds: delayMinutes * 60,
+    isRealTime: true,
+  };
+};
+
+const busStop = (notificationRules, allArrivalTimes, extra = {}) => ({
+  id: 7,
+  name: "801 to Downtown",
+  type: "bus",
+  timeZone: "America/Chicago",
+  walkTime: "8 min",
+  allArrivalTimes: allArrivalTimes,
+  notificationRules: notificationRules,
+  ...extra,
+});
+
+describe("notificationRules", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe("getRuleTypesForStop", () => {
+    it("should offer delay and last-departure rules for bus and train only", () => {
+      expect(getRuleTypesForStop("train").map((r) => r.type)).toEqual([
+        "leave",
+        "last_departures",
+        "delay",
+      ]);
+      expect(getRuleTypesForStop("ferry").map((r) => r.type)).toEqual([
+        "leave",
+      ]);
+      expect(getRuleTypesForStop("drive")).toEqual([]);
+    });
+  });
+
+  describe("evaluateNotificationRules", () => {
+    it("should fire a leave event once the countdown reaches the threshold", () => {
+      const rules = [{ type: "leave", threshold: 5 }];
+      // Leave at 8:10 for the 8:20 bus (8 min walk, 2 min buffer)
+      const stop = busStop(rules, [departure(20), departure(40)]);
+
+      expect(evaluateNotificationRules(stop, NOW, 2)).toEqual([]);
+      expect(evaluateNotificationRules(stop, minutesFromNow(6), 2)).toEqual([
+        {
+          key: `stop-7:leave:${minutesFromNow(20).getTime()}`,
+          title: "Leave in 4 min for 801 to Downtown",
+          body: "Departs at 8:20 AM",
+        },
+      ]);
+    });
+
+    it("should warn when only the threshold's departures remain", () => {
+      const stop = busStop(
+        [{ type: "last_departures", threshold: 2 }],
+        [departure(-30), departure(20), departure(50)],
+        { lastStopTime: minutesFromNow(50) }
+      );
+
+      expect(evaluateNotificationRules(stop, NOW)).toEqual([
+        {
+          key: `stop-7:last_departures:${minutesFromNow(50).getTime()}`,
+          title: "Only 2 departures left for 801 to Downtown",
+          body: "Last one at 8:50 AM",
+        },
+      ]);
+    });
+
+    it("should alert when the next real-time departure is late enough", () => {
+      const rules = [{ type: "delay", threshold: 5 }];
+      const late = busStop(rules, [departure(10, 7)]);
+      const onTime = busStop(rules, [departure(10, 2)]);
+
+      expect(evaluateNotificationRules(late, NOW)).toEqual([
+        {
+          key: `stop-7:delay:${minutesFromNow(10).getTime()}`,
+          title: "801 to Downtown is 7 min late",
+          body: "Now 8:17 AM instead of 8:10 AM",
+        },
+      ]);
+      expect(evaluateNotificationRules(onTime, NOW)).toEqual([]);
+    });
+
+    it("should ignore rules the stop type does not support", () => {
+      const stop = {
+        ...busStop([{ type: "delay", threshold: 1 }], [departure(10, 7)]),
+        type: "ferry",
+      };
+
+      expect(evaluateNotificationRules(stop, NOW)).toEqual([]);
+    });
+  });
+
+  describe("getUnsentEvents", () => {
+    it("should deliver each event once", () => {
+      const event = { key: "stop-7:leave:1", title: "Leave", body: "" };
+
+      expect(getUnsentEvents([event, event], NOW)).toEqual([event]);
+      markEventsSent([event], NOW);
+      expect(getUnsentEvents([event], minutesFromNow(1))).toEqual([]);
+    });
+
+    it("should keep events that were never marked sent", () => {
+      const event = { key: "stop-7:leave:1", title: "Leave", body: "" };
+      getUnsentEvents([event], NOW);
+
+      expect(getUnsentEvents([event], minutesFromNow(1))).toEqual([event]);
+    });
+
+    it("should forget events after the log window", () => {
+      const event = { key: "stop-7:leave:1", title: "Leave", body: "" };
+      markEventsSent([event], NOW);
+
+      expect(getUnsentEvents([event], minutesFromNow(49 * 60))).toEqual([
+        event,
+      ]);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import {
+  applyQueuedEdits,
+  queueEdit,
+  getQueuedEdits,
+  removeQueuedEdit,
+  subscribeEditQueue,
+  fetchWithOfflineCopy,
+} from "../../utils/offlineStore";
+
+const stops = [
+  { id: 1, name: "To HEB" },
+  { id: 2, name: "Work" },
+  { id: 3, name: "Gym" },
+];
+
+// axios error for a request that got no response
+const networkError = () =>
+  Object.assign(new Error("Network Error"), { request: {} });
+
+describe("offlineStore", () => {
+  afterEach(async () => {
+    const edits = await getQueuedEdits();
+    await Promise.all(edits.map((edit) => removeQueuedEdit(edit.key)));
+  });
+
+  describe("applyQueuedEdits", () => {
+    it("should apply hide and favorite edits in order", () => {
+      const edits = [
+        { type: "flags", stopIds: [1, 2], changes: { favorite: true } },
+        { type: "flags", stopIds: ["2"], changes: { hidden: true } },
+        { type: "reorder", stopId: 3, position: 1 },
+        { type: "create", stopData: { name: "New" } },
+      ];
+
+      expect(applyQueuedEdits(stops, edits)).toEqual([
+        { id: 1, name: "To HEB", favorite: true },
+        { id: 3, name: "Gym" },
+      ]);
+      expect(
+        applyQueuedEdits(stops, edits, { includeHidden: true })[1]
+      ).toEqual({ id: 2, name: "Work", favorite: true, hidden: true });
+    });
+  });
+
+  describe("queueEdit", () => {
+    it("should keep edits in the order they were made", async () => {
+      const listener = jest.fn();
+      const unsubscribe = subscribeEditQueue(listener);
+
+      await queueEdit({
+        type: "flags",
+        stopIds: [1],
+        changes: { hidden: true },
+      });
+      await queueEdit({ type: "reorder", stopId: 2, position: 1 });
+      await queueEdit({ type: "create", stopData: { name: "New" } });
+      unsubscribe();
+
+      const edits = await getQueuedEdits();
+      expect(edits.map((edit) => edit.type)).toEqual([
+        "flags",
+        "reorder",
+        "create",
+      ]);
+      expect(listener).toHaveBeenCalledTimes(3);
+
+      await removeQueuedEdit(edits[0].key);
+      expect(await getQueuedEdits()).toHaveLength(2);
+    });
+  });
+
+  describe("fetchWithOfflineCopy", () => {
+    it("should fall back to the last copy when the backend can't be reached", async () => {
+      await fetchWithOfflineCopy("stops:7", async () => stops);
+
+      const data = await fetchWithOfflineCopy("stops:7", async () => {
+        throw networkError();
+      });
+
+      expect(data).toEqual(stops);
+    });
+
+    it("should pass on server errors and network errors without a copy", async () => {
+      const serverError = Object.assign(new Error("Forbidden"), {
+        response: { status: 403 },
+      });
+      await fetchWithOfflineCopy("stops:8", async () => stops);
+
+      await expect(
+        fetchWithOfflineCopy("stops:8", async () => {
+          throw serverError;
+        })
+      ).rejects.toBe(serverError);
+      await expect(
+        fetchWithOfflineCopy("stops:9", async () => {
+          throw networkError();
+        })
+      ).rejects.toThrow("Network Error");
+    });
+  });
+});
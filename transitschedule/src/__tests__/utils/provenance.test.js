@@ -0,0 +1,128 @@
+import {
+  tagResponse,
+  buildProvenance,
+  withProvenance,
+  formatProvenanceAge,
+  formatProvenanceLabel,
+  isProvenanceStale,
+  isProvenanceFresh,
+} from "../../utils/provenance";
+import { createStopError } from "../../utils/stopErrors";
+
+const MINUTE_MS = 60 * 1000;
+const now = new Date(2026, 9, 19, 8, 0).getTime();
+
+describe("provenance", () => {
+  describe("buildProvenance", () => {
+    it("should treat live responses from the request cache as cached", () => {
+      const response = tagResponse(
+        { status: "OK" },
+        { source: "cached", storedAt: now - 20 * MINUTE_MS }
+      );
+
+      expect(buildProvenance("live", { response, now })).toEqual({
+        source: "cached",
+        fetchedAt: now,
+        dataAt: now - 20 * MINUTE_MS,
+        error: null,
+      });
+    });
+
+    it("should date untagged live data now and saved files by their tag", () => {
+      expect(buildProvenance("live", { response: {}, now }).dataAt).toBe(now);
+
+      const savedAt = now - 21 * 24 * 60 * MINUTE_MS;
+      const savedData = tagResponse({}, { source: "saved", storedAt: savedAt });
+      const stop = withProvenance({ name: "To HEB" }, "saved", {
+        response: savedData,
+        error: createStopError("quota", "OVER_QUERY_LIMIT"),
+        now,
+      });
+
+      expect(stop).toEqual({
+        name: "To HEB",
+        provenance: {
+          source: "saved",
+          fetchedAt: now,
+          dataAt: savedAt,
+          error: createStopError("quota", "OVER_QUERY_LIMIT"),
+        },
+      });
+    });
+  });
+
+  describe("formatProvenanceAge", () => {
+    it("should format ages from minutes to weeks", () => {
+      const age = (minutes) =>
+        formatProvenanceAge({ dataAt: now - minutes * MINUTE_MS }, now);
+
+      expect(age(0)).toBe("just now");
+      expect(age(12)).toBe("12 min");
+      expect(age(3 * 60)).toBe("3 h");
+      expect(age(5 * 24 * 60)).toBe("5 days");
+      expect(age(21 * 24 * 60)).toBe("3 wk");
+      expect(formatProvenanceAge({ dataAt: null }, now)).toBeNull();
+    });
+  });
+
+  describe("formatProvenanceLabel", () => {
+    it("should add the age for cached and saved data only", () => {
+      const dataAt = now - 4 * MINUTE_MS;
+
+      expect(formatProvenanceLabel({ source: "live", dataAt }, now)).toBe(
+        "Live"
+      );
+      expect(formatProvenanceLabel({ source: "cached", dataAt }, now)).toBe(
+        "Cached · 4 min"
+      );
+      expect(
+        formatProvenanceLabel({ source: "saved", dataAt: null }, now)
+      ).toBe("Saved file");
+      expect(formatProvenanceLabel(null, now)).toBe("No data");
+    });
+  });
+
+  describe("isProvenanceStale", () => {
+    it("should never treat saved files as current", () => {
+      expect(isProvenanceStale({ source: "saved", dataAt: now }, now)).toBe(
+        true
+      );
+      expect(
+        isProvenanceStale(
+          { source: "cached", dataAt: now - 16 * MINUTE_MS },
+          now
+        )
+      ).toBe(true);
+      expect(
+        isProvenanceStale({ source: "cached", dataAt: now - MINUTE_MS }, now)
+      ).toBe(false);
+      expect(isProvenanceStale({ source: "schedule", dataAt: null }, now)).toBe(
+        false
+      );
+      expect(
+        isProvenanceStale(
+          {
+            source: "schedule",
+            dataAt: null,
+            error: createStopError("scheduleExpired"),
+          },
+          now
+        )
+      ).toBe(true);
+      expect(isProvenanceStale(undefined, now)).toBe(false);
+    });
+  });
+
+  describe("isProvenanceFresh", () => {
+    it("should only count data read by this refresh", () => {
+      expect(isProvenanceFresh({ source: "live", dataAt: now })).toBe(true);
+      expect(isProvenanceFresh({ source: "schedule", dataAt: null })).toBe(
+        true
+      );
+      expect(isProvenanceFresh({ source: "cached", dataAt: now })).toBe(false);
+      expect(isProvenanceFresh({ source: "saved", dataAt: now })).toBe(false);
+      expect(isProvenanceFresh({ source: "none", dataAt: null })).toBe(false);
+      expect(isProvenanceFresh(undefined)).toBe(false);
+    });
+  });
+});
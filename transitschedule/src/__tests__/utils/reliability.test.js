@@ -0,0 +1,220 @@
+import {
+  getReliabilityKey,
+  mergeDepartures,
+  recordDepartures,
+  computeReliability,
+  getStopReliability,
+  clearStopReliability,
+  moveStopReliability,
+  formatReliabilityBadge,
+} from "../../utils/reliability";
+
+const BASE = new Date("2026-03-04T08:00:00-06:00").getTime();
+const at = (minutes) => new Date(BASE + minutes * 60 * 1000);
+
+// Arrival entry as the bus/train services return it
+const arrival = (scheduledMinutes, delayMinutes) => {
+  const scheduled = at(scheduledMinutes);
+  const predicted =
+    delayMinutes !== undefined ? at(scheduledMinutes + delayMinutes) : null;
+  return {
+    arrivalTime: predicted || scheduled,
+    departureTime: predicted || scheduled,
+    scheduledTime: scheduled,
+    predictedTime: predicted,
+    isRealTime: predicted !== null,
+  };
+};
+
+const busStop = (allArrivalTimes, routeFilter = "7", source = "live") => ({
+  id: 7,
+  name: "Congress and Oltorf",
+  type: "bus",
+  routeFilter: routeFilter,
+  allArrivalTimes: allArrivalTimes,
+  provenance: { source, dataAt: null },
+});
+
+// Stored departure: scheduled every 10 min with the given delays in minutes
+const departures = (delays) =>
+  delays.map((delay, i) => ({
+    s: at(i * 10).getTime(),
+    ...(delay !== null && { p: at(i * 10 + delay).getTime() }),
+  }));
+
+describe("reliability", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe("getReliabilityKey", () => {
+    it("should key departures by stop and route", () => {
+      expect(getReliabilityKey(busStop([], "Rapid 801"))).toBe(
+        "reliability_stop-7_rapid-801"
+      );
+      expect(getReliabilityKey({ name: "Caltrain", type: "train" })).toBe(
+        "reliability_default-caltrain_any"
+      );
+    });
+  });
+
+  describe("mergeDepartures", () => {
+    it("should keep the latest prediction for each scheduled departure", () => {
+      const first = mergeDepartures([], [arrival(0, 2), arrival(10)]);
+      const merged = mergeDepartures(first, [arrival(0, 5), arrival(10)]);
+
+      expect(merged).toEqual([
+        { s: at(0).getTime(), p: at(5).getTime() },
+        { s: at(10).getTime() },
+      ]);
+    });
+
+    it("should not drop a prediction when a later refresh has none", () => {
+      const first = mergeDepartures([], [arrival(0, 3)]);
+
+      expect(mergeDepartures(first, [arrival(0)])).toEqual(first);
+    });
+  });
+
+  describe("recordDepartures", () => {
+    it("should record bus and train stops only and prune old departures", () => {
+      localStorage.setItem(
+        "reliability_stop-7_7",
+        JSON.stringify([{ s: at(-15 * 24 * 60).getTime() }])
+      );
+
+      recordDepartures(
+        [
+          busStop([arrival(0, 1), arrival(10)]),
+          { name: "Central Market", type: "drive", estimatedTime: "14 min" },
+        ],
+        at(0)
+      );
+
+      expect(JSON.parse(localStorage.getItem("reliability_stop-7_7"))).toEqual([
+        { s: at(0).getTime(), p: at(1).getTime() },
+        { s: at(10).getTime() },
+      ]);
+      expect(localStorage.length).toBe(1);
+    });
+
+    it("should skip stops showing cached or saved data", () => {
+      recordDepartures(
+        [
+          busStop([arrival(0, 9)], "7", "cached"),
+          busStop([arrival(0, 9)], "10", "saved"),
+        ],
+        at(0)
+      );
+      expect(localStorage.length).toBe(0);
+
+      recordDepartures([busStop([arrival(0)], "7", "schedule")], at(0));
+      expect(JSON.parse(localStorage.getItem("reliability_stop-7_7"))).toEqual([
+        { s: at(0).getTime() },
+      ]);
+    });
+  });
+
+  describe("computeReliability", () => {
+    it("should score on-time percentage, delays and headways", () => {
+      // Late by 0, 2, 8, 1, -3 minutes: 3 of 5 within -1..+5
+      const result = computeReliability(departures([0, 2, 8, 1, -3]), at(60));
+
+      expect(result).toMatchObject({
+        departures: 5,
+        realTimeDepartures: 5,
+        onTimePercent: 60,
+        averageDelaySeconds: 96,
+        worstDelaySeconds: 480,
+        since: at(0),
+      });
+      // Headways of 12, 16, 3 and 6 minutes
+      expect(result.averageHeadwaySeconds).toBe(555);
+      expect(result.headwayStdevSeconds).toBe(304);
+      expect(result.headwayRegularityPercent).toBe(45);
+      expect(result.score).toBe(Math.round(0.7 * 60 + 0.3 * 45));
+      expect(result.grade).toBe("D");
+    });
+
+    it("should only count departures that have left", () => {
+      const result = computeReliability(
+        departures([0, 0, 0, 0, 0, 0, 0]),
+        at(45)
+      );
+
+      expect(result.departures).toBe(5);
+      expect(result.onTimePercent).toBe(100);
+      expect(result.headwayRegularityPercent).toBe(100);
+      expect(result.grade).toBe("A");
+    });
+
+    it("should score regularity alone without real-time predictions", () => {
+      const result = computeReliability(
+        departures([null, null, null, null, null]),
+        at(60)
+      );
+
+      expect(result.onTimePercent).toBeNull();
+      expect(result.averageDelaySeconds).toBeNull();
+      expect(result.score).toBe(100);
+      expect(formatReliabilityBadge(result)).toBe("A 100% regular");
+    });
+
+    it("should ignore overnight gaps when measuring headways", () => {
+      const stored = departures([0, 0, 0, 0, 0]);
+      stored[4] = { s: at(12 * 60).getTime(), p: at(12 * 60).getTime() };
+
+      const result = computeReliability(stored, at(13 * 60));
+
+      expect(result.averageHeadwaySeconds).toBe(600);
+    });
+
+    it("should return null with too few departures", () => {
+      expect(computeReliability(departures([0, 0, 0]), at(60))).toBeNull();
+    });
+  });
+
+  describe("getStopReliability", () => {
+    it("should read the stop's recorded departures", () => {
+      localStorage.setItem(
+        "reliability_stop-7_7",
+        JSON.stringify(departures([0, 1, 2, 3, 4]))
+      );
+
+      expect(getStopReliability(busStop([]), at(60)).onTimePercent).toBe(100);
+      expect(getStopReliability(busStop([], "10"), at(60))).toBeNull();
+      expect(getStopReliability({ type: "drive", name: "Work" })).toBeNull();
+    });
+  });
+
+  describe("moveStopReliability and clearStopReliability", () => {
+    it("should move departures to a replacement stop on the same route", () => {
+      localStorage.setItem("reliability_stop-7_7", "[]");
+
+      moveStopReliability(busStop([]), { ...busStop([]), id: 9 });
+
+      expect(localStorage.getItem("reliability_stop-7_7")).toBeNull();
+      expect(localStorage.getItem("reliability_stop-9_7")).toBe("[]");
+    });
+
+    it("should not move departures to a different route", () => {
+      localStorage.setItem("reliability_stop-7_7", "[]");
+
+      moveStopReliability(busStop([]), { ...busStop([], "10"), id: 9 });
+
+      expect(localStorage.getItem("reliability_stop-7_7")).toBe("[]");
+      expect(localStorage.length).toBe(1);
+    });
+
+    it("should clear every route recorded for a stop", () => {
+      localStorage.setItem("reliability_stop-7_7", "[]");
+      localStorage.setItem("reliability_stop-7_10", "[]");
+      localStorage.setItem("reliability_stop-70_7", "[]");
+
+      clearStopReliability({ id: 7 });
+
+      expect(localStorage.length).toBe(1);
+      expect(localStorage.getItem("reliability_stop-70_7")).toBe("[]");
+    });
+  });
+});
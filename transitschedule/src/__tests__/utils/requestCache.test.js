@@ -0,0 +1,228 @@
+import {
+  createRequestCache,
+  getRequestCachePolicy,
+  getRequestCacheKey,
+} from "../../utils/requestCache";
+import { createMemoryStore } from "../../utils/indexedDbStore";
+import { REQUEST_CACHE_NOTIFY_MS } from "../../utils/constants";
+import { getResponseTag } from "../../utils/provenance";
+
+const DIRECTIONS_URL = "https://maps.googleapis.com/maps/api/directions/json";
+const GEOCODE_URL = "https://maps.googleapis.com/maps/api/geocode/json";
+const MINUTE_MS = 60 * 1000;
+
+const driveParams = { origin: "Home", destination: "Work", mode: "driving" };
+
+// Let pending promise callbacks (a background refresh) run
+const flushPromises = async () => {
+  for (let i = 0; i < 10; i += 1) {
+    await Promise.resolve();
+  }
+};
+
+describe("requestCache", () => {
+  let time;
+  const now = () => time;
+
+  beforeEach(() => {
+    time = Date.UTC(2026, 9, 19, 12, 0);
+  });
+
+  describe("getRequestCachePolicy", () => {
+    it("should pick the policy for the endpoint and travel mode", () => {
+      expect(getRequestCachePolicy(GEOCODE_URL, {}).ttlMinutes).toBe(
+        7 * 24 * 60
+      );
+      expect(
+        getRequestCachePolicy(DIRECTIONS_URL, driveParams).ttlMinutes
+      ).toBe(2);
+      expect(
+        getRequestCachePolicy(DIRECTIONS_URL, { mode: "walking" }).ttlMinutes
+      ).toBe(60);
+      // The backend proxy defaults to transit
+      expect(
+        getRequestCachePolicy("/api/v1/transit_data/live_transit", {
+          transit_mode: "bus",
+        }).ttlMinutes
+      ).toBe(1);
+    });
+
+    it("should not cache other requests", () => {
+      expect(getRequestCachePolicy("/api/v1/stops", {})).toBeNull();
+    });
+  });
+
+  describe("getRequestCacheKey", () => {
+    it("should sort params and leave out the API key", () => {
+      expect(
+        getRequestCacheKey(GEOCODE_URL, { key: "secret", b: 2, a: "x" })
+      ).toBe(`${GEOCODE_URL}?a=x&b=2`);
+    });
+  });
+
+  describe("fetch", () => {
+    it("should return fresh entries without requesting again", async () => {
+      const cache = createRequestCache({ now });
+      const fetcher = jest.fn().mockResolvedValue({ status: "OK", n: 1 });
+
+      await cache.fetch(DIRECTIONS_URL, driveParams, fetcher);
+      time += MINUTE_MS;
+      const data = await cache.fetch(DIRECTIONS_URL, driveParams, fetcher);
+
+      expect(data).toEqual({ status: "OK", n: 1 });
+      expect(fetcher).toHaveBeenCalledTimes(1);
+    });
+
+    it("should tag responses as live or cached with when they were fetched", async () => {
+      const cache = createRequestCache({ now });
+      const fetcher = jest.fn().mockResolvedValue({ status: "OK" });
+      const fetchedAt = time;
+
+      const live = await cache.fetch(DIRECTIONS_URL, driveParams, fetcher);
+      time += MINUTE_MS;
+      const cached = await cache.fetch(DIRECTIONS_URL, driveParams, fetcher);
+
+      expect(getResponseTag(live)).toEqual({
+        source: "live",
+        storedAt: fetchedAt,
+      });
+      expect(getResponseTag(cached)).toEqual({
+        source: "cached",
+        storedAt: fetchedAt,
+      });
+    });
+
+    it("should return stale entries while refreshing in the background", async () => {
+      jest.useFakeTimers();
+      try {
+        const cache = createRequestCache({ now });
+        const listener = jest.fn();
+        cache.subscribe(listener);
+        await cache.fetch(DIRECTIONS_URL, driveParams, async () => ({
+          status: "OK",
+          n: 1,
+        }));
+
+        time += 5 * MINUTE_MS;
+        const refreshed = jest.fn().mockResolvedValue({ status: "OK", n: 2 });
+        const stale = await cache.fetch(DIRECTIONS_URL, driveParams, refreshed);
+
+        expect(stale.n).toBe(1);
+        expect(refreshed).toHaveBeenCalledTimes(1);
+
+        // Let the background refresh finish, then settle
+        await flushPromises();
+        jest.advanceTimersByTime(REQUEST_CACHE_NOTIFY_MS);
+        expect(listener).toHaveBeenCalledTimes(1);
+
+        const fresh = await cache.fetch(DIRECTIONS_URL, driveParams, refreshed);
+        expect(fresh.n).toBe(2);
+        expect(refreshed).toHaveBeenCalledTimes(1);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it("should wait for the request once an entry is past its max age", async () => {
+      const cache = createRequestCache({ now });
+      await cache.fetch(DIRECTIONS_URL, driveParams, async () => ({
+        status: "OK",
+        n: 1,
+      }));
+
+      time += 2 * 60 * MINUTE_MS;
+      const data = await cache.fetch(DIRECTIONS_URL, driveParams, async () => ({
+        status: "OK",
+        n: 2,
+      }));
+
+      expect(data.n).toBe(2);
+    });
+
+    it("should not cache failed Google statuses", async () => {
+      const cache = createRequestCache({ now });
+      const fetcher = jest
+        .fn()
+        .mockResolvedValue({ status: "OVER_QUERY_LIMIT" });
+
+      await cache.fetch(GEOCODE_URL, { address: "Home" }, fetcher);
+      await cache.fetch(GEOCODE_URL, { address: "Home" }, fetcher);
+
+      expect(fetcher).toHaveBeenCalledTimes(2);
+    });
+
+    it("should share one request between identical requests in flight", async () => {
+      const cache = createRequestCache({ now });
+      const fetcher = jest.fn().mockResolvedValue({ status: "OK" });
+
+      const [first, second] = await Promise.all([
+        cache.fetch(DIRECTIONS_URL, driveParams, fetcher),
+        cache.fetch(DIRECTIONS_URL, { ...driveParams, key: "other" }, fetcher),
+      ]);
+
+      expect(first).toBe(second);
+      expect(fetcher).toHaveBeenCalledTimes(1);
+    });
+
+    it("should keep entries in the store across reloads", async () => {
+      const store = createMemoryStore();
+      await createRequestCache({ store, now }).fetch(
+        GEOCODE_URL,
+        { address: "Home" },
+        async () => ({ status: "OK", results: [] })
+      );
+
+      const fetcher = jest.fn();
+      const data = await createRequestCache({ store, now }).fetch(
+        GEOCODE_URL,
+        { address: "Home" },
+        fetcher
+      );
+
+      expect(data).toEqual({ status: "OK", results: [] });
+      expect(fetcher).not.toHaveBeenCalled();
+    });
+
+    it("should only use cached entries, however old, in cache-only mode", async () => {
+      const cache = createRequestCache({ now });
+      await cache.fetch(DIRECTIONS_URL, driveParams, async () => ({
+        status: "OK",
+        n: 1,
+      }));
+
+      time += 2 * 60 * MINUTE_MS;
+      const fetcher = jest.fn();
+      const data = await cache.fetch(DIRECTIONS_URL, driveParams, fetcher, {
+        cacheOnly: true,
+      });
+
+      expect(data.n).toBe(1);
+      await expect(
+        cache.fetch(GEOCODE_URL, { address: "Home" }, fetcher, {
+          cacheOnly: true,
+        })
+      ).rejects.toThrow("No cached response");
+      expect(fetcher).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("prune", () => {
+    it("should remove stored entries past their max age", async () => {
+      const store = createMemoryStore();
+      const cache = createRequestCache({ store, now });
+      await cache.fetch(DIRECTIONS_URL, driveParams, async () => ({
+        status: "OK",
+      }));
+      await cache.fetch(GEOCODE_URL, { address: "Home" }, async () => ({
+        status: "OK",
+      }));
+
+      time += 2 * 60 * MINUTE_MS;
+
+      expect(await cache.prune()).toBe(1);
+      expect((await store.entries()).map(([key]) => key)).toEqual([
+        `${GEOCODE_URL}?address=Home`,
+      ]);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import {
+  getRequestApi,
+  countRequestUnits,
+  recordRequest,
+  summarizeUsage,
+  loadUsage,
+  saveBudgets,
+  loadBudgets,
+  getBudgetLevel,
+  getBudgetRefreshMs,
+  clearUsage,
+  subscribeRequestMeter,
+  UNTAGGED_STOP,
+} from "../../utils/requestMeter";
+import { BUDGET_SLOW_FACTOR } from "../../utils/constants";
+
+const DIRECTIONS_URL = "https://maps.googleapis.com/maps/api/directions/json";
+const MATRIX_URL = "https://maps.googleapis.com/maps/api/distancematrix/json";
+const TEXT_SEARCH_URL =
+  "https://maps.googleapis.com/maps/api/place/textsearch/json";
+
+describe("requestMeter", () => {
+  const now = new Date(2026, 9, 19, 8, 30);
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe("getRequestApi", () => {
+    it("should match Google APIs, including the backend proxy", () => {
+      expect(getRequestApi(DIRECTIONS_URL).id).toBe("directions");
+      expect(getRequestApi("/api/v1/transit_data/live_transit").id).toBe(
+        "directions"
+      );
+      expect(getRequestApi(TEXT_SEARCH_URL).label).toBe("Places Text Search");
+      expect(getRequestApi("/api/v1/stops")).toBeNull();
+    });
+  });
+
+  describe("countRequestUnits", () => {
+    it("should count Distance Matrix elements", () => {
+      const api = getRequestApi(MATRIX_URL);
+      expect(
+        countRequestUnits(api, { origins: "Home", destinations: "A|B|C" })
+      ).toBe(3);
+      expect(countRequestUnits(getRequestApi(DIRECTIONS_URL), {})).toBe(1);
+    });
+  });
+
+  describe("recordRequest", () => {
+    it("should count requests by API and by stop", () => {
+      recordRequest(DIRECTIONS_URL, {}, "To HEB", now);
+      recordRequest(DIRECTIONS_URL, {}, "To HEB", now);
+      recordRequest(TEXT_SEARCH_URL, {}, undefined, now);
+      recordRequest("/api/v1/stops", {}, "To HEB", now);
+
+      const { today } = summarizeUsage(loadUsage(), now);
+      const directions = today.apis.find((api) => api.id === "directions");
+
+      expect(directions.calls).toBe(2);
+      expect(directions.costUsd).toBeCloseTo(0.01);
+      expect(today.calls).toBe(3);
+      expect(today.costUsd).toBeCloseTo(0.042);
+      expect(today.stops.map((stop) => [stop.name, stop.calls])).toEqual([
+        [UNTAGGED_STOP, 1],
+        ["To HEB", 2],
+      ]);
+    });
+
+    it("should total the month and drop days past retention", () => {
+      recordRequest(DIRECTIONS_URL, {}, "To HEB", new Date(2026, 6, 1));
+      recordRequest(DIRECTIONS_URL, {}, "To HEB", new Date(2026, 9, 2));
+      recordRequest(DIRECTIONS_URL, {}, "To HEB", now);
+
+      const summary = summarizeUsage(loadUsage(), now);
+
+      expect(summary.today.calls).toBe(1);
+      expect(summary.month.calls).toBe(2);
+      expect(Object.keys(loadUsage())).toEqual(["2026-10-02", "2026-10-19"]);
+    });
+
+    it("should notify subscribers", () => {
+      const listener = jest.fn();
+      const unsubscribe = subscribeRequestMeter(listener);
+
+      recordRequest(DIRECTIONS_URL, {}, "To HEB", now);
+      clearUsage();
+      unsubscribe();
+      recordRequest(DIRECTIONS_URL, {}, "To HEB", now);
+
+      expect(listener).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("getBudgetLevel", () => {
+    const summaryCosting = (todayUsd, monthUsd) => ({
+      today: { costUsd: todayUsd },
+      month: { costUsd: monthUsd },
+    });
+
+    it("should slow down near a budget and use the cache past it", () => {
+      const budgets = { dailyUsd: 1, monthlyUsd: 20 };
+
+      expect(getBudgetLevel(summaryCosting(0.5, 5), budgets)).toBe("ok");
+      expect(getBudgetLevel(summaryCosting(0.85, 5), budgets)).toBe("slow");
+      expect(getBudgetLevel(summaryCosting(0.2, 20), budgets)).toBe("cached");
+      expect(
+        getBudgetLevel(summaryCosting(50, 500), {
+          dailyUsd: null,
+          monthlyUsd: null,
+        })
+      ).toBe("ok");
+    });
+
+    it("should round-trip budgets, treating 0 as no budget", () => {
+      saveBudgets({ dailyUsd: 2.5, monthlyUsd: 0 });
+
+      expect(loadBudgets()).toEqual({ dailyUsd: 2.5, monthlyUsd: null });
+    });
+  });
+
+  describe("getBudgetRefreshMs", () => {
+    it("should stretch the refresh interval unless within budget", () => {
+      expect(getBudgetRefreshMs(60000, "ok")).toBe(60000);
+      expect(getBudgetRefreshMs(60000, "slow")).toBe(
+        60000 * BUDGET_SLOW_FACTOR
+      );
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import {
+  createStopError,
+  getStopError,
+  formatStopError,
+  getStopDisplayError,
+  hasRetryableStopErrors,
+  getStopRetryDelayMs,
+} from "../../utils/stopErrors";
+
+// axios error for a request that got no response
+const networkError = () =>
+  Object.assign(new Error("Network Error"), { request: {} });
+
+describe("stopErrors", () => {
+  describe("getStopError", () => {
+    it("should classify failed Google responses", () => {
+      expect(
+        getStopError({
+          status: "OVER_QUERY_LIMIT",
+          error_message: "Daily limit reached",
+        })
+      ).toEqual({
+        code: "quota",
+        message: "Google API quota or budget used up",
+        detail: "OVER_QUERY_LIMIT: Daily limit reached",
+        retryable: false,
+      });
+      expect(getStopError({ status: "ZERO_RESULTS" }).code).toBe("zeroResults");
+      expect(getStopError({ status: "REQUEST_DENIED" })).toMatchObject({
+        code: "unknown",
+        detail: "REQUEST_DENIED",
+      });
+      expect(getStopError(null).detail).toBe("No response");
+    });
+
+    it("should tell network errors from a backend that is down", () => {
+      expect(getStopError(networkError()).code).toBe("network");
+
+      const proxied = Object.assign(networkError(), {
+        proxyError: Object.assign(new Error("Request failed"), {
+          response: { status: 502 },
+        }),
+      });
+      expect(getStopError(proxied)).toMatchObject({
+        code: "backendDown",
+        detail: "Request failed",
+        retryable: true,
+      });
+    });
+
+    it("should count rate limits and spent budgets as quota errors", () => {
+      const rateLimited = Object.assign(new Error("Too many requests"), {
+        response: { status: 429 },
+      });
+      const cacheOnly = Object.assign(new Error("No cached response"), {
+        cacheOnly: true,
+      });
+
+      expect(getStopError(rateLimited).code).toBe("quota");
+      expect(getStopError(cacheOnly).code).toBe("quota");
+      expect(getStopError(new Error("Invalid stop")).code).toBe("unknown");
+    });
+  });
+
+  describe("formatStopError", () => {
+    it("should add the detail when there is one", () => {
+      expect(
+        formatStopError(createStopError("routeNotFound", "Route 801"))
+      ).toBe("Route not found in the results (Route 801)");
+      expect(formatStopError(createStopError("noApiKey"))).toBe(
+        "No Google Maps API key configured"
+      );
+    });
+  });
+
+  describe("getStopDisplayError", () => {
+    it("should only show errors for stops left without data", () => {
+      const error = createStopError("network");
+      const failed = { provenance: { source: "none", error } };
+      const fellBack = { provenance: { source: "schedule", error } };
+      const noKey = {
+        provenance: { source: "none", error: createStopError("noApiKey") },
+      };
+
+      expect(getStopDisplayError(failed)).toBe(error);
+      expect(getStopDisplayError(fellBack)).toBeNull();
+      expect(getStopDisplayError({})).toBeNull();
+      expect(hasRetryableStopErrors([fellBack, failed])).toBe(true);
+      expect(hasRetryableStopErrors([fellBack, noKey])).toBe(false);
+    });
+  });
+
+  describe("getStopRetryDelayMs", () => {
+    it("should double the delay up to the maximum", () => {
+      expect(getStopRetryDelayMs(0)).toBe(15 * 1000);
+      expect(getStopRetryDelayMs(1)).toBe(30 * 1000);
+      expect(getStopRetryDelayMs(3)).toBe(120 * 1000);
+      expect(getStopRetryDelayMs(10)).toBe(300 * 1000);
+    });
+  });
+});
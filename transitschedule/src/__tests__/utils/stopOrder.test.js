@@ -0,0 +1,127 @@
+import {
+  loadStopOrder,
+  saveStopOrder,
+  applyStopOrder,
+  moveStopInOrder,
+  getUserStopPosition,
+  pinFavoriteStops,
+  clampStopMove,
+} from "../../utils/stopOrder";
+
+const stops = [
+  { name: "Congress and Oltorf", type: "bus" },
+  { name: "To HEB", type: "walk" },
+  { id: 4, name: "Work", type: "drive" },
+  { id: 9, name: "Ferry", type: "ferry" },
+];
+
+describe("stopOrder", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe("applyStopOrder", () => {
+    it("should keep the default order without a saved order", () => {
+      expect(applyStopOrder(stops, [])).toBe(stops);
+    });
+
+    it("should sort by the saved order and append new stops", () => {
+      const sorted = applyStopOrder(stops, [
+        "stop-9",
+        "default-to-heb",
+        "stop-4",
+      ]);
+
+      expect(sorted.map((stop) => stop.name)).toEqual([
+        "Ferry",
+        "To HEB",
+        "Work",
+        "Congress and Oltorf",
+      ]);
+    });
+  });
+
+  describe("moveStopInOrder", () => {
+    it("should move a stop to its new index", () => {
+      expect(moveStopInOrder(stops, 3, 0)).toEqual([
+        "stop-9",
+        "default-congress-and-oltorf",
+        "default-to-heb",
+        "stop-4",
+      ]);
+      expect(moveStopInOrder(stops, 0, 10)).toEqual([
+        "default-to-heb",
+        "stop-4",
+        "stop-9",
+        "default-congress-and-oltorf",
+      ]);
+    });
+  });
+
+  describe("getUserStopPosition", () => {
+    it("should count only user stops", () => {
+      const sorted = applyStopOrder(stops, moveStopInOrder(stops, 3, 0));
+
+      expect(getUserStopPosition(sorted, 9)).toBe(1);
+      expect(getUserStopPosition(sorted, "4")).toBe(2);
+      expect(getUserStopPosition(sorted, 12)).toBeNull();
+    });
+  });
+
+  describe("pinFavoriteStops", () => {
+    it("should move favorites to the top in board order", () => {
+      const pinned = pinFavoriteStops([
+        stops[0],
+        { ...stops[2], favorite: true },
+        stops[1],
+        { ...stops[3], favorite: true },
+      ]);
+
+      expect(pinned.map((stop) => stop.name)).toEqual([
+        "Work",
+        "Ferry",
+        "Congress and Oltorf",
+        "To HEB",
+      ]);
+    });
+  });
+
+  describe("clampStopMove", () => {
+    it("should keep moves within the favorites or the other stops", () => {
+      // Work and Ferry are favorites, pinned first
+      const shown = [
+        { ...stops[2], favorite: true },
+        { ...stops[3], favorite: true },
+        stops[0],
+        stops[1],
+      ];
+
+      expect(clampStopMove(shown, 3, 0)).toBe(2);
+      expect(clampStopMove(shown, 2, 1)).toBe(2);
+      expect(clampStopMove(shown, 0, 3)).toBe(1);
+      expect(clampStopMove(shown, 1, 0)).toBe(0);
+      expect(clampStopMove(stops, 3, 0)).toBe(0);
+      expect(clampStopMove(shown, 7, 0)).toBe(7);
+    });
+  });
+
+  describe("loadStopOrder", () => {
+    it("should round-trip the saved order", () => {
+      saveStopOrder(["stop-9", "default-to-heb"]);
+      expect(loadStopOrder()).toEqual(["stop-9", "default-to-heb"]);
+
+      saveStopOrder([]);
+      expect(loadStopOrder()).toEqual([]);
+    });
+
+    it("should keep an order per board", () => {
+      saveStopOrder(["stop-9", "stop-4"]);
+      saveStopOrder(["stop-4", "stop-9"], 2);
+
+      expect(loadStopOrder(2)).toEqual(["stop-4", "stop-9"]);
+      // Boards without their own order start from the one saved before boards
+      expect(loadStopOrder(5)).toEqual(["stop-9", "stop-4"]);
+      expect(loadStopOrder()).toEqual(["stop-9", "stop-4"]);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+import {
+  getTargetMode,
+  parseTargetDays,
+  getNextTargetDate,
+  getDirectionsTimeParams,
+  getScheduleSearchStart,
+  calculateRecommendedDeparture,
+  formatTargetDays,
+} from "../../utils/targetTime";
+
+// Wednesday, March 4 2026, 07:00 in Austin
+const NOW = new Date("2026-03-04T07:00:00-06:00");
+const at = (time) => new Date(`2026-03-04T${time}:00-06:00`);
+
+const arriveBy = (targetTime, overrides = {}) => ({
+  name: "Downtown Station",
+  type: "bus",
+  timeZone: "America/Chicago",
+  arrival: true,
+  departure: false,
+  targetTime,
+  targetDays: null,
+  ...overrides,
+});
+
+const busTrip = (departs, arrives) => ({
+  arrivalTime: at(departs),
+  departureTime: at(departs),
+  arrivalAtNextStop: at(arrives),
+  isRealTime: false,
+});
+
+describe("targetTime", () => {
+  describe("getTargetMode", () => {
+    it("should read the arrival and departure flags", () => {
+      expect(getTargetMode(arriveBy("08:45"))).toBe("arrival");
+      expect(
+        getTargetMode(arriveBy("17:30", { arrival: false, departure: true }))
+      ).toBe("departure");
+    });
+
+    it("should leave now without a valid target time", () => {
+      expect(getTargetMode(arriveBy(null))).toBeNull();
+      expect(getTargetMode(arriveBy("25:00"))).toBeNull();
+      expect(getTargetMode({ arrival: false, targetTime: "08:45" })).toBeNull();
+    });
+  });
+
+  describe("parseTargetDays", () => {
+    it("should return weekday keys in week order", () => {
+      expect(parseTargetDays("fri,mon")).toEqual(["mon", "fri"]);
+      expect(parseTargetDays(null)).toEqual([]);
+    });
+  });
+
+  describe("getNextTargetDate", () => {
+    it("should use today's target until it has passed", () => {
+      expect(getNextTargetDate(arriveBy("08:45"), NOW)).toEqual(at("08:45"));
+      expect(getNextTargetDate(arriveBy("06:30"), NOW)).toEqual(
+        new Date("2026-03-05T06:30:00-06:00")
+      );
+    });
+
+    it("should skip days that aren't selected", () => {
+      const stop = arriveBy("08:45", { targetDays: "mon" });
+
+      expect(getNextTargetDate(stop, NOW)).toEqual(
+        new Date("2026-03-09T08:45:00-05:00")
+      );
+    });
+
+    it("should use the stop's time zone", () => {
+      const stop = arriveBy("08:45", { timeZone: "America/Los_Angeles" });
+
+      expect(getNextTargetDate(stop, NOW)).toEqual(
+        new Date("2026-03-04T08:45:00-08:00")
+      );
+    });
+  });
+
+  describe("getDirectionsTimeParams", () => {
+    it("should query by arrival or departure time", () => {
+      expect(getDirectionsTimeParams(arriveBy("08:45"), NOW)).toEqual({
+        arrival_time: at("08:45").getTime() / 1000,
+      });
+      expect(
+        getDirectionsTimeParams(
+          arriveBy("17:30", { arrival: false, departure: true }),
+          NOW
+        )
+      ).toEqual({ departure_time: at("17:30").getTime() / 1000 });
+      expect(getDirectionsTimeParams({ name: "Oltorf" }, NOW)).toEqual({
+        departure_time: "now",
+      });
+    });
+  });
+
+  describe("getScheduleSearchStart", () => {
+    it("should start searching schedules before the target", () => {
+      expect(getScheduleSearchStart(arriveBy("12:00"), NOW)).toEqual(
+        at("09:00")
+      );
+      expect(getScheduleSearchStart(arriveBy("08:45"), NOW)).toEqual(NOW);
+    });
+  });
+
+  describe("calculateRecommendedDeparture", () => {
+    const allArrivalTimes = [
+      busTrip("07:55", "08:10"),
+      busTrip("08:20", "08:35"),
+      busTrip("08:40", "08:55"),
+    ];
+
+    it("should pick the latest trip that arrives by the target", () => {
+      const plan = calculateRecommendedDeparture(
+        { ...arriveBy("08:45"), allArrivalTimes },
+        NOW
+      );
+
+      expect(plan).toEqual({
+        mode: "arrival",
+        target: at("08:45"),
+        departureTime: at("08:20"),
+        arrivalTime: at("08:35"),
+      });
+    });
+
+    it("should pick the first trip at or after a depart-at time", () => {
+      const plan = calculateRecommendedDeparture(
+        {
+          ...arriveBy("08:00", { arrival: false, departure: true }),
+          allArrivalTimes,
+        },
+        NOW
+      );
+
+      expect(plan.departureTime).toEqual(at("08:20"));
+    });
+
+    it("should leave the trip time before an arrive-by time for route stops", () => {
+      const plan = calculateRecommendedDeparture(
+        { ...arriveBy("08:45"), type: "drive", estimatedTime: "25 mins" },
+        NOW
+      );
+
+      expect(plan.departureTime).toEqual(at("08:20"));
+    });
+
+    it("should return null for leave-now stops", () => {
+      expect(
+        calculateRecommendedDeparture({ allArrivalTimes }, NOW)
+      ).toBeNull();
+    });
+  });
+
+  describe("formatTargetDays", () => {
+    it("should describe the selected days", () => {
+      expect(formatTargetDays({ targetDays: "mon,tue,wed,thu,fri" })).toBe(
+        "Mon-Fri"
+      );
+      expect(formatTargetDays({ targetDays: "sat,sun" })).toBe("Sun, Sat");
+      expect(formatTargetDays({})).toBe("daily");
+    });
+  });
+});
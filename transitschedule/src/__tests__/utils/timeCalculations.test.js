@@ -0,0 +1,188 @@
+import {
+  createNextDate,
+  findNextArrival,
+  calculateLastStopTime,
+  calculateIsWithinTwoStops,
+  countRemainingDepartures,
+} from "../../utils/timeCalculations";
+import { formatArrivalTime } from "../../utils/timeFormatters";
+
+const PACIFIC = "America/Los_Angeles";
+
+// Saved Caltrain departures from a December (PST) Directions response
+const savedEntry = (time) => ({
+  stopName: "South San Francisco",
+  arrivalTime: new Date(`2025-12-06T${time}:00-08:00`),
+  departureTime: new Date(`2025-12-06T${time}:00-08:00`),
+  lineName: "Caltrain",
+  isRealTime: false,
+});
+
+describe("timeCalculations", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe("createNextDate", () => {
+    it("should land on the same wall-clock time across the spring DST change", () => {
+      jest.setSystemTime(new Date("2026-03-07T22:00:00-08:00"));
+
+      expect(createNextDate(8 * 60 + 57, new Date(), PACIFIC)).toEqual(
+        new Date("2026-03-08T08:57:00-07:00")
+      );
+    });
+
+    it("should land on the same wall-clock time across the fall DST change", () => {
+      jest.setSystemTime(new Date("2026-10-31T22:00:00-07:00"));
+
+      expect(createNextDate(8 * 60 + 57, new Date(), PACIFIC)).toEqual(
+        new Date("2026-11-01T08:57:00-08:00")
+      );
+    });
+  });
+
+  describe("findNextArrival", () => {
+    it("should project saved times onto today in the stop's zone", () => {
+      jest.setSystemTime(new Date("2026-03-09T07:00:00-07:00"));
+      const allArrivalTimes = [savedEntry("08:57"), savedEntry("17:30")];
+
+      const nextArrival = findNextArrival(allArrivalTimes, new Date(), PACIFIC);
+
+      expect(nextArrival.arrivalTime).toEqual(
+        new Date("2026-03-09T08:57:00-07:00")
+      );
+    });
+
+    it("should roll saved times over to tomorrow across DST", () => {
+      jest.setSystemTime(new Date("2026-03-07T22:00:00-08:00"));
+      const allArrivalTimes = [savedEntry("08:57"), savedEntry("17:30")];
+
+      const nextArrival = findNextArrival(allArrivalTimes, new Date(), PACIFIC);
+
+      expect(nextArrival.arrivalTime).toEqual(
+        new Date("2026-03-08T08:57:00-07:00")
+      );
+    });
+
+    it("should use upcoming instants as they are", () => {
+      jest.setSystemTime(new Date("2026-03-08T01:50:00-08:00"));
+      // 01:55 PST and 03:05 PDT are 70 minutes apart on the wall clock but 10 in real time
+      const soon = {
+        ...savedEntry("08:57"),
+        arrivalTime: new Date("2026-03-08T03:05:00-07:00"),
+      };
+      const later = {
+        ...savedEntry("08:57"),
+        arrivalTime: new Date("2026-03-08T08:57:00-07:00"),
+      };
+
+      expect(findNextArrival([later, soon], new Date(), PACIFIC)).toBe(soon);
+    });
+
+    it("should use real-time predictions for today's trips", () => {
+      jest.setSystemTime(new Date("2026-03-09T07:00:00-07:00"));
+      const predicted = {
+        ...savedEntry("08:57"),
+        arrivalTime: new Date("2026-03-09T09:01:00-07:00"),
+        predictedTime: new Date("2026-03-09T09:01:00-07:00"),
+        isRealTime: true,
+      };
+
+      expect(
+        findNextArrival([savedEntry("08:57"), predicted], new Date(), PACIFIC)
+      ).toBe(predicted);
+    });
+
+    it("should not let a later predicted trip hide an earlier departure", () => {
+      jest.setSystemTime(new Date("2026-03-09T07:00:00-07:00"));
+      const scheduled = {
+        ...savedEntry("08:30"),
+        arrivalTime: new Date("2026-03-09T08:30:00-07:00"),
+        scheduledTime: new Date("2026-03-09T08:30:00-07:00"),
+        predictedTime: null,
+      };
+      const predicted = {
+        ...savedEntry("08:57"),
+        arrivalTime: new Date("2026-03-09T09:03:00-07:00"),
+        scheduledTime: new Date("2026-03-09T08:57:00-07:00"),
+        predictedTime: new Date("2026-03-09T09:03:00-07:00"),
+        delaySeconds: 360,
+        isRealTime: true,
+      };
+
+      expect(findNextArrival([predicted, scheduled], new Date(), PACIFIC)).toBe(
+        scheduled
+      );
+    });
+
+    it("should skip trips whose predicted time has passed", () => {
+      jest.setSystemTime(new Date("2026-03-09T08:58:00-07:00"));
+      const departed = {
+        ...savedEntry("09:00"),
+        arrivalTime: new Date("2026-03-09T08:55:00-07:00"),
+        predictedTime: new Date("2026-03-09T08:55:00-07:00"),
+        isRealTime: true,
+      };
+      const next = {
+        ...savedEntry("09:30"),
+        arrivalTime: new Date("2026-03-09T09:30:00-07:00"),
+      };
+
+      expect(findNextArrival([departed, next], new Date(), PACIFIC)).toBe(next);
+    });
+  });
+
+  describe("calculateLastStopTime", () => {
+    it("should find the last departure in the stop's zone", () => {
+      jest.setSystemTime(new Date("2026-03-08T07:00:00-07:00"));
+      const allArrivalTimes = [
+        savedEntry("06:00"),
+        savedEntry("12:00"),
+        savedEntry("18:00"),
+      ];
+      const now = new Date();
+      const nextArrival = findNextArrival(allArrivalTimes, now, PACIFIC);
+
+      const lastStopTime = calculateLastStopTime(
+        allArrivalTimes,
+        nextArrival,
+        now,
+        PACIFIC
+      );
+
+      expect(lastStopTime).toEqual(new Date("2026-03-08T18:00:00-07:00"));
+      expect(
+        calculateIsWithinTwoStops(
+          nextArrival,
+          lastStopTime,
+          allArrivalTimes,
+          PACIFIC
+        )
+      ).toBe(true);
+      expect(
+        countRemainingDepartures(
+          nextArrival,
+          lastStopTime,
+          allArrivalTimes,
+          PACIFIC
+        )
+      ).toBe(2);
+    });
+  });
+
+  describe("formatArrivalTime", () => {
+    it("should format in the requested zone", () => {
+      const time = new Date("2026-03-08T15:57:00Z");
+
+      expect(formatArrivalTime(time, PACIFIC)).toBe("8:57 AM");
+      expect(formatArrivalTime(time, "America/Chicago")).toBe("10:57 AM");
+      expect(formatArrivalTime(time, PACIFIC, { showZone: true })).toBe(
+        "8:57 AM PDT"
+      );
+    });
+  });
+});
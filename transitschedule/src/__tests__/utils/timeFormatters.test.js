@@ -0,0 +1,47 @@
+import {
+  formatDelay,
+  formatLeaveCountdown,
+  formatTrafficDelay,
+} from "../../utils/timeFormatters";
+
+describe("timeFormatters", () => {
+  describe("formatDelay", () => {
+    it("should format late, early and on-time delays", () => {
+      expect(formatDelay(240)).toBe("+4 min late");
+      expect(formatDelay(20)).toBe("on time");
+      expect(formatDelay(-120)).toBe("2 min early");
+    });
+
+    it("should return an empty string when there is no prediction", () => {
+      expect(formatDelay(null)).toBe("");
+      expect(formatDelay(undefined)).toBe("");
+    });
+  });
+
+  describe("formatLeaveCountdown", () => {
+    it("should format the countdown for each leave state", () => {
+      expect(
+        formatLeaveCountdown({ status: "green", leaveInSeconds: 725 })
+      ).toBe("Leave in 12:05");
+      expect(
+        formatLeaveCountdown({ status: "green", leaveInSeconds: 3900 })
+      ).toBe("Leave in 1h 05m");
+      expect(
+        formatLeaveCountdown({ status: "hurry", leaveInSeconds: -30 })
+      ).toBe("Leave now!");
+      expect(formatLeaveCountdown({ status: "missed" })).toBe(
+        "Missed last departure"
+      );
+      expect(formatLeaveCountdown(null)).toBe("");
+    });
+  });
+
+  describe("formatTrafficDelay", () => {
+    it("should format traffic delays against the typical time", () => {
+      expect(formatTrafficDelay(720)).toBe("+12 min traffic");
+      expect(formatTrafficDelay(10)).toBe("no traffic delay");
+      expect(formatTrafficDelay(-180)).toBe("3 min faster");
+      expect(formatTrafficDelay(null)).toBe("");
+    });
+  });
+});
@@ -0,0 +1,174 @@
+import {
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToDate,
+  getZonedServiceDate,
+  serviceTimeToDate,
+  addZonedDays,
+  getTimeZoneForAddress,
+  resolveStopTimeZone,
+} from "../../utils/timeZones";
+
+// US DST 2026: starts Sunday March 8 at 2:00, ends Sunday November 1 at 2:00
+describe("timeZones", () => {
+  describe("isValidTimeZone", () => {
+    it("should accept IANA zones and reject anything else", () => {
+      expect(isValidTimeZone("America/Los_Angeles")).toBe(true);
+      expect(isValidTimeZone("Central Time")).toBe(false);
+      expect(isValidTimeZone("")).toBe(false);
+      expect(isValidTimeZone(null)).toBe(false);
+    });
+  });
+
+  describe("getZonedParts", () => {
+    it("should read wall-clock parts in the given zone", () => {
+      const instant = new Date("2026-03-08T16:57:00Z");
+
+      expect(getZonedParts(instant, "America/Los_Angeles")).toMatchObject({
+        year: 2026,
+        month: 3,
+        day: 8,
+        hour: 9,
+        minute: 57,
+        weekday: 0,
+      });
+      expect(getZonedParts(instant, "America/Chicago").hour).toBe(11);
+    });
+  });
+
+  describe("getTimeZoneOffset", () => {
+    it("should follow DST", () => {
+      expect(
+        getTimeZoneOffset(new Date("2026-01-15T12:00:00Z"), "America/Chicago")
+      ).toBe(-360);
+      expect(
+        getTimeZoneOffset(new Date("2026-07-15T12:00:00Z"), "America/Chicago")
+      ).toBe(-300);
+    });
+  });
+
+  describe("zonedTimeToDate", () => {
+    it("should convert wall-clock times to instants", () => {
+      expect(
+        zonedTimeToDate(
+          { year: 2026, month: 1, day: 15, hour: 8 },
+          "America/Chicago"
+        )
+      ).toEqual(new Date("2026-01-15T08:00:00-06:00"));
+      expect(
+        zonedTimeToDate(
+          { year: 2026, month: 7, day: 15, hour: 8 },
+          "America/Los_Angeles"
+        )
+      ).toEqual(new Date("2026-07-15T08:00:00-07:00"));
+    });
+
+    it("should move times skipped by DST forward", () => {
+      expect(
+        zonedTimeToDate(
+          { year: 2026, month: 3, day: 8, hour: 2, minute: 30 },
+          "America/Chicago"
+        )
+      ).toEqual(new Date("2026-03-08T03:30:00-05:00"));
+    });
+
+    it("should resolve repeated times to the first occurrence", () => {
+      expect(
+        zonedTimeToDate(
+          { year: 2026, month: 11, day: 1, hour: 1, minute: 30 },
+          "America/Chicago"
+        )
+      ).toEqual(new Date("2026-11-01T01:30:00-05:00"));
+    });
+
+    it("should roll overflowing fields into the next day", () => {
+      expect(
+        zonedTimeToDate(
+          { year: 2026, month: 3, day: 7, hour: 25, minute: 10 },
+          "America/Los_Angeles"
+        )
+      ).toEqual(new Date("2026-03-08T01:10:00-08:00"));
+    });
+  });
+
+  describe("serviceTimeToDate", () => {
+    it("should keep daytime schedule times on DST change days", () => {
+      const springForward = getZonedServiceDate(
+        new Date("2026-03-08T12:00:00-05:00"),
+        "America/Chicago"
+      );
+      const fallBack = getZonedServiceDate(
+        new Date("2026-11-01T12:00:00-06:00"),
+        "America/Chicago"
+      );
+
+      expect(
+        serviceTimeToDate(springForward, 8 * 3600, "America/Chicago")
+      ).toEqual(new Date("2026-03-08T08:00:00-05:00"));
+      expect(serviceTimeToDate(fallBack, 8 * 3600, "America/Chicago")).toEqual(
+        new Date("2026-11-01T08:00:00-06:00")
+      );
+    });
+
+    it("should use the service day in the schedule's zone", () => {
+      // 23:30 in Los Angeles is already the next day in Chicago
+      const now = new Date("2026-03-04T23:30:00-08:00");
+
+      const serviceDate = getZonedServiceDate(now, "America/Los_Angeles");
+
+      expect(serviceDate.getDate()).toBe(4);
+      expect(
+        serviceTimeToDate(serviceDate, 25 * 3600, "America/Los_Angeles")
+      ).toEqual(new Date("2026-03-05T01:00:00-08:00"));
+    });
+  });
+
+  describe("addZonedDays", () => {
+    it("should keep the wall-clock time across DST", () => {
+      expect(
+        addZonedDays(
+          new Date("2026-03-07T08:00:00-06:00"),
+          1,
+          "America/Chicago"
+        )
+      ).toEqual(new Date("2026-03-08T08:00:00-05:00"));
+    });
+  });
+
+  describe("getTimeZoneForAddress", () => {
+    it("should derive zones from state abbreviations", () => {
+      expect(
+        getTimeZoneForAddress("South San Francisco Caltrain Station, CA")
+      ).toBe("America/Los_Angeles");
+      expect(getTimeZoneForAddress("2215 post rd austin tx 78704")).toBe(
+        "America/Chicago"
+      );
+      expect(getTimeZoneForAddress("Seattle, WA 98101, USA")).toBe(
+        "America/Los_Angeles"
+      );
+      expect(getTimeZoneForAddress("barton springs pool")).toBeNull();
+    });
+  });
+
+  describe("resolveStopTimeZone", () => {
+    it("should prefer the stop's zone, then its addresses, then the default", () => {
+      expect(
+        resolveStopTimeZone({
+          timeZone: "America/Denver",
+          origin: "Orcas Island, WA",
+        })
+      ).toBe("America/Denver");
+      expect(
+        resolveStopTimeZone({
+          timeZone: "Pacific",
+          origin: "anacortes",
+          location: "Anacortes, WA",
+        })
+      ).toBe("America/Los_Angeles");
+      expect(resolveStopTimeZone({ origin: "anacortes" })).toBe(
+        "America/Chicago"
+      );
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import {
+  registerTransitType,
+  getTransitType,
+  getTransitTypes,
+  getTransitTypeLabel,
+  isRouteType,
+  createStopConfig,
+  fetchStopData,
+  processStopResponse,
+} from "../../utils/transitTypeRegistry";
+
+describe("transitTypeRegistry", () => {
+  const scooterFetcher = jest.fn();
+  const scooterProcessor = jest.fn();
+
+  beforeAll(() => {
+    registerTransitType({
+      type: "scooter",
+      label: "SCOOTER",
+      category: "route",
+      fetcher: scooterFetcher,
+      processor: scooterProcessor,
+      defaultConfig: { mode: "bicycling" },
+      formFields: ["destination"],
+    });
+    registerTransitType({
+      type: "lightrail",
+      category: "transit",
+      fetcher: jest.fn(),
+      defaultConfig: {
+        origin: "Downtown Station, Austin, TX",
+        destination: "Lakeline Station, Austin, TX",
+        routeFilter: "550",
+        transitMode: "rail",
+      },
+      formFields: ["origin", "destination"],
+    });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("registerTransitType", () => {
+    it("should reject definitions without a type or fetcher", () => {
+      expect(() => registerTransitType({ fetcher: jest.fn() })).toThrow();
+      expect(() => registerTransitType({ type: "blimp" })).toThrow();
+    });
+
+    it("should fill in defaults for optional fields", () => {
+      const lightRail = getTransitType("lightrail");
+
+      expect(lightRail.label).toBe("LIGHTRAIL");
+      expect(lightRail.processor).toBeNull();
+    });
+
+    it("should list types in registration order", () => {
+      const types = getTransitTypes().map((definition) => definition.type);
+
+      expect(types.indexOf("scooter")).toBeLessThan(types.indexOf("lightrail"));
+    });
+  });
+
+  describe("lookups", () => {
+    it("should return labels and categories for registered types", () => {
+      expect(getTransitTypeLabel("scooter")).toBe("SCOOTER");
+      expect(isRouteType("scooter")).toBe(true);
+      expect(isRouteType("lightrail")).toBe(false);
+    });
+
+    it("should fall back for unknown types", () => {
+      expect(getTransitType("blimp")).toBeNull();
+      expect(getTransitTypeLabel("blimp")).toBe("BLIMP");
+      expect(isRouteType("blimp")).toBe(false);
+    });
+  });
+
+  describe("createStopConfig", () => {
+    it("should use home address as origin for route types", () => {
+      const config = createStopConfig(
+        { name: "Zilker", transit_type: "scooter", destination: "Zilker Park" },
+        "2215 post rd austin tx 78704"
+      );
+
+      expect(config).toMatchObject({
+        name: "Zilker",
+        type: "scooter",
+        origin: "2215 post rd austin tx 78704",
+        destination: "Zilker Park",
+        mode: "bicycling",
+      });
+    });
+
+    it("should route transit stops from the stop to the default destination", () => {
+      const config = createStopConfig(
+        { transit_type: "lightrail", destination: "Kramer Station, Austin, TX" },
+        "2215 post rd austin tx 78704"
+      );
+
+      expect(config).toMatchObject({
+        origin: "Kramer Station, Austin, TX",
+        destination: "Lakeline Station, Austin, TX",
+        routeFilter: "550",
+        transitMode: "rail",
+      });
+    });
+  });
+
+  describe("dispatch", () => {
+    it("should call the registered fetcher", async () => {
+      const stopConfig = { name: "Zilker", type: "scooter" };
+      scooterFetcher.mockResolvedValue({
+        name: "Zilker",
+        type: "scooter",
+        estimatedTime: "7 min",
+      });
+
+      const result = await fetchStopData(stopConfig, "test-api-key");
+
+      expect(scooterFetcher).toHaveBeenCalledWith(stopConfig, "test-api-key");
+      expect(result).toMatchObject({ type: "scooter", estimatedTime: "7 min" });
+    });
+
+    it("should call the registered processor", () => {
+      const stopConfig = { name: "Zilker", type: "scooter" };
+      const response = { status: "OK", routes: [] };
+
+      processStopResponse(stopConfig, response);
+
+      expect(scooterProcessor).toHaveBeenCalledWith(stopConfig, response);
+    });
+
+    it("should return null for unknown types", async () => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+
+      expect(await fetchStopData({ type: "blimp" }, "test-api-key")).toBeNull();
+      expect(processStopResponse({ type: "lightrail" }, {})).toBeNull();
+
+      console.error.mockRestore();
+    });
+  });
+});
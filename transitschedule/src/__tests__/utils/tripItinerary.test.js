@@ -0,0 +1,136 @@
+import {
+  parseTripRoute,
+  parseTripItineraries,
+  getTripLineNames,
+  isTightTransfer,
+} from "../../utils/tripItinerary";
+
+// 08:00 Pacific on Wednesday, March 4 2026
+const BASE = Date.UTC(2026, 2, 4, 16, 0) / 1000;
+const timeAt = (minutes) => ({
+  value: BASE + minutes * 60,
+  text: "",
+  time_zone: "America/Los_Angeles",
+});
+const dateAt = (minutes) => new Date((BASE + minutes * 60) * 1000);
+
+const walkStep = (minutes) => ({
+  travel_mode: "WALKING",
+  duration: { value: minutes * 60 },
+});
+
+const transitStep = (lineName, vehicleType, departs, arrives, stops) => ({
+  travel_mode: "TRANSIT",
+  duration: { value: (arrives - departs) * 60 },
+  transit_details: {
+    line: { short_name: lineName, vehicle: { type: vehicleType } },
+    headsign: "Northbound",
+    departure_stop: { name: stops[0] },
+    arrival_stop: { name: stops[1] },
+    departure_time: timeAt(departs),
+    arrival_time: timeAt(arrives),
+    num_stops: 5,
+  },
+});
+
+// Walk 6 min → 801 at 8:12 → walk 3 min → Caltrain at 8:40 → walk 2 min
+const commuteRoute = (offset = 0, trainDeparts = 40) => ({
+  legs: [
+    {
+      departure_time: timeAt(offset + 6),
+      arrival_time: timeAt(offset + 72),
+      duration: { value: 66 * 60 },
+      steps: [
+        walkStep(4),
+        walkStep(2),
+        transitStep("801", "BUS", offset + 12, offset + 30, [
+          "Congress & Oltorf",
+          "Downtown Station",
+        ]),
+        walkStep(3),
+        transitStep(
+          "Caltrain",
+          "HEAVY_RAIL",
+          offset + trainDeparts,
+          offset + 70,
+          ["Downtown Station", "San Francisco Caltrain Station"]
+        ),
+        walkStep(2),
+      ],
+    },
+  ],
+});
+
+describe("tripItinerary", () => {
+  describe("parseTripRoute", () => {
+    it("should keep every leg with its times", () => {
+      const itinerary = parseTripRoute(commuteRoute());
+
+      expect(itinerary.legs.map((leg) => leg.mode)).toEqual([
+        "walk",
+        "bus",
+        "walk",
+        "train",
+        "walk",
+      ]);
+      expect(itinerary.legs[0]).toMatchObject({
+        durationSeconds: 6 * 60,
+        departureTime: dateAt(6),
+        arrivalTime: dateAt(12),
+      });
+      expect(itinerary.legs[1]).toMatchObject({
+        lineName: "801",
+        departureStop: "Congress & Oltorf",
+        departureTime: dateAt(12),
+        arrivalTime: dateAt(30),
+      });
+      expect(itinerary.legs[4].arrivalTime).toEqual(dateAt(72));
+    });
+
+    it("should compute transfer slack and the end-to-end arrival", () => {
+      const itinerary = parseTripRoute(commuteRoute());
+
+      // 10 minutes between the bus arriving and the train leaving, 3 of them walking
+      expect(itinerary.legs[3].transferSlackSeconds).toBe(7 * 60);
+      expect(itinerary.minTransferSlackSeconds).toBe(7 * 60);
+      expect(itinerary.transfers).toBe(1);
+      expect(itinerary.departureTime).toEqual(dateAt(6));
+      expect(itinerary.arrivalTime).toEqual(dateAt(72));
+      expect(itinerary.timeZone).toBe("America/Los_Angeles");
+    });
+
+    it("should flag tight transfers", () => {
+      const itinerary = parseTripRoute(commuteRoute(0, 34));
+
+      expect(itinerary.minTransferSlackSeconds).toBe(60);
+      expect(isTightTransfer(itinerary.minTransferSlackSeconds)).toBe(true);
+      expect(isTightTransfer(7 * 60)).toBe(false);
+      expect(isTightTransfer(null)).toBe(false);
+    });
+
+    it("should skip routes without transit", () => {
+      expect(parseTripRoute({ legs: [{ steps: [walkStep(30)] }] })).toBeNull();
+    });
+  });
+
+  describe("parseTripItineraries", () => {
+    it("should sort itineraries and drop duplicates", () => {
+      const itineraries = parseTripItineraries({
+        status: "OK",
+        routes: [commuteRoute(30), commuteRoute(), commuteRoute()],
+      });
+
+      expect(itineraries).toHaveLength(2);
+      expect(itineraries[0].departureTime).toEqual(dateAt(6));
+      expect(getTripLineNames(itineraries[0].legs)).toEqual([
+        "801",
+        "Caltrain",
+      ]);
+    });
+
+    it("should return nothing for failed responses", () => {
+      expect(parseTripItineraries({ status: "ZERO_RESULTS" })).toEqual([]);
+      expect(parseTripItineraries(null)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from "react";
+import {
+  summarizeUsage,
+  loadBudgets,
+  saveBudgets,
+  clearUsage,
+  getBudgetLevel,
+  subscribeRequestMeter,
+} from "../utils/requestMeter";
+import { BUDGET_SLOW_FACTOR } from "../utils/constants";
+import "./ApiUsage.css";
+
+const BUDGET_STATUS = {
+  ok: "Within budget.",
+  slow: `Nearing a budget: the board refreshes ${BUDGET_SLOW_FACTOR}x less often.`,
+  cached:
+    "Budget reached: the board shows cached and saved data instead of calling Google.",
+};
+
+const formatUsd = (value) => `$${value.toFixed(2)}`;
+
+/**
+ * ApiUsage Component
+ *
+ * Modal showing the Google requests this device made today and this month,
+ * by API and by stop, with estimated costs, and the daily and monthly
+ * budgets that slow the board down or switch it to cached data.
+ *
+ * @param {Function} onClose - Closes the modal
+ */
+const ApiUsage = ({ onClose }) => {
+  const [summary, setSummary] = useState(() => summarizeUsage());
+  const [budgets, setBudgets] = useState(loadBudgets);
+  const [period, setPeriod] = useState("today");
+
+  // Follow requests made while the panel is open
+  useEffect(
+    () =>
+      subscribeRequestMeter(() => {
+        setSummary(summarizeUsage());
+        setBudgets(loadBudgets());
+      }),
+    []
+  );
+
+  const handleBudgetChange = (name, value) => {
+    const amount = parseFloat(value);
+    saveBudgets({ ...budgets, [name]: amount > 0 ? amount : null });
+  };
+
+  const handleReset = () => {
+    if (window.confirm("Clear all recorded API usage on this device?")) {
+      clearUsage();
+    }
+  };
+
+  const totals = summary[period];
+  const level = getBudgetLevel(summary, budgets);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="api-usage-modal" onClick={(e) => e.stopPropagation()}>
+        <h2 className="api-usage-title">API Usage</h2>
+
+        <div className="api-usage-periods">
+          <button
+            className={period === "today" ? "api-usage-period-on" : ""}
+            onClick={() => setPeriod("today")}
+          >
+            Today
+          </button>
+          <button
+            className={period === "month" ? "api-usage-period-on" : ""}
+            onClick={() => setPeriod("month")}
+          >
+            This Month
+          </button>
+        </div>
+
+        <table className="api-usage-table">
+          <thead>
+            <tr>
+              <th>API</th>
+              <th>Calls</th>
+              <th>Est. Cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {totals.apis.map((api) => (
+              <tr key={api.id}>
+                <td>{api.label}</td>
+                <td>{api.calls}</td>
+                <td>{formatUsd(api.costUsd)}</td>
+              </tr>
+            ))}
+            <tr className="api-usage-total">
+              <td>Total</td>
+              <td>{totals.calls}</td>
+              <td>{formatUsd(totals.costUsd)}</td>
+            </tr>
+          </tbody>
+        </table>
+
+        {totals.stops.length > 0 && (
+          <table className="api-usage-table">
+            <thead>
+              <tr>
+                <th>Stop</th>
+                <th>Calls</th>
+                <th>Est. Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {totals.stops.map((stop) => (
+                <tr key={stop.name}>
+                  <td>{stop.name}</td>
+                  <td>{stop.calls}</td>
+                  <td>{formatUsd(stop.costUsd)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div className="api-usage-budgets">
+          <label>
+            Daily budget ($)
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              defaultValue={budgets.dailyUsd ?? ""}
+              placeholder="None"
+              onChange={(e) => handleBudgetChange("dailyUsd", e.target.value)}
+            />
+          </label>
+          <label>
+            Monthly budget ($)
+            <input
+              type="number"
+              min="0"
+              step="1"
+              defaultValue={budgets.monthlyUsd ?? ""}
+              placeholder="None"
+              onChange={(e) => handleBudgetChange("monthlyUsd", e.target.value)}
+            />
+          </label>
+        </div>
+
+        <div className={`api-usage-text api-usage-level-${level}`}>
+          {BUDGET_STATUS[level]}
+        </div>
+        <div className="api-usage-text">
+          Counts this device's requests that reached Google; cached responses
+          are free. Costs are estimates from list prices.
+        </div>
+
+        <div className="api-usage-buttons">
+          <button onClick={handleReset} className="api-usage-reset">
+            Reset
+          </button>
+          <button onClick={onClose} className="api-usage-close">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ApiUsage;
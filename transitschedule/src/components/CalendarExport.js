@@ -0,0 +1,167 @@
+import React, { useState } from "react";
+import {
+  downloadStopCalendar,
+  getCalendarFeed,
+  subscribeStopCalendar,
+  unsubscribeStopCalendar,
+} from "../services/calendarService";
+import { calculateRecommendedDeparture } from "../utils/targetTime";
+import { CALENDAR_EXPORT_DAYS } from "../utils/constants";
+import "./CalendarExport.css";
+
+/**
+ * Describe what a stop's calendar will contain
+ *
+ * @param {Object} stop - Stop data
+ * @returns {string} - Summary text
+ */
+const describeExport = (stop) => {
+  if (calculateRecommendedDeparture(stop)) {
+    return "Your planned trip, from the time to leave home until you arrive.";
+  }
+  if (stop.type === "ferry") {
+    return `Every sailing for the next ${CALENDAR_EXPORT_DAYS} days.`;
+  }
+  return "The upcoming departures on the board.";
+};
+
+/**
+ * CalendarExport Component
+ *
+ * Modal that exports a stop's departures (or planned trip) to a calendar:
+ * download an .ics file, or publish a feed calendar apps subscribe to and
+ * keep up to date. Each event has a reminder at the leave-home time.
+ *
+ * @param {Object} stop - Stop data
+ * @param {number} leaveBufferMinutes - Leave buffer for the reminders
+ * @param {Function} onClose - Closes the modal
+ */
+const CalendarExport = ({ stop, leaveBufferMinutes, onClose }) => {
+  const [feed, setFeed] = useState(() => getCalendarFeed(stop));
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const run = async (task) => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      await task();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || "Export failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDownload = () =>
+    run(async () => {
+      const count = await downloadStopCalendar(stop, {
+        bufferMinutes: leaveBufferMinutes,
+      });
+      setMessage(
+        count > 0
+          ? `Exported ${count} events`
+          : "No upcoming departures to export"
+      );
+    });
+
+  const handleSubscribe = () =>
+    run(async () => {
+      setFeed(
+        await subscribeStopCalendar(stop, { bufferMinutes: leaveBufferMinutes })
+      );
+    });
+
+  const handleUnsubscribe = () =>
+    run(async () => {
+      await unsubscribeStopCalendar(stop);
+      setFeed(null);
+    });
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url);
+      setMessage("Feed URL copied");
+    } catch (err) {
+      setError("Could not copy the URL");
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="calendar-export-modal"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="calendar-export-title">Add to Calendar</h2>
+        <div className="calendar-export-text">{stop.name}</div>
+        <div className="calendar-export-text">{describeExport(stop)}</div>
+
+        <button
+          onClick={handleDownload}
+          className="calendar-export-button"
+          disabled={busy}
+        >
+          Download .ics
+        </button>
+
+        {stop.id && !feed && (
+          <button
+            onClick={handleSubscribe}
+            className="calendar-export-button"
+            disabled={busy}
+          >
+            Publish feed
+          </button>
+        )}
+
+        {feed && (
+          <div className="calendar-export-feed">
+            <div className="calendar-export-text">
+              Subscribed feed, updated after each refresh:
+            </div>
+            <input
+              type="text"
+              readOnly
+              value={feed.url}
+              className="calendar-export-url"
+              onFocus={(e) => e.target.select()}
+            />
+            <div className="calendar-export-feed-buttons">
+              <a href={feed.webcalUrl} className="calendar-export-button">
+                Subscribe
+              </a>
+              <button
+                onClick={handleCopy}
+                className="calendar-export-button"
+                disabled={busy}
+              >
+                Copy URL
+              </button>
+              <button
+                onClick={handleUnsubscribe}
+                className="calendar-export-button"
+                disabled={busy}
+              >
+                Stop feed
+              </button>
+            </div>
+          </div>
+        )}
+
+        {message && <div className="calendar-export-text">{message}</div>}
+        {error && <div className="calendar-export-error">{error}</div>}
+
+        <div className="calendar-export-buttons">
+          <button onClick={onClose} className="calendar-export-close">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarExport;
@@ -1,6 +1,7 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { useAppDispatch, useAppSelector } from "../store/hooks";
 import { createAccount as createAccountAction, selectAuthError, selectAuthLoading } from "../store/slices/authSlice";
+import { fetchStopTemplates } from "../services/stopTemplateService";
 import "./AuthForms.css";
 
 const CreateAccountForm = ({ onSignupSuccess, onSwitchToLogin }) => {
@@ -13,10 +14,30 @@ const CreateAccountForm = ({ onSignupSuccess, onSwitchToLogin }) => {
     email: "",
     password: "",
     passwordConfirmation: "",
+    // Left unset (the backend's default template) if templates don't load
+    stopTemplateId: undefined,
   });
+  const [stopTemplates, setStopTemplates] = useState([]);
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
 
+  // Load the stop sets a new account can start with, first one selected
+  useEffect(() => {
+    fetchStopTemplates()
+      .then((templates) => {
+        setStopTemplates(templates);
+        setFormData((current) => ({
+          ...current,
+          stopTemplateId: templates.length > 0 ? String(templates[0].id) : "",
+        }));
+      })
+      .catch(() => setStopTemplates([]));
+  }, []);
+
+  const selectedTemplate = stopTemplates.find(
+    (template) => String(template.id) === formData.stopTemplateId
+  );
+
   const handleChange = (field, value) => {
     setFormData({ ...formData, [field]: value });
     setError(""); // Clear error when user types
@@ -40,6 +61,7 @@ const CreateAccountForm = ({ onSignupSuccess, onSwitchToLogin }) => {
         email: formData.email,
         password: formData.password,
         passwordConfirmation: formData.passwordConfirmation,
+        stopTemplateId: formData.stopTemplateId,
       }));
       
       if (createAccountAction.fulfilled.match(result)) {
@@ -105,6 +127,26 @@ const CreateAccountForm = ({ onSignupSuccess, onSwitchToLogin }) => {
             required
           />
         </div>
+        {stopTemplates.length > 0 && (
+          <div className="edit-form-field">
+            <label>Starting Stops:</label>
+            <select
+              value={formData.stopTemplateId}
+              onChange={(e) => handleChange("stopTemplateId", e.target.value)}
+              className="edit-form-input"
+            >
+              {stopTemplates.map((template) => (
+                <option key={template.id} value={String(template.id)}>
+                  {template.name} ({template.stops.length} stops)
+                </option>
+              ))}
+              <option value="">No stops</option>
+            </select>
+            {selectedTemplate?.description && (
+              <div className="auth-hint">{selectedTemplate.description}</div>
+            )}
+          </div>
+        )}
         <div className="edit-form-buttons">
           <button
             type="button"
@@ -1,12 +1,42 @@
 import React, { useState } from "react";
+import {
+  DISPLAY_TIME_ZONES,
+  BOARD_LAYOUTS,
+  DEFAULT_REFRESH_MINUTES,
+} from "../utils/constants";
+import { getLocalTimeZone } from "../utils/timeZones";
 import "./EditHomeForm.css";
 
+const STOP_TIME_ZONE_LABEL = "Each stop's local time";
+
 /**
  * EditHomeForm Component
  *
- * Modal form for editing home address and page title
+ * Modal form for editing home address, page title, the time zone the
+ * board displays times in and the buffer used by "leave in" countdowns.
+ * With boards, the name and address are the board's name and origin, and
+ * the board's layout, refresh interval and kiosk URL are edited here too;
+ * the same form creates new boards.
+ *
+ * @param {Object|null} board - Board being edited (null without boards or for a new board)
+ * @param {boolean} isNewBoard - Whether the form creates a board
+ * @param {string|null} kioskUrl - URL a wall display opens to show the board
+ * @param {Function} onRegenerateKioskUrl - Replaces the board's kiosk URL
+ * @param {Function} onDeleteBoard - Deletes the board (omit to hide the button)
  */
-const EditHomeForm = ({ homeAddress, pageTitle, onClose, onReview }) => {
+const EditHomeForm = ({
+  homeAddress,
+  pageTitle,
+  displayTimeZone,
+  leaveBufferMinutes,
+  board = null,
+  isNewBoard = false,
+  kioskUrl = null,
+  onRegenerateKioskUrl,
+  onDeleteBoard,
+  onClose,
+  onReview,
+}) => {
   // Parse home address - format is typically "street city state zip"
   const parseAddress = (addr) => {
     if (!addr)
@@ -64,35 +94,108 @@ const EditHomeForm = ({ homeAddress, pageTitle, onClose, onReview }) => {
     return { address1: addr, address2: "", city: "", state: "", zip: "" };
   };
 
-  const parsed = parseAddress(homeAddress);
+  const isBoard = Boolean(board) || isNewBoard;
+  const originalName = isNewBoard ? "" : board ? board.name : pageTitle;
+  const originalAddress = isNewBoard ? "" : homeAddress;
+  const originalLayout = board?.layout || BOARD_LAYOUTS[0];
+  const originalRefreshMinutes = String(
+    board?.refresh_minutes ?? DEFAULT_REFRESH_MINUTES
+  );
+
+  const parsed = parseAddress(originalAddress);
   const [formData, setFormData] = useState({
-    name: pageTitle || "",
+    name: originalName || "",
     address1: parsed.address1,
     address2: parsed.address2,
     city: parsed.city,
     state: parsed.state,
     zip: parsed.zip,
+    timeZone: displayTimeZone || "",
+    leaveBufferMinutes: String(leaveBufferMinutes ?? ""),
+    layout: originalLayout,
+    refreshMinutes: originalRefreshMinutes,
   });
+  const [kioskMessage, setKioskMessage] = useState(null);
+
+  // Offer the viewer's own zone even if it isn't in the common list
+  const localTimeZone = getLocalTimeZone();
+  const timeZoneOptions = DISPLAY_TIME_ZONES.includes(localTimeZone)
+    ? DISPLAY_TIME_ZONES
+    : [localTimeZone, ...DISPLAY_TIME_ZONES];
+
+  let formTitle = "Edit Home Address";
+  if (isNewBoard) formTitle = "New Board";
+  else if (board) formTitle = "Edit Board";
 
   const handleChange = (field, value) => {
     setFormData({ ...formData, [field]: value });
   };
 
+  const handleCopyKioskUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(kioskUrl);
+      setKioskMessage("Kiosk URL copied");
+    } catch (err) {
+      setKioskMessage("Could not copy the URL");
+    }
+  };
+
   const handleReview = () => {
-    const fullAddress = `${formData.address1}${
-      formData.address2 ? " " + formData.address2 : ""
-    }, ${formData.city}, ${formData.state} ${formData.zip}`.trim();
+    // A board may leave its origin blank (the app's default home is used)
+    const fullAddress = formData.address1
+      ? `${formData.address1}${
+          formData.address2 ? " " + formData.address2 : ""
+        }, ${formData.city}, ${formData.state} ${formData.zip}`.trim()
+      : "";
     const changes = {};
-    if (formData.name !== pageTitle) {
-      changes.name = { from: pageTitle, to: formData.name };
+    if (isBoard && !formData.name.trim()) {
+      alert("Board name is required");
+      return;
+    }
+    if (formData.name !== originalName) {
+      changes.name = { from: originalName, to: formData.name };
+    }
+    if (fullAddress !== originalAddress) {
+      changes.address = { from: originalAddress, to: fullAddress };
+    }
+    if (formData.timeZone !== (displayTimeZone || "")) {
+      changes.timeZone = {
+        from: displayTimeZone || STOP_TIME_ZONE_LABEL,
+        to: formData.timeZone || STOP_TIME_ZONE_LABEL,
+      };
+    }
+
+    if (formData.leaveBufferMinutes !== String(leaveBufferMinutes ?? "")) {
+      const minutes = parseInt(formData.leaveBufferMinutes, 10);
+      if (!(minutes >= 0)) {
+        alert("Leave buffer must be a number of minutes");
+        return;
+      }
+      changes.leaveBufferMinutes = {
+        from: `${leaveBufferMinutes} min`,
+        to: `${minutes} min`,
+      };
+    }
+
+    if (isBoard && formData.layout !== originalLayout) {
+      changes.layout = { from: originalLayout, to: formData.layout };
     }
-    if (fullAddress !== homeAddress) {
-      changes.address = { from: homeAddress, to: fullAddress };
+
+    if (isBoard && formData.refreshMinutes !== originalRefreshMinutes) {
+      const minutes = parseInt(formData.refreshMinutes, 10);
+      if (!(minutes >= 1 && minutes <= 60)) {
+        alert("Refresh interval must be 1 to 60 minutes");
+        return;
+      }
+      changes.refreshMinutes = {
+        from: `${originalRefreshMinutes} min`,
+        to: `${minutes} min`,
+      };
     }
 
     // Only show review if there are changes
     if (Object.keys(changes).length > 0) {
-      onReview({ formData, changes, fullAddress });
+      onReview({ formData, changes, fullAddress, home: true });
     } else {
       alert("No changes to review");
     }
@@ -101,7 +204,7 @@ const EditHomeForm = ({ homeAddress, pageTitle, onClose, onReview }) => {
   return (
     <div className="modal-overlay" onClick={onClose}>
       <div className="edit-form-modal" onClick={(e) => e.stopPropagation()}>
-        <h2 className="edit-form-title">Edit Home Address</h2>
+        <h2 className="edit-form-title">{formTitle}</h2>
         <div className="edit-form-field">
           <label>Name:</label>
           <input
@@ -109,7 +212,11 @@ const EditHomeForm = ({ homeAddress, pageTitle, onClose, onReview }) => {
             value={formData.name}
             onChange={(e) => handleChange("name", e.target.value)}
             className="edit-form-input"
-            placeholder="Enter name (e.g., Eggy Commutes)"
+            placeholder={
+              isBoard
+                ? "Enter board name (e.g., Work)"
+                : "Enter name (e.g., Eggy Commutes)"
+            }
           />
         </div>
         <div className="edit-form-field">
@@ -162,7 +269,104 @@ const EditHomeForm = ({ homeAddress, pageTitle, onClose, onReview }) => {
             placeholder="Enter zip code"
           />
         </div>
+        <div className="edit-form-field">
+          <label>Show Times In:</label>
+          <select
+            value={formData.timeZone}
+            onChange={(e) => handleChange("timeZone", e.target.value)}
+            className="edit-form-input"
+          >
+            <option value="">{STOP_TIME_ZONE_LABEL}</option>
+            {timeZoneOptions.map((timeZone) => (
+              <option key={timeZone} value={timeZone}>
+                {timeZone.replace(/_/g, " ")}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="edit-form-field">
+          <label>Leave Buffer (minutes):</label>
+          <input
+            type="number"
+            min="0"
+            value={formData.leaveBufferMinutes}
+            onChange={(e) => handleChange("leaveBufferMinutes", e.target.value)}
+            className="edit-form-input"
+            placeholder="Extra minutes on top of the walk to the stop"
+          />
+        </div>
+        {isBoard && (
+          <>
+            <div className="edit-form-field">
+              <label>Layout:</label>
+              <select
+                value={formData.layout}
+                onChange={(e) => handleChange("layout", e.target.value)}
+                className="edit-form-input"
+              >
+                {BOARD_LAYOUTS.map((layout) => (
+                  <option key={layout} value={layout}>
+                    {layout.charAt(0).toUpperCase() + layout.slice(1)}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="edit-form-field">
+              <label>Refresh Every (minutes):</label>
+              <input
+                type="number"
+                min="1"
+                max="60"
+                value={formData.refreshMinutes}
+                onChange={(e) => handleChange("refreshMinutes", e.target.value)}
+                className="edit-form-input"
+              />
+            </div>
+          </>
+        )}
+        {board && kioskUrl && (
+          <div className="edit-form-field">
+            <label>Kiosk URL:</label>
+            <input
+              type="text"
+              value={kioskUrl}
+              readOnly
+              onFocus={(e) => e.target.select()}
+              className="edit-form-input"
+            />
+            <div className="edit-form-kiosk-buttons">
+              <button onClick={handleCopyKioskUrl} className="edit-form-cancel">
+                Copy
+              </button>
+              {onRegenerateKioskUrl && (
+                <button
+                  onClick={async () => {
+                    if (
+                      window.confirm(
+                        "Make a new kiosk URL? Displays using the old one will stop updating."
+                      )
+                    ) {
+                      setKioskMessage(null);
+                      await onRegenerateKioskUrl();
+                    }
+                  }}
+                  className="edit-form-cancel"
+                >
+                  New URL
+                </button>
+              )}
+            </div>
+            {kioskMessage && (
+              <div className="edit-form-kiosk-message">{kioskMessage}</div>
+            )}
+          </div>
+        )}
         <div className="edit-form-buttons">
+          {board && onDeleteBoard && (
+            <button onClick={onDeleteBoard} className="edit-form-delete">
+              Delete Board
+            </button>
+          )}
           <button onClick={onClose} className="edit-form-cancel">
             Cancel
           </button>
@@ -0,0 +1,45 @@
+import React from "react";
+
+/**
+ * ErrorBoundary Component
+ *
+ * Catches errors thrown while rendering its children and shows a fallback
+ * instead, so one broken part (a stop box) doesn't blank the whole board.
+ * The fallback gets the error and a reset function that renders the
+ * children again.
+ *
+ * @param {Function} fallback - (error, reset) => fallback content
+ * @param {string} name - What's inside, for the console message
+ */
+class ErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+    this.reset = this.reset.bind(this);
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    console.error(
+      `✗ Error rendering ${this.props.name || "component"}:`,
+      error,
+      info.componentStack
+    );
+  }
+
+  reset() {
+    this.setState({ error: null });
+  }
+
+  render() {
+    if (this.state.error) {
+      return this.props.fallback(this.state.error, this.reset);
+    }
+    return this.props.children;
+  }
+}
+
+export default ErrorBoundary;
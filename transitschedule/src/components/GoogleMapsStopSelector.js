@@ -1,5 +1,21 @@
 import React, { useState, useEffect, useRef, useCallback } from "react";
 import { formatStopName } from "../utils/stopFormHelpers";
+import { getTransitType } from "../config/transitTypes";
+import {
+  loadFerrySchedule,
+  getActiveFerrySchedule,
+  getFerryTerminalOptions,
+  resolveFerryTerminals,
+} from "../services/ferryService";
+import { DEFAULT_FERRY_TERMINALS } from "../utils/constants";
+import { resolveStopTimeZone } from "../utils/timeZones";
+import { WEEKDAYS, getTargetMode, parseTargetDays } from "../utils/targetTime";
+import {
+  getStopRecommendation,
+  formatDepartureRecommendation,
+} from "../utils/departureRecommender";
+import { getRuleTypesForStop } from "../utils/notificationRules";
+import { requestNotificationPermission } from "../services/notificationService";
 import "./GoogleMapsStopSelector.css";
 
 /**
@@ -33,31 +49,81 @@ const GoogleMapsStopSelector = ({
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [stopName, setStopName] = useState("");
-  const [ferryDirection, setFerryDirection] = useState("anacortes");
+  const [ferryTerminals, setFerryTerminals] = useState(() =>
+    getFerryTerminalOptions()
+  );
+  // Arrive-by / depart-at planning ("" leaves now)
+  const [timeMode, setTimeMode] = useState(() => getTargetMode(stop) || "");
+  const [targetTime, setTargetTime] = useState(stop?.targetTime || "");
+  const [targetDays, setTargetDays] = useState(() =>
+    parseTargetDays(stop?.targetDays)
+  );
+  // Range the best-departure recommender searches (route stops only)
+  const [windowStart, setWindowStart] = useState(stop?.windowStart || "");
+  const [windowEnd, setWindowEnd] = useState(stop?.windowEnd || "");
+  const [windowObjective, setWindowObjective] = useState(
+    stop?.windowObjective || "fastest"
+  );
+  // Notification rules ({ type, threshold }) for transit and trip stops
+  const [notificationRules, setNotificationRules] = useState(
+    stop?.notificationRules || []
+  );
+  const [notificationHint, setNotificationHint] = useState("");
 
   // Determine the stop type (from prop or existing stop)
   const currentStopType = stop?.type || stopType || "drive";
+  const transitType = getTransitType(currentStopType);
+  const formFields = transitType?.formFields || [];
+  // Types without a destination field (ferry) skip the map and directions
+  const usesMap = formFields.includes("destination");
+  const usesTerminals = formFields.includes("terminals");
+  const isRouteStop = transitType?.category === "route";
+  const ruleTypes = getRuleTypesForStop(currentStopType);
 
   // Initialize origin based on stop type
   useEffect(() => {
+    const definition = getTransitType(currentStopType);
     if (stop) {
       // Editing existing stop
-      setOrigin(stop.origin || homeAddress || "");
-      setDestination(stop.destination || "");
       setStopName(stop.name || "");
-      if (stop.type === "ferry") {
-        setFerryDirection(stop.ferryDirection || "anacortes");
+      if (definition?.formFields.includes("terminals")) {
+        const terminals = resolveFerryTerminals(stop);
+        setOrigin(terminals.origin);
+        setDestination(terminals.destination);
+      } else {
+        setOrigin(stop.origin || homeAddress || "");
+        setDestination(stop.destination || "");
       }
     } else {
       // Adding new stop
-      if (currentStopType === "bike" || currentStopType === "walk" || currentStopType === "drive") {
+      if (definition?.formFields.includes("terminals")) {
+        setOrigin(DEFAULT_FERRY_TERMINALS.origin);
+        setDestination(DEFAULT_FERRY_TERMINALS.destination);
+      } else if (
+        definition?.category === "route" ||
+        definition?.category === "trip"
+      ) {
         setOrigin(homeAddress || "");
-      } else if (currentStopType === "bus" || currentStopType === "train") {
+      } else if (definition?.category === "transit") {
         setOrigin("");
       }
     }
   }, [stop, stopType, homeAddress, currentStopType]);
 
+  // Load terminal choices from the ferry schedule file (bundled schedule until it loads)
+  useEffect(() => {
+    if (!usesTerminals) return;
+    let cancelled = false;
+    loadFerrySchedule().then((schedule) => {
+      if (schedule && !cancelled) {
+        setFerryTerminals(getFerryTerminalOptions(schedule));
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [usesTerminals]);
+
   // Handle place selection (shared function for both autocomplete and map clicks)
   const handlePlaceSelection = useCallback((place) => {
     console.log("handlePlaceSelection called with place:", place);
@@ -185,7 +251,7 @@ const GoogleMapsStopSelector = ({
 
   // Initialize map when Google Maps is loaded (skip for ferry)
   useEffect(() => {
-    if (!googleMapsLoaded || !mapRef.current || currentStopType === "ferry") return;
+    if (!googleMapsLoaded || !mapRef.current || !usesMap) return;
 
     const initializeMap = () => {
       try {
@@ -333,11 +399,11 @@ const GoogleMapsStopSelector = ({
     };
 
     initializeMap();
-  }, [googleMapsLoaded, homeAddress, currentStopType, handlePlaceSelection, handleMapClickGeocode]);
+  }, [googleMapsLoaded, homeAddress, usesMap, handlePlaceSelection, handleMapClickGeocode]);
 
   // Initialize Places Autocomplete separately to ensure input element exists
   useEffect(() => {
-    if (!googleMapsLoaded || !autocompleteRef.current || currentStopType === "ferry") return;
+    if (!googleMapsLoaded || !autocompleteRef.current || !usesMap) return;
     if (autocompleteInstanceRef.current) {
       // Clean up existing autocomplete
       window.google.maps.event.clearInstanceListeners(autocompleteInstanceRef.current);
@@ -534,7 +600,7 @@ const GoogleMapsStopSelector = ({
         autocompleteInstanceRef.current = null;
       }
     };
-  }, [googleMapsLoaded, currentStopType, handlePlaceSelection]);
+  }, [googleMapsLoaded, usesMap, handlePlaceSelection]);
 
   // Handle Get Directions button click
   const handleGetDirections = async () => {
@@ -547,14 +613,15 @@ const GoogleMapsStopSelector = ({
     setError("");
 
     try {
-      // Determine travel mode based on stop type
+      // Determine travel mode from the stop type's Directions mode
+      // ("driving" -> DRIVING); transit types always use TRANSIT
       let travelMode = window.google.maps.TravelMode.DRIVING;
-      if (currentStopType === "walk") {
-        travelMode = window.google.maps.TravelMode.WALKING;
-      } else if (currentStopType === "bike") {
-        travelMode = window.google.maps.TravelMode.BICYCLING;
-      } else if (currentStopType === "bus" || currentStopType === "train") {
+      if (transitType?.category === "transit") {
         travelMode = window.google.maps.TravelMode.TRANSIT;
+      } else if (transitType?.defaultConfig.mode) {
+        travelMode =
+          window.google.maps.TravelMode[transitType.defaultConfig.mode.toUpperCase()] ||
+          travelMode;
       }
 
       // Request directions
@@ -598,6 +665,84 @@ const GoogleMapsStopSelector = ({
     }
   };
 
+  // Toggle a recurring weekday for the target time
+  const toggleTargetDay = (day) => {
+    setTargetDays((days) =>
+      days.includes(day)
+        ? days.filter((d) => d !== day)
+        : WEEKDAYS.filter((d) => d === day || days.includes(d))
+    );
+  };
+
+  // Backend fields for the arrive-by / depart-at target
+  const getTargetFields = () => ({
+    arrival: timeMode === "arrival",
+    departure: timeMode === "departure",
+    target_time: timeMode ? targetTime : null,
+    target_days: timeMode && targetDays.length > 0 ? targetDays.join(",") : null,
+  });
+
+  // Backend fields for the best-departure window
+  const getWindowFields = () =>
+    isRouteStop && windowStart && windowEnd
+      ? {
+          window_start: windowStart,
+          window_end: windowEnd,
+          window_objective: windowObjective,
+        }
+      : { window_start: null, window_end: null, window_objective: null };
+
+  const getRule = (type) => notificationRules.find((rule) => rule.type === type);
+
+  // Turning a rule on asks for notification permission (needs a user action)
+  const toggleRule = async (ruleType) => {
+    if (getRule(ruleType.type)) {
+      setNotificationRules((rules) =>
+        rules.filter((rule) => rule.type !== ruleType.type)
+      );
+      return;
+    }
+    setNotificationRules((rules) => [
+      ...rules,
+      { type: ruleType.type, threshold: ruleType.defaultThreshold },
+    ]);
+    const permission = await requestNotificationPermission();
+    setNotificationHint(
+      permission === "granted"
+        ? ""
+        : "Notifications are blocked or unsupported in this browser"
+    );
+  };
+
+  const setRuleThreshold = (type, value) => {
+    const threshold = parseInt(value, 10);
+    setNotificationRules((rules) =>
+      rules.map((rule) =>
+        rule.type === type
+          ? { ...rule, threshold: threshold > 0 ? threshold : "" }
+          : rule
+      )
+    );
+  };
+
+  // Backend field for notification rules (only types this stop supports)
+  const getNotificationFields = () => ({
+    notification_rules: notificationRules.filter((rule) =>
+      ruleTypes.some((ruleType) => ruleType.type === rule.type)
+    ),
+  });
+
+  // Preview of the recommendation for an existing stop's history
+  const recommendation =
+    isRouteStop && stop
+      ? getStopRecommendation({
+          ...stop,
+          windowStart,
+          windowEnd,
+          windowObjective,
+        })
+      : null;
+
   // Handle form submission
   const handleSubmit = async () => {
     if (!origin || !destination) {
@@ -605,26 +750,57 @@ const GoogleMapsStopSelector = ({
       return;
     }
 
+    if (timeMode && !targetTime) {
+      setError(
+        timeMode === "arrival"
+          ? "Please choose the time to arrive by"
+          : "Please choose the time to leave at"
+      );
+      return;
+    }
+
+    if (isRouteStop && Boolean(windowStart) !== Boolean(windowEnd)) {
+      setError("Please choose both ends of the departure window");
+      return;
+    }
+
+    if (notificationRules.some((rule) => !rule.threshold)) {
+      setError("Please enter a number for each notification");
+      return;
+    }
+
     // For drive/walk/bike, we need ETA
-    if ((currentStopType === "drive" || currentStopType === "walk" || currentStopType === "bike") && !eta) {
+    if (isRouteStop && !eta) {
       setError("Please get directions first to calculate ETA");
       return;
     }
 
-    // For ferry, we need direction
-    if (currentStopType === "ferry") {
-      // Ferry doesn't need directions, just direction selection
+    // For ferry, we need two different terminals
+    if (!usesMap) {
+      if (origin === destination) {
+        setError("Origin and destination terminals must be different");
+        return;
+      }
+
+      // Ferry doesn't need directions, just terminal selection
+      const originTerminal = ferryTerminals.find((t) => t.id === origin);
+      const destinationTerminal = ferryTerminals.find(
+        (t) => t.id === destination
+      );
       const stopData = {
-        name: stopName || "Ferry",
-        origin: null,
-        destination: null,
+        name: `${originTerminal?.name || origin} To ${
+          destinationTerminal?.name || destination
+        }`,
+        origin: origin,
+        destination: destination,
         transit_type: currentStopType,
         route_filter: null,
         stop_filter: null,
-        ferry_direction: ferryDirection,
-        location: null,
-        arrival: false,
-        departure: false,
+        ferry_direction: null,
+        location: originTerminal?.location || null,
+        time_zone: getActiveFerrySchedule().timeZone,
+        ...getTargetFields(),
+        ...getNotificationFields(),
       };
 
       if (onSubmit) {
@@ -680,8 +856,10 @@ const GoogleMapsStopSelector = ({
       stop_filter: stop?.stopFilter || null,
       ferry_direction: null,
       location: null,
-      arrival: false,
-      departure: false,
+      time_zone: resolveStopTimeZone({ origin, destination }),
+      ...getTargetFields(),
+      ...getWindowFields(),
+      ...getNotificationFields(),
     };
 
     console.log("Submitting stop data:", JSON.stringify(stopData, null, 2));
@@ -736,13 +914,13 @@ const GoogleMapsStopSelector = ({
     <div className="modal-overlay" onClick={onClose}>
       <div className="maps-selector-modal" onClick={(e) => e.stopPropagation()}>
         <h2 className="maps-selector-title">
-          {stop ? "Edit Stop" : "Add Stop"} - {currentStopType.toUpperCase()}
+          {stop ? "Edit Stop" : "Add Stop"} - {transitType?.label || currentStopType.toUpperCase()}
         </h2>
 
         {error && <div className="maps-selector-error">{error}</div>}
 
         {/* Search Box - Hide for ferry */}
-        {currentStopType !== "ferry" && (
+        {usesMap && (
           <div className="maps-search-container">
             <div style={{ display: 'flex', gap: '10px' }}>
               <input
@@ -797,7 +975,7 @@ const GoogleMapsStopSelector = ({
         )}
 
         {/* Origin Input (for bus/train or when editing) */}
-        {(currentStopType === "bus" || currentStopType === "train" || stop) && (
+        {(formFields.includes("origin") || (stop && usesMap)) && (
           <div className="maps-input-container">
             <label>Origin:</label>
             <input
@@ -816,23 +994,153 @@ const GoogleMapsStopSelector = ({
           </div>
         )}
 
-        {/* Ferry Direction Selector */}
-        {currentStopType === "ferry" && (
+        {/* Ferry Terminal Selectors */}
+        {usesTerminals && (
+          <>
+            <div className="maps-input-container">
+              <label>Origin Terminal:</label>
+              <select
+                value={origin}
+                onChange={(e) => setOrigin(e.target.value)}
+                className="maps-input"
+              >
+                {ferryTerminals.map((terminal) => (
+                  <option key={terminal.id} value={terminal.id}>
+                    {terminal.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="maps-input-container">
+              <label>Destination Terminal:</label>
+              <select
+                value={destination}
+                onChange={(e) => setDestination(e.target.value)}
+                className="maps-input"
+              >
+                {ferryTerminals.map((terminal) => (
+                  <option key={terminal.id} value={terminal.id}>
+                    {terminal.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </>
+        )}
+
+        {/* Arrive-by / depart-at time */}
+        <div className="maps-input-container">
+          <label>When:</label>
+          <select
+            value={timeMode}
+            onChange={(e) => setTimeMode(e.target.value)}
+            className="maps-input"
+          >
+            <option value="">Leave now</option>
+            <option value="arrival">Arrive by</option>
+            <option value="departure">Depart at</option>
+          </select>
+        </div>
+        {timeMode && (
           <div className="maps-input-container">
-            <label>Ferry Direction:</label>
+            <label>Time:</label>
+            <input
+              type="time"
+              value={targetTime}
+              onChange={(e) => setTargetTime(e.target.value)}
+              className="maps-input"
+            />
+            <div className="maps-weekdays">
+              {WEEKDAYS.map((day) => (
+                <label key={day} className="maps-weekday">
+                  <input
+                    type="checkbox"
+                    checked={targetDays.includes(day)}
+                    onChange={() => toggleTargetDay(day)}
+                  />
+                  {day.charAt(0).toUpperCase() + day.slice(1)}
+                </label>
+              ))}
+            </div>
+            <div style={{ fontSize: '10px', color: '#666', marginTop: '5px' }}>
+              Repeats on the checked days (every day if none are checked)
+            </div>
+          </div>
+        )}
+
+        {/* Best departure window (bike/walk/drive) */}
+        {isRouteStop && (
+          <div className="maps-input-container">
+            <label>Best time to leave between:</label>
+            <div className="maps-window">
+              <input
+                type="time"
+                value={windowStart}
+                onChange={(e) => setWindowStart(e.target.value)}
+                className="maps-input"
+              />
+              <span>and</span>
+              <input
+                type="time"
+                value={windowEnd}
+                onChange={(e) => setWindowEnd(e.target.value)}
+                className="maps-input"
+              />
+            </div>
             <select
-              value={ferryDirection}
-              onChange={(e) => setFerryDirection(e.target.value)}
+              value={windowObjective}
+              onChange={(e) => setWindowObjective(e.target.value)}
               className="maps-input"
             >
-              <option value="anacortes">Anacortes to Orcas Island</option>
-              <option value="orcas">Orcas Island to Anacortes</option>
+              <option value="fastest">Fastest typical time</option>
+              <option value="steadiest">Most predictable time</option>
             </select>
+            <div style={{ fontSize: '10px', color: '#666', marginTop: '5px' }}>
+              {recommendation
+                ? formatDepartureRecommendation(recommendation, currentStopType)
+                : "Optional. Suggestions appear once the stop has a few days of history in this range"}
+            </div>
+          </div>
+        )}
+
+        {/* Notification rules (transit and trip stops) */}
+        {ruleTypes.length > 0 && (
+          <div className="maps-input-container">
+            <label>Notify me:</label>
+            {ruleTypes.map((ruleType) => {
+              const rule = getRule(ruleType.type);
+              return (
+                <div key={ruleType.type} className="maps-notification-rule">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(rule)}
+                    onChange={() => toggleRule(ruleType)}
+                  />
+                  <input
+                    type="number"
+                    min="1"
+                    max="120"
+                    value={rule ? rule.threshold : ruleType.defaultThreshold}
+                    disabled={!rule}
+                    onChange={(e) =>
+                      setRuleThreshold(ruleType.type, e.target.value)
+                    }
+                    className="maps-input"
+                  />
+                  <span>{ruleType.label}</span>
+                </div>
+              );
+            })}
+            {notificationHint && (
+              <div style={{ fontSize: '10px', color: '#666', marginTop: '5px' }}>
+                {notificationHint}
+              </div>
+            )}
           </div>
         )}
 
         {/* Map Container - Hide for ferry */}
-        {currentStopType !== "ferry" && (
+        {usesMap && (
           <div ref={mapRef} className="maps-container" />
         )}
 
@@ -857,7 +1165,7 @@ const GoogleMapsStopSelector = ({
 
         {/* Action Buttons */}
         <div className="maps-actions">
-          {currentStopType !== "ferry" && selectedPlace && !eta && (
+          {usesMap && selectedPlace && !eta && (
             <button
               onClick={handleGetDirections}
               disabled={loading || !origin || !destination}
@@ -873,12 +1181,12 @@ const GoogleMapsStopSelector = ({
               {loading ? "Calculating..." : "Get Directions"}
             </button>
           )}
-          {currentStopType === "ferry" && (
+          {!usesMap && (
             <button onClick={handleSubmit} className="maps-button maps-button-submit">
               {stop ? "Update Stop" : "Add Stop"}
             </button>
           )}
-          {eta && currentStopType !== "ferry" && (
+          {eta && usesMap && (
             <button onClick={handleSubmit} className="maps-button maps-button-submit">
               {stop ? "Update Stop" : "Add Stop"}
             </button>
@@ -889,7 +1197,7 @@ const GoogleMapsStopSelector = ({
         </div>
         
         {/* Show message if place is selected but button requirements not met */}
-        {currentStopType !== "ferry" && selectedPlace && !eta && (!origin || !destination) && (
+        {usesMap && selectedPlace && !eta && (!origin || !destination) && (
           <div style={{ 
             fontSize: '12px', 
             color: '#ff4444', 
@@ -0,0 +1,131 @@
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import TransitDisplay from "../TransitDisplay";
+import OfflineBanner from "./OfflineBanner";
+import { useAppSelector } from "../store/hooks";
+import {
+  selectDisplayTimeZone,
+  selectLeaveBufferMinutes,
+} from "../store/slices/stopsSlice";
+import { fetchKioskBoard } from "../services/boardService";
+import { formatUserStops } from "../utils/stopFormatters";
+import { pinFavoriteStops } from "../utils/stopOrder";
+import { getBoardRefreshMs } from "../utils/boards";
+import { subscribeRequestCache } from "../utils/requestCache";
+import {
+  getBudgetLevel,
+  getBudgetRefreshMs,
+  subscribeRequestMeter,
+} from "../utils/requestMeter";
+import {
+  getStopRetryDelayMs,
+  hasRetryableStopErrors,
+} from "../utils/stopErrors";
+import { INITIAL_HOME_ADDRESS } from "../utils/constants";
+import { cacheOfflineDataFiles } from "../serviceWorkerRegistration";
+
+/**
+ * KioskBoard Component
+ *
+ * Read-only board for wall displays, opened with a board's kiosk URL
+ * (?kiosk=<token>). Loads the board without a login and refreshes it on
+ * the board's own interval, less often near this device's API budget.
+ * Offline, it keeps showing the last board loaded. Stops failing with
+ * network or server errors are retried sooner, backing off each time.
+ *
+ * @param {string} token - The board's kiosk token
+ */
+const KioskBoard = ({ token }) => {
+  const displayTimeZone = useAppSelector(selectDisplayTimeZone);
+  const leaveBufferMinutes = useAppSelector(selectLeaveBufferMinutes);
+
+  const [board, setBoard] = useState(null);
+  const [userStops, setUserStops] = useState([]);
+  const [error, setError] = useState(null);
+  const [budgetLevel, setBudgetLevel] = useState(() => getBudgetLevel());
+  // Retries made since stops started failing (for backoff)
+  const retryAttemptsRef = useRef(0);
+
+  const apiKey =
+    process.env.REACT_APP_GOOGLE_MAPS_API_KEY || "YOUR_API_KEY_HERE";
+
+  const refresh = useCallback(async () => {
+    try {
+      const data = await fetchKioskBoard(token);
+      const origin = data.board.origin || INITIAL_HOME_ADDRESS;
+      setBoard(data.board);
+      cacheOfflineDataFiles(data.stops);
+      setUserStops(await formatUserStops(data.stops, apiKey, origin));
+      setError(null);
+    } catch (err) {
+      // Keep showing the last board if a refresh fails
+      setError(
+        err.response?.status === 404
+          ? "This kiosk URL is no longer valid"
+          : err.message || "Error loading board"
+      );
+    }
+  }, [token, apiKey]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Redraw once data shown from the cache has refreshed in the background
+  useEffect(() => subscribeRequestCache(refresh), [refresh]);
+
+  useEffect(
+    () => subscribeRequestMeter(() => setBudgetLevel(getBudgetLevel())),
+    []
+  );
+
+  const refreshMs = getBudgetRefreshMs(getBoardRefreshMs(board), budgetLevel);
+  useEffect(() => {
+    const interval = setInterval(refresh, refreshMs);
+    return () => clearInterval(interval);
+  }, [refresh, refreshMs]);
+
+  // Retry sooner while stops fail with network or server errors, backing off
+  useEffect(() => {
+    if (!hasRetryableStopErrors(userStops)) {
+      retryAttemptsRef.current = 0;
+      return;
+    }
+    const delayMs = getStopRetryDelayMs(retryAttemptsRef.current);
+    if (delayMs >= refreshMs) return; // The regular refresh comes first
+    const timeout = setTimeout(() => {
+      retryAttemptsRef.current += 1;
+      refresh();
+    }, delayMs);
+    return () => clearTimeout(timeout);
+  }, [userStops, refresh, refreshMs]);
+
+  if (error && !board) {
+    return (
+      <div className="App">
+        <div className="transit-display-container">
+          <div className="no-data-message">{error}</div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="App">
+      <OfflineBanner displayTimeZone={displayTimeZone} />
+      <TransitDisplay
+        stops={board ? pinFavoriteStops(userStops) : []}
+        pageTitle={board?.name}
+        homeAddress={board?.origin || INITIAL_HOME_ADDRESS}
+        displayTimeZone={displayTimeZone}
+        leaveBufferMinutes={leaveBufferMinutes}
+        layout={board?.layout}
+        editingStop={null}
+        editingHome={false}
+        onRetryStop={refresh}
+        readOnly
+      />
+    </div>
+  );
+};
+
+export default KioskBoard;
@@ -0,0 +1,70 @@
+import React from "react";
+import { isTightTransfer } from "../utils/tripItinerary";
+import "./LegStrip.css";
+
+const LEG_ICONS = {
+  walk: "🚶",
+  bus: "🚌",
+  train: "🚆",
+  ferry: "⛴️",
+};
+
+/**
+ * LegStrip Component
+ *
+ * Compact leg sequence for a trip stop: walk 6 min → 801 at 8:12 →
+ * transfer → Caltrain at 8:40. Transfers with little slack are highlighted.
+ *
+ * @param {Array} legs - Itinerary legs from tripItinerary
+ * @param {Function} formatTime - Formats a Date for the board (stop's zone)
+ */
+const LegStrip = ({ legs, formatTime }) => {
+  if (!legs || legs.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="leg-strip">
+      {legs.map((leg, index) => {
+        const isTransit = leg.lineName !== undefined;
+        const minutes = Math.round(leg.durationSeconds / 60);
+
+        return (
+          <React.Fragment key={index}>
+            {index > 0 && <span className="leg-arrow">→</span>}
+            {isTransit && leg.transferSlackSeconds !== null && (
+              <>
+                <span
+                  className={`leg-transfer ${
+                    isTightTransfer(leg.transferSlackSeconds) ? "leg-tight" : ""
+                  }`}
+                  title="Transfer slack"
+                >
+                  ⇄ {Math.round(leg.transferSlackSeconds / 60)}m
+                </span>
+                <span className="leg-arrow">→</span>
+              </>
+            )}
+            <span
+              className={`leg leg-${leg.mode}`}
+              title={
+                isTransit
+                  ? `${leg.lineName} ${leg.departureStop || ""} → ${
+                      leg.arrivalStop || ""
+                    }`
+                  : `${leg.mode} ${minutes} min`
+              }
+            >
+              {LEG_ICONS[leg.mode] || ""}{" "}
+              {isTransit
+                ? `${leg.lineName} ${formatTime(leg.departureTime)}`
+                : `${minutes}m`}
+            </span>
+          </React.Fragment>
+        );
+      })}
+    </div>
+  );
+};
+
+export default LegStrip;
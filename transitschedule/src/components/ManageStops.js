@@ -0,0 +1,262 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { fetchAllUserStops } from "../services/stopService";
+import { getTransitTypeLabel } from "../config/transitTypes";
+import "./ManageStops.css";
+
+/**
+ * ManageStops Component
+ *
+ * Modal listing all of the user's stops, hidden ones included. Stops can be
+ * hidden or brought back and marked as favorites (pinned to the top of the
+ * board), one at a time or several at once. Also holds the board's
+ * favorites-only filter, and with several boards, which boards each stop
+ * is on.
+ *
+ * @param {boolean} favoritesOnly - Whether the board shows favorites only
+ * @param {Function} onFavoritesOnlyChange - Called with the new filter value
+ * @param {Function} onUpdateStops - Called with (stopIds, { hidden, favorite }); rejects on failure
+ * @param {Array} boards - The user's named boards
+ * @param {Function} onSetStopBoards - Called with (stopId, boardIds); rejects on failure
+ * @param {Function} onClose - Closes the modal
+ */
+const ManageStops = ({
+  favoritesOnly,
+  onFavoritesOnlyChange,
+  onUpdateStops,
+  boards = [],
+  onSetStopBoards,
+  onClose,
+}) => {
+  const [stops, setStops] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadStops = useCallback(async () => {
+    try {
+      setStops(await fetchAllUserStops());
+    } catch (err) {
+      setError(err.message || "Error loading stops");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStops();
+  }, [loadStops]);
+
+  const applyChanges = async (
+    stopIds,
+    changes,
+    save = () => onUpdateStops(stopIds, changes)
+  ) => {
+    if (stopIds.length === 0) return;
+
+    // Show the change right away; reload the list either way
+    const previous = stops;
+    setStops(
+      stops.map((stop) =>
+        stopIds.includes(stop.id) ? { ...stop, ...changes } : stop
+      )
+    );
+    setSaving(true);
+    setError(null);
+    try {
+      await save();
+      setSelected([]);
+      await loadStops();
+    } catch (err) {
+      setStops(previous);
+      setError(err.message || "Error updating stops");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleBoard = (stop, boardId) => {
+    const current = stop.board_ids || [];
+    const boardIds = current.includes(boardId)
+      ? current.filter((id) => id !== boardId)
+      : [...current, boardId];
+    if (boardIds.length === 0) {
+      setError("A stop has to stay on at least one board");
+      return;
+    }
+    applyChanges([stop.id], { board_ids: boardIds }, () =>
+      onSetStopBoards(stop.id, boardIds)
+    );
+  };
+
+  const toggleSelected = (stopId) =>
+    setSelected(
+      selected.includes(stopId)
+        ? selected.filter((id) => id !== stopId)
+        : [...selected, stopId]
+    );
+
+  const allSelected = stops.length > 0 && selected.length === stops.length;
+  const hiddenCount = stops.filter((stop) => stop.hidden).length;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="manage-stops-modal" onClick={(e) => e.stopPropagation()}>
+        <h2 className="manage-stops-title">Manage Stops</h2>
+
+        <label className="manage-stops-filter">
+          <input
+            type="checkbox"
+            checked={favoritesOnly}
+            onChange={(e) => onFavoritesOnlyChange(e.target.checked)}
+          />
+          Show favorites only on the board
+        </label>
+
+        {loading && <div className="manage-stops-text">Loading stops...</div>}
+        {!loading && stops.length === 0 && (
+          <div className="manage-stops-text">
+            No saved stops yet. Add one from the menu.
+          </div>
+        )}
+
+        {stops.length > 0 && (
+          <>
+            <div className="manage-stops-bulk">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  onChange={() =>
+                    setSelected(allSelected ? [] : stops.map((stop) => stop.id))
+                  }
+                />
+                {selected.length > 0 ? `${selected.length} selected` : "All"}
+              </label>
+              <button
+                onClick={() => applyChanges(selected, { favorite: true })}
+                disabled={saving || selected.length === 0}
+              >
+                ★ Favorite
+              </button>
+              <button
+                onClick={() => applyChanges(selected, { favorite: false })}
+                disabled={saving || selected.length === 0}
+              >
+                ☆ Unfavorite
+              </button>
+              <button
+                onClick={() => applyChanges(selected, { hidden: true })}
+                disabled={saving || selected.length === 0}
+              >
+                Hide
+              </button>
+              <button
+                onClick={() => applyChanges(selected, { hidden: false })}
+                disabled={saving || selected.length === 0}
+              >
+                Show
+              </button>
+            </div>
+
+            <table className="manage-stops-table">
+              <tbody>
+                {stops.map((stop) => (
+                  <tr
+                    key={stop.id}
+                    className={stop.hidden ? "manage-stops-hidden" : ""}
+                  >
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={selected.includes(stop.id)}
+                        onChange={() => toggleSelected(stop.id)}
+                        aria-label={`Select ${stop.name || stop.destination}`}
+                      />
+                    </td>
+                    <td>
+                      <button
+                        className="manage-stops-star"
+                        onClick={() =>
+                          applyChanges([stop.id], { favorite: !stop.favorite })
+                        }
+                        disabled={saving}
+                        title={
+                          stop.favorite
+                            ? "Remove from favorites"
+                            : "Add to favorites"
+                        }
+                      >
+                        {stop.favorite ? "★" : "☆"}
+                      </button>
+                    </td>
+                    <td>
+                      {stop.name || stop.destination}
+                      <div className="manage-stops-type">
+                        {getTransitTypeLabel(stop.transit_type)}
+                        {stop.hidden ? " · hidden" : ""}
+                      </div>
+                      {boards.length > 1 && onSetStopBoards && (
+                        <div className="manage-stops-boards">
+                          {boards.map((board) => {
+                            const onBoard = (stop.board_ids || []).includes(
+                              board.id
+                            );
+                            return (
+                              <button
+                                key={board.id}
+                                className={`manage-stops-board ${
+                                  onBoard ? "manage-stops-board-on" : ""
+                                }`}
+                                onClick={() => toggleBoard(stop, board.id)}
+                                disabled={saving}
+                                aria-pressed={onBoard}
+                                title={
+                                  onBoard
+                                    ? `Remove from ${board.name}`
+                                    : `Add to ${board.name}`
+                                }
+                              >
+                                {board.name}
+                              </button>
+                            );
+                          })}
+                        </div>
+                      )}
+                    </td>
+                    <td>
+                      <button
+                        className="manage-stops-toggle"
+                        onClick={() =>
+                          applyChanges([stop.id], { hidden: !stop.hidden })
+                        }
+                        disabled={saving}
+                      >
+                        {stop.hidden ? "Show" : "Hide"}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="manage-stops-text">
+              {stops.length} stops, {hiddenCount} hidden. Favorites are pinned
+              to the top of the board.
+            </div>
+          </>
+        )}
+
+        {error && <div className="manage-stops-error">{error}</div>}
+
+        <div className="manage-stops-buttons">
+          <button onClick={onClose} className="manage-stops-close">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ManageStops;
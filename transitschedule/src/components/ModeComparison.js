@@ -0,0 +1,215 @@
+import React, { useState } from "react";
+import { compareModes } from "../services/comparisonService";
+import { formatComparisonDuration } from "../utils/modeComparison";
+import { formatArrivalTime } from "../utils/timeFormatters";
+import { formatStopName } from "../utils/stopFormHelpers";
+import { resolveStopTimeZone } from "../utils/timeZones";
+import "./ModeComparison.css";
+
+// Highlight the winner and dim modes with no route
+const getRowClassName = (result) => {
+  if (result.rank === 1) return "mode-comparison-winner";
+  return result.available ? "" : "mode-comparison-unavailable";
+};
+
+/**
+ * ModeComparison Component
+ *
+ * Modal that compares drive, bike, walk and transit to one destination.
+ * Shows a ranked table of duration, arrival time, distance and next
+ * departure; any row can be pinned to the board as a stop.
+ *
+ * @param {string} homeAddress - Default origin
+ * @param {string} apiKey - Google Maps API key
+ * @param {string|null} displayTimeZone - Board display zone (null uses the origin's zone)
+ * @param {Function} onPin - Called with stopData for the pinned mode
+ * @param {Function} onClose - Closes the modal
+ */
+const ModeComparison = ({
+  homeAddress,
+  apiKey,
+  displayTimeZone,
+  onPin,
+  onClose,
+}) => {
+  const [origin, setOrigin] = useState(homeAddress || "");
+  const [destination, setDestination] = useState("");
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [pinning, setPinning] = useState(null);
+  const [error, setError] = useState(null);
+
+  const timeZone =
+    displayTimeZone || resolveStopTimeZone({ origin, destination });
+
+  const handleCompare = async () => {
+    if (!origin.trim() || !destination.trim()) {
+      setError("Origin and destination are required");
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const ranked = await compareModes(
+        origin.trim(),
+        destination.trim(),
+        apiKey
+      );
+      setResults(ranked);
+      if (!ranked.some((result) => result.available)) {
+        setError("No routes found for any mode");
+      }
+    } catch (err) {
+      setError(err.message || "Error comparing modes");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePin = async (result) => {
+    setPinning(result.mode);
+    setError(null);
+
+    let name = destination.trim();
+    try {
+      if (apiKey && apiKey !== "YOUR_API_KEY_HERE") {
+        name =
+          (await formatStopName(origin.trim(), destination.trim(), apiKey)) ||
+          name;
+      }
+    } catch (err) {
+      console.warn("Error formatting stop name, using destination:", err);
+    }
+
+    const stopData = {
+      name: name,
+      origin: origin.trim(),
+      destination: destination.trim(),
+      transit_type: result.stopType,
+      route_filter: null,
+      stop_filter: null,
+      ferry_direction: null,
+      location: null,
+      time_zone: resolveStopTimeZone({ origin, destination }),
+    };
+
+    try {
+      await onPin(stopData);
+      onClose();
+    } catch (err) {
+      setError(err.message || "Error pinning stop");
+    } finally {
+      setPinning(null);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="mode-comparison-modal"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="mode-comparison-title">Compare Modes</h2>
+        <div className="mode-comparison-field">
+          <label>From:</label>
+          <input
+            type="text"
+            value={origin}
+            onChange={(e) => setOrigin(e.target.value)}
+            className="mode-comparison-input"
+            placeholder="Enter origin"
+          />
+        </div>
+        <div className="mode-comparison-field">
+          <label>To:</label>
+          <input
+            type="text"
+            value={destination}
+            onChange={(e) => setDestination(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && handleCompare()}
+            className="mode-comparison-input"
+            placeholder="Enter destination"
+          />
+        </div>
+        <button
+          onClick={handleCompare}
+          className="mode-comparison-button"
+          disabled={loading}
+        >
+          {loading ? "Comparing..." : "Compare"}
+        </button>
+
+        {error && <div className="mode-comparison-error">{error}</div>}
+
+        {results && (
+          <table className="mode-comparison-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Mode</th>
+                <th>Duration</th>
+                <th>Arrive</th>
+                <th>Distance</th>
+                <th>Next Departure</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {results.map((result) => (
+                <tr key={result.mode} className={getRowClassName(result)}>
+                  <td>{result.rank || "-"}</td>
+                  <td>
+                    {result.label}
+                    {result.lineNames.length > 0 && (
+                      <div className="mode-comparison-lines">
+                        {result.lineNames.join(" → ")}
+                      </div>
+                    )}
+                  </td>
+                  {result.available ? (
+                    <>
+                      <td>
+                        {formatComparisonDuration(result.durationSeconds)}
+                      </td>
+                      <td>{formatArrivalTime(result.arrivalTime, timeZone)}</td>
+                      <td>{result.distanceText || "--"}</td>
+                      <td>
+                        {result.nextDepartureTime
+                          ? formatArrivalTime(
+                              result.nextDepartureTime,
+                              timeZone
+                            )
+                          : "Now"}
+                      </td>
+                      <td>
+                        <button
+                          onClick={() => handlePin(result)}
+                          className="mode-comparison-pin"
+                          disabled={pinning !== null}
+                          title={`Add ${result.label.toLowerCase()} to the board`}
+                        >
+                          {pinning === result.mode ? "..." : "Pin"}
+                        </button>
+                      </td>
+                    </>
+                  ) : (
+                    <td colSpan={5}>{result.error}</td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div className="mode-comparison-buttons">
+          <button onClick={onClose} className="mode-comparison-close">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModeComparison;
@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from "react";
+import { getOfflineSince, subscribeConnectivity } from "../utils/connectivity";
+import { getQueuedEdits, subscribeEditQueue } from "../utils/offlineStore";
+import { formatArrivalTime } from "../utils/timeFormatters";
+import { getLocalTimeZone } from "../utils/timeZones";
+import "./OfflineBanner.css";
+
+/**
+ * OfflineBanner Component
+ *
+ * Strip across the top of the board while the app is offline, saying since
+ * when and how many stop edits are waiting to sync. Also shown while edits
+ * made offline are still waiting after the connection comes back.
+ *
+ * @param {string|null} displayTimeZone - Zone to show the time in (null uses the device's)
+ */
+const OfflineBanner = ({ displayTimeZone }) => {
+  const [offlineSince, setOfflineSince] = useState(getOfflineSince);
+  const [queuedCount, setQueuedCount] = useState(0);
+
+  useEffect(
+    () => subscribeConnectivity(() => setOfflineSince(getOfflineSince())),
+    []
+  );
+
+  useEffect(() => {
+    let active = true;
+    const countEdits = async () => {
+      const edits = await getQueuedEdits();
+      if (active) setQueuedCount(edits.length);
+    };
+    countEdits();
+    const unsubscribe = subscribeEditQueue(countEdits);
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  if (!offlineSince && queuedCount === 0) return null;
+
+  const editsText =
+    queuedCount === 1
+      ? "1 edit waiting to sync"
+      : `${queuedCount} edits waiting to sync`;
+  const parts = [];
+  if (offlineSince) {
+    parts.push(
+      `Offline since ${formatArrivalTime(
+        offlineSince,
+        displayTimeZone || getLocalTimeZone()
+      )}`
+    );
+  }
+  if (queuedCount > 0) {
+    parts.push(offlineSince ? editsText : `Syncing: ${editsText}`);
+  }
+
+  return (
+    <div className="offline-banner" role="status">
+      {parts.join(" · ")}
+    </div>
+  );
+};
+
+export default OfflineBanner;
@@ -0,0 +1,74 @@
+import React, { useState } from "react";
+import {
+  PROVENANCE_SOURCES,
+  formatProvenanceAge,
+  formatProvenanceLabel,
+  isProvenanceStale,
+} from "../utils/provenance";
+import { formatStopError } from "../utils/stopErrors";
+import { formatArrivalTime } from "../utils/timeFormatters";
+import "./ProvenanceBadge.css";
+
+/**
+ * ProvenanceBadge Component
+ *
+ * Small label in a stop box saying where its times came from (live, cached,
+ * saved file, timetable) and how old they are. Clicking it opens a popover
+ * with the source, when the stop was fetched, the data's age and the last
+ * error, if any.
+ *
+ * @param {Object} provenance - Stop's provenance record
+ * @param {string} timeZone - Zone to show the fetch time in
+ * @param {Date} now - Current time, from the board's clock
+ */
+const ProvenanceBadge = ({ provenance, timeZone, now }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (!provenance) return null;
+
+  const nowMs = now.getTime();
+  const isStale = isProvenanceStale(provenance, nowMs);
+  const rows = [
+    ["Source", PROVENANCE_SOURCES[provenance.source] || provenance.source],
+    ["Fetched", formatArrivalTime(new Date(provenance.fetchedAt), timeZone)],
+    ["Data age", formatProvenanceAge(provenance, nowMs) || "Unknown"],
+  ];
+  if (provenance.error) {
+    rows.push(["Last error", formatStopError(provenance.error)]);
+  }
+
+  return (
+    <div className="provenance">
+      <button
+        className={`provenance-badge provenance-${provenance.source} ${
+          isStale ? "provenance-stale" : ""
+        }`}
+        onClick={(e) => {
+          e.stopPropagation(); // Prevent triggering the box click
+          setIsOpen(!isOpen);
+        }}
+        onKeyDown={(e) => {
+          if (e.key === "Escape") setIsOpen(false);
+          e.stopPropagation(); // Keep Alt+Arrow reordering on the box
+        }}
+        onBlur={() => setIsOpen(false)}
+        aria-expanded={isOpen}
+        title="Data source details"
+      >
+        {formatProvenanceLabel(provenance, nowMs)}
+      </button>
+      {isOpen && (
+        <dl className="provenance-popover" role="status">
+          {rows.map(([label, value]) => (
+            <div key={label} className="provenance-row">
+              <dt>{label}</dt>
+              <dd>{value}</dd>
+            </div>
+          ))}
+        </dl>
+      )}
+    </div>
+  );
+};
+
+export default ProvenanceBadge;
@@ -0,0 +1,128 @@
+import React, { useState } from "react";
+import { getStopReliability, clearStopReliability } from "../utils/reliability";
+import { formatComparisonDuration } from "../utils/modeComparison";
+import { formatDelay } from "../utils/timeFormatters";
+import { resolveStopTimeZone } from "../utils/timeZones";
+import {
+  ON_TIME_EARLY_SECONDS,
+  ON_TIME_LATE_SECONDS,
+} from "../utils/constants";
+import "./ReliabilityDetails.css";
+
+// Score colors shared with the board badge
+export const reliabilityGradeColors = {
+  A: "#CCFF00",
+  B: "#7CFC00",
+  C: "#FFA500",
+  D: "#FF4500",
+};
+
+const orDash = (value, format) =>
+  value === null || value === undefined ? "--" : format(value);
+
+/**
+ * ReliabilityDetails Component
+ *
+ * Modal with a bus or train stop's reliability for its route: score,
+ * on-time percentage, average and worst delay, and headway regularity,
+ * from the departures recorded on each refresh.
+ *
+ * @param {Object} stop - Stop data
+ * @param {Function} onClose - Closes the modal
+ */
+const ReliabilityDetails = ({ stop, onClose }) => {
+  const [reliability, setReliability] = useState(() =>
+    getStopReliability(stop)
+  );
+  const timeZone = resolveStopTimeZone(stop);
+
+  const handleClear = () => {
+    if (window.confirm(`Clear the reliability record for ${stop.name}?`)) {
+      clearStopReliability(stop);
+      setReliability(null);
+    }
+  };
+
+  const rows = reliability
+    ? [
+        ["On time", orDash(reliability.onTimePercent, (v) => `${v}%`)],
+        ["Average delay", orDash(reliability.averageDelaySeconds, formatDelay)],
+        ["Worst delay", orDash(reliability.worstDelaySeconds, formatDelay)],
+        [
+          "Average headway",
+          orDash(reliability.averageHeadwaySeconds, formatComparisonDuration),
+        ],
+        [
+          "Headway spread",
+          orDash(
+            reliability.headwayStdevSeconds,
+            (v) => `±${Math.round(v / 60)} min`
+          ),
+        ],
+        [
+          "Regularity",
+          orDash(reliability.headwayRegularityPercent, (v) => `${v}%`),
+        ],
+      ]
+    : [];
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="reliability-details-modal"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="reliability-details-title">Reliability</h2>
+        <div className="reliability-details-name">
+          {stop.name}
+          {stop.routeFilter ? ` (${stop.routeFilter})` : ""}
+        </div>
+
+        {!reliability ? (
+          <div className="reliability-details-empty">
+            Not enough departures yet. Departures are recorded on each refresh.
+          </div>
+        ) : (
+          <>
+            <div
+              className="reliability-details-score"
+              style={{ color: reliabilityGradeColors[reliability.grade] }}
+            >
+              {reliability.grade} · {reliability.score}/100
+            </div>
+            <table className="reliability-details-table">
+              <tbody>
+                {rows.map(([label, value]) => (
+                  <tr key={label}>
+                    <td>{label}</td>
+                    <td>{value}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="reliability-details-note">
+              {reliability.departures} departures since{" "}
+              {reliability.since.toLocaleDateString("en-US", { timeZone })},{" "}
+              {reliability.realTimeDepartures} with real-time predictions. On
+              time means no more than {ON_TIME_EARLY_SECONDS / 60} min early or{" "}
+              {ON_TIME_LATE_SECONDS / 60} min late.
+            </div>
+          </>
+        )}
+
+        <div className="reliability-details-buttons">
+          {reliability && (
+            <button onClick={handleClear} className="reliability-details-clear">
+              Clear
+            </button>
+          )}
+          <button onClick={onClose} className="reliability-details-close">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReliabilityDetails;
@@ -19,6 +19,12 @@ const ReviewPopup = ({ reviewData, onClose, onSubmit }) => {
               <strong>
                 {key === "direction"
                   ? "Direction"
+                  : key === "timeZone"
+                  ? "Time Zone"
+                  : key === "leaveBufferMinutes"
+                  ? "Leave Buffer"
+                  : key === "refreshMinutes"
+                  ? "Refresh Every"
                   : key.charAt(0).toUpperCase() + key.slice(1)}
                 :
               </strong>
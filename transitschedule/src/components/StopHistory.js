@@ -0,0 +1,185 @@
+import React, { useState } from "react";
+import {
+  getStopHistory,
+  clearStopHistory,
+  summarizeHistoryByHour,
+  summarizeHistoryByWeekday,
+  findFastestBucket,
+} from "../utils/commuteHistory";
+import { formatComparisonDuration } from "../utils/modeComparison";
+import { formatDelay } from "../utils/timeFormatters";
+import { resolveStopTimeZone } from "../utils/timeZones";
+import "./StopHistory.css";
+
+const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const formatHour = (hour) => {
+  const suffix = hour < 12 ? "a" : "p";
+  return `${hour % 12 === 0 ? 12 : hour % 12}${suffix}`;
+};
+
+/**
+ * HistoryChart Component
+ *
+ * Bar chart of one metric per bucket (hour or weekday). Buckets without
+ * data are drawn empty; hovering a bar shows its value.
+ */
+const HistoryChart = ({
+  title,
+  buckets,
+  metric,
+  labelFor,
+  formatValue,
+  labelEvery = 1,
+}) => {
+  const values = buckets.map((bucket) => bucket[metric]);
+  const max = Math.max(...values.map((value) => Math.abs(value || 0)), 1);
+
+  return (
+    <div className="history-chart">
+      <div className="history-chart-title">{title}</div>
+      <div className="history-bars">
+        {buckets.map((bucket, index) => {
+          const value = values[index];
+          return (
+            <div
+              key={bucket.index}
+              className="history-bar-column"
+              title={
+                value !== null
+                  ? `${labelFor(bucket.index)}: ${formatValue(value)} (${
+                      bucket.count
+                    } obs)`
+                  : `${labelFor(bucket.index)}: no data`
+              }
+            >
+              <div
+                className={`history-bar ${value < 0 ? "history-bar-early" : ""}`}
+                style={{ height: `${(Math.abs(value || 0) / max) * 100}%` }}
+              />
+              <div className="history-bar-label">
+                {index % labelEvery === 0 ? labelFor(bucket.index) : ""}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * StopHistory Component
+ *
+ * Modal with a stop's commute history: trip duration (or departure delay for
+ * real-time transit) by time of day and by day of week, in the stop's zone.
+ *
+ * @param {Object} stop - Stop data
+ * @param {Function} onClose - Closes the modal
+ */
+const StopHistory = ({ stop, onClose }) => {
+  const [history, setHistory] = useState(() => getStopHistory(stop));
+  const hasDelays = history.some((o) => o.delaySeconds !== null);
+  const [metric, setMetric] = useState(
+    hasDelays ? "avgDelaySeconds" : "avgDurationSeconds"
+  );
+
+  const timeZone = resolveStopTimeZone(stop);
+  const byHour = summarizeHistoryByHour(history, timeZone);
+  const byWeekday = summarizeHistoryByWeekday(history, timeZone);
+  const fastestHour = findFastestBucket(byHour);
+  const fastestDay = findFastestBucket(byWeekday);
+  const formatValue =
+    metric === "avgDelaySeconds" ? formatDelay : formatComparisonDuration;
+
+  const handleClear = () => {
+    if (window.confirm(`Clear the history for ${stop.name}?`)) {
+      clearStopHistory(stop);
+      setHistory([]);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="stop-history-modal" onClick={(e) => e.stopPropagation()}>
+        <h2 className="stop-history-title">History</h2>
+        <div className="stop-history-name">{stop.name}</div>
+
+        {history.length === 0 ? (
+          <div className="stop-history-empty">
+            No history yet. Observations are recorded on each refresh.
+          </div>
+        ) : (
+          <>
+            <div className="stop-history-summary">
+              <div>
+                {history.length} observations since{" "}
+                {history[0].observedAt.toLocaleDateString("en-US", {
+                  timeZone,
+                })}
+              </div>
+              {fastestHour && (
+                <div>
+                  Fastest around {formatHour(fastestHour.index)} (
+                  {formatComparisonDuration(fastestHour.avgDurationSeconds)})
+                </div>
+              )}
+              {fastestDay && (
+                <div>
+                  Fastest on {WEEKDAY_LABELS[fastestDay.index]} (
+                  {formatComparisonDuration(fastestDay.avgDurationSeconds)})
+                </div>
+              )}
+            </div>
+
+            {hasDelays && (
+              <div className="stop-history-metrics">
+                <button
+                  className={metric === "avgDelaySeconds" ? "active" : ""}
+                  onClick={() => setMetric("avgDelaySeconds")}
+                >
+                  Delay
+                </button>
+                <button
+                  className={metric === "avgDurationSeconds" ? "active" : ""}
+                  onClick={() => setMetric("avgDurationSeconds")}
+                >
+                  Duration
+                </button>
+              </div>
+            )}
+
+            <HistoryChart
+              title="By time of day"
+              buckets={byHour}
+              metric={metric}
+              labelFor={formatHour}
+              labelEvery={3}
+              formatValue={formatValue}
+            />
+            <HistoryChart
+              title="By day of week"
+              buckets={byWeekday}
+              metric={metric}
+              labelFor={(index) => WEEKDAY_LABELS[index]}
+              formatValue={formatValue}
+            />
+          </>
+        )}
+
+        <div className="stop-history-buttons">
+          {history.length > 0 && (
+            <button onClick={handleClear} className="stop-history-clear">
+              Clear
+            </button>
+          )}
+          <button onClick={onClose} className="stop-history-close">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StopHistory;
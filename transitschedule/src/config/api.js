@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { clearAuthData } from '../utils/authHelpers';
+import { markOnline, markOffline, isNetworkError } from '../utils/connectivity';
 
 const API_BASE_URL = 'http://localhost:3001';
 
@@ -46,6 +47,8 @@ api.interceptors.response.use(
     console.log("[api] Response interceptor - Status text:", response.statusText);
     console.log("[api] Response interceptor - Has data:", !!response.data);
     console.log("[api] Response interceptor - Response headers:", response.headers);
+    // Reaching the backend means the app is online
+    markOnline();
     return response;
   },
   (error) => {
@@ -77,6 +80,13 @@ api.interceptors.response.use(
       console.error("[api] Response interceptor - Error message:", error.message);
     }
     
+    // No response at all means the backend (or the network) is unreachable
+    if (isNetworkError(error)) {
+      markOffline();
+    } else if (error.response) {
+      markOnline();
+    }
+
     // Handle 401 Unauthorized - token might be expired or invalid
     if (error.response?.status === 401) {
       console.log("[api] Response interceptor - 401 detected, clearing auth data");
@@ -0,0 +1,113 @@
+import { registerTransitType } from "../utils/transitTypeRegistry";
+import { getBikeStopData, processBikeResponse } from "../services/bikeService";
+import { getWalkStopData, processWalkResponse } from "../services/walkService";
+import {
+  getDriveStopData,
+  processDriveResponse,
+} from "../services/driveService";
+import { getBusStopData, processBusResponse } from "../services/busService";
+import {
+  getTrainStopData,
+  processTrainResponse,
+} from "../services/trainService";
+import { getFerryStopData } from "../services/ferryService";
+import { getTripStopData, processTripResponse } from "../services/tripService";
+
+/**
+ * Built-in Transit Types
+ *
+ * Registers the modes the board ships with. Adding a new mode (scooter, light
+ * rail, ...) means adding its service and one registerTransitType call here.
+ * Import from this module rather than the registry so the built-ins are
+ * always registered before lookup.
+ */
+
+registerTransitType({
+  type: "drive",
+  label: "DRIVE",
+  category: "route",
+  fetcher: getDriveStopData,
+  processor: processDriveResponse,
+  defaultConfig: { mode: "driving" },
+  formFields: ["destination"],
+});
+
+registerTransitType({
+  type: "walk",
+  label: "WALK",
+  category: "route",
+  fetcher: getWalkStopData,
+  processor: processWalkResponse,
+  defaultConfig: { mode: "walking" },
+  formFields: ["destination"],
+});
+
+registerTransitType({
+  type: "bike",
+  label: "BIKE",
+  category: "route",
+  fetcher: getBikeStopData,
+  processor: processBikeResponse,
+  defaultConfig: { mode: "bicycling" },
+  formFields: ["destination"],
+});
+
+registerTransitType({
+  type: "bus",
+  label: "BUS",
+  category: "transit",
+  fetcher: getBusStopData,
+  processor: processBusResponse,
+  defaultConfig: {
+    origin: "Congress and Oltorf, Austin, TX",
+    destination: "Downtown Station, Austin, TX",
+    routeFilter: "801",
+    transitMode: "bus",
+  },
+  formFields: ["origin", "destination"],
+});
+
+registerTransitType({
+  type: "train",
+  label: "TRAIN",
+  category: "transit",
+  fetcher: getTrainStopData,
+  processor: processTrainResponse,
+  defaultConfig: {
+    origin: "South San Francisco Caltrain Station, CA",
+    destination: "San Francisco Caltrain Station, CA",
+    routeFilter: "Caltrain",
+    transitMode: "rail",
+  },
+  formFields: ["origin", "destination"],
+});
+
+registerTransitType({
+  type: "ferry",
+  label: "FERRY",
+  category: "schedule",
+  fetcher: getFerryStopData,
+  defaultConfig: { origin: "anacortes", destination: "orcas" },
+  formFields: ["terminals"],
+});
+
+registerTransitType({
+  type: "trip",
+  label: "TRIP",
+  category: "trip",
+  fetcher: getTripStopData,
+  processor: processTripResponse,
+  defaultConfig: { mode: "transit" },
+  formFields: ["destination"],
+});
+
+export {
+  registerTransitType,
+  getTransitType,
+  getTransitTypes,
+  getTransitTypeLabel,
+  isRouteType,
+  createStopConfig,
+  fetchStopData,
+  processStopResponse,
+} from "../utils/transitTypeRegistry";
@@ -3,18 +3,42 @@ import ReactDOM from 'react-dom/client';
 import { Provider } from 'react-redux';
 import './index.css';
 import App from './App';
+import KioskBoard from './components/KioskBoard';
+import ErrorBoundary from './components/ErrorBoundary';
 import reportWebVitals from './reportWebVitals';
+import { register as registerServiceWorker } from './serviceWorkerRegistration';
 import { store } from './store/store';
+import { getKioskToken } from './utils/boards';
+
+// A board's kiosk URL (?kiosk=<token>) shows that board read-only, without a login
+const kioskToken = getKioskToken();
+
+// Last resort if the board itself fails to render (stop boxes have their own)
+const renderAppError = () => (
+  <div className="App">
+    <div className="transit-display-container">
+      <div className="no-data-message">
+        Something went wrong showing the board.{' '}
+        <button onClick={() => window.location.reload()}>Reload</button>
+      </div>
+    </div>
+  </div>
+);
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
     <Provider store={store}>
-      <App />
+      <ErrorBoundary name="board" fallback={renderAppError}>
+        {kioskToken ? <KioskBoard token={kioskToken} /> : <App />}
+      </ErrorBoundary>
     </Provider>
   </React.StrictMode>
 );
 
+// Cache the app shell and data files so the board works offline
+registerServiceWorker();
+
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
 // or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
@@ -0,0 +1,52 @@
+import { FERRY_SCHEDULE_URL, GTFS_FEEDS } from "./utils/constants";
+
+/**
+ * Service Worker Registration
+ *
+ * Registers public/service-worker.js, which caches the app shell and data
+ * files for offline use. Only production builds register it, so the dev
+ * server always serves fresh files.
+ */
+
+const isSupported = () =>
+  typeof navigator !== "undefined" && "serviceWorker" in navigator;
+
+/**
+ * Register the service worker once the page has loaded
+ */
+export const register = () => {
+  if (process.env.NODE_ENV !== "production" || !isSupported()) return;
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then(() => console.log("✓ Service worker registered"))
+      .catch((error) =>
+        console.warn("⚠ Service worker registration failed:", error.message)
+      );
+  });
+};
+
+/**
+ * Ask the service worker to cache the data files a board falls back to
+ * offline: each stop's saved data file, the GTFS feeds and the ferry schedule
+ *
+ * @param {Array<Object>} stops - Stops from the backend (with data_file)
+ */
+export const cacheOfflineDataFiles = (stops) => {
+  if (!isSupported()) return;
+
+  const publicUrl = process.env.PUBLIC_URL || "";
+  const urls = [
+    FERRY_SCHEDULE_URL,
+    ...Object.values(GTFS_FEEDS),
+    ...stops.map((stop) => stop.data_file).filter(Boolean),
+  ].map((path) => `${publicUrl}${path}`);
+
+  navigator.serviceWorker.ready.then((registration) =>
+    registration.active?.postMessage({
+      type: "CACHE_DATA_FILES",
+      urls: [...new Set(urls)],
+    })
+  );
+};
@@ -103,9 +103,10 @@ export const login = async (email, password) => {
  * @param {string} email - User email
  * @param {string} password - User password
  * @param {string} passwordConfirmation - Password confirmation
+ * @param {string} [stopTemplateId] - Stop template to start with ("" for none, omitted for the default)
  * @returns {Promise<Object>} - User data and token
  */
-export const createAccount = async (name, email, password, passwordConfirmation) => {
+export const createAccount = async (name, email, password, passwordConfirmation, stopTemplateId) => {
   try {
     const response = await api.post('/api/v1/users', {
       user: {
@@ -113,6 +114,7 @@ export const createAccount = async (name, email, password, passwordConfirmation)
         email,
         password,
         password_confirmation: passwordConfirmation,
+        stop_template_id: stopTemplateId,
       },
     });
     
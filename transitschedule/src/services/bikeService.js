@@ -1,5 +1,9 @@
 import axios from "axios";
 import api from "../config/api";
+import { cachedGet } from "../utils/requestCache";
+import { loadSavedData } from "../utils/fileLoader";
+import { withProvenance } from "../utils/provenance";
+import { createStopError, getStopError } from "../utils/stopErrors";
 
 /**
  * Bike Service
@@ -16,17 +20,24 @@ const BASE_URL = "https://maps.googleapis.com/maps/api/directions/json";
  * @param {string} origin - Starting location
  * @param {string} destination - Destination location
  * @param {string} apiKey - Google Maps API key (for fallback direct call)
+ * @param {string} stopName - Stop the request is for, for the API usage meter
  * @returns {Promise<Object>} - API response data
  */
-export const fetchBikeRoute = async (origin, destination, apiKey) => {
+export const fetchBikeRoute = async (
+  origin,
+  destination,
+  apiKey,
+  stopName = null
+) => {
   // First try backend proxy (avoids CORS issues)
   try {
-    const proxyResponse = await api.get("/api/v1/transit_data/live_transit", {
+    const proxyResponse = await cachedGet(api, "/api/v1/transit_data/live_transit", {
       params: {
         origin,
         destination,
         mode: "bicycling",
       },
+      stop: stopName,
     });
     console.log("✓ Live bike data fetched via backend proxy");
     return proxyResponse.data;
@@ -45,10 +56,15 @@ export const fetchBikeRoute = async (origin, destination, apiKey) => {
     };
 
     try {
-      const response = await axios.get(BASE_URL, { params });
+      const response = await cachedGet(axios, BASE_URL, {
+        params,
+        stop: stopName,
+      });
       return response.data;
     } catch (error) {
       console.error("Error fetching bike route:", error);
+      // Keep why the proxy failed, to tell a backend outage from a Google error
+      error.proxyError = proxyError;
       throw error;
     }
   }
@@ -119,58 +135,77 @@ export const processBikeResponse = (stopConfig, response) => {
  * @returns {Promise<Object>} - Formatted stop data
  */
 export const getBikeStopData = async (stopConfig, apiKey) => {
+  let lastError = null;
   try {
-    // Try to load from saved file first
-    if (stopConfig.dataFile) {
-      try {
-        const filePath = `${process.env.PUBLIC_URL || ""}${stopConfig.dataFile}`;
-        const response = await fetch(filePath);
-        if (response.ok) {
-          const data = await response.json();
-          console.log(
-            `✓ Loaded saved data for ${stopConfig.name} (bike)`
-          );
-          return processBikeResponse(stopConfig, data);
-        }
-      } catch (error) {
+    // Try the live API call first so the estimate is current
+    try {
+      const response = await fetchBikeRoute(
+        stopConfig.origin,
+        stopConfig.destination,
+        apiKey,
+        stopConfig.name
+      );
+
+      if (response && response.status === "OK") {
         console.log(
-          `✗ Error loading saved file for ${stopConfig.name}, will fetch from API:`,
-          error.message
+          `✓ Request successful for ${stopConfig.name} (bike) - using live data`
+        );
+        return withProvenance(
+          processBikeResponse(stopConfig, response),
+          "live",
+          { response }
         );
       }
-    }
-
-    // If file doesn't exist or failed to load, make API call
-    const response = await fetchBikeRoute(
-      stopConfig.origin,
-      stopConfig.destination,
-      apiKey
-    );
-
-    if (response && response.status === "OK") {
-      console.log(
-        `✓ Request successful for ${stopConfig.name} (bike)`
+      lastError = getStopError(response);
+      console.warn(
+        `⚠ API call failed for ${stopConfig.name} (bike): ${
+          response?.status || "Unknown error"
+        }, falling back to saved data`
       );
-    } else {
-      console.log(
-        `✗ Request unsuccessful for ${stopConfig.name} (bike): ${response?.status || "Unknown error"}`
+    } catch (networkError) {
+      lastError = getStopError(networkError);
+      console.warn(
+        `⚠ Network error fetching live data for ${stopConfig.name} (bike), attempting to use saved data as fallback:`,
+        networkError.message
       );
     }
 
-    return processBikeResponse(stopConfig, response);
+    // Fallback to saved data only if the live call fails
+    if (stopConfig.dataFile) {
+      const filePath = `${process.env.PUBLIC_URL || ""}${stopConfig.dataFile}`;
+      const savedData = await loadSavedData(filePath);
+      if (savedData) {
+        console.log(
+          `⚠ Using saved data for ${stopConfig.name} (API call failed)`
+        );
+        return withProvenance(
+          processBikeResponse(stopConfig, savedData),
+          "saved",
+          { response: savedData, error: lastError }
+        );
+      }
+    }
+
+    return withProvenance(processBikeResponse(stopConfig, null), "none", {
+      error: lastError || createStopError("unknown"),
+    });
   } catch (error) {
     console.error(`Error fetching bike data for ${stopConfig.name}:`, error);
-    return {
-      name: stopConfig.name,
-      type: "bike",
-      origin: stopConfig.origin,
-      destination: stopConfig.destination,
-      mode: "bicycling",
-      allArrivalTimes: [],
-      estimatedTime: null,
-      lastStopTime: null,
-      isWithinTwoStops: false,
-    };
+    return withProvenance(
+      {
+        name: stopConfig.name,
+        type: "bike",
+        origin: stopConfig.origin,
+        destination: stopConfig.destination,
+        mode: "bicycling",
+        allArrivalTimes: [],
+        estimatedTime: null,
+        lastStopTime: null,
+        isWithinTwoStops: false,
+      },
+      "none",
+      { error: getStopError(error) }
+    );
   }
 };
 
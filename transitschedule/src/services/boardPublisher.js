@@ -0,0 +1,186 @@
+import {
+  PUBLISH_CONFIG,
+  PUBLISH_RETRY_ATTEMPTS,
+  PUBLISH_RETRY_BASE_MS,
+} from "../utils/constants";
+import {
+  buildBoardSnapshot,
+  getStopFingerprint,
+  getSnapshotFingerprint,
+} from "../utils/boardSnapshot";
+import { connectMqtt } from "./mqttClient";
+
+/**
+ * Board Publisher
+ *
+ * After each refresh, posts a JSON snapshot of the board to the configured
+ * webhook URLs and publishes it over MQTT:
+ *   <topicPrefix>/board         - whole snapshot
+ *   <topicPrefix>/stops/<id>    - one stop's entry
+ * Nothing is sent for targets that already have the current data, and
+ * failed sends are retried with exponential backoff (and again on the next
+ * refresh, since they are not marked as sent).
+ */
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run a task, retrying failures with exponential backoff
+ *
+ * @param {Function} task - Async function to run
+ * @param {Object} options - { attempts, baseDelayMs, label }
+ * @returns {Promise<*>} - Task result (rejects with the last error)
+ */
+export const retryWithBackoff = async (
+  task,
+  {
+    attempts = PUBLISH_RETRY_ATTEMPTS,
+    baseDelayMs = PUBLISH_RETRY_BASE_MS,
+    label = "task",
+  } = {}
+) => {
+  let lastError;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      lastError = error;
+      if (attempt < attempts) {
+        const delayMs = baseDelayMs * 2 ** (attempt - 1);
+        console.warn(
+          `⚠ ${label} failed (attempt ${attempt}/${attempts}), retrying in ${delayMs} ms:`,
+          error.message
+        );
+        await wait(delayMs);
+      }
+    }
+  }
+  throw lastError;
+};
+
+/**
+ * POST a snapshot to one webhook
+ *
+ * @param {string} url - Webhook URL
+ * @param {Object} snapshot - Board snapshot
+ */
+const postWebhook = async (url, snapshot) => {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(snapshot),
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+};
+
+/**
+ * Create a board publisher
+ * Each publisher remembers what it last sent to each target.
+ *
+ * @param {Object} config - { webhookUrls, mqtt: { url, topicPrefix, username }, attempts, baseDelayMs } (defaults to PUBLISH_CONFIG)
+ * @returns {Object} - { isConfigured(), publish(stops, { now, bufferMinutes }) }
+ */
+export const createBoardPublisher = (config = PUBLISH_CONFIG) => {
+  const webhookUrls = config.webhookUrls || [];
+  const mqtt = config.mqtt || {};
+  const retryOptions = {
+    attempts: config.attempts,
+    baseDelayMs: config.baseDelayMs,
+  };
+
+  // Last fingerprint successfully sent, per webhook URL and per MQTT topic
+  const sentToWebhooks = {};
+  const sentToTopics = {};
+
+  const publishWebhooks = (snapshot) => {
+    const fingerprint = getSnapshotFingerprint(snapshot);
+    return Promise.all(
+      webhookUrls
+        .filter((url) => sentToWebhooks[url] !== fingerprint)
+        .map(async (url) => {
+          try {
+            await retryWithBackoff(() => postWebhook(url, snapshot), {
+              ...retryOptions,
+              label: `Webhook ${url}`,
+            });
+            sentToWebhooks[url] = fingerprint;
+            return url;
+          } catch (error) {
+            console.error(`✗ Webhook ${url} failed:`, error.message);
+            return null;
+          }
+        })
+    );
+  };
+
+  const publishMqtt = async (snapshot) => {
+    if (!mqtt.url) return [];
+
+    const prefix = mqtt.topicPrefix || "eggycommutes";
+    const messages = [
+      {
+        topic: `${prefix}/board`,
+        fingerprint: getSnapshotFingerprint(snapshot),
+        message: snapshot,
+      },
+      ...snapshot.stops.map((entry) => ({
+        topic: `${prefix}/stops/${entry.id}`,
+        fingerprint: getStopFingerprint(entry),
+        message: { ...entry, generatedAt: snapshot.generatedAt },
+      })),
+    ].filter(({ topic, fingerprint }) => sentToTopics[topic] !== fingerprint);
+    if (messages.length === 0) return [];
+
+    try {
+      await retryWithBackoff(
+        async () => {
+          const client = await connectMqtt(mqtt.url, {
+            username: mqtt.username,
+          });
+          messages.forEach(({ topic, message }) =>
+            client.publish(topic, JSON.stringify(message), { retain: true })
+          );
+          await client.end();
+        },
+        { ...retryOptions, label: `MQTT ${mqtt.url}` }
+      );
+    } catch (error) {
+      console.error(`✗ MQTT publish to ${mqtt.url} failed:`, error.message);
+      return [];
+    }
+
+    messages.forEach(({ topic, fingerprint }) => {
+      sentToTopics[topic] = fingerprint;
+    });
+    return messages.map(({ topic }) => topic);
+  };
+
+  return {
+    isConfigured: () => webhookUrls.length > 0 || Boolean(mqtt.url),
+
+    /**
+     * Publish the board if it changed since the last successful send
+     *
+     * @param {Array<Object>} stops - Board stops
+     * @param {Object} options - { now, bufferMinutes }
+     * @returns {Promise<Object>} - { webhooks: URLs posted, topics: MQTT topics published }
+     */
+    publish: async (stops, { now = new Date(), bufferMinutes } = {}) => {
+      const snapshot = buildBoardSnapshot(stops, now, bufferMinutes);
+      const [webhooks, topics] = await Promise.all([
+        publishWebhooks(snapshot),
+        publishMqtt(snapshot),
+      ]);
+
+      const posted = webhooks.filter(Boolean);
+      if (posted.length > 0 || topics.length > 0) {
+        console.log(
+          `✓ Published board: ${posted.length} webhooks, ${topics.length} MQTT topics`
+        );
+      }
+      return { webhooks: posted, topics: topics };
+    },
+  };
+};
@@ -0,0 +1,110 @@
+import api from "../config/api";
+import { fetchWithOfflineCopy } from "../utils/offlineStore";
+
+/**
+ * Board Service
+ *
+ * Handles API calls for the user's named boards and the public kiosk view.
+ */
+
+/**
+ * Fetch the current user's boards (a Home board is created if there are none)
+ * Offline, the last boards loaded are used.
+ * @returns {Promise<Array>} - Array of board objects in order
+ */
+export const fetchBoards = async () => {
+  try {
+    return await fetchWithOfflineCopy("boards", async () => {
+      const response = await api.get("/api/v1/boards");
+      return response.data;
+    });
+  } catch (error) {
+    console.error("Error fetching boards:", error);
+    throw error;
+  }
+};
+
+/**
+ * Create a board
+ * @param {Object} boardData - { name, origin, layout, refresh_minutes }
+ * @returns {Promise<Object>} - Created board object
+ */
+export const createBoard = async (boardData) => {
+  try {
+    const response = await api.post("/api/v1/boards", { board: boardData });
+    return response.data;
+  } catch (error) {
+    console.error("Error creating board:", error);
+    throw error;
+  }
+};
+
+/**
+ * Update a board
+ * @param {number} id - Board ID
+ * @param {Object} boardData - Changed board fields
+ * @returns {Promise<Object>} - Updated board object
+ */
+export const updateBoard = async (id, boardData) => {
+  try {
+    const response = await api.patch(`/api/v1/boards/${id}`, {
+      board: boardData,
+    });
+    return response.data;
+  } catch (error) {
+    console.error("Error updating board:", error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a board (its stops stay, along with their other boards)
+ * @param {number} id - Board ID
+ * @returns {Promise<Object>} - Response message
+ */
+export const deleteBoard = async (id) => {
+  try {
+    const response = await api.delete(`/api/v1/boards/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error("Error deleting board:", error);
+    throw error;
+  }
+};
+
+/**
+ * Replace a board's kiosk token, so displays on the old kiosk URL stop working
+ * @param {number} id - Board ID
+ * @returns {Promise<Object>} - Updated board object
+ */
+export const regenerateKioskToken = async (id) => {
+  try {
+    const response = await api.patch(
+      `/api/v1/boards/${id}/regenerate_kiosk_token`
+    );
+    return response.data;
+  } catch (error) {
+    console.error("Error regenerating kiosk URL:", error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch a board and its visible stops by kiosk token (no login needed)
+ * Offline, the last copy loaded is used.
+ * @param {string} token - Kiosk token
+ * @returns {Promise<Object>} - { board, stops }
+ */
+export const fetchKioskBoard = async (token) => {
+  try {
+    return await fetchWithOfflineCopy(`kiosk:${token}`, async () => {
+      const response = await api.get(
+        `/api/v1/kiosk/${encodeURIComponent(token)}`
+      );
+      return response.data;
+    });
+  } catch (error) {
+    console.error("Error fetching kiosk board:", error);
+    throw error;
+  }
+};
@@ -1,13 +1,32 @@
 import axios from "axios";
 import api from "../config/api";
-import { convertToCentralTime } from "../utils/helpers";
-import { CAP_METRO_STOPS } from "../utils/constants";
+import { cachedGet } from "../utils/requestCache";
+import { parseApiTime } from "../utils/helpers";
+import {
+  CAP_METRO_STOPS,
+  GTFS_FEEDS,
+  GTFS_REALTIME_FEEDS,
+} from "../utils/constants";
 import {
   findNextArrival,
+  sortArrivalTimes,
   calculateLastStopTime,
   calculateIsWithinTwoStops,
 } from "../utils/timeCalculations";
 import { loadSavedData, hasMatchingRoute } from "../utils/fileLoader";
+import { withProvenance } from "../utils/provenance";
+import { createStopError, getStopError } from "../utils/stopErrors";
+import { resolveStopTimeZone } from "../utils/timeZones";
+import {
+  getDirectionsTimeParams,
+  getScheduleSearchStart,
+} from "../utils/targetTime";
+import {
+  loadGtfsFeed,
+  getGtfsArrivalTimes,
+  getGtfsFeedTimeZone,
+} from "./gtfsService";
+import { getRealtimeArrivalTimes } from "./gtfsRealtimeService";
 
 /**
  * Bus Service
@@ -24,18 +43,32 @@ const BASE_URL = "https://maps.googleapis.com/maps/api/directions/json";
  * @param {string} origin - Starting bus stop
  * @param {string} destination - Destination bus stop (always Downtown Station)
  * @param {string} apiKey - Google Maps API key (for fallback direct call)
+ * @param {Object} timeParams - arrival_time or departure_time for arrive-by/depart-at stops (default: leave now)
+ * @param {string} stopName - Stop the request is for, for the API usage meter
  * @returns {Promise<Object>} - API response data
  */
-export const fetchBusRoute = async (origin, destination, apiKey) => {
+export const fetchBusRoute = async (
+  origin,
+  destination,
+  apiKey,
+  timeParams = { departure_time: "now" },
+  stopName = null
+) => {
   // First try backend proxy (avoids CORS issues)
   try {
-    const proxyResponse = await api.get("/api/v1/transit_data/live_transit", {
-      params: {
-        origin,
-        destination: destination || "Downtown Station, Austin, TX",
-        transit_mode: "bus",
-      },
-    });
+    const proxyResponse = await cachedGet(
+      api,
+      "/api/v1/transit_data/live_transit",
+      {
+        params: {
+          origin,
+          destination: destination || "Downtown Station, Austin, TX",
+          transit_mode: "bus",
+          ...timeParams,
+        },
+        stop: stopName,
+      }
+    );
     console.log("✓ Live transit data fetched via backend proxy");
     return proxyResponse.data;
   } catch (proxyError) {
@@ -50,13 +83,16 @@ export const fetchBusRoute = async (origin, destination, apiKey) => {
       destination: destination || "Downtown Station, Austin, TX",
       mode: "transit",
       transit_mode: "bus",
-      departure_time: "now",
+      ...timeParams,
       alternatives: true,
       key: apiKey,
     };
 
     try {
-      const response = await axios.get(BASE_URL, { params });
+      const response = await cachedGet(axios, BASE_URL, {
+        params,
+        stop: stopName,
+      });
       return response.data;
     } catch (error) {
       console.error("Error fetching bus route:", error);
@@ -73,6 +109,8 @@ export const fetchBusRoute = async (origin, destination, apiKey) => {
         // Something happened in setting up the request that triggered an Error
         console.error("Error message:", error.message);
       }
+      // Keep why the proxy failed, to tell a backend outage from a Google error
+      error.proxyError = proxyError;
       throw error;
     }
   }
@@ -113,6 +151,8 @@ export const processBusResponse = (stopConfig, response) => {
 
   // Extract all arrival times from all routes, filtering by route 801
   const allArrivalTimes = [];
+  // Directions reports times in the agency's zone
+  let responseTimeZone = null;
   const routeFilter = stopConfig.routeFilter || "801";
 
   response.routes.forEach((route) => {
@@ -127,21 +167,22 @@ export const processBusResponse = (stopConfig, response) => {
           const matchesRoute = lineName === routeFilter;
 
           if (matchesRoute && transitDetails.departure_time) {
-            // Check if we have real-time data
-            const isRealTime =
-              transitDetails.departure_time.value !== undefined;
-
-            if (isRealTime || transitDetails.departure_time.text) {
+            // Directions times are scheduled; GTFS-Realtime predictions
+            // are applied afterwards in withRealtimeUpdates
+            if (
+              transitDetails.departure_time.value !== undefined ||
+              transitDetails.departure_time.text
+            ) {
               // For bus stops, use departure_time (when bus leaves your stop)
               // not arrival_time (when it arrives at the next stop)
-              const departureTime = convertToCentralTime(
-                transitDetails.departure_time
-              );
-              const arrivalTime = convertToCentralTime(
-                transitDetails.arrival_time
-              );
+              const departureTime = parseApiTime(transitDetails.departure_time);
+              const arrivalTime = parseApiTime(transitDetails.arrival_time);
 
               if (departureTime) {
+                responseTimeZone =
+                  responseTimeZone ||
+                  transitDetails.departure_time.time_zone ||
+                  null;
                 allArrivalTimes.push({
                   stopName:
                     transitDetails.departure_stop?.name || stopConfig.name,
@@ -150,7 +191,10 @@ export const processBusResponse = (stopConfig, response) => {
                   arrivalAtNextStop: arrivalTime,
                   headsign: transitDetails.headsign || "Unknown",
                   lineName: lineName,
-                  isRealTime: isRealTime,
+                  scheduledTime: departureTime,
+                  predictedTime: null,
+                  delaySeconds: null,
+                  isRealTime: false,
                 });
               }
             }
@@ -160,12 +204,25 @@ export const processBusResponse = (stopConfig, response) => {
     });
   });
 
-  // Sort all arrival times by time, prioritizing real-time data
-  allArrivalTimes.sort((a, b) => {
-    if (a.isRealTime && !b.isRealTime) return -1;
-    if (!a.isRealTime && b.isRealTime) return 1;
-    return a.arrivalTime - b.arrivalTime;
-  });
+  return processBusArrivalTimes(
+    { ...stopConfig, timeZone: responseTimeZone || stopConfig.timeZone },
+    allArrivalTimes
+  );
+};
+
+/**
+ * Builds formatted stop data from a list of bus arrival times
+ * Shared by Directions API responses and GTFS schedules.
+ *
+ * @param {Object} stopConfig - Stop configuration object
+ * @param {Array} allArrivalTimes - Arrival time entries
+ * @returns {Object} - Formatted stop data
+ */
+export const processBusArrivalTimes = (stopConfig, allArrivalTimes) => {
+  const routeFilter = stopConfig.routeFilter || "801";
+
+  // Sort all arrival times by predicted time, or scheduled time without one
+  sortArrivalTimes(allArrivalTimes);
 
   // Log if we found stop times
   if (allArrivalTimes.length > 0) {
@@ -180,16 +237,23 @@ export const processBusResponse = (stopConfig, response) => {
 
   // Find next arrival time using utility
   const now = new Date();
-  const nextArrival = findNextArrival(allArrivalTimes, now);
+  const timeZone = resolveStopTimeZone(stopConfig);
+  const nextArrival = findNextArrival(allArrivalTimes, now, timeZone);
 
   // Determine last stop time using utility
-  const lastStopTime = calculateLastStopTime(allArrivalTimes, nextArrival, now);
+  const lastStopTime = calculateLastStopTime(
+    allArrivalTimes,
+    nextArrival,
+    now,
+    timeZone
+  );
 
   // Calculate if next arrival is within 2 stops using utility
   const isWithinTwoStops = calculateIsWithinTwoStops(
     nextArrival,
     lastStopTime,
-    allArrivalTimes
+    allArrivalTimes,
+    timeZone
   );
 
   return {
@@ -201,12 +265,70 @@ export const processBusResponse = (stopConfig, response) => {
     transitMode: "bus",
     allArrivalTimes: allArrivalTimes,
     nextArrivalTime: nextArrival?.arrivalTime || null,
+    nextArrivalDelaySeconds: nextArrival?.isRealTime
+      ? nextArrival.delaySeconds
+      : null,
     lastStopTime: lastStopTime,
     isWithinTwoStops: isWithinTwoStops,
     walkTime: stopConfig.walkTime || null,
+    timeZone: timeZone,
   };
 };
 
+/**
+ * Loads scheduled bus times from the stop's GTFS feed
+ *
+ * @param {Object} stopConfig - Stop configuration object
+ * @returns {Promise<Object|null>} - Formatted stop data, or null if no scheduled times
+ */
+const getGtfsBusStopData = async (stopConfig) => {
+  const feedUrl = `${process.env.PUBLIC_URL || ""}${
+    stopConfig.gtfsFeedUrl || GTFS_FEEDS.bus
+  }`;
+  const feed = await loadGtfsFeed(feedUrl);
+  if (!feed) {
+    return null;
+  }
+  const allArrivalTimes = getGtfsArrivalTimes(
+    feed,
+    stopConfig,
+    getScheduleSearchStart(stopConfig)
+  );
+  if (allArrivalTimes.length === 0) {
+    return null;
+  }
+  console.log(`⚠ Using GTFS schedule for ${stopConfig.name}`);
+  return processBusArrivalTimes(
+    { ...stopConfig, timeZone: getGtfsFeedTimeZone(feed) },
+    allArrivalTimes
+  );
+};
+
+/**
+ * Applies GTFS-Realtime predictions to bus stop data
+ *
+ * @param {Object} stopConfig - Stop configuration object
+ * @param {Object} stopData - Formatted stop data
+ * @returns {Promise<Object>} - Formatted stop data with predicted times
+ */
+const withRealtimeUpdates = async (stopConfig, stopData) => {
+  const allArrivalTimes = await getRealtimeArrivalTimes(
+    stopConfig,
+    stopData.allArrivalTimes,
+    {
+      realtimeFeeds: GTFS_REALTIME_FEEDS.bus,
+      gtfsFeedUrl: GTFS_FEEDS.bus,
+    }
+  );
+  if (allArrivalTimes === stopData.allArrivalTimes) {
+    return stopData;
+  }
+  return processBusArrivalTimes(
+    { ...stopConfig, timeZone: stopData.timeZone },
+    allArrivalTimes
+  );
+};
+
 /**
  * Fetches and processes bus transit data
  *
@@ -215,13 +337,22 @@ export const processBusResponse = (stopConfig, response) => {
  * @returns {Promise<Object>} - Formatted stop data
  */
 export const getBusStopData = async (stopConfig, apiKey) => {
+  let lastError = null;
   try {
     // Always try API call first to get current/real-time data
     if (!apiKey || apiKey === "YOUR_API_KEY_HERE") {
       console.warn(
         `⚠ No API key configured for ${stopConfig.name} (bus) - cannot fetch live data`
       );
-      // Fallback to saved data if no API key
+      // Fallback to GTFS schedule, then saved data if no API key
+      const gtfsData = await getGtfsBusStopData(stopConfig);
+      if (gtfsData) {
+        return withProvenance(
+          await withRealtimeUpdates(stopConfig, gtfsData),
+          "schedule",
+          { error: createStopError("noApiKey") }
+        );
+      }
       if (stopConfig.dataFile) {
         const filePath = `${process.env.PUBLIC_URL || ""}${
           stopConfig.dataFile
@@ -231,22 +362,30 @@ export const getBusStopData = async (stopConfig, apiKey) => {
           console.log(
             `⚠ Using saved data for ${stopConfig.name} (no API key available)`
           );
-          return processBusResponse(stopConfig, savedData);
+          return withProvenance(
+            processBusResponse(stopConfig, savedData),
+            "saved",
+            { response: savedData, error: createStopError("noApiKey") }
+          );
         }
       }
-      return {
-        name: stopConfig.name,
-        type: "bus",
-        origin: stopConfig.origin,
-        destination: stopConfig.destination || "Downtown Station, Austin, TX",
-        routeFilter: stopConfig.routeFilter || "801",
-        transitMode: "bus",
-        allArrivalTimes: [],
-        nextArrivalTime: null,
-        lastStopTime: null,
-        isWithinTwoStops: false,
-        walkTime: stopConfig.walkTime || null,
-      };
+      return withProvenance(
+        {
+          name: stopConfig.name,
+          type: "bus",
+          origin: stopConfig.origin,
+          destination: stopConfig.destination || "Downtown Station, Austin, TX",
+          routeFilter: stopConfig.routeFilter || "801",
+          transitMode: "bus",
+          allArrivalTimes: [],
+          nextArrivalTime: null,
+          lastStopTime: null,
+          isWithinTwoStops: false,
+          walkTime: stopConfig.walkTime || null,
+        },
+        "none",
+        { error: createStopError("noApiKey") }
+      );
     }
 
     // Try live API call first
@@ -254,15 +393,34 @@ export const getBusStopData = async (stopConfig, apiKey) => {
       const response = await fetchBusRoute(
         stopConfig.origin,
         stopConfig.destination,
-        apiKey
+        apiKey,
+        getDirectionsTimeParams(stopConfig),
+        stopConfig.name
       );
 
-      if (response && response.status === "OK") {
+      const routeFilter = stopConfig.routeFilter || "801";
+      if (
+        response?.status === "OK" &&
+        !hasMatchingRoute(response, routeFilter)
+      ) {
+        lastError = createStopError("routeNotFound", `Route ${routeFilter}`);
+        console.warn(
+          `⚠ Route ${routeFilter} not found for ${stopConfig.name} (bus), falling back to the schedule`
+        );
+      } else if (response && response.status === "OK") {
         console.log(
           `✓ Request successful for ${stopConfig.name} (bus) - using live data`
         );
-        return processBusResponse(stopConfig, response);
+        return withProvenance(
+          await withRealtimeUpdates(
+            stopConfig,
+            processBusResponse(stopConfig, response)
+          ),
+          "live",
+          { response }
+        );
       } else {
+        lastError = getStopError(response);
         console.warn(
           `⚠ API call failed for ${stopConfig.name} (bus): ${
             response?.status || "Unknown error"
@@ -270,13 +428,22 @@ export const getBusStopData = async (stopConfig, apiKey) => {
         );
       }
     } catch (networkError) {
+      lastError = getStopError(networkError);
       console.warn(
         `⚠ Network error fetching live data for ${stopConfig.name} (bus), attempting to use saved data as fallback:`,
         networkError.message
       );
     }
 
-    // Fallback to saved data only if API call fails
+    // Fallback to GTFS schedule, then saved data, only if API call fails
+    const gtfsData = await getGtfsBusStopData(stopConfig);
+    if (gtfsData) {
+      return withProvenance(
+        await withRealtimeUpdates(stopConfig, gtfsData),
+        "schedule",
+        { error: lastError }
+      );
+    }
     if (stopConfig.dataFile) {
       const filePath = `${process.env.PUBLIC_URL || ""}${stopConfig.dataFile}`;
       const savedData = await loadSavedData(filePath);
@@ -286,7 +453,11 @@ export const getBusStopData = async (stopConfig, apiKey) => {
           console.log(
             `⚠ Using saved data for ${stopConfig.name} (API call failed)`
           );
-          return processBusResponse(stopConfig, savedData);
+          return withProvenance(
+            processBusResponse(stopConfig, savedData),
+            "saved",
+            { response: savedData, error: lastError }
+          );
         } else {
           console.log(
             `✗ Saved data for ${stopConfig.name} doesn't contain route ${routeFilter}`
@@ -294,21 +465,47 @@ export const getBusStopData = async (stopConfig, apiKey) => {
         }
       }
     }
+
+    // If we get here, API, GTFS and saved data all failed
+    console.error(
+      `✗ Failed to fetch data for ${stopConfig.name} (bus) from both API and saved files`
+    );
+    return withProvenance(
+      {
+        name: stopConfig.name,
+        type: "bus",
+        origin: stopConfig.origin,
+        destination: stopConfig.destination || "Downtown Station, Austin, TX",
+        routeFilter: stopConfig.routeFilter || "801",
+        transitMode: "bus",
+        allArrivalTimes: [],
+        nextArrivalTime: null,
+        lastStopTime: null,
+        isWithinTwoStops: false,
+        walkTime: stopConfig.walkTime || null,
+      },
+      "none",
+      { error: lastError || createStopError("unknown") }
+    );
   } catch (error) {
     console.error(`Error fetching bus data for ${stopConfig.name}:`, error);
-    return {
-      name: stopConfig.name,
-      type: "bus",
-      origin: stopConfig.origin,
-      destination: stopConfig.destination || "Downtown Station, Austin, TX",
-      routeFilter: stopConfig.routeFilter || "801",
-      transitMode: "bus",
-      allArrivalTimes: [],
-      nextArrivalTime: null,
-      lastStopTime: null,
-      isWithinTwoStops: false,
-      walkTime: stopConfig.walkTime || null,
-    };
+    return withProvenance(
+      {
+        name: stopConfig.name,
+        type: "bus",
+        origin: stopConfig.origin,
+        destination: stopConfig.destination || "Downtown Station, Austin, TX",
+        routeFilter: stopConfig.routeFilter || "801",
+        transitMode: "bus",
+        allArrivalTimes: [],
+        nextArrivalTime: null,
+        lastStopTime: null,
+        isWithinTwoStops: false,
+        walkTime: stopConfig.walkTime || null,
+      },
+      "none",
+      { error: getStopError(error) }
+    );
   }
 };
 
@@ -0,0 +1,241 @@
+import api from "../config/api";
+import {
+  CALENDAR_EXPORT_DAYS,
+  CALENDAR_REFRESH_MINUTES,
+} from "../utils/constants";
+import {
+  buildStopEvents,
+  buildIcsCalendar,
+  getEventsFingerprint,
+  getCalendarFileName,
+} from "../utils/icsExport";
+import { calculateRecommendedDeparture } from "../utils/targetTime";
+import { getStopStorageId } from "../utils/commuteHistory";
+import { resolveStopTimeZone } from "../utils/timeZones";
+import { getFerryDeparturesAhead } from "./ferryService";
+
+/**
+ * Calendar Service
+ *
+ * Exports a stop's departures (or planned trip) as an .ics download, or as a
+ * feed calendar apps can subscribe to. Feeds are stored by the backend under
+ * a secret token and re-uploaded after each board refresh when they change.
+ */
+
+const FEEDS_KEY = "calendar_feeds";
+
+const loadFeeds = () => {
+  try {
+    return JSON.parse(localStorage.getItem(FEEDS_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const saveFeeds = (feeds) => {
+  try {
+    localStorage.setItem(FEEDS_KEY, JSON.stringify(feeds));
+  } catch (error) {
+    console.warn("⚠ Could not save calendar feeds:", error.message);
+  }
+};
+
+/**
+ * Build a stop's calendar
+ * Ferry stops without a planned trip export CALENDAR_EXPORT_DAYS of sailings
+ * from the schedule; other stops export the departures on the board.
+ *
+ * @param {Object} stop - Stop data
+ * @param {Object} options - Options
+ * @param {Date} options.now - Current date/time (defaults to new Date())
+ * @param {number} options.bufferMinutes - Leave buffer in minutes
+ * @param {number|null} options.refreshMinutes - Re-fetch interval (feeds only)
+ * @returns {Promise<Object>} - { ics, events }
+ */
+export const buildStopCalendar = async (
+  stop,
+  { now = new Date(), bufferMinutes, refreshMinutes = null } = {}
+) => {
+  let departures = stop.allArrivalTimes;
+  if (stop.type === "ferry" && !calculateRecommendedDeparture(stop, now)) {
+    departures = await getFerryDeparturesAhead(stop, CALENDAR_EXPORT_DAYS, now);
+  }
+
+  const events = buildStopEvents(stop, { now, bufferMinutes, departures });
+  const ics = buildIcsCalendar(events, {
+    name: stop.name,
+    timeZone: resolveStopTimeZone(stop),
+    now,
+    refreshMinutes,
+  });
+  return { ics, events };
+};
+
+/**
+ * Download a stop's calendar as an .ics file
+ *
+ * @param {Object} stop - Stop data
+ * @param {Object} options - Options (see buildStopCalendar)
+ * @returns {Promise<number>} - Number of events exported
+ */
+export const downloadStopCalendar = async (stop, options = {}) => {
+  const { ics, events } = await buildStopCalendar(stop, options);
+  if (events.length === 0) return 0;
+
+  const url = URL.createObjectURL(
+    new Blob([ics], { type: "text/calendar;charset=utf-8" })
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = getCalendarFileName(stop);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+
+  console.log(`✓ Exported ${events.length} events for ${stop.name}`);
+  return events.length;
+};
+
+/**
+ * Get the feed URLs for a token
+ *
+ * @param {string} token - Feed token
+ * @returns {Object} - { url, webcalUrl }
+ */
+const getFeedUrls = (token) => {
+  const url = `${api.defaults.baseURL}/api/v1/calendars/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, "webcal:") };
+};
+
+/**
+ * Get a stop's subscribed calendar feed
+ *
+ * @param {Object} stop - Stop data
+ * @returns {Object|null} - { id, token, url, webcalUrl }, or null if not subscribed
+ */
+export const getCalendarFeed = (stop) => {
+  const feed = loadFeeds()[getStopStorageId(stop)];
+  return feed
+    ? { id: feed.id, token: feed.token, ...getFeedUrls(feed.token) }
+    : null;
+};
+
+/**
+ * Publish a stop's calendar as a subscribable feed
+ *
+ * @param {Object} stop - Stop data
+ * @param {Object} options - Options (see buildStopCalendar)
+ * @returns {Promise<Object>} - Feed ({ id, token, url, webcalUrl })
+ */
+export const subscribeStopCalendar = async (stop, options = {}) => {
+  const existing = getCalendarFeed(stop);
+  if (existing) return existing;
+
+  const { ics, events } = await buildStopCalendar(stop, {
+    ...options,
+    refreshMinutes: CALENDAR_REFRESH_MINUTES,
+  });
+  const response = await api.post("/api/v1/calendar_feeds", {
+    calendar_feed: { name: stop.name, ics },
+  });
+
+  const feeds = loadFeeds();
+  feeds[getStopStorageId(stop)] = {
+    id: response.data.id,
+    token: response.data.token,
+    fingerprint: getEventsFingerprint(events),
+  };
+  saveFeeds(feeds);
+
+  console.log(`✓ Published calendar feed for ${stop.name}`);
+  return getCalendarFeed(stop);
+};
+
+/**
+ * Stop publishing a stop's calendar feed
+ *
+ * @param {Object} stop - Stop data (or { id })
+ * @returns {Promise<void>}
+ */
+export const unsubscribeStopCalendar = async (stop) => {
+  const feeds = loadFeeds();
+  const storageId = getStopStorageId(stop);
+  const feed = feeds[storageId];
+  if (!feed) return;
+
+  try {
+    await api.delete(`/api/v1/calendar_feeds/${feed.id}`);
+  } catch (error) {
+    // Already gone on the backend; forget it locally either way
+    if (error.response?.status !== 404) throw error;
+  }
+  delete feeds[storageId];
+  saveFeeds(feeds);
+};
+
+/**
+ * Move a calendar feed to an edited stop (edits save a new stop)
+ *
+ * @param {Object} fromStop - Stop before the edit
+ * @param {Object} toStop - Stop after the edit
+ */
+export const moveCalendarFeed = (fromStop, toStop) => {
+  const feeds = loadFeeds();
+  const fromId = getStopStorageId(fromStop);
+  const toId = getStopStorageId(toStop);
+  if (!feeds[fromId] || fromId === toId) return;
+
+  // Clear the fingerprint so the next refresh uploads the edited stop
+  feeds[toId] = { ...feeds[fromId], fingerprint: null };
+  delete feeds[fromId];
+  saveFeeds(feeds);
+};
+
+/**
+ * Check whether any stop has a calendar feed
+ *
+ * @returns {boolean}
+ */
+export const hasCalendarFeeds = () => Object.keys(loadFeeds()).length > 0;
+
+/**
+ * Re-upload subscribed stops' feeds whose events changed
+ * A failed upload is retried on the next refresh.
+ *
+ * @param {Array<Object>} stops - Stops on the board
+ * @param {Object} options - Options (see buildStopCalendar)
+ * @returns {Promise<number>} - Number of feeds updated
+ */
+export const refreshCalendarFeeds = async (stops, options = {}) => {
+  let updated = 0;
+
+  for (const stop of stops) {
+    const feed = loadFeeds()[getStopStorageId(stop)];
+    if (!feed) continue;
+
+    try {
+      const { ics, events } = await buildStopCalendar(stop, {
+        ...options,
+        refreshMinutes: CALENDAR_REFRESH_MINUTES,
+      });
+      const fingerprint = getEventsFingerprint(events);
+      if (fingerprint === feed.fingerprint) continue;
+
+      await api.patch(`/api/v1/calendar_feeds/${feed.id}`, {
+        calendar_feed: { name: stop.name, ics },
+      });
+      const feeds = loadFeeds();
+      feeds[getStopStorageId(stop)] = { ...feed, fingerprint };
+      saveFeeds(feeds);
+      updated++;
+    } catch (error) {
+      console.warn(
+        `⚠ Calendar feed for ${stop.name} not updated:`,
+        error.message
+      );
+    }
+  }
+
+  return updated;
+};
@@ -0,0 +1,54 @@
+import { fetchDriveRoute } from "./driveService";
+import { fetchBikeRoute } from "./bikeService";
+import { fetchWalkRoute } from "./walkService";
+import { fetchBusRoute } from "./busService";
+import {
+  summarizeModeResponse,
+  rankModeSummaries,
+} from "../utils/modeComparison";
+
+/**
+ * Comparison Service
+ *
+ * Fetches drive, bike, walk and transit directions for one origin and
+ * destination in parallel and ranks the modes for the comparison view.
+ */
+
+/**
+ * Compares travel modes between two places
+ * A mode whose request fails is listed as unavailable instead of failing
+ * the whole comparison.
+ *
+ * @param {string} origin - Starting address (usually home)
+ * @param {string} destination - Destination address
+ * @param {string} apiKey - Google Maps API key (for fallback direct calls)
+ * @returns {Promise<Array<Object>>} - Ranked mode summaries (see rankModeSummaries)
+ */
+export const compareModes = async (origin, destination, apiKey) => {
+  const requests = {
+    drive: fetchDriveRoute(origin, destination, apiKey),
+    bike: fetchBikeRoute(origin, destination, apiKey),
+    walk: fetchWalkRoute(origin, destination, apiKey),
+    transit: fetchBusRoute(origin, destination, apiKey),
+  };
+
+  const results = await Promise.allSettled(Object.values(requests));
+  const now = new Date();
+
+  const summaries = Object.keys(requests).map((mode, index) => {
+    const result = results[index];
+    if (result.status === "rejected") {
+      console.warn(`✗ ${mode} comparison failed:`, result.reason?.message);
+      return summarizeModeResponse(mode, {
+        status: result.reason?.message || "Request failed",
+      });
+    }
+    return summarizeModeResponse(mode, result.value, now);
+  });
+
+  const ranked = rankModeSummaries(summaries);
+  console.log(
+    `✓ Compared ${ranked.filter((s) => s.available).length} modes to ${destination}`
+  );
+  return ranked;
+};
@@ -1,10 +1,18 @@
 import axios from "axios";
 import api from "../config/api";
+import { cachedGet } from "../utils/requestCache";
+import { loadSavedData } from "../utils/fileLoader";
+import { getDriveTraffic } from "../utils/driveTraffic";
+import { getDirectionsTimeParams } from "../utils/targetTime";
+import { withProvenance } from "../utils/provenance";
+import { createStopError, getStopError } from "../utils/stopErrors";
 
 /**
  * Drive Service
  * 
  * Handles driving route API calls and processing for driving transit mode.
+ * Requests pass a departure_time so Google returns duration_in_traffic, which
+ * is shown next to the route's typical duration.
  */
 
 const BASE_URL = "https://maps.googleapis.com/maps/api/directions/json";
@@ -16,17 +24,27 @@ const BASE_URL = "https://maps.googleapis.com/maps/api/directions/json";
  * @param {string} origin - Starting location
  * @param {string} destination - Destination location
  * @param {string} apiKey - Google Maps API key (for fallback direct call)
+ * @param {string|number} departureTime - "now" or Unix seconds; needed for duration_in_traffic
+ * @param {string} stopName - Stop the request is for, for the API usage meter
  * @returns {Promise<Object>} - API response data
  */
-export const fetchDriveRoute = async (origin, destination, apiKey) => {
+export const fetchDriveRoute = async (
+  origin,
+  destination,
+  apiKey,
+  departureTime = "now",
+  stopName = null
+) => {
   // First try backend proxy (avoids CORS issues)
   try {
-    const proxyResponse = await api.get("/api/v1/transit_data/live_transit", {
+    const proxyResponse = await cachedGet(api, "/api/v1/transit_data/live_transit", {
       params: {
         origin,
         destination,
         mode: "driving",
+        departure_time: departureTime,
       },
+      stop: stopName,
     });
     console.log("✓ Live driving data fetched via backend proxy");
     return proxyResponse.data;
@@ -41,14 +59,20 @@ export const fetchDriveRoute = async (origin, destination, apiKey) => {
       origin,
       destination,
       mode: "driving",
+      departure_time: departureTime,
       key: apiKey,
     };
 
     try {
-      const response = await axios.get(BASE_URL, { params });
+      const response = await cachedGet(axios, BASE_URL, {
+        params,
+        stop: stopName,
+      });
       return response.data;
     } catch (error) {
       console.error("Error fetching drive route:", error);
+      // Keep why the proxy failed, to tell a backend outage from a Google error
+      error.proxyError = proxyError;
       throw error;
     }
   }
@@ -84,17 +108,22 @@ export const processDriveResponse = (stopConfig, response) => {
     };
   }
 
-  // Get the first route's duration for driving
+  // Get the first route's duration in current traffic (typical time without traffic data)
   const route = response.routes[0];
   const leg = route.legs[0];
-  const durationInSeconds = leg.duration.value; // Duration in seconds
-  const durationInMinutes = Math.round(durationInSeconds / 60);
+  const traffic = getDriveTraffic(leg);
 
-  // Create a time string for display (e.g., "15 min")
-  const estimatedTime = `${durationInMinutes} min`;
+  // Create time strings for display (e.g., "15 min")
+  const estimatedTime = `${Math.round(traffic.currentSeconds / 60)} min`;
+  const typicalTime =
+    traffic.typicalSeconds !== null
+      ? `${Math.round(traffic.typicalSeconds / 60)} min`
+      : null;
 
   console.log(
-    `✓ Stop times found for ${stopConfig.name} (drive): ${estimatedTime}`
+    `✓ Stop times found for ${stopConfig.name} (drive): ${estimatedTime}${
+      traffic.congestion ? ` (${traffic.congestion} traffic)` : ""
+    }`
   );
 
   return {
@@ -105,6 +134,9 @@ export const processDriveResponse = (stopConfig, response) => {
     mode: "driving",
     allArrivalTimes: [],
     estimatedTime: estimatedTime,
+    typicalTime: typicalTime,
+    trafficDelaySeconds: traffic.delaySeconds,
+    congestion: traffic.congestion,
     nextArrivalTime: null,
     lastStopTime: null,
     isWithinTwoStops: false,
@@ -119,58 +151,78 @@ export const processDriveResponse = (stopConfig, response) => {
  * @returns {Promise<Object>} - Formatted stop data
  */
 export const getDriveStopData = async (stopConfig, apiKey) => {
+  let lastError = null;
   try {
-    // Try to load from saved file first
-    if (stopConfig.dataFile) {
-      try {
-        const filePath = `${process.env.PUBLIC_URL || ""}${stopConfig.dataFile}`;
-        const response = await fetch(filePath);
-        if (response.ok) {
-          const data = await response.json();
-          console.log(
-            `✓ Loaded saved data for ${stopConfig.name} (drive)`
-          );
-          return processDriveResponse(stopConfig, data);
-        }
-      } catch (error) {
+    // Always try the live API call first so traffic is current
+    try {
+      // Depart-at stops ask for traffic at the target time; others leave now
+      const response = await fetchDriveRoute(
+        stopConfig.origin,
+        stopConfig.destination,
+        apiKey,
+        getDirectionsTimeParams(stopConfig).departure_time || "now",
+        stopConfig.name
+      );
+
+      if (response && response.status === "OK") {
         console.log(
-          `✗ Error loading saved file for ${stopConfig.name}, will fetch from API:`,
-          error.message
+          `✓ Request successful for ${stopConfig.name} (drive) - using live data`
+        );
+        return withProvenance(
+          processDriveResponse(stopConfig, response),
+          "live",
+          { response }
         );
       }
-    }
-
-    // If file doesn't exist or failed to load, make API call
-    const response = await fetchDriveRoute(
-      stopConfig.origin,
-      stopConfig.destination,
-      apiKey
-    );
-
-    if (response && response.status === "OK") {
-      console.log(
-        `✓ Request successful for ${stopConfig.name} (drive)`
+      lastError = getStopError(response);
+      console.warn(
+        `⚠ API call failed for ${stopConfig.name} (drive): ${
+          response?.status || "Unknown error"
+        }, falling back to saved data`
       );
-    } else {
-      console.log(
-        `✗ Request unsuccessful for ${stopConfig.name} (drive): ${response?.status || "Unknown error"}`
+    } catch (networkError) {
+      lastError = getStopError(networkError);
+      console.warn(
+        `⚠ Network error fetching live data for ${stopConfig.name} (drive), attempting to use saved data as fallback:`,
+        networkError.message
       );
     }
 
-    return processDriveResponse(stopConfig, response);
+    // Fallback to saved data only if the live call fails
+    if (stopConfig.dataFile) {
+      const filePath = `${process.env.PUBLIC_URL || ""}${stopConfig.dataFile}`;
+      const savedData = await loadSavedData(filePath);
+      if (savedData) {
+        console.log(
+          `⚠ Using saved data for ${stopConfig.name} (API call failed)`
+        );
+        return withProvenance(
+          processDriveResponse(stopConfig, savedData),
+          "saved",
+          { response: savedData, error: lastError }
+        );
+      }
+    }
+
+    return withProvenance(processDriveResponse(stopConfig, null), "none", {
+      error: lastError || createStopError("unknown"),
+    });
   } catch (error) {
     console.error(`Error fetching drive data for ${stopConfig.name}:`, error);
-    return {
-      name: stopConfig.name,
-      type: "drive",
-      origin: stopConfig.origin,
-      destination: stopConfig.destination,
-      mode: "driving",
-      allArrivalTimes: [],
-      estimatedTime: null,
-      lastStopTime: null,
-      isWithinTwoStops: false,
-    };
+    return withProvenance(
+      {
+        name: stopConfig.name,
+        type: "drive",
+        origin: stopConfig.origin,
+        destination: stopConfig.destination,
+        mode: "driving",
+        allArrivalTimes: [],
+        estimatedTime: null,
+        lastStopTime: null,
+        isWithinTwoStops: false,
+      },
+      "none",
+      { error: getStopError(error) }
+    );
   }
 };
-
@@ -1,62 +1,186 @@
-import { FERRY_ANACORTES_TIMES, FERRY_ORCAS_TIMES } from "../utils/constants";
+import {
+  FERRY_SCHEDULE_URL,
+  DEFAULT_FERRY_TERMINALS,
+} from "../utils/constants";
+import {
+  normalizeFerrySchedule,
+  parseFerrySchedule,
+  getFerrySailings,
+  getFerryTerminals,
+  isFerryScheduleCurrent,
+} from "../utils/ferrySchedule";
+import { getZonedServiceDate, serviceTimeToDate } from "../utils/timeZones";
+import { withProvenance } from "../utils/provenance";
+import { createStopError } from "../utils/stopErrors";
+import bundledFerrySchedule from "../config/ferrySchedule.json";
 
 /**
  * Ferry Service
- * 
- * Handles ferry schedule generation for both directions (Anacortes ↔ Orcas Island).
- * Times are extracted from WSDOT schedule and stored locally.
+ *
+ * Handles ferry schedule generation for any terminal pair in the loaded
+ * schedule (San Juan Islands, Seattle / Bainbridge Island, ...). The bundled
+ * WSDOT timetable lives in config/ferrySchedule.json; a JSON or CSV file at
+ * FERRY_SCHEDULE_URL replaces it when present. A schedule past its validUntil
+ * date is only used when there's no current one, and its stops say so.
  */
 
+const defaultSchedule = normalizeFerrySchedule(bundledFerrySchedule);
+// Loaded schedules by URL; files that failed to load are cached as null so
+// refreshes don't request them again this session
+const scheduleCache = new Map();
+let activeSchedule = defaultSchedule;
+// Out-of-date schedules already warned about
+const warnedSchedules = new WeakSet();
+
 /**
- * Gets the ferry departure times from Anacortes to Orcas Island or Orcas to Anacortes.
- * 
- * @param {string} direction - 'anacortes' or 'orcas' (default: 'anacortes')
- * @returns {Array} Array of Date objects representing departure times in Central Time Zone
+ * Load a ferry schedule file (cached per URL, including failures)
+ *
+ * @param {string} scheduleUrl - URL of a .json or .csv schedule
+ * @returns {Promise<Object|null>} - Normalized schedule, or null if unavailable
  */
-export const getFerrySchedule = (direction = "anacortes") => {
-  console.log("getFerrySchedule called with direction:", direction);
+export const loadFerrySchedule = async (scheduleUrl = FERRY_SCHEDULE_URL) => {
+  if (scheduleCache.has(scheduleUrl)) {
+    const schedule = scheduleCache.get(scheduleUrl);
+    if (schedule) activeSchedule = schedule;
+    return schedule;
+  }
+
+  try {
+    const response = await fetch(
+      `${process.env.PUBLIC_URL || ""}${scheduleUrl}`
+    );
+    if (!response.ok) {
+      scheduleCache.set(scheduleUrl, null);
+      return null;
+    }
+    const format = scheduleUrl.toLowerCase().endsWith(".csv") ? "csv" : "json";
+    const schedule = parseFerrySchedule(await response.text(), format);
+    scheduleCache.set(scheduleUrl, schedule);
+    activeSchedule = schedule;
+    console.log(
+      `✓ Loaded ferry schedule ${scheduleUrl}: ${schedule.sailings.length} sailings`
+    );
+    return schedule;
+  } catch (error) {
+    console.log(
+      `Ferry schedule not available at ${scheduleUrl}: ${error.message}`
+    );
+    scheduleCache.set(scheduleUrl, null);
+    return null;
+  }
+};
 
-  const ferryTimes = direction === "orcas" ? FERRY_ORCAS_TIMES : FERRY_ANACORTES_TIMES;
+/**
+ * Get the most recently loaded ferry schedule (bundled schedule until a file loads)
+ *
+ * @returns {Object} - Normalized schedule
+ */
+export const getActiveFerrySchedule = () => activeSchedule;
 
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+/**
+ * List terminals that can be picked as origin or destination
+ *
+ * @param {Object} schedule - Normalized schedule (defaults to the active schedule)
+ * @returns {Array<Object>} - Terminals ({ id, name, location })
+ */
+export const getFerryTerminalOptions = (schedule = activeSchedule) =>
+  getFerryTerminals(schedule);
 
-  // Get current time in Central Time (hours and minutes only)
-  const centralNow = new Date(
-    now.toLocaleString("en-US", { timeZone: "America/Chicago" })
-  );
-  const currentHour = centralNow.getHours();
-  const currentMinute = centralNow.getMinutes();
-  const currentTimeInMinutes = currentHour * 60 + currentMinute;
-
-  // Convert Pacific Time to Central Time (add 2 hours) and create Date objects
-  const departureTimes = ferryTimes.map(({ hour, minute }) => {
-    // Convert Pacific Time to Central Time (add 2 hours)
-    let centralHour = hour + 2;
-    let centralMinute = minute;
-
-    // Handle hour overflow
-    if (centralHour >= 24) {
-      centralHour -= 24;
-    }
+/**
+ * Map a legacy ferryDirection ('anacortes' or 'orcas') to a terminal pair
+ *
+ * @param {string} direction - Legacy ferry direction
+ * @returns {Object} - { origin, destination } terminal ids
+ */
+const terminalsForDirection = (direction) =>
+  direction === "orcas"
+    ? { origin: "orcas", destination: "anacortes" }
+    : DEFAULT_FERRY_TERMINALS;
 
-    // Create date for today
-    const centralTime = new Date(today);
-    centralTime.setHours(centralHour, centralMinute, 0, 0);
+/**
+ * Resolve a ferry stop's origin and destination terminals
+ * Stops store terminal ids in origin/destination; older stops only have a
+ * ferryDirection.
+ *
+ * @param {Object} stopConfig - Stop configuration object
+ * @param {Object} schedule - Normalized schedule
+ * @returns {Object} - { origin, destination } terminal ids
+ */
+export const resolveFerryTerminals = (
+  stopConfig,
+  schedule = activeSchedule
+) => {
+  const fallback = terminalsForDirection(stopConfig.ferryDirection);
+  return {
+    origin: schedule.terminals.has(stopConfig.origin)
+      ? stopConfig.origin
+      : fallback.origin,
+    destination: schedule.terminals.has(stopConfig.destination)
+      ? stopConfig.destination
+      : fallback.destination,
+  };
+};
 
-    // Calculate time in minutes for comparison
-    const timeInMinutes = centralHour * 60 + centralMinute;
+/**
+ * Gets upcoming sailings between two terminals (over the next 24 hours by default)
+ *
+ * @param {Object} schedule - Normalized schedule
+ * @param {string} origin - Origin terminal id
+ * @param {string} destination - Destination terminal id
+ * @param {Date} now - Current date/time (defaults to new Date())
+ * @param {number} days - Days ahead to include (default 1)
+ * @returns {Array} - Sailings with departureTime/arrivalTime instants, sorted
+ */
+const getUpcomingSailings = (
+  schedule,
+  origin,
+  destination,
+  now = new Date(),
+  days = 1
+) => {
+  const windowEnd = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+  const upcoming = [];
 
-    // If the time has passed today (based on time only, not date), set it for tomorrow
-    if (timeInMinutes <= currentTimeInMinutes) {
-      centralTime.setDate(centralTime.getDate() + 1);
-    }
+  // Service days are in the schedule's zone; yesterday's covers sailings past midnight
+  for (let dayOffset = -1; dayOffset <= days; dayOffset++) {
+    const serviceDate = getZonedServiceDate(now, schedule.timeZone, dayOffset);
+    const toDate = (minutes) =>
+      serviceTimeToDate(serviceDate, minutes * 60, schedule.timeZone);
 
-    return centralTime;
-  });
+    getFerrySailings(schedule, origin, destination, serviceDate).forEach(
+      (sailing) => {
+        const departureTime = toDate(sailing.departs);
+        if (departureTime <= now || departureTime > windowEnd) return;
+
+        const arrivalTime =
+          sailing.arrives !== null ? toDate(sailing.arrives) : null;
+
+        upcoming.push({ ...sailing, departureTime, arrivalTime });
+      }
+    );
+  }
+
+  return upcoming.sort((a, b) => a.departureTime - b.departureTime);
+};
+
+/**
+ * Gets the ferry departure times from one terminal to another.
+ *
+ * @param {string} origin - Origin terminal id, or legacy direction 'anacortes'/'orcas' (default: 'anacortes')
+ * @param {string} destination - Destination terminal id (defaults to the other end of the legacy direction)
+ * @param {Object} schedule - Normalized schedule (defaults to the active schedule)
+ * @returns {Array} Array of Date objects representing departure instants
+ */
+export const getFerrySchedule = (
+  origin = "anacortes",
+  destination = terminalsForDirection(origin).destination,
+  schedule = activeSchedule
+) => {
+  console.log("getFerrySchedule called with terminals:", origin, destination);
 
-  // Sort times
-  departureTimes.sort((a, b) => a - b);
+  const departureTimes = getUpcomingSailings(schedule, origin, destination).map(
+    (sailing) => sailing.departureTime
+  );
 
   console.log(
     "getFerrySchedule returning",
@@ -67,12 +191,8 @@ export const getFerrySchedule = (direction = "anacortes") => {
 
   // Store in localStorage
   try {
-    const storageKey =
-      direction === "orcas"
-        ? "ferry_schedule_orcas_anacortes"
-        : "ferry_schedule_anacortes_orcas";
     localStorage.setItem(
-      storageKey,
+      `ferry_schedule_${origin}_${destination}`,
       JSON.stringify(departureTimes.map((dt) => dt.toISOString()))
     );
   } catch (error) {
@@ -82,131 +202,174 @@ export const getFerrySchedule = (direction = "anacortes") => {
   return departureTimes;
 };
 
+/**
+ * Convert sailings to a stop's allArrivalTimes entries
+ *
+ * @param {Array} sailings - Sailings from getUpcomingSailings
+ * @param {Object} originTerminal - Origin terminal ({ name })
+ * @param {Object} destinationTerminal - Destination terminal ({ name })
+ * @returns {Array<Object>} - Arrival time entries
+ */
+const toArrivalTimes = (sailings, originTerminal, destinationTerminal) => {
+  const routeName = `${originTerminal.name}-${destinationTerminal.name}`;
+  return sailings.map((sailing) => ({
+    stopName: originTerminal.name,
+    arrivalTime: sailing.departureTime,
+    departureTime: sailing.departureTime,
+    arrivalAtNextStop: sailing.arrivalTime,
+    headsign: destinationTerminal.name,
+    lineName: routeName,
+    scheduledTime: sailing.departureTime,
+    predictedTime: null,
+    delaySeconds: null,
+    isRealTime: false,
+  }));
+};
+
 /**
  * Processes ferry stop configuration and returns formatted stop data
- * 
+ *
  * @param {Object} stopConfig - Stop configuration object
+ * @param {Object} schedule - Normalized schedule (defaults to the active schedule)
  * @returns {Object} - Formatted stop data
  */
-export const processFerryStop = (stopConfig) => {
-  console.log("Processing ferry stop:", stopConfig.name);
-  const direction = stopConfig.ferryDirection || "anacortes";
-  const ferryDepartureTimes = getFerrySchedule(direction);
-  console.log("Got ferry times:", ferryDepartureTimes.length, "times");
-
-  // Safety check: ensure we have departure times
-  if (!ferryDepartureTimes || ferryDepartureTimes.length === 0) {
-    console.error("No ferry departure times found!");
-    return {
-      name: stopConfig.name,
-      type: "ferry",
-      ferryDirection: direction,
-      location: stopConfig.location,
-      allArrivalTimes: [],
-      nextDepartureTime: null,
-      nextArrivalTime: null,
-      lastStopTime: null,
-      isWithinTwoStops: false,
-    };
-  }
-
-  const now = new Date();
+export const processFerryStop = (stopConfig, schedule = activeSchedule) => {
+  const { origin, destination } = resolveFerryTerminals(stopConfig, schedule);
+  const originTerminal = schedule.terminals.get(origin) || { name: origin };
+  const destinationTerminal = schedule.terminals.get(destination) || {
+    name: destination,
+  };
+  const name =
+    stopConfig.name || `${originTerminal.name} To ${destinationTerminal.name}`;
+  console.log("Processing ferry stop:", name);
 
-  // Get current time in Central Time (hours and minutes only for comparison)
-  const centralTimeFormatter = new Intl.DateTimeFormat("en-US", {
-    timeZone: "America/Chicago",
-    hour: "numeric",
-    minute: "2-digit",
-    hour12: false,
-  });
-  const centralTimeParts = centralTimeFormatter.formatToParts(now);
-  const currentHour = parseInt(
-    centralTimeParts.find((p) => p.type === "hour").value
-  );
-  const currentMinute = parseInt(
-    centralTimeParts.find((p) => p.type === "minute").value
-  );
-  const currentTimeInMinutes = currentHour * 60 + currentMinute;
-
-  // Find next departure time based on time of day (not date)
-  const nextDeparture =
-    ferryDepartureTimes.find((time) => {
-      if (!(time instanceof Date) || isNaN(time.getTime())) {
-        console.error("Invalid date in ferryDepartureTimes:", time);
-        return false;
-      }
-      const timeHour = time.getHours();
-      const timeMinute = time.getMinutes();
-      const timeInMinutes = timeHour * 60 + timeMinute;
-      return timeInMinutes > currentTimeInMinutes;
-    }) || ferryDepartureTimes[0]; // If all times passed, use first one (next day)
-
-  // Validate nextDeparture
-  if (
-    !nextDeparture ||
-    !(nextDeparture instanceof Date) ||
-    isNaN(nextDeparture.getTime())
-  ) {
-    console.error("Invalid nextDeparture:", nextDeparture);
-    return {
-      name: stopConfig.name,
-      type: "ferry",
-      ferryDirection: direction,
-      location: stopConfig.location,
-      allArrivalTimes: ferryDepartureTimes.map((time) => ({
-        stopName: stopConfig.name,
-        arrivalTime: time,
-        departureTime: time,
-        headsign: direction === "orcas" ? "Anacortes" : "Orcas Island",
-        lineName: direction === "orcas" ? "Orcas-Anacortes" : "Anacortes-Orcas",
-      })),
-      nextDepartureTime: null,
-      nextArrivalTime: null,
-      lastStopTime: null,
-      isWithinTwoStops: false,
-    };
+  const sailings = getUpcomingSailings(schedule, origin, destination);
+  if (sailings.length === 0) {
+    console.error(`No ferry sailings found from ${origin} to ${destination}`);
   }
 
-  console.log("Ferry Debug:", {
-    ferryDepartureTimes: ferryDepartureTimes.map((d) => d.toString()),
-    currentTimeInMinutes,
-    nextDeparture: nextDeparture.toString(),
-    nextDepartureIsValid:
-      nextDeparture instanceof Date && !isNaN(nextDeparture.getTime()),
-  });
-
-  const destinationName =
-    direction === "orcas" ? "Anacortes" : "Orcas Island";
-  const routeName =
-    direction === "orcas" ? "Orcas-Anacortes" : "Anacortes-Orcas";
-
   return {
-    name: stopConfig.name,
+    name: name,
     type: "ferry",
-    ferryDirection: direction,
-    location: stopConfig.location,
-    allArrivalTimes: ferryDepartureTimes.map((time) => ({
-      stopName: stopConfig.name,
-      arrivalTime: time,
-      departureTime: time,
-      headsign: destinationName,
-      lineName: routeName,
-    })),
-    nextDepartureTime: nextDeparture,
+    origin: origin,
+    destination: destination,
+    ferryDirection: stopConfig.ferryDirection || null,
+    location: stopConfig.location || originTerminal.location || null,
+    timeZone: schedule.timeZone,
+    allArrivalTimes: toArrivalTimes(
+      sailings,
+      originTerminal,
+      destinationTerminal
+    ),
+    nextDepartureTime: sailings[0]?.departureTime || null,
     nextArrivalTime: null,
     lastStopTime: null,
     isWithinTwoStops: false,
   };
 };
 
+/**
+ * Check whether a schedule covers today in its own zone
+ *
+ * @param {Object} schedule - Normalized schedule
+ * @param {Date} now - Current date/time
+ * @returns {boolean}
+ */
+const isScheduleCurrent = (schedule, now) =>
+  isFerryScheduleCurrent(
+    schedule,
+    getZonedServiceDate(now, schedule.timeZone, 0)
+  );
+
+/**
+ * Describe the dates a schedule covers
+ *
+ * @param {Object} schedule - Normalized schedule
+ * @returns {string} - e.g. "valid from 2026-01-01 through 2027-01-01"
+ */
+const formatValidity = (schedule) =>
+  [
+    "valid",
+    schedule.validFrom && `from ${schedule.validFrom}`,
+    schedule.validUntil && `through ${schedule.validUntil}`,
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+/**
+ * Pick the schedule for a stop: the schedule file if there is one, else the
+ * bundled timetable, passing over either once it's out of date
+ * With no current schedule the preferred one is still used, with a warning.
+ *
+ * @param {Object} stopConfig - Stop configuration object
+ * @param {Date} now - Current date/time
+ * @returns {Promise<Object>} - Normalized schedule
+ */
+const pickFerrySchedule = async (stopConfig, now) => {
+  const loaded = await loadFerrySchedule(
+    stopConfig.scheduleUrl || FERRY_SCHEDULE_URL
+  );
+  const candidates = [loaded, defaultSchedule].filter(Boolean);
+  const schedule =
+    candidates.find((candidate) => isScheduleCurrent(candidate, now)) ||
+    candidates[0];
+
+  if (!isScheduleCurrent(schedule, now) && !warnedSchedules.has(schedule)) {
+    warnedSchedules.add(schedule);
+    console.warn(
+      `⚠ Ferry schedule "${schedule.name}" is out of date (${formatValidity(
+        schedule
+      )}); sailings may be wrong`
+    );
+  }
+  return schedule;
+};
+
 /**
  * Fetches and processes ferry stop data
- * 
+ * Stops built from an out-of-date schedule carry a scheduleExpired error.
+ *
  * @param {Object} stopConfig - Stop configuration object
  * @returns {Promise<Object>} - Formatted stop data
  */
 export const getFerryStopData = async (stopConfig) => {
-  // Ferry doesn't need API call, use schedule function
-  return Promise.resolve(processFerryStop(stopConfig));
+  // Ferry doesn't need API call; use the schedule file if there is one
+  const now = new Date();
+  const schedule = await pickFerrySchedule(stopConfig, now);
+  const error = isScheduleCurrent(schedule, now)
+    ? null
+    : createStopError("scheduleExpired", formatValidity(schedule));
+  return withProvenance(processFerryStop(stopConfig, schedule), "schedule", {
+    error,
+  });
 };
 
+/**
+ * Gets a ferry stop's sailings several days ahead (for calendar export)
+ * The board only shows the next 24 hours; island trips are planned further out.
+ *
+ * @param {Object} stopConfig - Stop configuration object
+ * @param {number} days - Days ahead to include
+ * @param {Date} now - Current date/time (defaults to new Date())
+ * @returns {Promise<Array<Object>>} - Arrival time entries, like the stop's allArrivalTimes
+ */
+export const getFerryDeparturesAhead = async (
+  stopConfig,
+  days,
+  now = new Date()
+) => {
+  const schedule = await pickFerrySchedule(stopConfig, now);
+  const { origin, destination } = resolveFerryTerminals(stopConfig, schedule);
+  const sailings = getUpcomingSailings(
+    schedule,
+    origin,
+    destination,
+    now,
+    days
+  );
+  return toArrivalTimes(
+    sailings,
+    schedule.terminals.get(origin) || { name: origin },
+    schedule.terminals.get(destination) || { name: destination }
+  );
+};
@@ -0,0 +1,404 @@
+import GtfsRealtimeBindings from "gtfs-realtime-bindings";
+import { loadGtfsFeed, findGtfsStopIds } from "./gtfsService";
+
+/**
+ * GTFS-Realtime Service
+ *
+ * Reads GTFS-Realtime TripUpdates and VehiclePositions feeds (protobuf) and
+ * applies predicted delays to scheduled departures. Entries that get a
+ * prediction carry scheduledTime, predictedTime and delaySeconds and are
+ * marked isRealTime; everything else is left as scheduled.
+ */
+
+const { FeedMessage, TripUpdate, TripDescriptor } =
+  GtfsRealtimeBindings.transit_realtime;
+
+// Directions API entries have no trip ID, so they are matched to a trip
+// update by scheduled time at the stop within this tolerance
+const SCHEDULE_MATCH_TOLERANCE_SECONDS = 90;
+
+/**
+ * Read an optional protobuf field
+ * Decoded messages expose proto2 defaults (0, "") for unset fields, so only
+ * fields actually present on the wire are returned.
+ *
+ * @param {Object} message - Decoded protobuf message
+ * @param {string} field - Field name
+ * @returns {*} - Field value (int64 Longs converted to numbers) or null if unset
+ */
+const getField = (message, field) => {
+  if (!message || !Object.prototype.hasOwnProperty.call(message, field)) {
+    return null;
+  }
+  const value = message[field];
+  if (value === null || value === undefined) return null;
+  return typeof value === "object" && typeof value.toNumber === "function"
+    ? value.toNumber()
+    : value;
+};
+
+/**
+ * Decode a GTFS-Realtime FeedMessage
+ *
+ * @param {ArrayBuffer|Uint8Array} data - Protobuf bytes
+ * @returns {Object} - Decoded FeedMessage
+ */
+export const decodeFeedMessage = (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  return FeedMessage.decode(bytes);
+};
+
+/**
+ * Fetch and decode a GTFS-Realtime feed from a URL or local data file
+ *
+ * @param {string} feedUrl - Feed URL (e.g., "/data/gtfs-rt/capmetro-trip-updates.pb")
+ * @returns {Promise<Object|null>} - Decoded FeedMessage, or null if unavailable
+ */
+export const loadRealtimeFeed = async (feedUrl) => {
+  if (!feedUrl) return null;
+
+  try {
+    const response = await fetch(feedUrl);
+    if (!response.ok) {
+      console.log(
+        `GTFS-Realtime feed not available at ${feedUrl}: ${response.status}`
+      );
+      return null;
+    }
+    return decodeFeedMessage(await response.arrayBuffer());
+  } catch (error) {
+    console.log(
+      `Error loading GTFS-Realtime feed ${feedUrl}: ${error.message}`
+    );
+    return null;
+  }
+};
+
+/**
+ * Index trip updates from a TripUpdates feed by trip ID
+ *
+ * @param {Object} feedMessage - Decoded FeedMessage
+ * @returns {Map<string, Object>} - Trip updates keyed by trip ID
+ */
+export const indexTripUpdates = (feedMessage) => {
+  const tripUpdates = new Map();
+
+  (feedMessage?.entity || []).forEach((entity) => {
+    const tripUpdate = entity.tripUpdate;
+    if (!tripUpdate || !tripUpdate.trip) return;
+
+    const tripId = getField(tripUpdate.trip, "tripId");
+    tripUpdates.set(tripId || entity.id, {
+      tripId: tripId,
+      routeId: getField(tripUpdate.trip, "routeId"),
+      isCanceled:
+        getField(tripUpdate.trip, "scheduleRelationship") ===
+        TripDescriptor.ScheduleRelationship.CANCELED,
+      delay: getField(tripUpdate, "delay"),
+      stopTimeUpdates: (tripUpdate.stopTimeUpdate || [])
+        .map((update) => {
+          const event =
+            getField(update, "departure") || getField(update, "arrival");
+          return {
+            stopId: getField(update, "stopId"),
+            stopSequence: getField(update, "stopSequence"),
+            isSkipped:
+              getField(update, "scheduleRelationship") ===
+              TripUpdate.StopTimeUpdate.ScheduleRelationship.SKIPPED,
+            delay: getField(event, "delay"),
+            time: getField(event, "time"),
+          };
+        })
+        .sort((a, b) => (a.stopSequence ?? 0) - (b.stopSequence ?? 0)),
+    });
+  });
+
+  return tripUpdates;
+};
+
+/**
+ * Index vehicle positions from a VehiclePositions feed by trip ID
+ *
+ * @param {Object} feedMessage - Decoded FeedMessage
+ * @returns {Map<string, Object>} - Vehicle positions keyed by trip ID
+ */
+export const indexVehiclePositions = (feedMessage) => {
+  const vehicles = new Map();
+
+  (feedMessage?.entity || []).forEach((entity) => {
+    const vehicle = entity.vehicle;
+    const tripId = getField(vehicle?.trip, "tripId");
+    if (!tripId) return;
+
+    vehicles.set(tripId, {
+      vehicleId:
+        getField(vehicle.vehicle, "id") || getField(vehicle.vehicle, "label"),
+      latitude: getField(vehicle.position, "latitude"),
+      longitude: getField(vehicle.position, "longitude"),
+      bearing: getField(vehicle.position, "bearing"),
+      currentStopSequence: getField(vehicle, "currentStopSequence"),
+      stopId: getField(vehicle, "stopId"),
+      timestamp: getField(vehicle, "timestamp"),
+    });
+  });
+
+  return vehicles;
+};
+
+/**
+ * Check whether a trip update belongs to the stop's route
+ *
+ * @param {Object} tripUpdate - Indexed trip update
+ * @param {string} routeFilter - Route filter from the stop config
+ * @param {Object} entry - Arrival time entry
+ * @returns {boolean} - True if the update applies
+ */
+const matchesRoute = (tripUpdate, routeFilter, entry) => {
+  if (!tripUpdate.routeId) return true;
+
+  const routeId = tripUpdate.routeId.toLowerCase();
+  return [routeFilter, entry.routeId, entry.lineName].some(
+    (value) => value && value.toLowerCase() === routeId
+  );
+};
+
+/**
+ * Find the stop time update that applies to a stop on a trip
+ * Falls back to the closest preceding update, since GTFS-Realtime delays
+ * propagate down the trip until the next update.
+ *
+ * @param {Object} tripUpdate - Indexed trip update
+ * @param {Object} entry - Arrival time entry (stopId, stopSequence)
+ * @param {Array<string>} stopIds - GTFS stop IDs for the stop
+ * @returns {Object|null} - Stop time update or null
+ */
+const findStopTimeUpdate = (tripUpdate, entry, stopIds) => {
+  const ids = entry.stopId ? [entry.stopId] : stopIds;
+  const exact = tripUpdate.stopTimeUpdates.find(
+    (update) =>
+      (update.stopId && ids.includes(update.stopId)) ||
+      (entry.stopSequence !== undefined &&
+        update.stopSequence === entry.stopSequence)
+  );
+  if (exact || entry.stopSequence === undefined) {
+    return exact || null;
+  }
+
+  const preceding = tripUpdate.stopTimeUpdates.filter(
+    (update) =>
+      update.stopSequence !== null && update.stopSequence < entry.stopSequence
+  );
+  return preceding.length > 0 ? preceding[preceding.length - 1] : null;
+};
+
+/**
+ * Find the trip update for a Directions API entry (no trip ID) by matching
+ * the scheduled time at one of the stop's GTFS stop IDs
+ *
+ * @param {Map<string, Object>} tripUpdates - Indexed trip updates
+ * @param {Object} entry - Arrival time entry
+ * @param {string} routeFilter - Route filter from the stop config
+ * @param {Array<string>} stopIds - GTFS stop IDs for the stop
+ * @returns {Object|null} - Trip update or null
+ */
+const findTripUpdateBySchedule = (tripUpdates, entry, routeFilter, stopIds) => {
+  if (stopIds.length === 0 || !entry.departureTime) return null;
+
+  const scheduledSeconds = entry.departureTime.getTime() / 1000;
+  for (const tripUpdate of tripUpdates.values()) {
+    if (!matchesRoute(tripUpdate, routeFilter, entry)) continue;
+
+    const match = tripUpdate.stopTimeUpdates.find((update) => {
+      if (!stopIds.includes(update.stopId) || update.time === null) {
+        return false;
+      }
+      const scheduled = update.time - (update.delay ?? 0);
+      return (
+        Math.abs(scheduled - scheduledSeconds) <=
+        SCHEDULE_MATCH_TOLERANCE_SECONDS
+      );
+    });
+    if (match) return tripUpdate;
+  }
+  return null;
+};
+
+/**
+ * Apply GTFS-Realtime predictions to scheduled arrival times
+ *
+ * @param {Array} allArrivalTimes - Arrival time entries
+ * @param {Object} realtime - Realtime data
+ * @param {Object} realtime.tripUpdates - Decoded TripUpdates FeedMessage
+ * @param {Object} [realtime.vehiclePositions] - Decoded VehiclePositions FeedMessage
+ * @param {Object} options - Options
+ * @param {string} options.routeFilter - Route filter from the stop config
+ * @param {Array<string>} [options.stopIds] - GTFS stop IDs for the stop (matches entries without trip IDs)
+ * @returns {Array} - Arrival time entries with predictions applied
+ */
+export const applyRealtimeUpdates = (
+  allArrivalTimes,
+  { tripUpdates, vehiclePositions },
+  { routeFilter, stopIds = [] } = {}
+) => {
+  const updatesByTrip = indexTripUpdates(tripUpdates);
+  const vehiclesByTrip = indexVehiclePositions(vehiclePositions);
+
+  return allArrivalTimes.reduce((result, entry) => {
+    const scheduledTime = entry.scheduledTime || entry.departureTime;
+    const tripUpdate = entry.tripId
+      ? updatesByTrip.get(entry.tripId)
+      : findTripUpdateBySchedule(updatesByTrip, entry, routeFilter, stopIds);
+    const vehicle = entry.tripId ? vehiclesByTrip.get(entry.tripId) : null;
+
+    // Vehicle has already passed this stop
+    if (
+      vehicle &&
+      vehicle.currentStopSequence !== null &&
+      entry.stopSequence !== undefined &&
+      vehicle.currentStopSequence > entry.stopSequence
+    ) {
+      return result;
+    }
+
+    if (!tripUpdate || !matchesRoute(tripUpdate, routeFilter, entry)) {
+      result.push(vehicle ? { ...entry, vehiclePosition: vehicle } : entry);
+      return result;
+    }
+
+    if (tripUpdate.isCanceled) {
+      console.log(`Trip ${tripUpdate.tripId} canceled for ${entry.stopName}`);
+      return result;
+    }
+
+    const stopTimeUpdate = findStopTimeUpdate(tripUpdate, entry, stopIds);
+    if (stopTimeUpdate?.isSkipped) {
+      return result;
+    }
+
+    // Prefer an absolute predicted time at this stop, then a propagated delay
+    let delaySeconds = null;
+    if (
+      stopTimeUpdate &&
+      stopTimeUpdate.time !== null &&
+      (!entry.stopId ||
+        stopTimeUpdate.stopId === entry.stopId ||
+        stopTimeUpdate.stopSequence === entry.stopSequence)
+    ) {
+      delaySeconds = Math.round(
+        stopTimeUpdate.time - scheduledTime.getTime() / 1000
+      );
+    } else if (stopTimeUpdate && stopTimeUpdate.delay !== null) {
+      delaySeconds = stopTimeUpdate.delay;
+    } else if (tripUpdate.delay !== null) {
+      delaySeconds = tripUpdate.delay;
+    }
+
+    if (delaySeconds === null) {
+      result.push(entry);
+      return result;
+    }
+
+    const predictedTime = new Date(scheduledTime.getTime() + delaySeconds * 1000);
+    result.push({
+      ...entry,
+      arrivalTime: predictedTime,
+      departureTime: predictedTime,
+      scheduledTime: scheduledTime,
+      predictedTime: predictedTime,
+      delaySeconds: delaySeconds,
+      isRealTime: true,
+      ...(vehicle && { vehiclePosition: vehicle }),
+    });
+    return result;
+  }, []);
+};
+
+/**
+ * Load realtime feeds and apply predictions to scheduled arrival times
+ *
+ * @param {Array} allArrivalTimes - Arrival time entries
+ * @param {Object} feedUrls - Feed URLs
+ * @param {string} feedUrls.tripUpdates - TripUpdates feed URL
+ * @param {string} [feedUrls.vehiclePositions] - VehiclePositions feed URL
+ * @param {Object} options - Options passed to applyRealtimeUpdates
+ * @returns {Promise<Array>} - Arrival time entries (unchanged if the feed is unavailable)
+ */
+export const fetchRealtimeArrivalTimes = async (
+  allArrivalTimes,
+  feedUrls,
+  options
+) => {
+  if (!allArrivalTimes.length || !feedUrls?.tripUpdates) {
+    return allArrivalTimes;
+  }
+
+  const [tripUpdates, vehiclePositions] = await Promise.all([
+    loadRealtimeFeed(feedUrls.tripUpdates),
+    loadRealtimeFeed(feedUrls.vehiclePositions),
+  ]);
+  if (!tripUpdates) {
+    return allArrivalTimes;
+  }
+
+  return applyRealtimeUpdates(
+    allArrivalTimes,
+    { tripUpdates, vehiclePositions },
+    options
+  );
+};
+
+/**
+ * Resolve a feed path against PUBLIC_URL (local data files) or keep absolute URLs
+ *
+ * @param {string} feedUrl - Feed URL or local data path
+ * @returns {string|null} - Resolved URL
+ */
+const resolveFeedUrl = (feedUrl) => {
+  if (!feedUrl) return null;
+  return feedUrl.startsWith("/")
+    ? `${process.env.PUBLIC_URL || ""}${feedUrl}`
+    : feedUrl;
+};
+
+/**
+ * Apply GTFS-Realtime predictions to a stop's arrival times
+ * Uses the stop's realtimeFeeds override, else the given default feeds.
+ * Entries without trip IDs (Directions API) are matched through the stop's
+ * GTFS stop IDs when a static feed is available.
+ *
+ * @param {Object} stopConfig - Stop configuration object
+ * @param {Array} allArrivalTimes - Arrival time entries
+ * @param {Object} defaults - Default feeds for the transit type
+ * @param {Object} defaults.realtimeFeeds - { tripUpdates, vehiclePositions } URLs
+ * @param {string} defaults.gtfsFeedUrl - Static GTFS feed URL
+ * @returns {Promise<Array>} - Arrival time entries with predictions applied
+ */
+export const getRealtimeArrivalTimes = async (
+  stopConfig,
+  allArrivalTimes,
+  { realtimeFeeds, gtfsFeedUrl }
+) => {
+  const feeds = stopConfig.realtimeFeeds || realtimeFeeds;
+  if (!allArrivalTimes.length || !feeds?.tripUpdates) {
+    return allArrivalTimes;
+  }
+
+  let stopIds = [];
+  if (allArrivalTimes.some((entry) => !entry.tripId)) {
+    const feed = await loadGtfsFeed(
+      resolveFeedUrl(stopConfig.gtfsFeedUrl || gtfsFeedUrl)
+    );
+    stopIds = feed
+      ? findGtfsStopIds(feed, stopConfig.stopFilter || stopConfig.origin)
+      : [];
+  }
+
+  return fetchRealtimeArrivalTimes(
+    allArrivalTimes,
+    {
+      tripUpdates: resolveFeedUrl(feeds.tripUpdates),
+      vehiclePositions: resolveFeedUrl(feeds.vehiclePositions),
+    },
+    { routeFilter: stopConfig.routeFilter, stopIds }
+  );
+};
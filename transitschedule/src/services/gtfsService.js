@@ -0,0 +1,412 @@
+import { unzipSync, strFromU8 } from "fflate";
+import { parseCsv } from "../utils/csvParser";
+import { DEFAULT_TIME_ZONE } from "../utils/constants";
+import {
+  isValidTimeZone,
+  getZonedServiceDate,
+  serviceTimeToDate,
+} from "../utils/timeZones";
+
+/**
+ * GTFS Service
+ *
+ * Loads GTFS static feeds (Cap Metro, Caltrain, ...) and computes upcoming
+ * departures for a stop + route locally, so bus and train stops still have
+ * scheduled times when the Directions API key or network is unavailable.
+ * Output matches the allArrivalTimes entries built by processBusResponse and
+ * processTrainResponse.
+ */
+
+const REQUIRED_FILES = ["stops.txt", "trips.txt", "stop_times.txt"];
+const OPTIONAL_FILES = [
+  "routes.txt",
+  "agency.txt",
+  "calendar.txt",
+  "calendar_dates.txt",
+];
+const WEEKDAY_COLUMNS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+// Parsed feeds keyed by URL so every stop on the same agency shares one parse;
+// feeds that failed to load are cached as null so refreshes don't retry them
+const feedCache = new Map();
+
+/**
+ * Convert a GTFS time string to seconds after midnight of the service day
+ * GTFS times can exceed 24:00:00 for trips that run past midnight.
+ *
+ * @param {string} value - Time string (e.g., "25:10:00")
+ * @returns {number|null} - Seconds after midnight, or null if invalid
+ */
+export const parseGtfsTime = (value) => {
+  if (!value) return null;
+  const parts = value.trim().split(":").map(Number);
+  if (parts.length < 2 || parts.some((part) => isNaN(part))) {
+    return null;
+  }
+  const [hours, minutes, seconds = 0] = parts;
+  return hours * 3600 + minutes * 60 + seconds;
+};
+
+/**
+ * Format a Date as a GTFS service date key
+ *
+ * @param {Date} date - Date object
+ * @returns {string} - Date key in YYYYMMDD format
+ */
+export const toGtfsDate = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}${month}${day}`;
+};
+
+/**
+ * Build lookup indexes from parsed GTFS tables
+ *
+ * @param {Object} tables - Parsed tables keyed by file name
+ * @returns {Object} - Indexed feed
+ */
+export const buildGtfsFeed = (tables) => {
+  const agencies = tables["agency.txt"] || [];
+  const stopsById = new Map();
+  const routesById = new Map();
+  const tripsById = new Map();
+  const stopTimesByStop = new Map();
+  const stopTimesByTrip = new Map();
+  const calendarByService = new Map();
+  const calendarDatesByDate = new Map();
+
+  (tables["stops.txt"] || []).forEach((stop) => {
+    stopsById.set(stop.stop_id, stop);
+  });
+  (tables["routes.txt"] || []).forEach((route) => {
+    routesById.set(route.route_id, route);
+  });
+  (tables["trips.txt"] || []).forEach((trip) => {
+    tripsById.set(trip.trip_id, trip);
+  });
+  (tables["calendar.txt"] || []).forEach((service) => {
+    calendarByService.set(service.service_id, service);
+  });
+  (tables["calendar_dates.txt"] || []).forEach((exception) => {
+    if (!calendarDatesByDate.has(exception.date)) {
+      calendarDatesByDate.set(exception.date, []);
+    }
+    calendarDatesByDate.get(exception.date).push(exception);
+  });
+
+  (tables["stop_times.txt"] || []).forEach((row) => {
+    const stopTime = {
+      tripId: row.trip_id,
+      stopId: row.stop_id,
+      stopSequence: Number(row.stop_sequence),
+      arrival: parseGtfsTime(row.arrival_time || row.departure_time),
+      departure: parseGtfsTime(row.departure_time || row.arrival_time),
+      headsign: row.stop_headsign || null,
+      pickupType: row.pickup_type || "0",
+    };
+
+    if (!stopTimesByStop.has(stopTime.stopId)) {
+      stopTimesByStop.set(stopTime.stopId, []);
+    }
+    stopTimesByStop.get(stopTime.stopId).push(stopTime);
+
+    if (!stopTimesByTrip.has(stopTime.tripId)) {
+      stopTimesByTrip.set(stopTime.tripId, []);
+    }
+    stopTimesByTrip.get(stopTime.tripId).push(stopTime);
+  });
+
+  stopTimesByTrip.forEach((tripStopTimes) => {
+    tripStopTimes.sort((a, b) => a.stopSequence - b.stopSequence);
+  });
+
+  return {
+    agencies,
+    stopsById,
+    routesById,
+    tripsById,
+    stopTimesByStop,
+    stopTimesByTrip,
+    calendarByService,
+    calendarDatesByDate,
+  };
+};
+
+/**
+ * Parse a GTFS zip archive into an indexed feed
+ *
+ * @param {ArrayBuffer|Uint8Array} zipData - Zip file contents
+ * @returns {Object} - Indexed feed
+ */
+export const parseGtfsZip = (zipData) => {
+  const bytes = zipData instanceof Uint8Array ? zipData : new Uint8Array(zipData);
+  const wanted = [...REQUIRED_FILES, ...OPTIONAL_FILES];
+
+  // Only inflate the files we use; feeds often ship shapes.txt etc.
+  const files = unzipSync(bytes, {
+    filter: (file) => wanted.includes(file.name.split("/").pop()),
+  });
+
+  const tables = {};
+  Object.keys(files).forEach((path) => {
+    tables[path.split("/").pop()] = parseCsv(strFromU8(files[path]));
+  });
+
+  const missing = REQUIRED_FILES.filter((name) => !tables[name]);
+  if (missing.length > 0) {
+    throw new Error(`GTFS feed is missing ${missing.join(", ")}`);
+  }
+
+  return buildGtfsFeed(tables);
+};
+
+/**
+ * Load and parse a GTFS zip from a URL (cached per URL)
+ * A feed that fails to load isn't retried until clearGtfsFeedCache.
+ *
+ * @param {string} feedUrl - URL of the GTFS zip (e.g., "/data/gtfs/capmetro.zip")
+ * @returns {Promise<Object|null>} - Indexed feed or null if it could not be loaded
+ */
+export const loadGtfsFeed = async (feedUrl) => {
+  if (!feedUrl) return null;
+  if (feedCache.has(feedUrl)) {
+    return feedCache.get(feedUrl);
+  }
+
+  try {
+    const response = await fetch(feedUrl);
+    if (!response.ok) {
+      console.log(`GTFS feed not available at ${feedUrl}: ${response.status}`);
+      feedCache.set(feedUrl, null);
+      return null;
+    }
+    const feed = parseGtfsZip(await response.arrayBuffer());
+    feedCache.set(feedUrl, feed);
+    console.log(`✓ Loaded GTFS feed ${feedUrl}: ${feed.stopsById.size} stops`);
+    return feed;
+  } catch (error) {
+    console.log(`Error loading GTFS feed ${feedUrl}: ${error.message}`);
+    feedCache.set(feedUrl, null);
+    return null;
+  }
+};
+
+/**
+ * Get the time zone a feed's stop times are written in (agency_timezone)
+ *
+ * @param {Object} feed - Indexed feed
+ * @returns {string} - IANA time zone
+ */
+export const getGtfsFeedTimeZone = (feed) => {
+  const timeZone = feed.agencies.find((agency) =>
+    isValidTimeZone(agency.agency_timezone)
+  )?.agency_timezone;
+  return timeZone || DEFAULT_TIME_ZONE;
+};
+
+/**
+ * Clear cached GTFS feeds (e.g., after replacing a feed file)
+ */
+export const clearGtfsFeedCache = () => {
+  feedCache.clear();
+};
+
+/**
+ * Get service IDs running on a date from calendar.txt and calendar_dates.txt
+ *
+ * @param {Object} feed - Indexed feed
+ * @param {Date} date - Service date
+ * @returns {Set<string>} - Active service IDs
+ */
+export const getActiveServiceIds = (feed, date) => {
+  const dateKey = toGtfsDate(date);
+  const weekday = WEEKDAY_COLUMNS[date.getDay()];
+  const active = new Set();
+
+  feed.calendarByService.forEach((service, serviceId) => {
+    if (
+      service[weekday] === "1" &&
+      service.start_date <= dateKey &&
+      service.end_date >= dateKey
+    ) {
+      active.add(serviceId);
+    }
+  });
+
+  // exception_type 1 adds service for the date, 2 removes it
+  (feed.calendarDatesByDate.get(dateKey) || []).forEach((exception) => {
+    if (exception.exception_type === "1") {
+      active.add(exception.service_id);
+    } else if (exception.exception_type === "2") {
+      active.delete(exception.service_id);
+    }
+  });
+
+  return active;
+};
+
+/**
+ * Normalize a stop name for loose matching ("Congress & Oltorf" ~ "Congress and Oltorf, Austin, TX")
+ *
+ * @param {string} name - Stop name or address
+ * @returns {string} - Normalized name
+ */
+const normalizeStopName = (name) =>
+  (name || "")
+    .split(",")[0]
+    .toLowerCase()
+    .replace(/\b(caltrain|station|stn)\b/g, " ")
+    .replace(/[&/@]/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+/**
+ * Find GTFS stop IDs matching a stop ID or name
+ *
+ * @param {Object} feed - Indexed feed
+ * @param {string} query - stop_id, or a stop name/address
+ * @returns {Array<string>} - Matching stop IDs
+ */
+export const findGtfsStopIds = (feed, query) => {
+  if (!query) return [];
+  if (feed.stopsById.has(query)) {
+    return [query];
+  }
+
+  const target = normalizeStopName(query);
+  if (!target) return [];
+
+  const matches = [];
+  feed.stopsById.forEach((stop, stopId) => {
+    const name = normalizeStopName(stop.stop_name);
+    if (name && name === target) {
+      matches.push(stopId);
+    }
+  });
+  return matches;
+};
+
+/**
+ * Check whether a route matches a stop's routeFilter
+ * Matches route id, short/long name, or agency name (e.g., "Caltrain").
+ *
+ * @param {Object} feed - Indexed feed
+ * @param {Object} route - routes.txt row
+ * @param {string} routeFilter - Route filter from the stop config
+ * @returns {boolean} - True if the route matches
+ */
+const routeMatchesFilter = (feed, route, routeFilter) => {
+  if (!routeFilter) return true;
+  if (!route) return false;
+
+  const filter = routeFilter.toLowerCase();
+  const agency =
+    feed.agencies.find((a) => a.agency_id === route.agency_id) ||
+    (feed.agencies.length === 1 ? feed.agencies[0] : null);
+
+  return [
+    route.route_id,
+    route.route_short_name,
+    route.route_long_name,
+    agency?.agency_name,
+  ].some((value) => {
+    const candidate = (value || "").toLowerCase();
+    return candidate === filter || (filter.length > 3 && candidate.includes(filter));
+  });
+};
+
+/**
+ * Compute upcoming scheduled departures for a stop from a GTFS feed
+ *
+ * @param {Object} feed - Indexed feed
+ * @param {Object} stopConfig - Stop configuration (stopFilter or origin, routeFilter, name)
+ * @param {Date} now - Current date/time (defaults to new Date())
+ * @param {Object} options - Options
+ * @param {number} options.lookaheadHours - How far ahead to look (default 24)
+ * @param {number} options.limit - Maximum departures to return (default 20)
+ * @returns {Array} - allArrivalTimes entries sorted by departure
+ */
+export const getGtfsArrivalTimes = (
+  feed,
+  stopConfig,
+  now = new Date(),
+  { lookaheadHours = 24, limit = 20 } = {}
+) => {
+  const stopIds = findGtfsStopIds(
+    feed,
+    stopConfig.stopFilter || stopConfig.origin
+  );
+  if (stopIds.length === 0) {
+    return [];
+  }
+
+  const windowEnd = new Date(now.getTime() + lookaheadHours * 3600 * 1000);
+  const timeZone = getGtfsFeedTimeZone(feed);
+  const arrivals = [];
+
+  // Service days are in the agency's zone; yesterday's service covers trips
+  // past midnight (times >= 24:00:00)
+  [-1, 0, 1].forEach((dayOffset) => {
+    const serviceDate = getZonedServiceDate(now, timeZone, dayOffset);
+    const activeServices = getActiveServiceIds(feed, serviceDate);
+    if (activeServices.size === 0) return;
+
+    const toDate = (seconds) =>
+      serviceTimeToDate(serviceDate, seconds, timeZone);
+
+    stopIds.forEach((stopId) => {
+      (feed.stopTimesByStop.get(stopId) || []).forEach((stopTime) => {
+        if (stopTime.departure === null || stopTime.pickupType === "1") return;
+
+        const trip = feed.tripsById.get(stopTime.tripId);
+        if (!trip || !activeServices.has(trip.service_id)) return;
+
+        const route = feed.routesById.get(trip.route_id);
+        if (!routeMatchesFilter(feed, route, stopConfig.routeFilter)) return;
+
+        // Skip the final stop of a trip - nothing departs from there
+        const tripStopTimes = feed.stopTimesByTrip.get(stopTime.tripId) || [];
+        const nextStopTime =
+          tripStopTimes[tripStopTimes.indexOf(stopTime) + 1] || null;
+        if (!nextStopTime) return;
+
+        const departureTime = toDate(stopTime.departure);
+        if (departureTime <= now || departureTime > windowEnd) return;
+
+        arrivals.push({
+          stopName:
+            feed.stopsById.get(stopTime.stopId)?.stop_name || stopConfig.name,
+          arrivalTime: departureTime, // Using departure as the primary time
+          departureTime: departureTime,
+          arrivalAtNextStop:
+            nextStopTime.arrival !== null ? toDate(nextStopTime.arrival) : null,
+          headsign:
+            stopTime.headsign ||
+            trip.trip_headsign ||
+            route?.route_long_name ||
+            "Unknown",
+          lineName: route?.route_short_name || route?.route_long_name || "",
+          scheduledTime: departureTime,
+          predictedTime: null,
+          delaySeconds: null,
+          isRealTime: false,
+          tripId: stopTime.tripId,
+          routeId: trip.route_id,
+          stopId: stopTime.stopId,
+          stopSequence: stopTime.stopSequence,
+        });
+      });
+    });
+  });
+
+  arrivals.sort((a, b) => a.departureTime - b.departureTime);
+  return arrivals.slice(0, limit);
+};
@@ -0,0 +1,194 @@
+/**
+ * MQTT Client
+ *
+ * Minimal MQTT 3.1.1 publisher over WebSocket (the "mqtt" subprotocol most
+ * brokers, including Home Assistant's Mosquitto add-on, expose for browsers).
+ * Only what the board publisher needs: connect, QoS 0 publish, disconnect.
+ */
+
+const CONNECT_TIMEOUT_MS = 10000;
+// How long to wait for the broker to close the connection after DISCONNECT
+const DISCONNECT_TIMEOUT_MS = 2000;
+
+// Packet types (high nibble of the fixed header)
+const CONNECT = 0x10;
+const CONNACK = 0x20;
+const PUBLISH = 0x30;
+const DISCONNECT = 0xe0;
+
+/**
+ * Encode text as UTF-8 bytes
+ *
+ * @param {string} text - Text to encode
+ * @returns {Array<number>} - UTF-8 bytes
+ */
+const toUtf8 = (text) => {
+  const bytes = [];
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(
+        0xe0 | (code >> 12),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f)
+      );
+    } else {
+      bytes.push(
+        0xf0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3f),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f)
+      );
+    }
+  }
+  return bytes;
+};
+
+// Length-prefixed UTF-8 string
+const encodeString = (text) => {
+  const bytes = toUtf8(text);
+  return [bytes.length >> 8, bytes.length & 0xff, ...bytes];
+};
+
+// Variable-length "remaining length" of the fixed header
+const encodeRemainingLength = (length) => {
+  const bytes = [];
+  let remaining = length;
+  do {
+    let byte = remaining % 128;
+    remaining = Math.floor(remaining / 128);
+    if (remaining > 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (remaining > 0);
+  return bytes;
+};
+
+const buildPacket = (header, body) =>
+  new Uint8Array([header, ...encodeRemainingLength(body.length), ...body]);
+
+/**
+ * Encode a CONNECT packet (clean session)
+ *
+ * @param {Object} options - { clientId, username, password, keepAliveSeconds }
+ * @returns {Uint8Array} - Packet bytes
+ */
+export const encodeConnect = ({
+  clientId,
+  username,
+  password,
+  keepAliveSeconds = 60,
+}) => {
+  let flags = 0x02;
+  const payload = encodeString(clientId);
+  if (username) {
+    flags |= 0x80;
+    payload.push(...encodeString(username));
+  }
+  if (password) {
+    flags |= 0x40;
+    payload.push(...encodeString(password));
+  }
+
+  return buildPacket(CONNECT, [
+    ...encodeString("MQTT"),
+    0x04, // protocol level 3.1.1
+    flags,
+    keepAliveSeconds >> 8,
+    keepAliveSeconds & 0xff,
+    ...payload,
+  ]);
+};
+
+/**
+ * Encode a QoS 0 PUBLISH packet
+ *
+ * @param {string} topic - Topic name
+ * @param {string} message - Message text
+ * @param {boolean} retain - Keep as the topic's last known value on the broker
+ * @returns {Uint8Array} - Packet bytes
+ */
+export const encodePublish = (topic, message, retain = false) =>
+  buildPacket(PUBLISH | (retain ? 0x01 : 0x00), [
+    ...encodeString(topic),
+    ...toUtf8(message),
+  ]);
+
+/**
+ * Connect to an MQTT broker over WebSocket
+ *
+ * @param {string} url - Broker WebSocket URL (ws:// or wss://)
+ * @param {Object} options - { clientId, username, password }
+ * @returns {Promise<Object>} - Client with publish(topic, message, { retain }) and end() (resolves once disconnected)
+ */
+export const connectMqtt = (url, options = {}) =>
+  new Promise((resolve, reject) => {
+    const clientId =
+      options.clientId || `eggycommutes-${Math.random().toString(16).slice(2)}`;
+    let connected = false;
+    let socket;
+
+    try {
+      socket = new WebSocket(url, "mqtt");
+    } catch (error) {
+      reject(error);
+      return;
+    }
+    socket.binaryType = "arraybuffer";
+
+    const fail = (message) => {
+      clearTimeout(timeout);
+      if (!connected) reject(new Error(message));
+      socket.close();
+    };
+    const timeout = setTimeout(
+      () => fail(`MQTT connection to ${url} timed out`),
+      CONNECT_TIMEOUT_MS
+    );
+
+    socket.onopen = () => {
+      socket.send(encodeConnect({ ...options, clientId }));
+    };
+
+    socket.onmessage = (event) => {
+      const bytes = new Uint8Array(event.data);
+      if (connected || (bytes[0] & 0xf0) !== CONNACK) return;
+
+      const returnCode = bytes[3];
+      if (returnCode !== 0) {
+        fail(`MQTT connection refused (code ${returnCode})`);
+        return;
+      }
+
+      clearTimeout(timeout);
+      connected = true;
+      resolve({
+        publish: (topic, message, { retain = false } = {}) => {
+          socket.send(encodePublish(topic, message, retain));
+        },
+        // The broker closes the connection on DISCONNECT; closing right away
+        // could drop publishes still queued on the socket
+        end: () =>
+          new Promise((resolveEnd) => {
+            const closeTimeout = setTimeout(() => {
+              socket.close();
+              resolveEnd();
+            }, DISCONNECT_TIMEOUT_MS);
+            socket.onclose = () => {
+              clearTimeout(closeTimeout);
+              resolveEnd();
+            };
+            socket.send(new Uint8Array([DISCONNECT, 0x00]));
+          }),
+      });
+    };
+
+    socket.onerror = () => fail(`MQTT connection to ${url} failed`);
+    socket.onclose = () => {
+      clearTimeout(timeout);
+      if (!connected) reject(new Error(`MQTT connection to ${url} closed`));
+    };
+  });
@@ -0,0 +1,102 @@
+import {
+  evaluateNotificationRules,
+  getUnsentEvents,
+  markEventsSent,
+} from "../utils/notificationRules";
+
+/**
+ * Notification Service
+ *
+ * Delivers stop notification events: native notifications in the Electron
+ * shell (through the bridge its preload script exposes), the Web
+ * Notifications API in the browser.
+ */
+
+const getElectronBridge = () =>
+  typeof window !== "undefined" ? window.electronNotifications : undefined;
+
+/**
+ * Check whether this environment can show notifications
+ *
+ * @returns {boolean} - True in Electron or browsers with the Notifications API
+ */
+export const isNotificationSupported = () =>
+  Boolean(getElectronBridge()) ||
+  (typeof window !== "undefined" && "Notification" in window);
+
+/**
+ * Ask for permission to show notifications
+ * Browsers only allow this from a user action (e.g. enabling a rule).
+ *
+ * @returns {Promise<string>} - "granted", "denied", "default" or "unsupported"
+ */
+export const requestNotificationPermission = async () => {
+  if (getElectronBridge()) return "granted";
+  if (!isNotificationSupported()) return "unsupported";
+  if (window.Notification.permission !== "default") {
+    return window.Notification.permission;
+  }
+  try {
+    return await window.Notification.requestPermission();
+  } catch (error) {
+    console.error("Error requesting notification permission:", error);
+    return "denied";
+  }
+};
+
+/**
+ * Show one notification
+ *
+ * @param {Object} event - { key, title, body }
+ * @returns {boolean} - True if it was handed to the OS or browser
+ */
+export const showNotification = (event) => {
+  const bridge = getElectronBridge();
+  if (bridge) {
+    bridge.show({ title: event.title, body: event.body });
+    return true;
+  }
+
+  if (
+    !isNotificationSupported() ||
+    window.Notification.permission !== "granted"
+  ) {
+    return false;
+  }
+  try {
+    new window.Notification(event.title, { body: event.body, tag: event.key });
+    return true;
+  } catch (error) {
+    console.error("Error showing notification:", error);
+    return false;
+  }
+};
+
+/**
+ * Evaluate every stop's notification rules and deliver new events
+ * Events that already fired (see getUnsentEvents) are skipped. Events that
+ * couldn't be shown (permission not granted yet) aren't recorded, so they
+ * fire once permission is granted, while still current.
+ *
+ * @param {Array<Object>} stops - Board stops
+ * @param {Date} now - Current date/time (defaults to new Date())
+ * @param {number} bufferMinutes - Leave buffer used by the board's countdown
+ * @returns {Array<Object>} - Events delivered
+ */
+export const notifyStopEvents = (stops, now = new Date(), bufferMinutes) => {
+  const events = (stops || []).flatMap((stop) =>
+    evaluateNotificationRules(stop, now, bufferMinutes)
+  );
+  if (events.length === 0) return [];
+
+  const shown = getUnsentEvents(events, now).filter((event) => {
+    if (showNotification(event)) {
+      console.log(`✓ Notified: ${event.title}`);
+      return true;
+    }
+    console.warn(`⚠ Notification not shown (no permission): ${event.title}`);
+    return false;
+  });
+  markEventsSent(shown, now);
+  return shown;
+};
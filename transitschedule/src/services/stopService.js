@@ -1,4 +1,10 @@
 import api from "../config/api";
+import { coalesceRequest } from "../utils/requestCache";
+import {
+  fetchWithOfflineCopy,
+  getQueuedEdits,
+  applyQueuedEdits,
+} from "../utils/offlineStore";
 
 /**
  * Stop Service
@@ -6,17 +12,24 @@ import api from "../config/api";
  * Handles API calls for stops CRUD operations.
  */
 
-// Simple flag to prevent multiple simultaneous calls - reuse the same promise
-let fetchTransitDataPromise = null;
-
 /**
  * Fetch all visible stops for the current user
+ * Offline, the last list loaded is used, with edits waiting to sync applied.
+ * @param {number|null} boardId - Only this board's stops, in its order (all stops if null)
  * @returns {Promise<Array>} - Array of stop objects
  */
-export const fetchUserStops = async () => {
+export const fetchUserStops = async (boardId = null) => {
   try {
-    const response = await api.get("/api/v1/stops");
-    return response.data;
+    const stops = await fetchWithOfflineCopy(
+      `stops:${boardId || "all"}`,
+      async () => {
+        const response = await api.get("/api/v1/stops", {
+          params: boardId ? { board_id: boardId } : {},
+        });
+        return response.data;
+      }
+    );
+    return applyQueuedEdits(stops, await getQueuedEdits());
   } catch (error) {
     // Backend endpoint might not be available in development
     if (error.response?.status === 404) {
@@ -31,6 +44,31 @@ export const fetchUserStops = async () => {
   }
 };
 
+/**
+ * Fetch all stops for the current user, including hidden ones
+ * Offline, the last list loaded is used, with edits waiting to sync applied.
+ * @returns {Promise<Array>} - Array of stop objects (in board order)
+ */
+export const fetchAllUserStops = async () => {
+  try {
+    const stops = await fetchWithOfflineCopy(
+      "stops:include-hidden",
+      async () => {
+        const response = await api.get("/api/v1/stops", {
+          params: { include_hidden: true },
+        });
+        return response.data;
+      }
+    );
+    return applyQueuedEdits(stops, await getQueuedEdits(), {
+      includeHidden: true,
+    });
+  } catch (error) {
+    console.error("Error fetching all user stops:", error);
+    throw error;
+  }
+};
+
 /**
  * Create a new stop
  * @param {Object} stopData - Stop data object
@@ -94,6 +132,25 @@ export const hideStop = async (id) => {
   }
 };
 
+/**
+ * Set the hidden and/or favorite flags on several stops
+ * @param {Array<number>} ids - Stop IDs
+ * @param {Object} changes - { hidden, favorite } (either or both)
+ * @returns {Promise<Array>} - Updated stop objects
+ */
+export const bulkUpdateStops = async (ids, changes) => {
+  try {
+    const response = await api.patch("/api/v1/stops/bulk", {
+      ids: ids,
+      stop: changes,
+    });
+    return response.data;
+  } catch (error) {
+    console.error("Error updating stops:", error);
+    throw error;
+  }
+};
+
 /**
  * Delete a stop permanently
  * @param {number} id - Stop ID
@@ -113,12 +170,14 @@ export const deleteStop = async (id) => {
  * Reorder a stop by updating its position
  * @param {number} id - Stop ID
  * @param {number} position - New position
+ * @param {number|null} boardId - Move the stop within this board only
  * @returns {Promise<Object>} - Updated stop object
  */
-export const reorderStop = async (id, position) => {
+export const reorderStop = async (id, position, boardId = null) => {
   try {
     const response = await api.patch(`/api/v1/stops/${id}/reorder`, {
       position: position,
+      ...(boardId && { board_id: boardId }),
     });
     return response.data;
   } catch (error) {
@@ -129,17 +188,11 @@ export const reorderStop = async (id, position) => {
 
 /**
  * Fetch transit data by triggering the fetch-transit-data.js script
+ * Calls made while one is in progress share its request.
  * @returns {Promise<Object>} - Response with status message
  */
-export const fetchTransitData = async () => {
-  // If a request is already in progress, return the same promise
-  if (fetchTransitDataPromise) {
-    console.log("fetchTransitData already in progress, reusing existing request");
-    return fetchTransitDataPromise;
-  }
-
-  // Create new request promise
-  fetchTransitDataPromise = (async () => {
+export const fetchTransitData = () =>
+  coalesceRequest("POST /api/v1/transit_data/fetch", async () => {
     try {
       const response = await api.post("/api/v1/transit_data/fetch");
       return response.data;
@@ -154,12 +207,6 @@ export const fetchTransitData = async () => {
       }
       console.error("Error fetching transit data:", error);
       throw error;
-    } finally {
-      // Clear the promise when done so future calls can make new requests
-      fetchTransitDataPromise = null;
     }
-  })();
-
-  return fetchTransitDataPromise;
-};
+  });
 
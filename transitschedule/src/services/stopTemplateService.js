@@ -0,0 +1,22 @@
+import api from "../config/api";
+
+/**
+ * Stop Template Service
+ *
+ * Handles API calls for stop templates: admin-defined stop sets a new
+ * account can start with.
+ */
+
+/**
+ * Fetch the stop templates offered at signup (no login needed)
+ * @returns {Promise<Array>} - Array of templates ({ id, name, description, stops }) in order
+ */
+export const fetchStopTemplates = async () => {
+  try {
+    const response = await api.get("/api/v1/stop_templates");
+    return response.data;
+  } catch (error) {
+    console.error("Error fetching stop templates:", error);
+    throw error;
+  }
+};
@@ -1,13 +1,32 @@
 import axios from "axios";
 import api from "../config/api";
-import { convertToCentralTime } from "../utils/helpers";
-import { CALTRAIN_STOPS } from "../utils/constants";
+import { cachedGet } from "../utils/requestCache";
+import { parseApiTime } from "../utils/helpers";
+import {
+  CALTRAIN_STOPS,
+  GTFS_FEEDS,
+  GTFS_REALTIME_FEEDS,
+} from "../utils/constants";
 import {
   findNextArrival,
+  sortArrivalTimes,
   calculateLastStopTime,
   calculateIsWithinTwoStops,
 } from "../utils/timeCalculations";
 import { loadSavedData, hasMatchingTrainRoute } from "../utils/fileLoader";
+import { withProvenance } from "../utils/provenance";
+import { createStopError, getStopError } from "../utils/stopErrors";
+import { resolveStopTimeZone } from "../utils/timeZones";
+import {
+  getDirectionsTimeParams,
+  getScheduleSearchStart,
+} from "../utils/targetTime";
+import {
+  loadGtfsFeed,
+  getGtfsArrivalTimes,
+  getGtfsFeedTimeZone,
+} from "./gtfsService";
+import { getRealtimeArrivalTimes } from "./gtfsRealtimeService";
 
 /**
  * Train Service
@@ -24,17 +43,27 @@ const BASE_URL = "https://maps.googleapis.com/maps/api/directions/json";
  * @param {string} origin - Starting train stop
  * @param {string} destination - Destination train stop (always San Francisco)
  * @param {string} apiKey - Google Maps API key (for fallback direct call)
+ * @param {Object} timeParams - arrival_time or departure_time for arrive-by/depart-at stops (default: leave now)
+ * @param {string} stopName - Stop the request is for, for the API usage meter
  * @returns {Promise<Object>} - API response data
  */
-export const fetchTrainRoute = async (origin, destination, apiKey) => {
+export const fetchTrainRoute = async (
+  origin,
+  destination,
+  apiKey,
+  timeParams = { departure_time: "now" },
+  stopName = null
+) => {
   // First try backend proxy (avoids CORS issues)
   try {
-    const proxyResponse = await api.get("/api/v1/transit_data/live_transit", {
+    const proxyResponse = await cachedGet(api, "/api/v1/transit_data/live_transit", {
       params: {
         origin,
         destination: destination || "San Francisco Caltrain Station, CA",
         transit_mode: "rail",
+        ...timeParams,
       },
+      stop: stopName,
     });
     console.log("✓ Live train data fetched via backend proxy");
     return proxyResponse.data;
@@ -47,16 +76,21 @@ export const fetchTrainRoute = async (origin, destination, apiKey) => {
       destination: destination || "San Francisco Caltrain Station, CA",
       mode: "transit",
       transit_mode: "rail",
-      departure_time: "now",
+      ...timeParams,
       alternatives: true,
       key: apiKey,
     };
 
     try {
-      const response = await axios.get(BASE_URL, { params });
+      const response = await cachedGet(axios, BASE_URL, {
+        params,
+        stop: stopName,
+      });
       return response.data;
     } catch (error) {
       console.error("Error fetching train route:", error);
+      // Keep why the proxy failed, to tell a backend outage from a Google error
+      error.proxyError = proxyError;
       throw error;
     }
   }
@@ -95,6 +129,8 @@ export const processTrainResponse = (stopConfig, response) => {
 
   // Extract all arrival times from all routes, filtering by Caltrain
   const allArrivalTimes = [];
+  // Directions reports times in the agency's zone
+  let responseTimeZone = null;
 
   response.routes.forEach((route) => {
     route.legs.forEach((leg) => {
@@ -114,21 +150,22 @@ export const processTrainResponse = (stopConfig, response) => {
               .includes("caltrain");
 
           if (matchesRoute && transitDetails.departure_time) {
-            // Check if we have real-time data
-            const isRealTime =
-              transitDetails.departure_time.value !== undefined;
-
-            if (isRealTime || transitDetails.departure_time.text) {
+            // Directions times are scheduled; GTFS-Realtime predictions
+            // are applied afterwards in withRealtimeUpdates
+            if (
+              transitDetails.departure_time.value !== undefined ||
+              transitDetails.departure_time.text
+            ) {
               // For train stops, use departure_time (when train leaves your stop)
               // not arrival_time (when it arrives at the next stop)
-              const departureTime = convertToCentralTime(
-                transitDetails.departure_time
-              );
-              const arrivalTime = convertToCentralTime(
-                transitDetails.arrival_time
-              );
+              const departureTime = parseApiTime(transitDetails.departure_time);
+              const arrivalTime = parseApiTime(transitDetails.arrival_time);
 
               if (departureTime) {
+                responseTimeZone =
+                  responseTimeZone ||
+                  transitDetails.departure_time.time_zone ||
+                  null;
                 allArrivalTimes.push({
                   stopName:
                     transitDetails.departure_stop?.name || stopConfig.name,
@@ -137,7 +174,10 @@ export const processTrainResponse = (stopConfig, response) => {
                   arrivalAtNextStop: arrivalTime,
                   headsign: transitDetails.headsign || "Unknown",
                   lineName: lineName,
-                  isRealTime: isRealTime,
+                  scheduledTime: departureTime,
+                  predictedTime: null,
+                  delaySeconds: null,
+                  isRealTime: false,
                 });
               }
             }
@@ -147,12 +187,23 @@ export const processTrainResponse = (stopConfig, response) => {
     });
   });
 
-  // Sort all arrival times by time, prioritizing real-time data
-  allArrivalTimes.sort((a, b) => {
-    if (a.isRealTime && !b.isRealTime) return -1;
-    if (!a.isRealTime && b.isRealTime) return 1;
-    return a.arrivalTime - b.arrivalTime;
-  });
+  return processTrainArrivalTimes(
+    { ...stopConfig, timeZone: responseTimeZone || stopConfig.timeZone },
+    allArrivalTimes
+  );
+};
+
+/**
+ * Builds formatted stop data from a list of train arrival times
+ * Shared by Directions API responses and GTFS schedules.
+ * 
+ * @param {Object} stopConfig - Stop configuration object
+ * @param {Array} allArrivalTimes - Arrival time entries
+ * @returns {Object} - Formatted stop data
+ */
+export const processTrainArrivalTimes = (stopConfig, allArrivalTimes) => {
+  // Sort all arrival times by predicted time, or scheduled time without one
+  sortArrivalTimes(allArrivalTimes);
 
   // Log if we found stop times
   if (allArrivalTimes.length > 0) {
@@ -167,20 +218,23 @@ export const processTrainResponse = (stopConfig, response) => {
 
   // Find next arrival time using utility
   const now = new Date();
-  const nextArrival = findNextArrival(allArrivalTimes, now);
+  const timeZone = resolveStopTimeZone(stopConfig);
+  const nextArrival = findNextArrival(allArrivalTimes, now, timeZone);
 
   // Determine last stop time using utility
   const lastStopTime = calculateLastStopTime(
     allArrivalTimes,
     nextArrival,
-    now
+    now,
+    timeZone
   );
 
   // Calculate if next arrival is within 2 stops using utility
   const isWithinTwoStops = calculateIsWithinTwoStops(
     nextArrival,
     lastStopTime,
-    allArrivalTimes
+    allArrivalTimes,
+    timeZone
   );
 
   return {
@@ -192,12 +246,68 @@ export const processTrainResponse = (stopConfig, response) => {
     transitMode: "rail",
     allArrivalTimes: allArrivalTimes,
     nextArrivalTime: nextArrival?.arrivalTime || null,
+    nextArrivalDelaySeconds: nextArrival?.isRealTime
+      ? nextArrival.delaySeconds
+      : null,
     lastStopTime: lastStopTime,
     isWithinTwoStops: isWithinTwoStops,
     walkTime: stopConfig.walkTime || null,
+    timeZone: timeZone,
   };
 };
 
+/**
+ * Loads scheduled train times from the stop's GTFS feed
+ * 
+ * @param {Object} stopConfig - Stop configuration object
+ * @returns {Promise<Object|null>} - Formatted stop data, or null if no scheduled times
+ */
+const getGtfsTrainStopData = async (stopConfig) => {
+  const feedUrl = `${process.env.PUBLIC_URL || ""}${stopConfig.gtfsFeedUrl || GTFS_FEEDS.train}`;
+  const feed = await loadGtfsFeed(feedUrl);
+  if (!feed) {
+    return null;
+  }
+  const allArrivalTimes = getGtfsArrivalTimes(
+    feed,
+    stopConfig,
+    getScheduleSearchStart(stopConfig)
+  );
+  if (allArrivalTimes.length === 0) {
+    return null;
+  }
+  console.log(`⚠ Using GTFS schedule for ${stopConfig.name}`);
+  return processTrainArrivalTimes(
+    { ...stopConfig, timeZone: getGtfsFeedTimeZone(feed) },
+    allArrivalTimes
+  );
+};
+
+/**
+ * Applies GTFS-Realtime predictions to train stop data
+ *
+ * @param {Object} stopConfig - Stop configuration object
+ * @param {Object} stopData - Formatted stop data
+ * @returns {Promise<Object>} - Formatted stop data with predicted times
+ */
+const withRealtimeUpdates = async (stopConfig, stopData) => {
+  const allArrivalTimes = await getRealtimeArrivalTimes(
+    stopConfig,
+    stopData.allArrivalTimes,
+    {
+      realtimeFeeds: GTFS_REALTIME_FEEDS.train,
+      gtfsFeedUrl: GTFS_FEEDS.train,
+    }
+  );
+  if (allArrivalTimes === stopData.allArrivalTimes) {
+    return stopData;
+  }
+  return processTrainArrivalTimes(
+    { ...stopConfig, timeZone: stopData.timeZone },
+    allArrivalTimes
+  );
+};
+
 /**
  * Fetches and processes train transit data
  * 
@@ -206,13 +316,22 @@ export const processTrainResponse = (stopConfig, response) => {
  * @returns {Promise<Object>} - Formatted stop data
  */
 export const getTrainStopData = async (stopConfig, apiKey) => {
+  let lastError = null;
   try {
     // Always try API call first to get current/real-time data
     if (!apiKey || apiKey === "YOUR_API_KEY_HERE") {
       console.warn(
         `⚠ No API key configured for ${stopConfig.name} (train) - cannot fetch live data`
       );
-      // Fallback to saved data if no API key
+      // Fallback to GTFS schedule, then saved data if no API key
+      const gtfsData = await getGtfsTrainStopData(stopConfig);
+      if (gtfsData) {
+        return withProvenance(
+          await withRealtimeUpdates(stopConfig, gtfsData),
+          "schedule",
+          { error: createStopError("noApiKey") }
+        );
+      }
       if (stopConfig.dataFile) {
         const filePath = `${process.env.PUBLIC_URL || ""}${stopConfig.dataFile}`;
         const savedData = await loadSavedData(filePath);
@@ -220,22 +339,30 @@ export const getTrainStopData = async (stopConfig, apiKey) => {
           console.log(
             `⚠ Using saved data for ${stopConfig.name} (no API key available)`
           );
-          return processTrainResponse(stopConfig, savedData);
+          return withProvenance(
+            processTrainResponse(stopConfig, savedData),
+            "saved",
+            { response: savedData, error: createStopError("noApiKey") }
+          );
         }
       }
-      return {
-        name: stopConfig.name,
-        type: "train",
-        origin: stopConfig.origin,
-        destination: stopConfig.destination || "San Francisco Caltrain Station, CA",
-        routeFilter: stopConfig.routeFilter || "Caltrain",
-        transitMode: "rail",
-        allArrivalTimes: [],
-        nextArrivalTime: null,
-        lastStopTime: null,
-        isWithinTwoStops: false,
-        walkTime: stopConfig.walkTime || null,
-      };
+      return withProvenance(
+        {
+          name: stopConfig.name,
+          type: "train",
+          origin: stopConfig.origin,
+          destination: stopConfig.destination || "San Francisco Caltrain Station, CA",
+          routeFilter: stopConfig.routeFilter || "Caltrain",
+          transitMode: "rail",
+          allArrivalTimes: [],
+          nextArrivalTime: null,
+          lastStopTime: null,
+          isWithinTwoStops: false,
+          walkTime: stopConfig.walkTime || null,
+        },
+        "none",
+        { error: createStopError("noApiKey") }
+      );
     }
 
     // Try live API call first
@@ -243,27 +370,51 @@ export const getTrainStopData = async (stopConfig, apiKey) => {
       const response = await fetchTrainRoute(
         stopConfig.origin,
         stopConfig.destination,
-        apiKey
+        apiKey,
+        getDirectionsTimeParams(stopConfig),
+        stopConfig.name
       );
 
-      if (response && response.status === "OK") {
+      if (response?.status === "OK" && !hasMatchingTrainRoute(response)) {
+        lastError = createStopError("routeNotFound", "Caltrain");
+        console.warn(
+          `⚠ Caltrain not found for ${stopConfig.name} (train), falling back to the schedule`
+        );
+      } else if (response && response.status === "OK") {
         console.log(
           `✓ Request successful for ${stopConfig.name} (train) - using live data`
         );
-        return processTrainResponse(stopConfig, response);
+        return withProvenance(
+          await withRealtimeUpdates(
+            stopConfig,
+            processTrainResponse(stopConfig, response)
+          ),
+          "live",
+          { response }
+        );
       } else {
+        lastError = getStopError(response);
         console.warn(
           `⚠ API call failed for ${stopConfig.name} (train): ${response?.status || "Unknown error"}, falling back to saved data`
         );
       }
     } catch (networkError) {
+      lastError = getStopError(networkError);
       console.warn(
         `⚠ Network error fetching live data for ${stopConfig.name} (train), attempting to use saved data as fallback:`,
         networkError.message
       );
     }
 
-    // Fallback to saved data only if API call fails
+    // Fallback to GTFS schedule, then saved data, only if API call fails
+    const gtfsData = await getGtfsTrainStopData(stopConfig);
+    if (gtfsData) {
+      return withProvenance(
+        await withRealtimeUpdates(stopConfig, gtfsData),
+        "schedule",
+        { error: lastError }
+      );
+    }
     if (stopConfig.dataFile) {
       const filePath = `${process.env.PUBLIC_URL || ""}${stopConfig.dataFile}`;
       const savedData = await loadSavedData(filePath);
@@ -271,42 +422,54 @@ export const getTrainStopData = async (stopConfig, apiKey) => {
         console.log(
           `⚠ Using saved data for ${stopConfig.name} (API call failed)`
         );
-        return processTrainResponse(stopConfig, savedData);
+        return withProvenance(
+          processTrainResponse(stopConfig, savedData),
+          "saved",
+          { response: savedData, error: lastError }
+        );
       }
     }
 
-    // If we get here, both API and saved data failed
+    // If we get here, API, GTFS and saved data all failed
     console.error(
       `✗ Failed to fetch data for ${stopConfig.name} (train) from both API and saved files`
     );
-    return {
-      name: stopConfig.name,
-      type: "train",
-      origin: stopConfig.origin,
-      destination: stopConfig.destination || "San Francisco Caltrain Station, CA",
-      routeFilter: stopConfig.routeFilter || "Caltrain",
-      transitMode: "rail",
-      allArrivalTimes: [],
-      nextArrivalTime: null,
-      lastStopTime: null,
-      isWithinTwoStops: false,
-      walkTime: stopConfig.walkTime || null,
-    };
+    return withProvenance(
+      {
+        name: stopConfig.name,
+        type: "train",
+        origin: stopConfig.origin,
+        destination: stopConfig.destination || "San Francisco Caltrain Station, CA",
+        routeFilter: stopConfig.routeFilter || "Caltrain",
+        transitMode: "rail",
+        allArrivalTimes: [],
+        nextArrivalTime: null,
+        lastStopTime: null,
+        isWithinTwoStops: false,
+        walkTime: stopConfig.walkTime || null,
+      },
+      "none",
+      { error: lastError || createStopError("unknown") }
+    );
   } catch (error) {
     console.error(`Error fetching train data for ${stopConfig.name}:`, error);
-    return {
-      name: stopConfig.name,
-      type: "train",
-      origin: stopConfig.origin,
-      destination: stopConfig.destination || "San Francisco Caltrain Station, CA",
-      routeFilter: stopConfig.routeFilter || "Caltrain",
-      transitMode: "rail",
-      allArrivalTimes: [],
-      nextArrivalTime: null,
-      lastStopTime: null,
-      isWithinTwoStops: false,
-      walkTime: stopConfig.walkTime || null,
-    };
+    return withProvenance(
+      {
+        name: stopConfig.name,
+        type: "train",
+        origin: stopConfig.origin,
+        destination: stopConfig.destination || "San Francisco Caltrain Station, CA",
+        routeFilter: stopConfig.routeFilter || "Caltrain",
+        transitMode: "rail",
+        allArrivalTimes: [],
+        nextArrivalTime: null,
+        lastStopTime: null,
+        isWithinTwoStops: false,
+        walkTime: stopConfig.walkTime || null,
+      },
+      "none",
+      { error: getStopError(error) }
+    );
   }
 };
 
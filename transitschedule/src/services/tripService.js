@@ -0,0 +1,247 @@
+import axios from "axios";
+import api from "../config/api";
+import { cachedGet } from "../utils/requestCache";
+import { TRIP_TRANSIT_MODES } from "../utils/constants";
+import { loadSavedData } from "../utils/fileLoader";
+import { withProvenance } from "../utils/provenance";
+import { createStopError, getStopError } from "../utils/stopErrors";
+import { resolveStopTimeZone } from "../utils/timeZones";
+import { getDirectionsTimeParams } from "../utils/targetTime";
+import { parseTripItineraries, getTripLineNames } from "../utils/tripItinerary";
+
+/**
+ * Trip Service
+ *
+ * Handles multi-leg commute stops (walk → bus → train) as one board entry.
+ * Keeps every leg of the transit Directions response, with transfer slack and
+ * the end-to-end arrival.
+ */
+
+const BASE_URL = "https://maps.googleapis.com/maps/api/directions/json";
+
+/**
+ * Fetches multi-leg transit directions via backend proxy
+ *
+ * @param {string} origin - Starting address (usually home)
+ * @param {string} destination - Final destination
+ * @param {string} apiKey - Google Maps API key (for fallback direct call)
+ * @param {Object} timeParams - arrival_time or departure_time for arrive-by/depart-at stops (default: leave now)
+ * @param {string} stopName - Stop the request is for, for the API usage meter
+ * @returns {Promise<Object>} - API response data
+ */
+export const fetchTripRoute = async (
+  origin,
+  destination,
+  apiKey,
+  timeParams = { departure_time: "now" },
+  stopName = null
+) => {
+  // First try backend proxy (avoids CORS issues)
+  try {
+    const proxyResponse = await cachedGet(
+      api,
+      "/api/v1/transit_data/live_transit",
+      {
+        params: {
+          origin,
+          destination,
+          transit_mode: TRIP_TRANSIT_MODES,
+          ...timeParams,
+        },
+        stop: stopName,
+      }
+    );
+    console.log("✓ Live trip data fetched via backend proxy");
+    return proxyResponse.data;
+  } catch (proxyError) {
+    console.warn(
+      "Backend proxy failed, trying direct API call:",
+      proxyError.message
+    );
+
+    // Fallback to direct API call if proxy fails
+    const params = {
+      origin,
+      destination,
+      mode: "transit",
+      transit_mode: TRIP_TRANSIT_MODES,
+      ...timeParams,
+      alternatives: true,
+      key: apiKey,
+    };
+
+    try {
+      const response = await cachedGet(axios, BASE_URL, {
+        params,
+        stop: stopName,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("Error fetching trip route:", error);
+      // Keep why the proxy failed, to tell a backend outage from a Google error
+      error.proxyError = proxyError;
+      throw error;
+    }
+  }
+};
+
+/**
+ * Builds empty trip stop data
+ *
+ * @param {Object} stopConfig - Stop configuration object
+ * @returns {Object} - Formatted stop data without itineraries
+ */
+const emptyTripStopData = (stopConfig) => ({
+  name: stopConfig.name,
+  type: "trip",
+  origin: stopConfig.origin,
+  destination: stopConfig.destination,
+  allArrivalTimes: [],
+  legs: [],
+  nextDepartureTime: null,
+  nextArrivalTime: null,
+  tripArrivalTime: null,
+  transferSlackSeconds: null,
+  lastStopTime: null,
+  isWithinTwoStops: false,
+  timeZone: resolveStopTimeZone(stopConfig),
+});
+
+/**
+ * Processes a transit Directions response into trip stop data
+ * Each itinerary becomes one allArrivalTimes entry: departureTime is when to
+ * leave the origin and arrivalAtNextStop the end-to-end arrival.
+ *
+ * @param {Object} stopConfig - Stop configuration object
+ * @param {Object} response - API response data
+ * @returns {Object} - Formatted stop data
+ */
+export const processTripResponse = (stopConfig, response) => {
+  const itineraries = parseTripItineraries(response);
+  if (itineraries.length === 0) {
+    console.log(
+      `✗ No itineraries found for ${stopConfig.name} (trip) - ${
+        response?.status || "No response"
+      }`
+    );
+    return emptyTripStopData(stopConfig);
+  }
+
+  console.log(
+    `✓ Itineraries found for ${stopConfig.name} (trip): ${itineraries.length}`
+  );
+
+  const now = new Date();
+  const next =
+    itineraries.find((itinerary) => itinerary.departureTime > now) ||
+    itineraries[0];
+
+  return {
+    ...emptyTripStopData({
+      ...stopConfig,
+      timeZone: next.timeZone || stopConfig.timeZone,
+    }),
+    allArrivalTimes: itineraries.map((itinerary) => ({
+      stopName: itinerary.legs.find((l) => l.departureStop)?.departureStop,
+      arrivalTime: itinerary.departureTime,
+      departureTime: itinerary.departureTime,
+      arrivalAtNextStop: itinerary.arrivalTime,
+      lineName: getTripLineNames(itinerary.legs).join(" → "),
+      legs: itinerary.legs,
+      transferSlackSeconds: itinerary.minTransferSlackSeconds,
+      scheduledTime: itinerary.departureTime,
+      predictedTime: null,
+      delaySeconds: null,
+      isRealTime: false,
+    })),
+    legs: next.legs,
+    nextDepartureTime: next.departureTime,
+    nextArrivalTime: next.arrivalTime,
+    tripArrivalTime: next.arrivalTime,
+    transferSlackSeconds: next.minTransferSlackSeconds,
+  };
+};
+
+/**
+ * Loads a trip stop's saved Directions response
+ *
+ * @param {Object} stopConfig - Stop configuration object
+ * @param {Object} error - Stop error: why live data wasn't used
+ * @returns {Promise<Object|null>} - Formatted stop data, or null if no saved data
+ */
+const getSavedTripStopData = async (stopConfig, error) => {
+  if (!stopConfig.dataFile) {
+    return null;
+  }
+  const savedData = await loadSavedData(
+    `${process.env.PUBLIC_URL || ""}${stopConfig.dataFile}`
+  );
+  if (!savedData) {
+    return null;
+  }
+  console.log(`⚠ Using saved data for ${stopConfig.name} (trip)`);
+  return withProvenance(processTripResponse(stopConfig, savedData), "saved", {
+    response: savedData,
+    error,
+  });
+};
+
+/**
+ * Saved trip data, or empty trip data if there is none
+ *
+ * @param {Object} stopConfig - Stop configuration object
+ * @param {Object} error - Stop error: why live data wasn't used
+ * @returns {Promise<Object>} - Formatted stop data
+ */
+const getFallbackTripStopData = async (stopConfig, error) =>
+  (await getSavedTripStopData(stopConfig, error)) ||
+  withProvenance(emptyTripStopData(stopConfig), "none", { error });
+
+/**
+ * Fetches and processes multi-leg trip data
+ *
+ * @param {Object} stopConfig - Stop configuration object
+ * @param {string} apiKey - Google Maps API key
+ * @returns {Promise<Object>} - Formatted stop data
+ */
+export const getTripStopData = async (stopConfig, apiKey) => {
+  if (!apiKey || apiKey === "YOUR_API_KEY_HERE") {
+    console.warn(
+      `⚠ No API key configured for ${stopConfig.name} (trip) - cannot fetch live data`
+    );
+    return getFallbackTripStopData(stopConfig, createStopError("noApiKey"));
+  }
+
+  let lastError = null;
+  try {
+    const response = await fetchTripRoute(
+      stopConfig.origin,
+      stopConfig.destination,
+      apiKey,
+      getDirectionsTimeParams(stopConfig),
+      stopConfig.name
+    );
+    if (response && response.status === "OK") {
+      console.log(
+        `✓ Request successful for ${stopConfig.name} (trip) - using live data`
+      );
+      return withProvenance(processTripResponse(stopConfig, response), "live", {
+        response,
+      });
+    }
+    lastError = getStopError(response);
+    console.warn(
+      `⚠ API call failed for ${stopConfig.name} (trip): ${
+        response?.status || "Unknown error"
+      }, falling back to saved data`
+    );
+  } catch (error) {
+    lastError = getStopError(error);
+    console.warn(
+      `⚠ Network error fetching live data for ${stopConfig.name} (trip), attempting to use saved data as fallback:`,
+      error.message
+    );
+  }
+
+  return getFallbackTripStopData(stopConfig, lastError);
+};
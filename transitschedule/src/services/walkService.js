@@ -1,4 +1,8 @@
 import axios from "axios";
+import { cachedGet } from "../utils/requestCache";
+import { loadSavedData } from "../utils/fileLoader";
+import { withProvenance } from "../utils/provenance";
+import { createStopError, getStopError } from "../utils/stopErrors";
 
 /**
  * Walk Service
@@ -14,9 +18,15 @@ const BASE_URL = "https://maps.googleapis.com/maps/api/directions/json";
  * @param {string} origin - Starting location
  * @param {string} destination - Destination location
  * @param {string} apiKey - Google Maps API key
+ * @param {string} stopName - Stop the request is for, for the API usage meter
  * @returns {Promise<Object>} - API response data
  */
-export const fetchWalkRoute = async (origin, destination, apiKey) => {
+export const fetchWalkRoute = async (
+  origin,
+  destination,
+  apiKey,
+  stopName = null
+) => {
   const params = {
     origin,
     destination,
@@ -25,7 +35,7 @@ export const fetchWalkRoute = async (origin, destination, apiKey) => {
   };
 
   try {
-    const response = await axios.get(BASE_URL, { params });
+    const response = await cachedGet(axios, BASE_URL, { params, stop: stopName });
     return response.data;
   } catch (error) {
     console.error("Error fetching walk route:", error);
@@ -98,58 +108,77 @@ export const processWalkResponse = (stopConfig, response) => {
  * @returns {Promise<Object>} - Formatted stop data
  */
 export const getWalkStopData = async (stopConfig, apiKey) => {
+  let lastError = null;
   try {
-    // Try to load from saved file first
-    if (stopConfig.dataFile) {
-      try {
-        const filePath = `${process.env.PUBLIC_URL || ""}${stopConfig.dataFile}`;
-        const response = await fetch(filePath);
-        if (response.ok) {
-          const data = await response.json();
-          console.log(
-            `✓ Loaded saved data for ${stopConfig.name} (walk)`
-          );
-          return processWalkResponse(stopConfig, data);
-        }
-      } catch (error) {
+    // Try the live API call first so the estimate is current
+    try {
+      const response = await fetchWalkRoute(
+        stopConfig.origin,
+        stopConfig.destination,
+        apiKey,
+        stopConfig.name
+      );
+
+      if (response && response.status === "OK") {
         console.log(
-          `✗ Error loading saved file for ${stopConfig.name}, will fetch from API:`,
-          error.message
+          `✓ Request successful for ${stopConfig.name} (walk) - using live data`
+        );
+        return withProvenance(
+          processWalkResponse(stopConfig, response),
+          "live",
+          { response }
         );
       }
-    }
-
-    // If file doesn't exist or failed to load, make API call
-    const response = await fetchWalkRoute(
-      stopConfig.origin,
-      stopConfig.destination,
-      apiKey
-    );
-
-    if (response && response.status === "OK") {
-      console.log(
-        `✓ Request successful for ${stopConfig.name} (walk)`
+      lastError = getStopError(response);
+      console.warn(
+        `⚠ API call failed for ${stopConfig.name} (walk): ${
+          response?.status || "Unknown error"
+        }, falling back to saved data`
       );
-    } else {
-      console.log(
-        `✗ Request unsuccessful for ${stopConfig.name} (walk): ${response?.status || "Unknown error"}`
+    } catch (networkError) {
+      lastError = getStopError(networkError);
+      console.warn(
+        `⚠ Network error fetching live data for ${stopConfig.name} (walk), attempting to use saved data as fallback:`,
+        networkError.message
       );
     }
 
-    return processWalkResponse(stopConfig, response);
+    // Fallback to saved data only if the live call fails
+    if (stopConfig.dataFile) {
+      const filePath = `${process.env.PUBLIC_URL || ""}${stopConfig.dataFile}`;
+      const savedData = await loadSavedData(filePath);
+      if (savedData) {
+        console.log(
+          `⚠ Using saved data for ${stopConfig.name} (API call failed)`
+        );
+        return withProvenance(
+          processWalkResponse(stopConfig, savedData),
+          "saved",
+          { response: savedData, error: lastError }
+        );
+      }
+    }
+
+    return withProvenance(processWalkResponse(stopConfig, null), "none", {
+      error: lastError || createStopError("unknown"),
+    });
   } catch (error) {
     console.error(`Error fetching walk data for ${stopConfig.name}:`, error);
-    return {
-      name: stopConfig.name,
-      type: "walk",
-      origin: stopConfig.origin,
-      destination: stopConfig.destination,
-      mode: "walking",
-      allArrivalTimes: [],
-      estimatedTime: null,
-      lastStopTime: null,
-      isWithinTwoStops: false,
-    };
+    return withProvenance(
+      {
+        name: stopConfig.name,
+        type: "walk",
+        origin: stopConfig.origin,
+        destination: stopConfig.destination,
+        mode: "walking",
+        allArrivalTimes: [],
+        estimatedTime: null,
+        lastStopTime: null,
+        isWithinTwoStops: false,
+      },
+      "none",
+      { error: getStopError(error) }
+    );
   }
 };
 
@@ -0,0 +1,43 @@
+import { createListenerMiddleware } from '@reduxjs/toolkit';
+import {
+  loadUserStops,
+  selectOrderedStops,
+  selectLeaveBufferMinutes,
+} from './slices/stopsSlice';
+import { createBoardPublisher } from '../services/boardPublisher';
+import {
+  hasCalendarFeeds,
+  refreshCalendarFeeds,
+} from '../services/calendarService';
+
+const boardPublisher = createBoardPublisher();
+
+/**
+ * Publishes the board (webhooks, MQTT, calendar feeds) after each refresh of
+ * the stops state
+ */
+export const publisherListener = createListenerMiddleware();
+
+publisherListener.startListening({
+  actionCreator: loadUserStops.fulfilled,
+  effect: async (action, listenerApi) => {
+    if (!boardPublisher.isConfigured()) return;
+
+    const state = listenerApi.getState();
+    await boardPublisher.publish(selectOrderedStops(state), {
+      bufferMinutes: selectLeaveBufferMinutes(state),
+    });
+  },
+});
+
+publisherListener.startListening({
+  actionCreator: loadUserStops.fulfilled,
+  effect: async (action, listenerApi) => {
+    if (!hasCalendarFeeds()) return;
+
+    const state = listenerApi.getState();
+    await refreshCalendarFeeds(selectOrderedStops(state), {
+      bufferMinutes: selectLeaveBufferMinutes(state),
+    });
+  },
+});
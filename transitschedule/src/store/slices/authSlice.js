@@ -99,9 +99,9 @@ export const loginUser = createAsyncThunk(
  */
 export const createAccount = createAsyncThunk(
   'auth/createAccount',
-  async ({ name, email, password, passwordConfirmation }, { rejectWithValue }) => {
+  async ({ name, email, password, passwordConfirmation, stopTemplateId }, { rejectWithValue }) => {
     try {
-      const response = await authCreateAccount(name, email, password, passwordConfirmation);
+      const response = await authCreateAccount(name, email, password, passwordConfirmation, stopTemplateId);
       return {
         user: response.user || response.data?.user,
         token: response.token || response.data?.token,
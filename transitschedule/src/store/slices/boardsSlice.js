@@ -0,0 +1,185 @@
+import { createSlice, createAsyncThunk, createSelector } from '@reduxjs/toolkit';
+import {
+  fetchBoards,
+  createBoard,
+  updateBoard,
+  deleteBoard,
+  regenerateKioskToken,
+} from '../../services/boardService';
+import {
+  loadCurrentBoardId,
+  saveCurrentBoardId,
+  resolveCurrentBoardId,
+} from '../../utils/boards';
+import { logoutUser } from './authSlice';
+
+const initialState = {
+  boards: [],
+  currentBoardId: loadCurrentBoardId(),
+  loaded: false,
+  loading: false,
+  error: null,
+};
+
+/**
+ * Read an API error's message
+ */
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.errors?.join(', ') ||
+  error.response?.data?.error ||
+  error.message ||
+  fallback;
+
+/**
+ * Async thunk to load the user's boards
+ * Switches to the first board if the remembered one is gone.
+ */
+export const loadBoards = createAsyncThunk(
+  'boards/loadBoards',
+  async (_, { getState, dispatch }) => {
+    const boards = await fetchBoards();
+    const boardId = resolveCurrentBoardId(boards, getState().boards.currentBoardId);
+    if (boardId !== getState().boards.currentBoardId) {
+      dispatch(setCurrentBoard(boardId));
+    }
+    return boards;
+  }
+);
+
+/**
+ * Async thunk to create a board (without an id) or update one
+ */
+export const saveBoardAction = createAsyncThunk(
+  'boards/saveBoard',
+  async ({ id, changes }, { rejectWithValue }) => {
+    try {
+      return id ? await updateBoard(id, changes) : await createBoard(changes);
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to save board'));
+    }
+  }
+);
+
+/**
+ * Async thunk to delete a board, switching away from it if it is shown
+ */
+export const deleteBoardAction = createAsyncThunk(
+  'boards/deleteBoard',
+  async (boardId, { getState, dispatch, rejectWithValue }) => {
+    try {
+      await deleteBoard(boardId);
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to delete board'));
+    }
+
+    const { boards, currentBoardId } = getState().boards;
+    if (currentBoardId === boardId) {
+      const remaining = boards.filter((board) => board.id !== boardId);
+      dispatch(setCurrentBoard(resolveCurrentBoardId(remaining, null)));
+    }
+    return boardId;
+  }
+);
+
+/**
+ * Async thunk to replace a board's kiosk URL
+ */
+export const regenerateKioskTokenAction = createAsyncThunk(
+  'boards/regenerateKioskToken',
+  async (boardId, { rejectWithValue }) => {
+    try {
+      return await regenerateKioskToken(boardId);
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to regenerate kiosk URL'));
+    }
+  }
+);
+
+/**
+ * Replace a board in the list, or add it if it's new
+ */
+const upsertBoard = (state, board) => {
+  const index = state.boards.findIndex((existing) => existing.id === board.id);
+  if (index >= 0) {
+    state.boards[index] = board;
+  } else {
+    state.boards.push(board);
+  }
+};
+
+const boardsSlice = createSlice({
+  name: 'boards',
+  initialState,
+  reducers: {
+    setCurrentBoard: (state, action) => {
+      state.currentBoardId = action.payload || null;
+      // Also update in localStorage
+      saveCurrentBoardId(state.currentBoardId);
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Load boards
+      .addCase(loadBoards.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(loadBoards.fulfilled, (state, action) => {
+        state.loading = false;
+        state.loaded = true;
+        state.boards = action.payload || [];
+      })
+      .addCase(loadBoards.rejected, (state, action) => {
+        // Without boards (e.g. an older backend) the app shows all stops
+        state.loading = false;
+        state.loaded = true;
+        state.error = action.error.message;
+        state.boards = [];
+        state.currentBoardId = null;
+      })
+      // Save board
+      .addCase(saveBoardAction.fulfilled, (state, action) => {
+        upsertBoard(state, action.payload);
+      })
+      .addCase(saveBoardAction.rejected, (state, action) => {
+        state.error = action.payload || action.error.message;
+      })
+      // Delete board
+      .addCase(deleteBoardAction.fulfilled, (state, action) => {
+        state.boards = state.boards.filter((board) => board.id !== action.payload);
+      })
+      .addCase(deleteBoardAction.rejected, (state, action) => {
+        state.error = action.payload || action.error.message;
+      })
+      // Regenerate kiosk URL
+      .addCase(regenerateKioskTokenAction.fulfilled, (state, action) => {
+        upsertBoard(state, action.payload);
+      })
+      .addCase(regenerateKioskTokenAction.rejected, (state, action) => {
+        state.error = action.payload || action.error.message;
+      })
+      // Logout (the next user loads their own boards)
+      .addCase(logoutUser.fulfilled, (state) => {
+        state.boards = [];
+        state.loaded = false;
+        state.error = null;
+      });
+  },
+});
+
+export const { setCurrentBoard } = boardsSlice.actions;
+
+// Selectors
+export const selectBoards = (state) => state.boards.boards;
+export const selectCurrentBoardId = (state) => state.boards.currentBoardId;
+export const selectBoardsLoaded = (state) => state.boards.loaded;
+export const selectBoardsError = (state) => state.boards.error;
+
+// The board being shown (null without boards)
+export const selectCurrentBoard = createSelector(
+  [selectBoards, selectCurrentBoardId],
+  (boards, currentBoardId) =>
+    boards.find((board) => board.id === currentBoardId) || null
+);
+
+export default boardsSlice.reducer;
@@ -1,222 +1,129 @@
 import { createSlice, createAsyncThunk, createSelector } from '@reduxjs/toolkit';
-import { getDefaultStops } from '../../utils/defaultStops';
-import { INITIAL_HOME_ADDRESS } from '../../utils/constants';
+import { INITIAL_HOME_ADDRESS, DEFAULT_LEAVE_BUFFER_MINUTES } from '../../utils/constants';
 import { fetchUserStops } from '../../services/stopService';
 import { formatUserStops } from '../../utils/stopFormatters';
-import { createStop, hideStop as hideStopService, deleteStop as deleteStopService } from '../../services/stopService';
-import { getBikeStopData } from '../../services/bikeService';
-import { getWalkStopData } from '../../services/walkService';
-import { getDriveStopData } from '../../services/driveService';
-import { getBusStopData } from '../../services/busService';
-import { getTrainStopData } from '../../services/trainService';
-import { getFerryStopData } from '../../services/ferryService';
+import { createStop, updateStop as updateStopService, hideStop as hideStopService, deleteStop as deleteStopService, reorderStop, bulkUpdateStops } from '../../services/stopService';
+import { createStopConfig, fetchStopData } from '../../config/transitTypes';
+import { isValidTimeZone } from '../../utils/timeZones';
+import { recordObservations, clearStopHistory } from '../../utils/commuteHistory';
+import { recordDepartures, clearStopReliability } from '../../utils/reliability';
+import { unsubscribeStopCalendar } from '../../services/calendarService';
+import {
+  loadStopOrder,
+  saveStopOrder,
+  applyStopOrder,
+  moveStopInOrder,
+  getUserStopPosition,
+  pinFavoriteStops,
+  clampStopMove,
+} from '../../utils/stopOrder';
+import { loadCurrentBoardId } from '../../utils/boards';
+import { isNetworkError } from '../../utils/connectivity';
+import { queueEdit, getQueuedEdits, removeQueuedEdit } from '../../utils/offlineStore';
+import { setCurrentBoard, selectCurrentBoardId } from './boardsSlice';
+
+const DISPLAY_TIME_ZONE_KEY = 'display_time_zone';
+const LEAVE_BUFFER_KEY = 'leave_buffer_minutes';
+const FAVORITES_ONLY_KEY = 'favorites_only';
+
+/**
+ * Read the saved board display time zone (null shows each stop in its own zone)
+ */
+const getStoredDisplayTimeZone = () => {
+  try {
+    const timeZone = localStorage.getItem(DISPLAY_TIME_ZONE_KEY);
+    return isValidTimeZone(timeZone) ? timeZone : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read the saved "leave in" buffer in minutes
+ */
+const getStoredLeaveBufferMinutes = () => {
+  try {
+    const minutes = parseInt(localStorage.getItem(LEAVE_BUFFER_KEY), 10);
+    return minutes >= 0 ? minutes : DEFAULT_LEAVE_BUFFER_MINUTES;
+  } catch (error) {
+    return DEFAULT_LEAVE_BUFFER_MINUTES;
+  }
+};
+
+/**
+ * Read whether the board shows favorite stops only
+ */
+const getStoredFavoritesOnly = () => {
+  try {
+    return localStorage.getItem(FAVORITES_ONLY_KEY) === 'true';
+  } catch (error) {
+    return false;
+  }
+};
 
 const initialState = {
-  defaultStops: getDefaultStops(),
   userStops: [],
   formattedUserStops: [],
   loading: false,
   error: null,
   homeAddress: INITIAL_HOME_ADDRESS,
-  ferryDirection: 'anacortes',
+  displayTimeZone: getStoredDisplayTimeZone(),
+  leaveBufferMinutes: getStoredLeaveBufferMinutes(),
+  // Board the stop order belongs to (follows the current board)
+  stopOrderBoardId: loadCurrentBoardId(),
+  stopOrder: loadStopOrder(loadCurrentBoardId()),
+  favoritesOnly: getStoredFavoritesOnly(),
+  // Whether stop edits made offline are being replayed
+  syncingEdits: false,
 };
 
 /**
  * Async thunk to load user stops from backend and fetch transit data
+ * Only the current board's stops are loaded (all stops without boards).
  */
 export const loadUserStops = createAsyncThunk(
   'stops/loadUserStops',
   async ({ apiKey, homeAddress }, { getState }) => {
-    const stops = await fetchUserStops();
+    const stops = await fetchUserStops(selectCurrentBoardId(getState()));
     
-    // Fetch transit data for user stops if API key is available
+    // Fetch transit data for user stops (without an API key each box says so)
     let formatted = [];
-    if (stops && stops.length > 0 && apiKey && apiKey !== 'YOUR_API_KEY_HERE') {
+    if (stops && stops.length > 0) {
       formatted = await formatUserStops(stops, apiKey, homeAddress);
+      recordObservations(formatted);
+      recordDepartures(formatted);
     }
     
     return { stops, formatted };
   }
 );
 
-/**
- * Helper function to fetch default stops transit data and return the result
- */
-const fetchDefaultStopsData = async (apiKey, homeAddress, ferryDirection) => {
-  const homeAddr = homeAddress || INITIAL_HOME_ADDRESS;
-  
-  const stopsConfig = [
-    {
-      name: 'Congress and Oltorf',
-      type: 'bus',
-      origin: 'Congress and Oltorf, Austin, TX',
-      destination: 'Downtown Station, Austin, TX',
-      routeFilter: '801',
-      transitMode: 'bus',
-      dataFile: '/data/congress-oltorf-bus.json',
-    },
-    {
-      name: 'South San Francisco',
-      type: 'train',
-      origin: 'South San Francisco Caltrain Station, CA',
-      destination: 'San Francisco Caltrain Station, CA',
-      routeFilter: 'Caltrain',
-      transitMode: 'rail',
-      dataFile: '/data/south-san-francisco-train.json',
-    },
-    {
-      name: 'To Springs',
-      type: 'bike',
-      origin: homeAddr,
-      destination: 'barton springs pool in austin tx',
-      mode: 'bicycling',
-      dataFile: '/data/to-springs-bike.json',
-    },
-    {
-      name: 'To HEB',
-      type: 'walk',
-      origin: homeAddr,
-      destination: '2400 S. CONGRESS AVE. AUSTIN, TX 78704',
-      mode: 'walking',
-      dataFile: '/data/to-heb-walk.json',
-    },
-    {
-      name: 'Central Market',
-      type: 'drive',
-      origin: homeAddr,
-      destination: '4477 S Lamar Blvd, Austin, TX 78745',
-      mode: 'driving',
-      dataFile: '/data/central-market-drive.json',
-    },
-    {
-      name:
-        ferryDirection === 'orcas'
-          ? 'Orcas Island To Anacortes'
-          : 'Anacortes To Orcas Island',
-      type: 'ferry',
-      location:
-        ferryDirection === 'orcas' ? 'Orcas Island, WA' : 'Anacortes, WA',
-      ferryDirection: ferryDirection,
-    },
-  ];
-
-  const stopPromises = stopsConfig.map(async (stopConfig) => {
-    try {
-      switch (stopConfig.type) {
-        case 'bike':
-          return await getBikeStopData(stopConfig, apiKey);
-        case 'walk':
-          return await getWalkStopData(stopConfig, apiKey);
-        case 'drive':
-          return await getDriveStopData(stopConfig, apiKey);
-        case 'bus':
-          return await getBusStopData(stopConfig, apiKey);
-        case 'train':
-          return await getTrainStopData(stopConfig, apiKey);
-        case 'ferry':
-          return await getFerryStopData(stopConfig);
-        default:
-          console.error(`Unknown stop type: ${stopConfig.type}`);
-          return null;
-      }
-    } catch (error) {
-      console.error(`Error fetching ${stopConfig.name}:`, error);
-      return null;
-    }
-  });
-
-  const processedStops = await Promise.all(stopPromises);
-  
-  return processedStops
-    .filter((stop) => stop !== null)
-    .map((stop) => ({
-      ...stop,
-      origin: stop.origin || '',
-      destination: stop.destination || '',
-      allArrivalTimes: stop.allArrivalTimes || [],
-      nextArrivalTime: stop.nextArrivalTime || null,
-      lastStopTime: stop.lastStopTime || null,
-      isWithinTwoStops: stop.isWithinTwoStops || false,
-    }));
-};
-
-/**
- * Async thunk to fetch transit data for all default stops
- */
-export const fetchDefaultStopsTransitData = createAsyncThunk(
-  'stops/fetchDefaultStopsTransitData',
-  async ({ apiKey, homeAddress, ferryDirection }) => {
-    return await fetchDefaultStopsData(apiKey, homeAddress, ferryDirection);
-  }
-);
-
 /**
  * Async thunk to add a new stop
+ * Offline, the stop is queued and added once the backend can be reached.
  */
 export const addStop = createAsyncThunk(
   'stops/addStop',
   async ({ stopData, apiKey, homeAddress }, { getState, dispatch }) => {
-    // Create stop in backend
-    const createdStop = await createStop(stopData);
+    // Create stop in backend, on the board being shown
+    const boardId = selectCurrentBoardId(getState());
+    const boardStopData = boardId ? { ...stopData, board_ids: [boardId] } : stopData;
+    let createdStop;
+    try {
+      createdStop = await createStop(boardStopData);
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+      await queueEdit({ type: 'create', stopData: boardStopData });
+      return { createdStop: null, processedStop: null, queued: true };
+    }
     
     // Fetch transit data for the new stop
     let processedStop = null;
     if (apiKey && apiKey !== 'YOUR_API_KEY_HERE') {
-      let origin, destination;
-      if (stopData.transit_type === 'bus') {
-        origin = stopData.destination || stopData.origin || 'Congress and Oltorf, Austin, TX';
-        destination = 'Downtown Station, Austin, TX';
-      } else if (stopData.transit_type === 'train') {
-        origin = stopData.destination || stopData.origin || 'South San Francisco Caltrain Station, CA';
-        destination = 'San Francisco Caltrain Station, CA';
-      } else {
-        origin = stopData.origin || homeAddress;
-        destination = stopData.destination;
-      }
-      
-      const stopConfig = {
-        name: stopData.name || stopData.destination,
-        type: stopData.transit_type,
-        origin: origin,
-        destination: destination,
-        routeFilter: stopData.route_filter,
-        stopFilter: stopData.stop_filter,
-        ferryDirection: stopData.ferry_direction,
-        location: stopData.location,
-        mode:
-          stopData.transit_type === 'bike'
-            ? 'bicycling'
-            : stopData.transit_type === 'walk'
-            ? 'walking'
-            : stopData.transit_type === 'drive'
-            ? 'driving'
-            : undefined,
-      };
+      const stopConfig = createStopConfig(stopData, homeAddress);
       
       try {
-        switch (stopData.transit_type) {
-          case 'bike':
-            processedStop = await getBikeStopData(stopConfig, apiKey);
-            break;
-          case 'walk':
-            processedStop = await getWalkStopData(stopConfig, apiKey);
-            break;
-          case 'drive':
-            processedStop = await getDriveStopData(stopConfig, apiKey);
-            break;
-          case 'bus':
-            processedStop = await getBusStopData(stopConfig, apiKey);
-            break;
-          case 'train':
-            processedStop = await getTrainStopData(stopConfig, apiKey);
-            break;
-          case 'ferry':
-            processedStop = await getFerryStopData(stopConfig);
-            break;
-          default:
-            console.error('Unknown transit type:', stopData.transit_type);
-            processedStop = null;
-        }
+        processedStop = await fetchStopData(stopConfig, apiKey);
         
         processedStop.id = createdStop.id;
         processedStop.isUserStop = true;
@@ -236,6 +143,21 @@ export const addStop = createAsyncThunk(
   }
 );
 
+/**
+ * Async thunk to fetch one stop's transit data again (its retry button)
+ */
+export const retryStopAction = createAsyncThunk(
+  'stops/retryStop',
+  async ({ stopId, apiKey, homeAddress }, { getState }) => {
+    const stop = getState().stops.userStops.find(
+      (userStop) => String(userStop.id) === String(stopId)
+    );
+    if (!stop) return null;
+    const [formatted] = await formatUserStops([stop], apiKey, homeAddress);
+    return formatted;
+  }
+);
+
 /**
  * Async thunk to hide a stop (soft delete)
  */
@@ -257,6 +179,11 @@ export const deleteStopAction = createAsyncThunk(
   async ({ stopId, apiKey, homeAddress }, { getState, dispatch, rejectWithValue }) => {
     try {
       await deleteStopService(stopId);
+      clearStopHistory({ id: stopId });
+      clearStopReliability({ id: stopId });
+      await unsubscribeStopCalendar({ id: stopId }).catch((error) =>
+        console.warn('⚠ Could not remove calendar feed:', error.message)
+      );
       // Reload user stops after deletion to ensure consistency
       await dispatch(loadUserStops({ apiKey, homeAddress }));
       return stopId;
@@ -269,12 +196,149 @@ export const deleteStopAction = createAsyncThunk(
 );
 
 /**
- * Async thunk to update default stops transit data
+ * Async thunk to move a stop on the board
+ * The new order applies at once; if saving the stop's position fails, the
+ * previous order comes back. Offline, the move is queued instead.
  */
-export const refreshDefaultStops = createAsyncThunk(
-  'stops/refreshDefaultStops',
-  async ({ apiKey, homeAddress, ferryDirection }) => {
-    return await fetchDefaultStopsData(apiKey, homeAddress, ferryDirection);
+export const reorderStopAction = createAsyncThunk(
+  'stops/reorderStop',
+  async ({ fromIndex, toIndex }, { getState, dispatch, rejectWithValue }) => {
+    // Indexes are on the board as shown; move within the full list so stops
+    // filtered out (favorites only) keep their places. Favorites stay pinned,
+    // so the move is kept within the stop's group.
+    const shown = selectAllStops(getState());
+    const targetIndex = clampStopMove(shown, fromIndex, toIndex);
+    const moved = shown[fromIndex];
+    const target = shown[targetIndex];
+    if (!moved || !target || fromIndex === targetIndex) return null;
+
+    const stops = selectOrderedStops(getState());
+    const previousOrder = getState().stops.stopOrder;
+    const order = moveStopInOrder(
+      stops,
+      stops.indexOf(moved),
+      stops.indexOf(target)
+    );
+    dispatch(setStopOrder(order));
+
+    if (!moved.id) return order;
+
+    const position = getUserStopPosition(applyStopOrder(stops, order), moved.id);
+    const boardId = selectCurrentBoardId(getState());
+    try {
+      await reorderStop(moved.id, position, boardId);
+      return order;
+    } catch (error) {
+      if (isNetworkError(error)) {
+        await queueEdit({ type: 'reorder', stopId: moved.id, position, boardId });
+        return order;
+      }
+      dispatch(setStopOrder(previousOrder));
+      return rejectWithValue(error.message || 'Failed to reorder stop');
+    }
+  }
+);
+
+/**
+ * Async thunk to hide/unhide or favorite/unfavorite user stops
+ * Board stops change at once; the reload fetches transit data for stops
+ * that come back from hidden. Offline, the change is queued and kept.
+ */
+export const updateStopFlagsAction = createAsyncThunk(
+  'stops/updateStopFlags',
+  async ({ stopIds, changes, apiKey, homeAddress }, { dispatch, rejectWithValue }) => {
+    try {
+      const updated = await bulkUpdateStops(stopIds, changes);
+      await dispatch(loadUserStops({ apiKey, homeAddress }));
+      return updated;
+    } catch (error) {
+      if (isNetworkError(error)) {
+        await queueEdit({ type: 'flags', stopIds, changes });
+        return null;
+      }
+      // Restore the board from the backend
+      await dispatch(loadUserStops({ apiKey, homeAddress }));
+      return rejectWithValue(
+        error.response?.data?.errors?.join(', ') ||
+          error.response?.data?.error ||
+          error.message ||
+          'Failed to update stops'
+      );
+    }
+  }
+);
+
+/**
+ * Async thunk to set the boards a user stop is on
+ * The reload drops the stop from the board shown if it was taken off it.
+ */
+export const setStopBoardsAction = createAsyncThunk(
+  'stops/setStopBoards',
+  async ({ stopId, boardIds, apiKey, homeAddress }, { dispatch, rejectWithValue }) => {
+    try {
+      const updated = await updateStopService(stopId, { board_ids: boardIds });
+      await dispatch(loadUserStops({ apiKey, homeAddress }));
+      return updated;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.errors?.join(', ') ||
+          error.response?.data?.error ||
+          error.message ||
+          'Failed to update boards'
+      );
+    }
+  }
+);
+
+/**
+ * Send a queued stop edit to the backend
+ */
+const replayEdit = (edit) => {
+  switch (edit.type) {
+    case 'create':
+      return createStop(edit.stopData);
+    case 'flags':
+      return bulkUpdateStops(edit.stopIds, edit.changes);
+    case 'reorder':
+      return reorderStop(edit.stopId, edit.position, edit.boardId);
+    default:
+      return Promise.reject(new Error(`Unknown stop edit: ${edit.type}`));
+  }
+};
+
+/**
+ * Async thunk to replay stop edits made offline, oldest first
+ * Stops at the first edit that still can't reach the backend; edits the
+ * backend rejects are dropped. The board reloads once any were settled.
+ */
+export const replayQueuedEdits = createAsyncThunk(
+  'stops/replayQueuedEdits',
+  async ({ apiKey, homeAddress }, { dispatch }) => {
+    const edits = await getQueuedEdits();
+    if (edits.length === 0) return 0;
+
+    let replayed = 0;
+    let settled = 0;
+    for (const edit of edits) {
+      try {
+        await replayEdit(edit);
+        replayed += 1;
+        console.log(`✓ Synced stop edit made offline (${edit.type})`);
+      } catch (error) {
+        if (isNetworkError(error)) break;
+        console.warn(`⚠ Dropped stop edit made offline (${edit.type}):`, error.message);
+      }
+      await removeQueuedEdit(edit.key);
+      settled += 1;
+    }
+
+    if (settled > 0) {
+      await dispatch(loadUserStops({ apiKey, homeAddress }));
+    }
+    return replayed;
+  },
+  {
+    condition: (_, { getState }) => !getState().stops.syncingEdits,
   }
 );
 
@@ -282,14 +346,33 @@ const stopsSlice = createSlice({
   name: 'stops',
   initialState,
   reducers: {
-    setDefaultStops: (state, action) => {
-      state.defaultStops = action.payload;
-    },
     setHomeAddress: (state, action) => {
       state.homeAddress = action.payload;
     },
-    setFerryDirection: (state, action) => {
-      state.ferryDirection = action.payload;
+    setDisplayTimeZone: (state, action) => {
+      state.displayTimeZone = action.payload || null;
+      // Also update in localStorage
+      if (state.displayTimeZone) {
+        localStorage.setItem(DISPLAY_TIME_ZONE_KEY, state.displayTimeZone);
+      } else {
+        localStorage.removeItem(DISPLAY_TIME_ZONE_KEY);
+      }
+    },
+    setLeaveBufferMinutes: (state, action) => {
+      const minutes = parseInt(action.payload, 10);
+      state.leaveBufferMinutes = minutes >= 0 ? minutes : DEFAULT_LEAVE_BUFFER_MINUTES;
+      // Also update in localStorage
+      localStorage.setItem(LEAVE_BUFFER_KEY, String(state.leaveBufferMinutes));
+    },
+    setStopOrder: (state, action) => {
+      state.stopOrder = action.payload || [];
+      // Also update in localStorage
+      saveStopOrder(state.stopOrder, state.stopOrderBoardId);
+    },
+    setFavoritesOnly: (state, action) => {
+      state.favoritesOnly = Boolean(action.payload);
+      // Also update in localStorage
+      localStorage.setItem(FAVORITES_ONLY_KEY, String(state.favoritesOnly));
     },
     clearError: (state) => {
       state.error = null;
@@ -313,13 +396,16 @@ const stopsSlice = createSlice({
         state.userStops = [];
         state.formattedUserStops = [];
       })
-      // Fetch default stops transit data
-      .addCase(fetchDefaultStopsTransitData.fulfilled, (state, action) => {
-        state.defaultStops = action.payload;
-      })
-      // Refresh default stops
-      .addCase(refreshDefaultStops.fulfilled, (state, action) => {
-        state.defaultStops = action.payload;
+      // Retry one stop: swap in its new data
+      .addCase(retryStopAction.fulfilled, (state, action) => {
+        const formatted = action.payload;
+        if (!formatted) return;
+        const index = state.formattedUserStops.findIndex(
+          (stop) => String(stop.id) === String(formatted.id)
+        );
+        if (index !== -1) {
+          state.formattedUserStops[index] = formatted;
+        }
       })
       // Hide stop
       .addCase(hideStopAction.fulfilled, (state) => {
@@ -346,31 +432,82 @@ const stopsSlice = createSlice({
       .addCase(deleteStopAction.rejected, (state, action) => {
         // If deletion fails, reload from backend to restore the correct state
         state.error = action.error.message || 'Failed to delete stop';
+      })
+      // Update stop flags
+      .addCase(updateStopFlagsAction.pending, (state, action) => {
+        // Optimistically apply the flags to the board's stops
+        const { stopIds = [], changes = {} } = action.meta.arg || {};
+        const ids = stopIds.map(String);
+        state.formattedUserStops.forEach((stop) => {
+          if (ids.includes(String(stop.id))) {
+            Object.assign(stop, changes);
+          }
+        });
+      })
+      .addCase(updateStopFlagsAction.rejected, (state, action) => {
+        state.error = action.payload || action.error.message;
+      })
+      // Reorder stop (order is set and rolled back in the thunk)
+      .addCase(reorderStopAction.rejected, (state, action) => {
+        state.error = action.payload || action.error.message;
+      })
+      // Set stop boards
+      .addCase(setStopBoardsAction.rejected, (state, action) => {
+        state.error = action.payload || action.error.message;
+      })
+      // Replay stop edits made offline
+      .addCase(replayQueuedEdits.pending, (state) => {
+        state.syncingEdits = true;
+      })
+      .addCase(replayQueuedEdits.fulfilled, (state) => {
+        state.syncingEdits = false;
+      })
+      .addCase(replayQueuedEdits.rejected, (state) => {
+        state.syncingEdits = false;
+      })
+      // Switch board: its stops load next, in the board's own order
+      .addCase(setCurrentBoard, (state, action) => {
+        state.stopOrderBoardId = action.payload || null;
+        state.stopOrder = loadStopOrder(state.stopOrderBoardId);
+        state.userStops = [];
+        state.formattedUserStops = [];
       });
   },
 });
 
-export const { setDefaultStops, setHomeAddress, setFerryDirection, clearError } = stopsSlice.actions;
+export const { setHomeAddress, setDisplayTimeZone, setLeaveBufferMinutes, setStopOrder, setFavoritesOnly, clearError } = stopsSlice.actions;
 
 // Selectors
-export const selectDefaultStops = (state) => state.stops.defaultStops;
 export const selectUserStops = (state) => state.stops.userStops;
 export const selectFormattedUserStops = (state) => state.stops.formattedUserStops;
+export const selectStopOrder = (state) => state.stops.stopOrder;
+export const selectFavoritesOnly = (state) => state.stops.favoritesOnly;
 
 // Memoized selector to prevent unnecessary rerenders
-export const selectAllStops = createSelector(
-  [selectDefaultStops, selectFormattedUserStops],
-  (defaultStops, formattedUserStops) => {
+// All board stops in saved order with favorites pinned first
+export const selectOrderedStops = createSelector(
+  [selectFormattedUserStops, selectStopOrder],
+  (formattedUserStops, stopOrder) => {
     // Filter out hidden stops (user stops are already filtered by backend)
-    // Default stops don't have hidden property, but we can check formattedUserStops
     const visibleUserStops = formattedUserStops.filter(
       (stop) => !stop.hidden
     );
-    return [...defaultStops, ...visibleUserStops];
+    return pinFavoriteStops(applyStopOrder(visibleUserStops, stopOrder));
+  }
+);
+
+// Stops shown on the board: favorites only when that filter is on (and
+// there are favorites, so the board is never left empty)
+export const selectAllStops = createSelector(
+  [selectOrderedStops, selectFavoritesOnly],
+  (stops, favoritesOnly) => {
+    const favorites = stops.filter((stop) => stop.favorite);
+    return favoritesOnly && favorites.length > 0 ? favorites : stops;
   }
 );
 export const selectHomeAddress = (state) => state.stops.homeAddress;
-export const selectFerryDirection = (state) => state.stops.ferryDirection;
+export const selectDisplayTimeZone = (state) => state.stops.displayTimeZone;
+export const selectLeaveBufferMinutes = (state) => state.stops.leaveBufferMinutes;
 export const selectStopsLoading = (state) => state.stops.loading;
 export const selectStopsError = (state) => state.stops.error;
 
@@ -1,11 +1,16 @@
 import { configureStore } from '@reduxjs/toolkit';
 import stopsReducer from './slices/stopsSlice';
 import authReducer from './slices/authSlice';
+import boardsReducer from './slices/boardsSlice';
+import { publisherListener } from './publisherListener';
 
 export const store = configureStore({
   reducer: {
     stops: stopsReducer,
     auth: authReducer,
+    boards: boardsReducer,
   },
+  middleware: (getDefaultMiddleware) =>
+    getDefaultMiddleware().prepend(publisherListener.middleware),
 });
 
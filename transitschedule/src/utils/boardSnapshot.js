@@ -0,0 +1,75 @@
+import { calculateLeaveTime } from "./leaveTime";
+import { getStopStorageId } from "./commuteHistory";
+
+/**
+ * Board Snapshot Utilities
+ *
+ * Compact JSON view of what the board shows, for LED signs and dashboards
+ * fed by the board publisher. Times are ISO 8601 instants.
+ */
+
+const toIso = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Build the snapshot entry for one stop
+ *
+ * @param {Object} stop - Board stop
+ * @param {Date} now - Current date/time
+ * @param {number} bufferMinutes - Leave buffer used by the board's countdown
+ * @returns {Object} - { id, name, type, nextTime, estimatedTime, leaveInMinutes, leaveAt, lastStopTime }
+ */
+export const buildStopSnapshot = (stop, now, bufferMinutes) => {
+  const leaveTime = calculateLeaveTime(stop, now, bufferMinutes);
+  const canLeave = leaveTime && leaveTime.status !== "missed";
+
+  return {
+    id: getStopStorageId(stop),
+    name: stop.name,
+    type: stop.type,
+    nextTime: toIso(stop.nextDepartureTime || stop.nextArrivalTime),
+    estimatedTime: stop.estimatedTime || null,
+    leaveInMinutes: canLeave
+      ? Math.max(Math.floor(leaveTime.leaveInSeconds / 60), 0)
+      : null,
+    leaveAt: canLeave ? toIso(leaveTime.leaveAt) : null,
+    lastStopTime: toIso(stop.lastStopTime),
+  };
+};
+
+/**
+ * Build the board snapshot
+ *
+ * @param {Array<Object>} stops - Board stops
+ * @param {Date} now - Current date/time (defaults to new Date())
+ * @param {number} bufferMinutes - Leave buffer used by the board's countdown
+ * @returns {Object} - { generatedAt, stops }
+ */
+export const buildBoardSnapshot = (stops, now = new Date(), bufferMinutes) => ({
+  generatedAt: now.toISOString(),
+  stops: (stops || []).map((stop) =>
+    buildStopSnapshot(stop, now, bufferMinutes)
+  ),
+});
+
+/**
+ * Fingerprint a stop entry for change detection
+ * leaveInMinutes counts down on its own, so only leaveAt is compared.
+ *
+ * @param {Object} entry - Result of buildStopSnapshot
+ * @returns {string} - Fingerprint
+ */
+export const getStopFingerprint = ({ leaveInMinutes, ...entry }) =>
+  JSON.stringify(entry);
+
+/**
+ * Fingerprint a whole snapshot for change detection
+ *
+ * @param {Object} snapshot - Result of buildBoardSnapshot
+ * @returns {string} - Fingerprint
+ */
+export const getSnapshotFingerprint = (snapshot) =>
+  snapshot.stops.map(getStopFingerprint).join("\n");
@@ -0,0 +1,88 @@
+import { DEFAULT_REFRESH_MINUTES } from "./constants";
+
+/**
+ * Board Utilities
+ *
+ * The board the app is showing is remembered per device; a wall display
+ * instead pins to one board with its kiosk URL (?kiosk=<token>).
+ */
+
+const CURRENT_BOARD_KEY = "current_board_id";
+
+/**
+ * Read the board last shown on this device
+ *
+ * @returns {number|null} - Board id
+ */
+export const loadCurrentBoardId = () => {
+  try {
+    const id = parseInt(localStorage.getItem(CURRENT_BOARD_KEY), 10);
+    return id > 0 ? id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Remember the board shown on this device
+ *
+ * @param {number|null} boardId - Board id (null forgets it)
+ */
+export const saveCurrentBoardId = (boardId) => {
+  try {
+    if (boardId) {
+      localStorage.setItem(CURRENT_BOARD_KEY, String(boardId));
+    } else {
+      localStorage.removeItem(CURRENT_BOARD_KEY);
+    }
+  } catch (error) {
+    console.warn("⚠ Could not save current board:", error.message);
+  }
+};
+
+/**
+ * Pick the board to show: the remembered one if it still exists, else the first
+ *
+ * @param {Array<Object>} boards - The user's boards in order
+ * @param {number|null} boardId - Remembered board id
+ * @returns {number|null} - Board id, or null without boards
+ */
+export const resolveCurrentBoardId = (boards, boardId) => {
+  if (!boards || boards.length === 0) return null;
+  return boards.some((board) => board.id === boardId) ? boardId : boards[0].id;
+};
+
+/**
+ * Get the kiosk token from the page URL
+ *
+ * @param {string} search - Query string (defaults to the current page's)
+ * @returns {string|null} - Kiosk token, or null outside kiosk mode
+ */
+export const getKioskToken = (search = window.location.search) =>
+  new URLSearchParams(search).get("kiosk") || null;
+
+/**
+ * Build the URL a wall display opens to show one board
+ *
+ * @param {Object} board - Board with a kiosk_token
+ * @param {string} baseUrl - App URL (defaults to the current page without its query)
+ * @returns {string|null} - Kiosk URL
+ */
+export const getKioskUrl = (
+  board,
+  baseUrl = `${window.location.origin}${window.location.pathname}`
+) => {
+  if (!board?.kiosk_token) return null;
+  return `${baseUrl}?kiosk=${encodeURIComponent(board.kiosk_token)}`;
+};
+
+/**
+ * How often a board refreshes its transit times
+ *
+ * @param {Object|null} board - Board (null uses the default interval)
+ * @returns {number} - Interval in milliseconds
+ */
+export const getBoardRefreshMs = (board) => {
+  const minutes = parseInt(board?.refresh_minutes, 10);
+  return (minutes > 0 ? minutes : DEFAULT_REFRESH_MINUTES) * 60 * 1000;
+};
@@ -0,0 +1,288 @@
+import { HISTORY_RETENTION_DAYS, HISTORY_SAMPLE_MINUTES } from "./constants";
+import { parseWalkMinutes } from "./leaveTime";
+import { isProvenanceFresh } from "./provenance";
+import { findNextArrival } from "./timeCalculations";
+import { getZonedParts, resolveStopTimeZone } from "./timeZones";
+
+/**
+ * Commute History
+ *
+ * Records what each refresh saw for every stop (trip duration, scheduled vs
+ * predicted departure, data source) in localStorage, one key per stop, and
+ * summarizes it by time of day and day of week for the history panel.
+ * Only live and timetable data is recorded: cached and saved data was
+ * fetched earlier and would be logged again as if seen now.
+ *
+ * Stored observations use short keys to fit weeks of data in localStorage:
+ *   { t: observed at, d: duration (s), s: scheduled departure, p: predicted departure, src }
+ * Times are epoch milliseconds; d, s and p are left out when unknown. src is
+ * the stop's provenance source ("live" or "schedule").
+ */
+
+const HISTORY_KEY_PREFIX = "commute_history_";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get a stable id for a stop's locally stored data
+ * Stops are keyed by backend id; a stop without one (not saved yet) by name.
+ *
+ * @param {Object} stop - Stop data
+ * @returns {string} - Id (e.g., "stop-7", "default-central-market")
+ */
+export const getStopStorageId = (stop) =>
+  stop.id
+    ? `stop-${stop.id}`
+    : `default-${String(stop.name || stop.type)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")}`;
+
+/**
+ * Get the localStorage key for a stop's history
+ *
+ * @param {Object} stop - Stop data
+ * @returns {string} - Storage key
+ */
+export const getHistoryKey = (stop) =>
+  `${HISTORY_KEY_PREFIX}${getStopStorageId(stop)}`;
+
+const toTime = (value) => (value ? new Date(value).getTime() : null);
+
+/**
+ * Build a history observation from a refreshed stop
+ *
+ * Bike/walk/drive stops record their estimated time. Transit stops record
+ * the next departure (scheduled, and predicted when real-time) and the ride
+ * to the next stop; trip stops the whole door-to-door time.
+ *
+ * @param {Object} stop - Stop data from a refresh
+ * @param {Date} now - Observation time (defaults to new Date())
+ * @returns {Object|null} - Stored observation, or null if the stop has nothing to record
+ */
+export const buildObservation = (stop, now = new Date()) => {
+  let duration = null;
+  let scheduled = null;
+  let predicted = null;
+
+  if (stop.estimatedTime) {
+    const minutes = parseWalkMinutes(stop.estimatedTime);
+    duration = minutes > 0 ? minutes * 60 : null;
+  } else if (stop.type === "trip") {
+    scheduled = toTime(stop.nextDepartureTime);
+    const arrival = toTime(stop.tripArrivalTime);
+    duration =
+      scheduled && arrival ? Math.round((arrival - scheduled) / 1000) : null;
+  } else if (stop.allArrivalTimes && stop.allArrivalTimes.length > 0) {
+    const next = findNextArrival(
+      stop.allArrivalTimes.map((time) => ({
+        ...time,
+        arrivalTime: new Date(time.arrivalTime),
+      })),
+      now,
+      resolveStopTimeZone(stop)
+    );
+    if (next) {
+      scheduled = toTime(
+        next.scheduledTime || next.departureTime || next.arrivalTime
+      );
+      predicted = next.isRealTime
+        ? toTime(next.predictedTime || next.arrivalTime)
+        : null;
+      const departure = toTime(next.departureTime || next.arrivalTime);
+      const arrival = toTime(next.arrivalAtNextStop);
+      duration =
+        departure && arrival ? Math.round((arrival - departure) / 1000) : null;
+    }
+  }
+
+  if (duration === null && scheduled === null) return null;
+
+  return {
+    t: now.getTime(),
+    d: duration,
+    s: scheduled,
+    p: predicted,
+    src: stop.provenance?.source ?? null,
+  };
+};
+
+/**
+ * Read a stop's stored observations
+ *
+ * @param {string} key - Storage key
+ * @returns {Array<Object>} - Stored observations, oldest first
+ */
+const readObservations = (key) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Record an observation for every refreshed stop
+ * A stop is sampled at most once per HISTORY_SAMPLE_MINUTES, and
+ * observations older than HISTORY_RETENTION_DAYS are dropped. Stops showing
+ * cached or saved data are skipped.
+ *
+ * @param {Array<Object>} stops - Stops from a refresh
+ * @param {Date} now - Observation time (defaults to new Date())
+ * @returns {number} - Number of observations recorded
+ */
+export const recordObservations = (stops, now = new Date()) => {
+  let recorded = 0;
+
+  (stops || []).forEach((stop) => {
+    if (!stop || !isProvenanceFresh(stop.provenance)) return;
+    const observation = buildObservation(stop, now);
+    if (!observation) return;
+
+    const key = getHistoryKey(stop);
+    const observations = readObservations(key).filter(
+      (o) => o.t > now.getTime() - HISTORY_RETENTION_DAYS * DAY_MS
+    );
+    const last = observations[observations.length - 1];
+    if (last && now.getTime() - last.t < HISTORY_SAMPLE_MINUTES * 60 * 1000) {
+      return;
+    }
+
+    observations.push(
+      Object.fromEntries(
+        Object.entries(observation).filter(([, value]) => value !== null)
+      )
+    );
+    try {
+      localStorage.setItem(key, JSON.stringify(observations));
+      recorded += 1;
+    } catch (error) {
+      console.error(`Error storing history for ${stop.name}:`, error);
+    }
+  });
+
+  return recorded;
+};
+
+/**
+ * Get a stop's commute history
+ *
+ * @param {Object} stop - Stop data
+ * @returns {Array<Object>} - Observations ({ observedAt, durationSeconds, scheduledDeparture, predictedDeparture, delaySeconds, source }), oldest first
+ */
+export const getStopHistory = (stop) =>
+  readObservations(getHistoryKey(stop)).map((o) => ({
+    observedAt: new Date(o.t),
+    durationSeconds: o.d ?? null,
+    scheduledDeparture: o.s ? new Date(o.s) : null,
+    predictedDeparture: o.p ? new Date(o.p) : null,
+    delaySeconds: o.s && o.p ? Math.round((o.p - o.s) / 1000) : null,
+    source: o.src,
+  }));
+
+/**
+ * Remove a stop's commute history
+ *
+ * @param {Object} stop - Stop data
+ */
+export const clearStopHistory = (stop) => {
+  localStorage.removeItem(getHistoryKey(stop));
+};
+
+/**
+ * Move history to a stop's replacement
+ * Editing a stop saves a new stop and hides the old one; when the trip
+ * itself is unchanged its history carries over.
+ *
+ * @param {Object} fromStop - Stop being replaced
+ * @param {Object} toStop - Replacement stop
+ */
+export const moveStopHistory = (fromStop, toStop) => {
+  const fromKey = getHistoryKey(fromStop);
+  const toKey = getHistoryKey(toStop);
+  const stored = localStorage.getItem(fromKey);
+  if (!stored || fromKey === toKey) return;
+
+  localStorage.setItem(toKey, stored);
+  localStorage.removeItem(fromKey);
+};
+
+const average = (values) =>
+  values.length > 0
+    ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    : null;
+
+/**
+ * Group observations into buckets and average them
+ * Transit observations are placed by scheduled departure, so "8am" means
+ * the 8am departures; others by when they were observed.
+ *
+ * @param {Array<Object>} history - Result of getStopHistory
+ * @param {number} size - Number of buckets
+ * @param {Function} getBucket - Maps zoned parts to a bucket index
+ * @param {string} timeZone - IANA time zone
+ * @returns {Array<Object>} - Buckets ({ index, count, avgDurationSeconds, avgDelaySeconds })
+ */
+const summarizeHistory = (history, size, getBucket, timeZone) => {
+  const buckets = Array.from({ length: size }, (_, index) => ({
+    index,
+    durations: [],
+    delays: [],
+    count: 0,
+  }));
+
+  history.forEach((observation) => {
+    const at = observation.scheduledDeparture || observation.observedAt;
+    const bucket = buckets[getBucket(getZonedParts(at, timeZone))];
+    bucket.count += 1;
+    if (observation.durationSeconds !== null) {
+      bucket.durations.push(observation.durationSeconds);
+    }
+    if (observation.delaySeconds !== null) {
+      bucket.delays.push(observation.delaySeconds);
+    }
+  });
+
+  return buckets.map(({ index, durations, delays, count }) => ({
+    index,
+    count,
+    avgDurationSeconds: average(durations),
+    avgDelaySeconds: average(delays),
+  }));
+};
+
+/**
+ * Summarize history by hour of day in the stop's zone
+ *
+ * @param {Array<Object>} history - Result of getStopHistory
+ * @param {string} timeZone - IANA time zone
+ * @returns {Array<Object>} - 24 buckets (index = hour)
+ */
+export const summarizeHistoryByHour = (history, timeZone) =>
+  summarizeHistory(history, 24, (parts) => parts.hour % 24, timeZone);
+
+/**
+ * Summarize history by day of week in the stop's zone
+ *
+ * @param {Array<Object>} history - Result of getStopHistory
+ * @param {string} timeZone - IANA time zone
+ * @returns {Array<Object>} - 7 buckets (index = weekday, 0 = Sunday)
+ */
+export const summarizeHistoryByWeekday = (history, timeZone) =>
+  summarizeHistory(history, 7, (parts) => parts.weekday, timeZone);
+
+/**
+ * Find the bucket with the shortest average duration
+ *
+ * @param {Array<Object>} buckets - Result of summarizeHistoryByHour/ByWeekday
+ * @returns {Object|null} - Fastest bucket, or null without durations
+ */
+export const findFastestBucket = (buckets) =>
+  buckets
+    .filter((bucket) => bucket.avgDurationSeconds !== null)
+    .reduce(
+      (best, bucket) =>
+        !best || bucket.avgDurationSeconds < best.avgDurationSeconds
+          ? bucket
+          : best,
+      null
+    );
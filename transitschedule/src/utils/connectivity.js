@@ -0,0 +1,114 @@
+/**
+ * Connectivity
+ *
+ * Tracks whether the app can reach the network, and since when it couldn't.
+ * The browser's online/offline events and backend requests (a request that
+ * gets no response, or one that does) both update it, so a backend that's
+ * down counts as offline too. The time is kept in localStorage so a reload
+ * while offline still shows when the connection dropped.
+ */
+
+const OFFLINE_SINCE_KEY = "offline_since";
+
+const listeners = new Set();
+
+const notify = () => listeners.forEach((listener) => listener());
+
+/**
+ * Whether the browser reports having no network at all
+ *
+ * @returns {boolean}
+ */
+export const isBrowserOffline = () =>
+  typeof navigator !== "undefined" && navigator.onLine === false;
+
+// Restore the time only if still offline; otherwise the next request decides
+const loadOfflineSince = () => {
+  if (!isBrowserOffline()) return null;
+  try {
+    const time = parseInt(localStorage.getItem(OFFLINE_SINCE_KEY), 10);
+    return time > 0 ? new Date(time) : new Date();
+  } catch (error) {
+    return new Date();
+  }
+};
+
+let offlineSince = loadOfflineSince();
+
+/**
+ * Get when the app went offline
+ *
+ * @returns {Date|null} - When the connection dropped, or null while online
+ */
+export const getOfflineSince = () => offlineSince;
+
+/**
+ * Whether the app is offline
+ *
+ * @returns {boolean}
+ */
+export const isOffline = () => offlineSince !== null;
+
+/**
+ * Record that the network couldn't be reached
+ * Keeps the first time until the app is back online.
+ *
+ * @param {Date} now - When it failed (defaults to new Date())
+ */
+export const markOffline = (now = new Date()) => {
+  if (offlineSince) return;
+  offlineSince = now;
+  try {
+    localStorage.setItem(OFFLINE_SINCE_KEY, String(now.getTime()));
+  } catch (error) {
+    console.warn("⚠ Could not save offline time:", error.message);
+  }
+  console.warn(`⚠ Offline since ${now.toLocaleTimeString()}`);
+  notify();
+};
+
+/**
+ * Record that the network was reached
+ */
+export const markOnline = () => {
+  if (!offlineSince) return;
+  offlineSince = null;
+  try {
+    localStorage.removeItem(OFFLINE_SINCE_KEY);
+  } catch (error) {
+    console.warn("⚠ Could not clear offline time:", error.message);
+  }
+  console.log("✓ Back online");
+  notify();
+};
+
+/**
+ * Whether a request failed without reaching the server (as opposed to the
+ * server answering with an error)
+ *
+ * @param {Error} error - axios or fetch error
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) =>
+  Boolean(error) &&
+  !error.response &&
+  (Boolean(error.request) ||
+    error.code === "ERR_NETWORK" ||
+    error.message === "Network Error" ||
+    isBrowserOffline());
+
+/**
+ * Listen for going offline or back online
+ *
+ * @param {Function} listener - Called with no arguments
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeConnectivity = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+if (typeof window !== "undefined") {
+  window.addEventListener("offline", () => markOffline());
+  window.addEventListener("online", () => markOnline());
+}
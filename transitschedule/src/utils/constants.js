@@ -63,22 +63,233 @@ export const CALTRAIN_STOPS = [
   "Gilroy, CA",
 ];
 
-// Ferry schedule times (Pacific Time)
-export const FERRY_ANACORTES_TIMES = [
-  { hour: 5, minute: 30 },
-  { hour: 7, minute: 30 },
-  { hour: 10, minute: 5 },
-  { hour: 11, minute: 55 },
-  { hour: 15, minute: 20 },
-  { hour: 20, minute: 40 },
+// Ferry schedule file (JSON or CSV) overriding the bundled WSDOT timetable
+// in config/ferrySchedule.json (override per stop with stopConfig.scheduleUrl)
+export const FERRY_SCHEDULE_URL = "/data/ferry-schedule.json";
+
+// Terminal pair for the default ferry stop
+export const DEFAULT_FERRY_TERMINALS = {
+  origin: "anacortes",
+  destination: "orcas",
+};
+
+// GTFS static feeds used for scheduled times when live data is unavailable,
+// downloaded with `npm run fetch-gtfs` (override per stop with
+// stopConfig.gtfsFeedUrl)
+export const GTFS_FEEDS = {
+  bus: "/data/gtfs/capmetro.zip",
+  train: "/data/gtfs/caltrain.zip",
+};
+
+// GTFS-Realtime feeds (TripUpdates, VehiclePositions) applied to scheduled
+// departures; URLs or local data files (override per stop with
+// stopConfig.realtimeFeeds)
+export const GTFS_REALTIME_FEEDS = {
+  bus: {
+    tripUpdates:
+      process.env.REACT_APP_CAPMETRO_TRIP_UPDATES_URL ||
+      "/data/gtfs-rt/capmetro-trip-updates.pb",
+    vehiclePositions:
+      process.env.REACT_APP_CAPMETRO_VEHICLE_POSITIONS_URL ||
+      "/data/gtfs-rt/capmetro-vehicle-positions.pb",
+  },
+  train: {
+    tripUpdates:
+      process.env.REACT_APP_CALTRAIN_TRIP_UPDATES_URL ||
+      "/data/gtfs-rt/caltrain-trip-updates.pb",
+    vehiclePositions:
+      process.env.REACT_APP_CALTRAIN_VEHICLE_POSITIONS_URL ||
+      "/data/gtfs-rt/caltrain-vehicle-positions.pb",
+  },
+};
+
+// Time zone for stops whose zone can't be derived from their address or agency
+export const DEFAULT_TIME_ZONE = "America/Chicago";
+
+// Zones offered as the board's display time zone; by default each stop shows
+// times in its own zone
+export const DISPLAY_TIME_ZONES = [
+  "America/New_York",
+  "America/Chicago",
+  "America/Denver",
+  "America/Phoenix",
+  "America/Los_Angeles",
+  "America/Anchorage",
+  "Pacific/Honolulu",
+  "UTC",
+];
+
+// Minutes of slack added to walk time when working out when to leave for a
+// bus, train or ferry (changed from the Edit Home Address form)
+export const DEFAULT_LEAVE_BUFFER_MINUTES = 2;
+
+// Countdowns at or under this many minutes show the "hurry" state
+export const LEAVE_HURRY_MINUTES = 3;
+
+// Transfers with less slack than this are flagged in a trip's leg strip
+export const MIN_TRANSFER_SLACK_MINUTES = 3;
+
+// Transit modes a trip stop's Directions request may combine
+export const TRIP_TRANSIT_MODES = "bus|rail";
+
+// Drive stops are colored by how much longer than typical the trip is
+// with current traffic (duration_in_traffic / duration)
+export const TRAFFIC_MODERATE_RATIO = 1.15;
+export const TRAFFIC_HEAVY_RATIO = 1.4;
+
+// Commute history: observations kept per stop, at most one per sample period.
+// Sampling every 5-minute refresh (less a minute for timer drift) keeps
+// about 250 KB per stop over the retention period.
+export const HISTORY_RETENTION_DAYS = 21;
+export const HISTORY_SAMPLE_MINUTES = 4;
+
+// Departure recommender: departure slots compared within a stop's window,
+// and the observations a slot needs before it can be recommended
+export const RECOMMEND_SLOT_MINUTES = 10;
+export const RECOMMEND_MIN_SAMPLES = 3;
+
+// Reliability: a departure is on time from 1 minute early to 5 minutes late
+export const ON_TIME_EARLY_SECONDS = 60;
+export const ON_TIME_LATE_SECONDS = 300;
+// Departures kept per stop, and needed before a stop gets a score
+export const RELIABILITY_RETENTION_DAYS = 14;
+export const RELIABILITY_MIN_DEPARTURES = 5;
+// Gaps longer than this are service breaks (overnight), not headways
+export const RELIABILITY_MAX_HEADWAY_MINUTES = 90;
+
+// Notifications: how often rules are checked, and how long fired events are
+// remembered so none fires twice
+export const NOTIFICATION_CHECK_SECONDS = 15;
+export const NOTIFICATION_LOG_HOURS = 48;
+
+// Board publisher: after each refresh a JSON snapshot of the board is posted
+// to these webhook URLs (comma-separated) and, if a broker is set, published
+// per stop over MQTT (WebSocket URL, e.g. ws://homeassistant.local:1884/mqtt)
+// These values are built into the public bundle, so there is no password:
+// the broker must accept anonymous (or username-only) clients limited by ACL
+// to writing under the topic prefix, and webhook URLs must only be able to
+// receive board snapshots.
+export const PUBLISH_CONFIG = {
+  webhookUrls: (process.env.REACT_APP_PUBLISH_WEBHOOK_URLS || "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean),
+  mqtt: {
+    url: process.env.REACT_APP_PUBLISH_MQTT_URL || null,
+    topicPrefix: process.env.REACT_APP_PUBLISH_MQTT_TOPIC || "eggycommutes",
+    username: process.env.REACT_APP_PUBLISH_MQTT_USERNAME || null,
+  },
+};
+// Attempts per webhook or broker, doubling the delay between them
+export const PUBLISH_RETRY_ATTEMPTS = 3;
+export const PUBLISH_RETRY_BASE_MS = 2000;
+
+// Calendar export: days of ferry sailings in an .ics file (other stops export
+// the departures already on the board), the most events per file, and how
+// often subscribed calendar apps should re-fetch a feed
+export const CALENDAR_EXPORT_DAYS = 7;
+export const CALENDAR_MAX_EVENTS = 200;
+export const CALENDAR_REFRESH_MINUTES = 60;
+
+// Boards: how a board lays out its stop boxes, and how often it refreshes
+// unless the board sets its own interval
+export const BOARD_LAYOUTS = ["grid", "list"];
+export const DEFAULT_REFRESH_MINUTES = 5;
+
+// Request cache: how long a Google response (direct or through the backend
+// proxy) stays fresh, and how long a stale copy may still be shown while a
+// fresh one loads. The first policy whose URL pattern (and travel mode, for
+// Directions, Distance Matrix and the proxy) matches applies; other requests
+// aren't cached.
+export const REQUEST_CACHE_POLICIES = [
+  {
+    match: /geocode\/json|place\/details/,
+    ttlMinutes: 7 * 24 * 60,
+    maxAgeMinutes: 30 * 24 * 60,
+  },
+  {
+    match: /place\/(textsearch|findplacefromtext|nearbysearch)/,
+    ttlMinutes: 24 * 60,
+    maxAgeMinutes: 7 * 24 * 60,
+  },
+  {
+    match: /directions\/json|distancematrix\/json|live_transit/,
+    modes: ["walking", "bicycling"],
+    ttlMinutes: 60,
+    maxAgeMinutes: 24 * 60,
+  },
+  {
+    match: /directions\/json|distancematrix\/json|live_transit/,
+    modes: ["driving"],
+    ttlMinutes: 2,
+    maxAgeMinutes: 60,
+  },
+  {
+    match: /directions\/json|distancematrix\/json|live_transit/,
+    modes: ["transit"],
+    ttlMinutes: 1,
+    maxAgeMinutes: 30,
+  },
 ];
+// Entries kept in memory, and how long the board waits for background
+// refreshes to settle before redrawing with them
+export const REQUEST_CACHE_MEMORY_ENTRIES = 500;
+export const REQUEST_CACHE_NOTIFY_MS = 1000;
 
-export const FERRY_ORCAS_TIMES = [
-  { hour: 6, minute: 15 },
-  { hour: 8, minute: 15 },
-  { hour: 10, minute: 50 },
-  { hour: 12, minute: 40 },
-  { hour: 16, minute: 5 },
-  { hour: 21, minute: 25 },
+// API usage meter: the Google APIs counted per call (in "elements" for
+// Distance Matrix), with Google's list price per 1000 as the cost estimate.
+// The first pattern matching a request URL applies; the backend proxy calls
+// Directions. Prices are estimates and ignore the monthly free credit.
+export const GOOGLE_APIS = [
+  {
+    id: "directions",
+    label: "Directions",
+    match: /directions\/json|live_transit/,
+    usdPer1000: 5,
+  },
+  {
+    id: "distanceMatrix",
+    label: "Distance Matrix",
+    match: /distancematrix\/json/,
+    usdPer1000: 5,
+  },
+  {
+    id: "textSearch",
+    label: "Places Text Search",
+    match: /place\/textsearch/,
+    usdPer1000: 32,
+  },
+  {
+    id: "nearbySearch",
+    label: "Places Nearby Search",
+    match: /place\/nearbysearch/,
+    usdPer1000: 32,
+  },
+  {
+    id: "placeDetails",
+    label: "Place Details",
+    match: /place\/details/,
+    usdPer1000: 17,
+  },
+  {
+    id: "geocoding",
+    label: "Geocoding",
+    match: /geocode\/json/,
+    usdPer1000: 5,
+  },
 ];
+// Days of usage kept, and budgets: past BUDGET_SLOW_RATIO of a daily or
+// monthly budget boards refresh BUDGET_SLOW_FACTOR times less often; past the
+// budget they show cached or saved data instead of calling Google
+export const METER_RETENTION_DAYS = 62;
+export const BUDGET_SLOW_RATIO = 0.8;
+export const BUDGET_SLOW_FACTOR = 3;
+
+// Data provenance: results older than this (other than timetables) are
+// marked stale on the board so old data never passes for live times
+export const PROVENANCE_STALE_MINUTES = 15;
 
+// Stops that failed with a retryable error (network, backend) are retried
+// after STOP_RETRY_BASE_SECONDS, doubling each time up to STOP_RETRY_MAX_SECONDS
+export const STOP_RETRY_BASE_SECONDS = 15;
+export const STOP_RETRY_MAX_SECONDS = 300;
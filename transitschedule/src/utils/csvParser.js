@@ -0,0 +1,89 @@
+/**
+ * CSV Parser Utilities
+ *
+ * Minimal RFC 4180 parser for schedule files (GTFS feeds, ferry timetables).
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * Handles quoted fields, escaped quotes ("") and CRLF/LF line endings.
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of field values
+ */
+export const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Strip UTF-8 byte order mark that some agencies export
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  // Last line without trailing newline
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => !(r.length === 1 && r[0].trim() === ""));
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ *
+ * @param {string} text - CSV text with a header row
+ * @returns {Array<Object>} - Array of row objects
+ */
+export const parseCsv = (text) => {
+  if (!text) {
+    return [];
+  }
+
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map((column) => column.trim());
+  return rows.map((values) => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = values[index] !== undefined ? values[index].trim() : "";
+    });
+    return record;
+  });
+};
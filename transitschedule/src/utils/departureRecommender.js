@@ -0,0 +1,185 @@
+import { RECOMMEND_SLOT_MINUTES, RECOMMEND_MIN_SAMPLES } from "./constants";
+import { parseTargetTime } from "./targetTime";
+import { getZonedParts, resolveStopTimeZone } from "./timeZones";
+import { getStopHistory } from "./commuteHistory";
+import { formatComparisonDuration } from "./modeComparison";
+
+/**
+ * Departure Recommender
+ *
+ * Suggests when to leave on a bike, walk or drive stop from its commute
+ * history. Observed durations are grouped into departure slots inside the
+ * stop's window (e.g., 07:30-08:30) and the slot with the lowest typical
+ * time ("fastest") or the least variation ("steadiest") is recommended.
+ */
+
+// What each route type's trip is called in the recommendation text
+const TRIP_NOUNS = { drive: "drive", bike: "ride", walk: "walk" };
+
+/**
+ * Format minutes after midnight as a clock time
+ *
+ * @param {number} minutes - Minutes after midnight (may exceed a day)
+ * @returns {string} - Time (e.g., "7:40 AM")
+ */
+export const formatMinutesOfDay = (minutes) => {
+  const wrapped = ((minutes % 1440) + 1440) % 1440;
+  const hours = Math.floor(wrapped / 60);
+  const suffix = hours < 12 ? "AM" : "PM";
+  return `${hours % 12 === 0 ? 12 : hours % 12}:${String(wrapped % 60).padStart(
+    2,
+    "0"
+  )} ${suffix}`;
+};
+
+const mean = (values) =>
+  values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const standardDeviation = (values) => {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map((value) => (value - average) ** 2)));
+};
+
+/**
+ * Group history into departure slots within a window
+ * Windows may cross midnight (22:00-01:00).
+ *
+ * @param {Array<Object>} history - Result of getStopHistory
+ * @param {number} startMinutes - Window start (minutes after midnight)
+ * @param {number} endMinutes - Window end (minutes after midnight)
+ * @param {string} timeZone - Stop's IANA time zone
+ * @param {number} slotMinutes - Slot length
+ * @returns {Array<Object>} - Slots ({ startMinutes, endMinutes, count, typicalSeconds, spreadSeconds })
+ */
+export const buildDepartureSlots = (
+  history,
+  startMinutes,
+  endMinutes,
+  timeZone,
+  slotMinutes = RECOMMEND_SLOT_MINUTES
+) => {
+  const end = endMinutes > startMinutes ? endMinutes : endMinutes + 1440;
+  const slots = [];
+  for (let start = startMinutes; start < end; start += slotMinutes) {
+    slots.push({
+      startMinutes: start,
+      endMinutes: Math.min(start + slotMinutes, end),
+      durations: [],
+    });
+  }
+
+  history.forEach((observation) => {
+    if (observation.durationSeconds === null) return;
+    const parts = getZonedParts(observation.observedAt, timeZone);
+    let minutes = parts.hour * 60 + parts.minute;
+    if (minutes < startMinutes) minutes += 1440;
+    const slot = slots.find(
+      (s) => minutes >= s.startMinutes && minutes < s.endMinutes
+    );
+    if (slot) slot.durations.push(observation.durationSeconds);
+  });
+
+  return slots.map(({ durations, ...slot }) => ({
+    ...slot,
+    count: durations.length,
+    typicalSeconds: durations.length > 0 ? Math.round(mean(durations)) : null,
+    spreadSeconds:
+      durations.length > 0 ? Math.round(standardDeviation(durations)) : null,
+  }));
+};
+
+/**
+ * Recommend a departure slot for a stop
+ *
+ * @param {Object} stop - Stop with type, windowStart, windowEnd and windowObjective
+ * @param {Array<Object>} history - Result of getStopHistory
+ * @param {string} timeZone - Stop's IANA time zone
+ * @returns {Object|null} - { objective, best, slowest, slots }, or null without a window or enough history
+ */
+export const recommendDeparture = (stop, history, timeZone) => {
+  const startMinutes = parseTargetTime(stop?.windowStart);
+  const endMinutes = parseTargetTime(stop?.windowEnd);
+  if (startMinutes === null || endMinutes === null) return null;
+
+  const objective =
+    stop.windowObjective === "steadiest" ? "steadiest" : "fastest";
+  const slots = buildDepartureSlots(
+    history,
+    startMinutes,
+    endMinutes,
+    timeZone
+  );
+  const candidates = slots.filter((s) => s.count >= RECOMMEND_MIN_SAMPLES);
+  if (candidates.length === 0) return null;
+
+  const score = (slot) =>
+    objective === "steadiest"
+      ? [slot.spreadSeconds, slot.typicalSeconds]
+      : [slot.typicalSeconds, slot.spreadSeconds];
+  const best = candidates.reduce((winner, slot) => {
+    const [a1, a2] = score(slot);
+    const [b1, b2] = score(winner);
+    return a1 < b1 || (a1 === b1 && a2 < b2) ? slot : winner;
+  });
+  const slowest = candidates.reduce((worst, slot) =>
+    slot.typicalSeconds > worst.typicalSeconds ? slot : worst
+  );
+
+  return {
+    objective,
+    best,
+    // Only worth mentioning when it is at least a minute slower
+    slowest:
+      slowest.typicalSeconds - best.typicalSeconds >= 60 ? slowest : null,
+    slots,
+  };
+};
+
+/**
+ * Recommend a departure slot from a stop's own history, in its time zone
+ *
+ * @param {Object} stop - Stop with a departure window
+ * @returns {Object|null} - Result of recommendDeparture, or null without a window
+ */
+export const getStopRecommendation = (stop) => {
+  if (!stop?.windowStart || !stop?.windowEnd) return null;
+  return recommendDeparture(
+    stop,
+    getStopHistory(stop),
+    resolveStopTimeZone(stop)
+  );
+};
+
+/**
+ * Describe a recommendation for the stop box and edit modal
+ *
+ * @param {Object|null} recommendation - Result of recommendDeparture
+ * @param {string} type - Stop type ("drive", "bike" or "walk")
+ * @returns {string} - Text (e.g., "Leave between 7:40 AM and 7:50 AM for a typical 14 min drive; after 8:00 AM it's 23 min"), or "" without a recommendation
+ */
+export const formatDepartureRecommendation = (recommendation, type) => {
+  if (!recommendation) return "";
+
+  const { objective, best, slowest } = recommendation;
+  const noun = TRIP_NOUNS[type] || "trip";
+  const duration = formatComparisonDuration(best.typicalSeconds);
+  let text = `Leave between ${formatMinutesOfDay(
+    best.startMinutes
+  )} and ${formatMinutesOfDay(best.endMinutes)} for a ${
+    objective === "steadiest"
+      ? `steady ${duration} ${noun} (±${Math.round(
+          best.spreadSeconds / 60
+        )} min)`
+      : `typical ${duration} ${noun}`
+  }`;
+
+  if (slowest) {
+    text +=
+      slowest.startMinutes > best.startMinutes
+        ? `; after ${formatMinutesOfDay(slowest.startMinutes)}`
+        : `; before ${formatMinutesOfDay(slowest.endMinutes)}`;
+    text += ` it's ${formatComparisonDuration(slowest.typicalSeconds)}`;
+  }
+
+  return text;
+};
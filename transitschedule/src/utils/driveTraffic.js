@@ -0,0 +1,53 @@
+import { TRAFFIC_MODERATE_RATIO, TRAFFIC_HEAVY_RATIO } from "./constants";
+
+/**
+ * Drive Traffic Utilities
+ *
+ * Reads traffic-aware drive durations from a Directions leg. With a
+ * departure_time, Google returns duration_in_traffic (current conditions)
+ * alongside duration (the typical time for the route).
+ */
+
+/**
+ * Classify congestion from current and typical drive times
+ *
+ * @param {number|null} currentSeconds - Duration in current traffic
+ * @param {number|null} typicalSeconds - Typical duration
+ * @returns {string|null} - "light", "moderate" or "heavy", or null if unknown
+ */
+export const getCongestionLevel = (currentSeconds, typicalSeconds) => {
+  if (!currentSeconds || !typicalSeconds) return null;
+
+  const ratio = currentSeconds / typicalSeconds;
+  if (ratio >= TRAFFIC_HEAVY_RATIO) return "heavy";
+  if (ratio >= TRAFFIC_MODERATE_RATIO) return "moderate";
+  return "light";
+};
+
+/**
+ * Get current vs typical drive time for a Directions leg
+ *
+ * @param {Object} leg - Directions route leg
+ * @returns {Object} - { currentSeconds, typicalSeconds, delaySeconds, congestion }; delay and congestion are null without traffic data
+ */
+export const getDriveTraffic = (leg) => {
+  const typicalSeconds = leg?.duration?.value ?? null;
+  const trafficSeconds = leg?.duration_in_traffic?.value ?? null;
+
+  if (trafficSeconds === null) {
+    return {
+      currentSeconds: typicalSeconds,
+      typicalSeconds: typicalSeconds,
+      delaySeconds: null,
+      congestion: null,
+    };
+  }
+
+  return {
+    currentSeconds: trafficSeconds,
+    typicalSeconds: typicalSeconds,
+    delaySeconds:
+      typicalSeconds !== null ? trafficSeconds - typicalSeconds : null,
+    congestion: getCongestionLevel(trafficSeconds, typicalSeconds),
+  };
+};
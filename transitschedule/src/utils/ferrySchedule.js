@@ -0,0 +1,319 @@
+import { parseCsv } from "./csvParser";
+
+/**
+ * Ferry Schedule Model
+ *
+ * Normalizes ferry timetables (terminals, routes, sailings, day-of-week masks,
+ * seasons and holiday exceptions) from JSON or CSV and answers "which sailings
+ * run from terminal A to terminal B on this date".
+ *
+ * JSON format:
+ *   {
+ *     timeZone, validFrom, validUntil, source: { publisher, url, ... },
+ *     terminals: [{ id, name, location }], routes: [{ id, name }],
+ *     seasons: [{ id, startDate, endDate }],
+ *     holidays: [{ date, name, runsAs: "sunday" }],
+ *     sailings: [{ id, route, days, season, notOn: [dates], alsoOn: [dates],
+ *                  stops: [{ terminal, arrives, departs }] }]
+ *   }
+ *
+ * CSV format (one row per sailing stop; days/dates read from a sailing's first row):
+ *   sailing_id,route,terminal,arrives,departs,days,start_date,end_date,not_on,also_on
+ *
+ * Dates are YYYY-MM-DD, times HH:MM (may exceed 24:00 for after-midnight
+ * sailings), days is "daily", "weekdays", "weekends" or day names ("mon tue").
+ * validFrom/validUntil are the dates the timetable covers (its seasons and
+ * holidays); outside them it is out of date. CSV schedules have no range.
+ */
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/**
+ * Format a Date as a schedule date key
+ *
+ * @param {Date} date - Date object
+ * @returns {string} - Date key in YYYY-MM-DD format
+ */
+export const toScheduleDate = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Convert a schedule time string to minutes after midnight
+ *
+ * @param {string} value - Time string (e.g., "05:30")
+ * @returns {number|null} - Minutes after midnight, or null if empty/invalid
+ */
+export const parseScheduleTime = (value) => {
+  if (!value) return null;
+  const match = String(value)
+    .trim()
+    .match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+/**
+ * Turn a terminal name into a slug id ("Friday Harbor" -> "friday-harbor")
+ *
+ * @param {string} value - Name
+ * @returns {string} - Slug
+ */
+const toId = (value) =>
+  String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+/**
+ * Parse a days value into a Sunday-first mask of 7 booleans
+ *
+ * @param {string|Array<string>} days - "daily", "weekdays", "weekends" or day names
+ * @returns {Array<boolean>} - Day-of-week mask indexed by Date.getDay()
+ */
+export const parseDays = (days) => {
+  if (!days || days === "daily") {
+    return DAY_NAMES.map(() => true);
+  }
+  if (days === "weekdays") {
+    return DAY_NAMES.map((_, index) => index >= 1 && index <= 5);
+  }
+  if (days === "weekends") {
+    return DAY_NAMES.map((_, index) => index === 0 || index === 6);
+  }
+
+  const names = (Array.isArray(days) ? days : String(days).split(/[\s,;]+/))
+    .map((name) => name.trim().toLowerCase().slice(0, 3))
+    .filter(Boolean);
+  return DAY_NAMES.map((name) => names.includes(name));
+};
+
+/**
+ * Split a list of dates from CSV ("2026-12-25 2027-01-01")
+ *
+ * @param {string} value - Space/semicolon separated dates
+ * @returns {Array<string>} - Dates
+ */
+const splitDates = (value) => (value || "").split(/[\s;]+/).filter(Boolean);
+
+/**
+ * Normalize a JSON ferry schedule into the lookup model
+ *
+ * @param {Object} data - Schedule in JSON format
+ * @returns {Object} - Normalized schedule
+ */
+export const normalizeFerrySchedule = (data) => {
+  const terminals = new Map();
+  (data.terminals || []).forEach((terminal) => {
+    terminals.set(terminal.id, {
+      id: terminal.id,
+      name: terminal.name || terminal.id,
+      location: terminal.location || terminal.name || terminal.id,
+    });
+  });
+
+  const seasons = new Map();
+  (data.seasons || []).forEach((season) => {
+    seasons.set(season.id, season);
+  });
+
+  const holidays = new Map();
+  (data.holidays || []).forEach((holiday) => {
+    holidays.set(holiday.date, {
+      name: holiday.name || "Holiday",
+      runsAs: DAY_NAMES.indexOf(
+        String(holiday.runsAs || "sun")
+          .toLowerCase()
+          .slice(0, 3)
+      ),
+    });
+  });
+
+  const sailings = (data.sailings || []).map((sailing, index) => {
+    const season = seasons.get(sailing.season) || {};
+    const stops = (sailing.stops || []).map((stop) => {
+      // Terminals referenced only by sailings still need to be listed
+      if (!terminals.has(stop.terminal)) {
+        terminals.set(stop.terminal, {
+          id: stop.terminal,
+          name: stop.terminal,
+          location: stop.terminal,
+        });
+      }
+      return {
+        terminalId: stop.terminal,
+        arrives: parseScheduleTime(stop.arrives),
+        departs: parseScheduleTime(stop.departs),
+      };
+    });
+
+    return {
+      id: sailing.id || `sailing-${index + 1}`,
+      routeId: sailing.route || null,
+      days: parseDays(sailing.days),
+      startDate: sailing.startDate || season.startDate || null,
+      endDate: sailing.endDate || season.endDate || null,
+      notOn: new Set(sailing.notOn || []),
+      alsoOn: new Set(sailing.alsoOn || []),
+      stops,
+    };
+  });
+
+  return {
+    name: data.name || "Ferry schedule",
+    timeZone: data.timeZone || "America/Los_Angeles",
+    validFrom: data.validFrom || null,
+    validUntil: data.validUntil || null,
+    terminals,
+    routes: new Map((data.routes || []).map((route) => [route.id, route])),
+    holidays,
+    sailings,
+  };
+};
+
+/**
+ * Parse a CSV ferry schedule into the lookup model
+ *
+ * @param {string} text - CSV text (one row per sailing stop)
+ * @returns {Object} - Normalized schedule
+ */
+export const parseFerryScheduleCsv = (text) => {
+  const terminals = new Map();
+  const sailingsById = new Map();
+
+  parseCsv(text).forEach((row) => {
+    if (!row.sailing_id || !row.terminal) return;
+
+    const terminalId = toId(row.terminal);
+    if (!terminals.has(terminalId)) {
+      terminals.set(terminalId, { id: terminalId, name: row.terminal });
+    }
+
+    if (!sailingsById.has(row.sailing_id)) {
+      sailingsById.set(row.sailing_id, {
+        id: row.sailing_id,
+        route: row.route || null,
+        days: row.days || "daily",
+        startDate: row.start_date || null,
+        endDate: row.end_date || null,
+        notOn: splitDates(row.not_on),
+        alsoOn: splitDates(row.also_on),
+        stops: [],
+      });
+    }
+    sailingsById.get(row.sailing_id).stops.push({
+      terminal: terminalId,
+      arrives: row.arrives,
+      departs: row.departs,
+    });
+  });
+
+  return normalizeFerrySchedule({
+    terminals: Array.from(terminals.values()),
+    sailings: Array.from(sailingsById.values()),
+  });
+};
+
+/**
+ * Parse a ferry schedule file
+ *
+ * @param {string} text - File contents
+ * @param {string} format - "json" or "csv"
+ * @returns {Object} - Normalized schedule
+ */
+export const parseFerrySchedule = (text, format = "json") =>
+  format === "csv"
+    ? parseFerryScheduleCsv(text)
+    : normalizeFerrySchedule(JSON.parse(text));
+
+/**
+ * List terminals that have at least one sailing
+ *
+ * @param {Object} schedule - Normalized schedule
+ * @returns {Array<Object>} - Terminals ({ id, name, location })
+ */
+export const getFerryTerminals = (schedule) => {
+  const served = new Set();
+  schedule.sailings.forEach((sailing) => {
+    sailing.stops.forEach((stop) => served.add(stop.terminalId));
+  });
+  return Array.from(schedule.terminals.values()).filter((terminal) =>
+    served.has(terminal.id)
+  );
+};
+
+/**
+ * Check whether a schedule covers a date
+ *
+ * @param {Object} schedule - Normalized schedule
+ * @param {Date} date - Service date
+ * @returns {boolean} - False if the date is outside validFrom/validUntil
+ */
+export const isFerryScheduleCurrent = (schedule, date) => {
+  const dateKey = toScheduleDate(date);
+  if (schedule.validFrom && dateKey < schedule.validFrom) return false;
+  if (schedule.validUntil && dateKey > schedule.validUntil) return false;
+  return true;
+};
+
+/**
+ * Check whether a sailing runs on a date
+ *
+ * @param {Object} schedule - Normalized schedule
+ * @param {Object} sailing - Normalized sailing
+ * @param {Date} date - Service date
+ * @returns {boolean} - True if the sailing operates
+ */
+export const sailingRunsOn = (schedule, sailing, date) => {
+  const dateKey = toScheduleDate(date);
+  if (sailing.notOn.has(dateKey)) return false;
+  if (sailing.alsoOn.has(dateKey)) return true;
+  if (sailing.startDate && dateKey < sailing.startDate) return false;
+  if (sailing.endDate && dateKey > sailing.endDate) return false;
+
+  // Holidays run another day's schedule (usually Sunday's)
+  const holiday = schedule.holidays.get(dateKey);
+  const weekday =
+    holiday && holiday.runsAs >= 0 ? holiday.runsAs : date.getDay();
+  return sailing.days[weekday];
+};
+
+/**
+ * Get sailings from one terminal to another on a date
+ *
+ * @param {Object} schedule - Normalized schedule
+ * @param {string} originId - Origin terminal id
+ * @param {string} destinationId - Destination terminal id
+ * @param {Date} date - Service date
+ * @returns {Array<Object>} - Sailings ({ sailingId, routeId, departs, arrives }) sorted by departure, times in minutes
+ */
+export const getFerrySailings = (schedule, originId, destinationId, date) => {
+  const sailings = [];
+
+  schedule.sailings.forEach((sailing) => {
+    const originIndex = sailing.stops.findIndex(
+      (stop) => stop.terminalId === originId
+    );
+    const destinationIndex = sailing.stops.findIndex(
+      (stop, index) => index > originIndex && stop.terminalId === destinationId
+    );
+    if (originIndex < 0 || destinationIndex < 0) return;
+
+    const origin = sailing.stops[originIndex];
+    const departs = origin.departs ?? origin.arrives;
+    if (departs === null || !sailingRunsOn(schedule, sailing, date)) return;
+
+    const destination = sailing.stops[destinationIndex];
+    sailings.push({
+      sailingId: sailing.id,
+      routeId: sailing.routeId,
+      departs,
+      arrives: destination.arrives ?? destination.departs,
+    });
+  });
+
+  return sailings.sort((a, b) => a.departs - b.departs);
+};
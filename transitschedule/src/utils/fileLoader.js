@@ -1,3 +1,5 @@
+import { tagResponse } from "./provenance";
+
 /**
  * File Loader Utilities
  *
@@ -6,6 +8,8 @@
 
 /**
  * Load saved data from a file path
+ * The data is tagged as saved, with the file's Last-Modified time, for the
+ * stop's provenance.
  *
  * @param {string} filePath - Path to the JSON file
  * @returns {Promise<Object|null>} - Parsed JSON data or null if failed
@@ -15,7 +19,13 @@ export const loadSavedData = async (filePath) => {
     const response = await fetch(filePath);
     if (response.ok) {
       const data = await response.json();
-      return data;
+      const lastModified = Date.parse(
+        response.headers?.get?.("Last-Modified") || ""
+      );
+      return tagResponse(data, {
+        source: "saved",
+        storedAt: Number.isNaN(lastModified) ? null : lastModified,
+      });
     }
   } catch (error) {
     console.log(`Error loading saved file: ${error.message}`);
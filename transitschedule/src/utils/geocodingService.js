@@ -1,4 +1,5 @@
 import axios from "axios";
+import { cachedGet } from "./requestCache";
 
 /**
  * Geocoding Service
@@ -21,7 +22,7 @@ export const getDestinationName = async (address, apiKey) => {
   }
 
   try {
-    const response = await axios.get(GEOCODING_BASE_URL, {
+    const response = await cachedGet(axios, GEOCODING_BASE_URL, {
       params: {
         address: address,
         key: apiKey,
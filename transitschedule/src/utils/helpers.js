@@ -1,22 +1,23 @@
 import axios from "axios";
+import { cachedGet } from "./requestCache";
 
 /**
- * convertToCentralTime Function
+ * parseApiTime Function
  *
- * Converts API time responses to Central Time Zone.
- * Handles various time formats from the Google Directions API.
+ * Converts a time from the Google Directions API to an instant.
+ * Handles the API's time objects, Dates and timestamp strings. The result
+ * has no zone of its own; format it in the stop's zone for display.
  *
  * @param {Object} timeValue - Time value from API (can be time object or timestamp)
- * @returns {Date|null} - Date object in Central Time Zone, or null if invalid
+ * @returns {Date|null} - Instant, or null if invalid
  */
-export const convertToCentralTime = (timeValue) => {
+export const parseApiTime = (timeValue) => {
   if (!timeValue) return null;
 
   // If timeValue has a value property (Google API time object)
   if (timeValue.value) {
-    // Convert Unix timestamp to Date, then convert to Central Time
-    const date = new Date(timeValue.value * 1000);
-    return date;
+    // Unix timestamp in seconds; time_zone on the object is only for display
+    return new Date(timeValue.value * 1000);
   }
 
   // If it's already a Date object
@@ -48,7 +49,7 @@ export const getDestinationName = async (destination, apiKey) => {
     const placesUrl =
       "https://maps.googleapis.com/maps/api/place/textsearch/json";
 
-    const placesResponse = await axios.get(placesUrl, {
+    const placesResponse = await cachedGet(axios, placesUrl, {
       params: {
         query: destination,
         key: apiKey,
@@ -100,7 +101,7 @@ export const getDestinationName = async (destination, apiKey) => {
 
     // Fallback: try Geocoding API if Places API doesn't return results
     const geocodeUrl = "https://maps.googleapis.com/maps/api/geocode/json";
-    const geocodeResponse = await axios.get(geocodeUrl, {
+    const geocodeResponse = await cachedGet(axios, geocodeUrl, {
       params: {
         address: destination,
         key: apiKey,
@@ -0,0 +1,468 @@
+import { DEFAULT_LEAVE_BUFFER_MINUTES, CALENDAR_MAX_EVENTS } from "./constants";
+import { getStopStorageId } from "./commuteHistory";
+import { parseWalkMinutes } from "./leaveTime";
+import { calculateRecommendedDeparture } from "./targetTime";
+import { formatArrivalTime } from "./timeFormatters";
+import {
+  getZonedParts,
+  getTimeZoneOffset,
+  resolveStopTimeZone,
+} from "./timeZones";
+
+/**
+ * iCalendar Export Utilities
+ *
+ * Builds RFC 5545 .ics calendars from a stop's upcoming departures (or its
+ * planned arrive-by / depart-at trip). Events keep the stop's own time zone
+ * with a generated VTIMEZONE, so calendar apps show them at the right wall
+ * clock time wherever the phone happens to be.
+ */
+
+const PRODUCT_ID = "-//Eggy Commutes//Transit Board//EN";
+const UID_DOMAIN = "eggycommutes";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mode prefix for event titles ("Ferry Anacortes-Orcas Island")
+const MODE_NAMES = {
+  bus: "Bus",
+  train: "Train",
+  ferry: "Ferry",
+  trip: "Trip",
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+/**
+ * Escape a TEXT property value (backslash, semicolon, comma, newline)
+ *
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+export const escapeIcsText = (text) =>
+  String(text ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// UTF-8 length of one character, so folding never splits a multi-byte one
+const utf8Length = (char) => {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code < 0x10000 ? 3 : 4;
+};
+
+/**
+ * Fold a content line at 75 octets; continuation lines start with a space
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {string} - Folded line (CRLF-separated)
+ */
+export const foldIcsLine = (line) => {
+  const chunks = [];
+  let current = "";
+  let octets = 0;
+
+  for (const char of line) {
+    const size = utf8Length(char);
+    // The leading space of a continuation line counts towards its 75
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+
+  return chunks.join("\r\n ");
+};
+
+/**
+ * Format an instant as a UTC DATE-TIME
+ *
+ * @param {Date} date - Instant
+ * @returns {string} - e.g., "20260304T160000Z"
+ */
+export const formatIcsUtc = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+/**
+ * Format an instant as a local DATE-TIME in a time zone (for TZID= values)
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - e.g., "20260304T080000"
+ */
+export const formatIcsLocal = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  return (
+    `${pad(parts.year, 4)}${pad(parts.month)}${pad(parts.day)}` +
+    `T${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second)}`
+  );
+};
+
+/**
+ * Format a UTC offset for TZOFFSETFROM/TZOFFSETTO
+ *
+ * @param {number} minutes - Offset in minutes (e.g., -480)
+ * @returns {string} - e.g., "-0800"
+ */
+export const formatIcsOffset = (minutes) => {
+  const sign = minutes < 0 ? "-" : "+";
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+};
+
+// Zone abbreviation at an instant (e.g., "PDT"); falls back to "GMT-7" style
+const getZoneName = (date, timeZone) =>
+  new Intl.DateTimeFormat("en-US", { timeZone, timeZoneName: "short" })
+    .formatToParts(date)
+    .find((part) => part.type === "timeZoneName")?.value || timeZone;
+
+/**
+ * Find the UTC offset changes (DST transitions) of a zone between two instants
+ * Steps a day at a time, then narrows each change down to the minute.
+ *
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @returns {Array<Object>} - Transitions ({ at, from, to }), offsets in minutes
+ */
+export const findOffsetTransitions = (timeZone, start, end) => {
+  const offsetAt = (ms) => getTimeZoneOffset(new Date(ms), timeZone);
+  const transitions = [];
+  let previousTime = start.getTime();
+  let previousOffset = offsetAt(previousTime);
+
+  while (previousTime < end.getTime()) {
+    const time = Math.min(previousTime + DAY_MS, end.getTime());
+    const offset = offsetAt(time);
+
+    if (offset !== previousOffset) {
+      let low = previousTime;
+      let high = time;
+      while (high - low > 1000) {
+        const middle = Math.floor((low + high) / 2);
+        if (offsetAt(middle) === previousOffset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      transitions.push({
+        at: new Date(Math.floor(high / 60000) * 60000),
+        from: previousOffset,
+        to: offset,
+      });
+      previousOffset = offset;
+    }
+    previousTime = time;
+  }
+
+  return transitions;
+};
+
+/**
+ * Build a VTIMEZONE covering a date range
+ *
+ * Lists the offset in force at the range start and every transition inside
+ * it as dated observances (no RRULEs), which every calendar app understands
+ * and stays correct even if the zone's rules change later.
+ *
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @returns {Array<string>} - Content lines
+ */
+export const buildVTimeZone = (timeZone, start, end) => {
+  const year = getZonedParts(start, timeZone).year;
+  const standardOffset = Math.min(
+    getTimeZoneOffset(new Date(Date.UTC(year, 0, 1)), timeZone),
+    getTimeZoneOffset(new Date(Date.UTC(year, 6, 1)), timeZone)
+  );
+  const initialOffset = getTimeZoneOffset(start, timeZone);
+  const observances = [
+    { at: start, from: initialOffset, to: initialOffset },
+    ...findOffsetTransitions(timeZone, start, end),
+  ];
+
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${timeZone}`];
+  observances.forEach(({ at, from, to }) => {
+    const kind = to > standardOffset ? "DAYLIGHT" : "STANDARD";
+    // DTSTART is the wall clock time just before the change (in the old offset)
+    const localStart = formatIcsUtc(new Date(at.getTime() + from * 60000));
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${localStart.replace("Z", "")}`,
+      `TZOFFSETFROM:${formatIcsOffset(from)}`,
+      `TZOFFSETTO:${formatIcsOffset(to)}`,
+      `TZNAME:${escapeIcsText(getZoneName(at, timeZone))}`,
+      `END:${kind}`
+    );
+  });
+  lines.push("END:VTIMEZONE");
+
+  return lines;
+};
+
+/**
+ * Title a departure event (e.g., "Bus 801 to Tech Ridge")
+ *
+ * @param {Object} stop - Stop data
+ * @param {Object} time - Arrival time entry
+ * @returns {string} - Event title
+ */
+const getDepartureTitle = (stop, time) => {
+  const line = time.lineName || stop.routeFilter || stop.name;
+  const title =
+    time.headsign && !line.endsWith(time.headsign)
+      ? `${line} to ${time.headsign}`
+      : line;
+  return MODE_NAMES[stop.type] ? `${MODE_NAMES[stop.type]} ${title}` : title;
+};
+
+/**
+ * Build events for a stop's upcoming departures
+ *
+ * Each departure is an event at the stop's time zone with a reminder alarm
+ * at the leave-home time (walk to the stop plus the leave buffer).
+ *
+ * @param {Object} stop - Stop data
+ * @param {Object} options - Options
+ * @param {Date} options.now - Current date/time (defaults to new Date())
+ * @param {number} options.bufferMinutes - Leave buffer in minutes
+ * @param {Array} options.departures - Arrival time entries (defaults to stop.allArrivalTimes)
+ * @param {number} options.maxEvents - Most events to return
+ * @returns {Array<Object>} - Events ({ uid, start, end, summary, location, description, alarmMinutes, alarmText })
+ */
+export const buildDepartureEvents = (
+  stop,
+  {
+    now = new Date(),
+    bufferMinutes = DEFAULT_LEAVE_BUFFER_MINUTES,
+    departures = stop.allArrivalTimes,
+    maxEvents = CALENDAR_MAX_EVENTS,
+  } = {}
+) => {
+  const timeZone = resolveStopTimeZone(stop);
+  const walkMinutes = parseWalkMinutes(stop.walkTime);
+  const leadMinutes = walkMinutes + (Number(bufferMinutes) || 0);
+  const storageId = getStopStorageId(stop);
+
+  return (departures || [])
+    .map((time) => ({
+      time,
+      start: new Date(time.departureTime || time.arrivalTime),
+    }))
+    .filter(({ start }) => !isNaN(start.getTime()) && start > now)
+    .sort((a, b) => a.start - b.start)
+    .slice(0, maxEvents)
+    .map(({ time, start }) => {
+      const end = time.arrivalAtNextStop
+        ? new Date(time.arrivalAtNextStop)
+        : null;
+      const summary = getDepartureTitle(stop, time);
+      const leaveAt = new Date(start.getTime() - leadMinutes * 60000);
+
+      const description = [
+        time.lineName && `Route: ${time.lineName}`,
+        time.headsign && `Toward: ${time.headsign}`,
+        `From: ${time.stopName || stop.origin || stop.name}`,
+        `Leave home at ${formatArrivalTime(leaveAt, timeZone)} (${walkMinutes} min walk + ${bufferMinutes} min buffer)`,
+        end && `Arrives ${formatArrivalTime(end, timeZone)}`,
+      ].filter(Boolean);
+
+      return {
+        uid: `${storageId}-${start.getTime()}@${UID_DOMAIN}`,
+        start,
+        end,
+        summary,
+        location: time.stopName || stop.location || stop.origin || null,
+        description: description.join("\n"),
+        alarmMinutes: leadMinutes,
+        alarmText: `Leave now for ${summary}`,
+      };
+    });
+};
+
+/**
+ * Build the event for a stop's planned arrive-by / depart-at trip
+ * The event runs from the leave-home time to the planned arrival.
+ *
+ * @param {Object} stop - Stop data with target fields
+ * @param {Object} options - Options
+ * @param {Date} options.now - Current date/time (defaults to new Date())
+ * @param {number} options.bufferMinutes - Leave buffer in minutes
+ * @returns {Object|null} - Event, or null if the stop has no planned trip
+ */
+export const buildPlanEvent = (
+  stop,
+  { now = new Date(), bufferMinutes = DEFAULT_LEAVE_BUFFER_MINUTES } = {}
+) => {
+  const plan = calculateRecommendedDeparture(stop, now);
+  if (!plan || !plan.departureTime) return null;
+
+  const timeZone = resolveStopTimeZone(stop);
+  const format = (time) => formatArrivalTime(time, timeZone);
+
+  // Route stops leave at the planned time; transit stops need the walk first
+  const hasDepartures = (stop.allArrivalTimes || []).length > 0;
+  const leadMinutes = hasDepartures
+    ? parseWalkMinutes(stop.walkTime) + (Number(bufferMinutes) || 0)
+    : 0;
+  const start = new Date(plan.departureTime.getTime() - leadMinutes * 60000);
+  const end = plan.arrivalTime || plan.departureTime;
+  const summary = `Leave for ${stop.name}`;
+
+  const description = [
+    plan.mode === "arrival"
+      ? `Arrive by ${format(plan.target)}`
+      : `Depart at ${format(plan.target)}`,
+    hasDepartures &&
+      `Departs ${stop.origin || stop.name} at ${format(plan.departureTime)}`,
+    plan.arrivalTime && `Arrives ${format(plan.arrivalTime)}`,
+    stop.destination && `To: ${stop.destination}`,
+  ].filter(Boolean);
+
+  return {
+    uid: `${getStopStorageId(stop)}-plan-${plan.target.getTime()}@${UID_DOMAIN}`,
+    start,
+    end: end > start ? end : null,
+    summary,
+    location: stop.origin || null,
+    description: description.join("\n"),
+    alarmMinutes: 0,
+    alarmText: summary,
+  };
+};
+
+/**
+ * Build the events to export for a stop
+ * A stop with a planned trip exports that trip; others export departures.
+ *
+ * @param {Object} stop - Stop data
+ * @param {Object} options - Options (see buildDepartureEvents)
+ * @returns {Array<Object>} - Events
+ */
+export const buildStopEvents = (stop, options = {}) => {
+  const planEvent = buildPlanEvent(stop, options);
+  return planEvent ? [planEvent] : buildDepartureEvents(stop, options);
+};
+
+// Reminder trigger relative to the event start
+const formatTrigger = (minutes) =>
+  minutes > 0 ? `-PT${Math.round(minutes)}M` : "PT0M";
+
+/**
+ * Build an .ics calendar from events
+ *
+ * @param {Array<Object>} events - Events (see buildDepartureEvents)
+ * @param {Object} options - Options
+ * @param {string} options.name - Calendar name
+ * @param {string} options.timeZone - IANA time zone for event times
+ * @param {Date} options.now - Generation time for DTSTAMP (defaults to new Date())
+ * @param {number|null} options.refreshMinutes - Re-fetch interval for subscribed feeds
+ * @returns {string} - iCalendar text (CRLF line endings)
+ */
+export const buildIcsCalendar = (
+  events,
+  { name, timeZone, now = new Date(), refreshMinutes = null }
+) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+  ];
+  if (refreshMinutes) {
+    lines.push(
+      `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`,
+      `X-PUBLISHED-TTL:PT${refreshMinutes}M`
+    );
+  }
+
+  if (events.length > 0) {
+    const starts = events.map((event) => event.start.getTime());
+    const ends = events.map((event) => (event.end || event.start).getTime());
+    lines.push(
+      ...buildVTimeZone(
+        timeZone,
+        new Date(Math.min(...starts) - DAY_MS),
+        new Date(Math.max(...ends) + DAY_MS)
+      )
+    );
+  }
+
+  events.forEach((event) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatIcsUtc(now)}`,
+      `DTSTART;TZID=${timeZone}:${formatIcsLocal(event.start, timeZone)}`
+    );
+    if (event.end) {
+      lines.push(
+        `DTEND;TZID=${timeZone}:${formatIcsLocal(event.end, timeZone)}`
+      );
+    }
+    lines.push(`SUMMARY:${escapeIcsText(event.summary)}`);
+    if (event.location) {
+      lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+    }
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+    }
+    lines.push(
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `DESCRIPTION:${escapeIcsText(event.alarmText)}`,
+      `TRIGGER:${formatTrigger(event.alarmMinutes)}`,
+      "END:VALARM",
+      "END:VEVENT"
+    );
+  });
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldIcsLine).join("\r\n")}\r\n`;
+};
+
+/**
+ * Fingerprint events so an unchanged feed isn't uploaded again
+ *
+ * @param {Array<Object>} events - Events
+ * @returns {string} - Fingerprint
+ */
+export const getEventsFingerprint = (events) =>
+  JSON.stringify(
+    events.map((event) => [
+      event.uid,
+      event.start.getTime(),
+      event.end ? event.end.getTime() : null,
+      event.summary,
+      event.alarmMinutes,
+    ])
+  );
+
+/**
+ * Get a download file name for a stop's calendar
+ *
+ * @param {Object} stop - Stop data
+ * @returns {string} - e.g., "anacortes-to-orcas-island.ics"
+ */
+export const getCalendarFileName = (stop) =>
+  `${
+    String(stop.name || stop.type || "stop")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "stop"
+  }.ics`;
@@ -0,0 +1,97 @@
+/**
+ * IndexedDB Store
+ *
+ * Promise wrapper around a single IndexedDB object store, used as a simple
+ * key-value store for data that should survive reloads but is too large or
+ * too frequently written for localStorage.
+ */
+
+/**
+ * Wait for an IndexedDB request to finish
+ *
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} - The request's result
+ */
+const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Open a key-value store
+ * The database opens on first use. Returns null where IndexedDB isn't
+ * available (some private browsing modes, tests), so callers can keep
+ * their data in memory instead.
+ *
+ * @param {string} dbName - Database name
+ * @param {string} storeName - Object store name
+ * @returns {Object|null} - { get, set, delete, entries }, each returning a promise
+ */
+export const openKeyValueStore = (dbName, storeName = "entries") => {
+  if (typeof indexedDB === "undefined") return null;
+
+  let dbPromise = null;
+  const getDb = () => {
+    if (!dbPromise) {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(storeName);
+      };
+      dbPromise = promisifyRequest(request).catch((error) => {
+        // Let the next call try again
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (mode, action) => {
+    const db = await getDb();
+    const store = db.transaction(storeName, mode).objectStore(storeName);
+    return action(store);
+  };
+
+  return {
+    get: (key) =>
+      withStore("readonly", (store) => promisifyRequest(store.get(key))),
+    set: (key, value) =>
+      withStore("readwrite", (store) =>
+        promisifyRequest(store.put(value, key))
+      ),
+    delete: (key) =>
+      withStore("readwrite", (store) => promisifyRequest(store.delete(key))),
+    // All [key, value] pairs
+    entries: () =>
+      withStore("readonly", async (store) => {
+        const [keys, values] = await Promise.all([
+          promisifyRequest(store.getAllKeys()),
+          promisifyRequest(store.getAll()),
+        ]);
+        return keys.map((key, index) => [key, values[index]]);
+      }),
+  };
+};
+
+/**
+ * Create an in-memory store with the same interface as openKeyValueStore,
+ * for when IndexedDB isn't available
+ *
+ * @returns {Object} - { get, set, delete, entries }, each returning a promise
+ */
+export const createMemoryStore = () => {
+  const entries = new Map();
+  return {
+    get: async (key) => entries.get(key),
+    set: async (key, value) => {
+      entries.set(key, value);
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+    // All [key, value] pairs, in key order like IndexedDB
+    entries: async () =>
+      [...entries.entries()].sort(([a], [b]) => (a < b ? -1 : 1)),
+  };
+};
@@ -0,0 +1,83 @@
+import { DEFAULT_LEAVE_BUFFER_MINUTES, LEAVE_HURRY_MINUTES } from "./constants";
+
+/**
+ * Leave Time Utilities
+ *
+ * Works out when to leave home for a transit stop: the next departure you can
+ * still catch, minus the walk to the stop, minus a buffer.
+ */
+
+/**
+ * Parse a walk time into minutes
+ *
+ * @param {string|number|null} walkTime - Walk time (e.g., "12 min", "1 hour 5 mins", 12)
+ * @returns {number} - Minutes (0 if unknown)
+ */
+export const parseWalkMinutes = (walkTime) => {
+  if (typeof walkTime === "number") {
+    return Number.isFinite(walkTime) ? Math.max(walkTime, 0) : 0;
+  }
+  if (!walkTime) return 0;
+
+  const hours = String(walkTime).match(/(\d+)\s*h/i);
+  const minutes = String(walkTime).match(/(\d+)\s*m/i);
+  return (
+    (hours ? Number(hours[1]) * 60 : 0) + (minutes ? Number(minutes[1]) : 0)
+  );
+};
+
+/**
+ * Calculate the "leave in N minutes" state for a stop
+ *
+ * A departure is catchable while the walk to the stop still gets you there
+ * in time; the countdown targets the first catchable departure. The buffer
+ * can be eaten into, so a countdown below zero means "leave now".
+ *
+ * @param {Object} stop - Stop with allArrivalTimes (or nextDepartureTime/nextArrivalTime) and walkTime
+ * @param {Date} now - Current date/time (defaults to new Date())
+ * @param {number} bufferMinutes - Extra minutes to leave early
+ * @returns {Object|null} - { status: "green"|"hurry"|"missed", departureTime, leaveAt, leaveInSeconds }, or null if the stop has no departures
+ */
+export const calculateLeaveTime = (
+  stop,
+  now = new Date(),
+  bufferMinutes = DEFAULT_LEAVE_BUFFER_MINUTES
+) => {
+  const departures = (stop.allArrivalTimes || [])
+    .map((time) => time.departureTime || time.arrivalTime)
+    .concat(stop.nextDepartureTime || stop.nextArrivalTime || [])
+    .map((time) => (time instanceof Date ? time : new Date(time)))
+    .filter((time) => !isNaN(time.getTime()))
+    .sort((a, b) => a - b);
+
+  if (departures.length === 0) {
+    return null;
+  }
+
+  const walkMs = parseWalkMinutes(stop.walkTime) * 60 * 1000;
+  const bufferMs = (Number(bufferMinutes) || 0) * 60 * 1000;
+
+  // Skip departures you can no longer reach even leaving right now
+  const departureTime = departures.find(
+    (time) => time.getTime() - walkMs > now.getTime()
+  );
+
+  if (!departureTime) {
+    return {
+      status: "missed",
+      departureTime: departures[departures.length - 1],
+      leaveAt: null,
+      leaveInSeconds: null,
+    };
+  }
+
+  const leaveAt = new Date(departureTime.getTime() - walkMs - bufferMs);
+  const leaveInSeconds = Math.floor((leaveAt - now) / 1000);
+
+  return {
+    status: leaveInSeconds > LEAVE_HURRY_MINUTES * 60 ? "green" : "hurry",
+    departureTime,
+    leaveAt,
+    leaveInSeconds,
+  };
+};
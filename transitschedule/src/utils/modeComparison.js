@@ -0,0 +1,155 @@
+import { parseTripRoute, getTripLineNames } from "./tripItinerary";
+
+/**
+ * Mode Comparison Utilities
+ *
+ * Summarizes drive, bike, walk and transit Directions responses for one
+ * origin and destination and ranks them, so the fastest way there can be
+ * pinned to the board as a stop.
+ */
+
+// Modes in the order they are fetched, with the stop type each one pins as.
+// Transit pins as a trip stop so walks and transfers stay part of the plan.
+export const COMPARISON_MODES = [
+  { mode: "drive", label: "Drive", stopType: "drive" },
+  { mode: "bike", label: "Bike", stopType: "bike" },
+  { mode: "walk", label: "Walk", stopType: "walk" },
+  { mode: "transit", label: "Transit", stopType: "trip" },
+];
+
+/**
+ * Summarize a route-mode (drive/bike/walk) response
+ * Route modes leave now, so arrival is now plus the trip duration.
+ *
+ * @param {Object} leg - First leg of the first route
+ * @param {Date} now - Current date/time
+ * @returns {Object} - { durationSeconds, distanceMeters, distanceText, arrivalTime, nextDepartureTime }
+ */
+const summarizeRouteLeg = (leg, now) => {
+  const durationSeconds =
+    leg.duration_in_traffic?.value ?? leg.duration?.value ?? null;
+  return {
+    durationSeconds: durationSeconds,
+    distanceMeters: leg.distance?.value ?? null,
+    distanceText: leg.distance?.text || null,
+    arrivalTime:
+      durationSeconds !== null
+        ? new Date(now.getTime() + durationSeconds * 1000)
+        : null,
+    nextDepartureTime: null,
+    lineNames: [],
+  };
+};
+
+/**
+ * Summarize a transit response from its earliest-arriving upcoming itinerary
+ *
+ * @param {Object} response - Directions API response
+ * @param {Date} now - Current date/time
+ * @returns {Object|null} - Summary, or null without upcoming itineraries
+ */
+const summarizeTransit = (response, now) => {
+  const best = response.routes
+    .map((route) => ({ route, itinerary: parseTripRoute(route) }))
+    .filter(
+      ({ itinerary }) =>
+        itinerary && itinerary.arrivalTime && itinerary.departureTime >= now
+    )
+    .sort((a, b) => a.itinerary.arrivalTime - b.itinerary.arrivalTime)[0];
+  if (!best) return null;
+
+  const { route, itinerary } = best;
+  const leg = route.legs[0];
+  const firstVehicle = itinerary.legs.find((l) => l.lineName !== undefined);
+
+  return {
+    durationSeconds: Math.round((itinerary.arrivalTime - now) / 1000),
+    distanceMeters: leg.distance?.value ?? null,
+    distanceText: leg.distance?.text || null,
+    arrivalTime: itinerary.arrivalTime,
+    nextDepartureTime: firstVehicle.departureTime,
+    lineNames: getTripLineNames(itinerary.legs),
+  };
+};
+
+/**
+ * Summarize one mode's Directions response for the comparison table
+ *
+ * Transit duration counts from now to arrival, including the wait for the
+ * next departure, so it compares fairly with modes that leave right away.
+ *
+ * @param {string} mode - "drive", "bike", "walk" or "transit"
+ * @param {Object} response - Directions API response
+ * @param {Date} now - Current date/time (defaults to new Date())
+ * @returns {Object} - { mode, label, stopType, available, error, durationSeconds, distanceText, arrivalTime, nextDepartureTime, ... }
+ */
+export const summarizeModeResponse = (mode, response, now = new Date()) => {
+  const config = COMPARISON_MODES.find((m) => m.mode === mode) || {
+    mode,
+    label: mode,
+    stopType: mode,
+  };
+  const unavailable = (error) => ({
+    ...config,
+    available: false,
+    error: error,
+    durationSeconds: null,
+    distanceMeters: null,
+    distanceText: null,
+    arrivalTime: null,
+    nextDepartureTime: null,
+    lineNames: [],
+  });
+
+  if (!response || response.status !== "OK" || !response.routes?.length) {
+    return unavailable(response?.status || "No route found");
+  }
+
+  const firstLeg = response.routes[0].legs?.[0];
+  const summary =
+    mode === "transit"
+      ? summarizeTransit(response, now)
+      : firstLeg && summarizeRouteLeg(firstLeg, now);
+  if (!summary || summary.durationSeconds === null) {
+    return unavailable("No upcoming trips");
+  }
+
+  return { ...config, available: true, error: null, ...summary };
+};
+
+/**
+ * Rank mode summaries by arrival time
+ * Earliest arrival wins; ties go to the shorter trip. Unavailable modes
+ * are listed last, unranked.
+ *
+ * @param {Array<Object>} summaries - Results of summarizeModeResponse
+ * @returns {Array<Object>} - Summaries with rank (1 = winner, null if unavailable), sorted
+ */
+export const rankModeSummaries = (summaries) => {
+  const available = summaries
+    .filter((s) => s.available)
+    .sort(
+      (a, b) =>
+        a.arrivalTime - b.arrivalTime || a.durationSeconds - b.durationSeconds
+    )
+    .map((s, index) => ({ ...s, rank: index + 1 }));
+  const unavailable = summaries
+    .filter((s) => !s.available)
+    .map((s) => ({ ...s, rank: null }));
+  return [...available, ...unavailable];
+};
+
+/**
+ * Format a duration in seconds for the comparison table
+ *
+ * @param {number|null} seconds - Duration in seconds
+ * @returns {string} - "45 min", "1 hr 5 min", or "--"
+ */
+export const formatComparisonDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return "--";
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest === 0 ? `${hours} hr` : `${hours} hr ${rest} min`;
+};
@@ -0,0 +1,228 @@
+import { NOTIFICATION_LOG_HOURS } from "./constants";
+import { calculateLeaveTime } from "./leaveTime";
+import { findNextArrival, countRemainingDepartures } from "./timeCalculations";
+import { formatArrivalTime } from "./timeFormatters";
+import { resolveStopTimeZone } from "./timeZones";
+import { getStopStorageId } from "./commuteHistory";
+
+/**
+ * Notification Rules
+ *
+ * Turns a stop's notification rules ("5 min before I need to leave",
+ * "when only 2 departures remain", "if the next train is over 5 min late")
+ * into events, and remembers which events have fired so each one is only
+ * delivered once.
+ *
+ * Rules are stored with the stop: [{ type, threshold }].
+ */
+
+const NOTIFICATION_LOG_KEY = "notification_log";
+
+// Rule types, their threshold unit and the stop types they apply to
+export const NOTIFICATION_RULE_TYPES = [
+  {
+    type: "leave",
+    label: "min before I need to leave",
+    defaultThreshold: 5,
+    stopTypes: ["bus", "train", "ferry", "trip"],
+  },
+  {
+    type: "last_departures",
+    label: "departures or fewer left today",
+    defaultThreshold: 2,
+    stopTypes: ["bus", "train"],
+  },
+  {
+    type: "delay",
+    label: "min or more late (real-time)",
+    defaultThreshold: 5,
+    stopTypes: ["bus", "train"],
+  },
+];
+
+/**
+ * Get the rule types a stop type supports
+ *
+ * @param {string} stopType - Stop type (bus, train, ferry, trip, ...)
+ * @returns {Array<Object>} - Entries of NOTIFICATION_RULE_TYPES
+ */
+export const getRuleTypesForStop = (stopType) =>
+  NOTIFICATION_RULE_TYPES.filter((rule) => rule.stopTypes.includes(stopType));
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+/**
+ * Leave-time event: fires once per departure when the countdown reaches the threshold
+ */
+const evaluateLeaveRule = (stop, rule, now, bufferMinutes, formatTime) => {
+  const leaveTime = calculateLeaveTime(stop, now, bufferMinutes);
+  if (!leaveTime || leaveTime.status === "missed") return null;
+  if (leaveTime.leaveInSeconds > rule.threshold * 60) return null;
+
+  const minutes = Math.max(Math.ceil(leaveTime.leaveInSeconds / 60), 0);
+  return {
+    key: `${leaveTime.departureTime.getTime()}`,
+    title:
+      minutes > 0
+        ? `Leave in ${minutes} min for ${stop.name}`
+        : `Leave now for ${stop.name}`,
+    body: `Departs at ${formatTime(leaveTime.departureTime)}`,
+  };
+};
+
+/**
+ * Last-departures event: fires once per service day when the departures left
+ * drop to the threshold
+ */
+const evaluateLastDeparturesRule = (stop, rule, now, timeZone, formatTime) => {
+  const lastStopTime = toDate(stop.lastStopTime);
+  const allArrivalTimes = stop.allArrivalTimes || [];
+  const nextArrival = findNextArrival(allArrivalTimes, now, timeZone);
+  const remaining = countRemainingDepartures(
+    nextArrival,
+    lastStopTime,
+    allArrivalTimes,
+    timeZone
+  );
+  if (remaining === null || remaining > rule.threshold) return null;
+
+  return {
+    key: `${lastStopTime.getTime()}`,
+    title:
+      remaining === 1
+        ? `Last departure today for ${stop.name}`
+        : `Only ${plural(remaining, "departure")} left for ${stop.name}`,
+    body: `Last one at ${formatTime(lastStopTime)}`,
+  };
+};
+
+/**
+ * Delay event: fires once per scheduled departure when its real-time
+ * prediction runs late by at least the threshold
+ */
+const evaluateDelayRule = (stop, rule, now, timeZone, formatTime) => {
+  const nextArrival = findNextArrival(
+    stop.allArrivalTimes || [],
+    now,
+    timeZone
+  );
+  if (!nextArrival?.isRealTime || nextArrival.delaySeconds === undefined) {
+    return null;
+  }
+  if (nextArrival.delaySeconds < rule.threshold * 60) return null;
+
+  const scheduled = toDate(
+    nextArrival.scheduledTime || nextArrival.departureTime
+  );
+  return {
+    key: `${scheduled.getTime()}`,
+    title: `${stop.name} is ${Math.round(nextArrival.delaySeconds / 60)} min late`,
+    body: `Now ${formatTime(nextArrival.arrivalTime)} instead of ${formatTime(
+      scheduled
+    )}`,
+  };
+};
+
+/**
+ * Evaluate a stop's notification rules
+ *
+ * @param {Object} stop - Stop with notificationRules
+ * @param {Date} now - Current date/time (defaults to new Date())
+ * @param {number} bufferMinutes - Leave buffer used by the board's countdown
+ * @returns {Array<Object>} - Events ({ key, title, body }); key identifies the stop, rule and departure
+ */
+export const evaluateNotificationRules = (
+  stop,
+  now = new Date(),
+  bufferMinutes
+) => {
+  const rules = stop?.notificationRules || [];
+  if (rules.length === 0) return [];
+
+  const timeZone = resolveStopTimeZone(stop);
+  const formatTime = (time) => formatArrivalTime(time, timeZone);
+  const supported = getRuleTypesForStop(stop.type).map((rule) => rule.type);
+
+  return rules
+    .filter((rule) => supported.includes(rule.type))
+    .map((rule) => {
+      let event = null;
+      if (rule.type === "leave") {
+        event = evaluateLeaveRule(stop, rule, now, bufferMinutes, formatTime);
+      } else if (rule.type === "last_departures") {
+        event = evaluateLastDeparturesRule(
+          stop,
+          rule,
+          now,
+          timeZone,
+          formatTime
+        );
+      } else if (rule.type === "delay") {
+        event = evaluateDelayRule(stop, rule, now, timeZone, formatTime);
+      }
+      return event
+        ? {
+            ...event,
+            key: `${getStopStorageId(stop)}:${rule.type}:${event.key}`,
+          }
+        : null;
+    })
+    .filter(Boolean);
+};
+
+const readLog = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(NOTIFICATION_LOG_KEY));
+    return stored && typeof stored === "object" ? stored : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// Log entries newer than NOTIFICATION_LOG_HOURS
+const readRecentLog = (now) => {
+  const cutoff = now.getTime() - NOTIFICATION_LOG_HOURS * 60 * 60 * 1000;
+  return Object.fromEntries(
+    Object.entries(readLog()).filter(([, firedAt]) => firedAt > cutoff)
+  );
+};
+
+/**
+ * Keep only events that have not fired yet (one per key)
+ * Entries older than NOTIFICATION_LOG_HOURS are forgotten.
+ *
+ * @param {Array<Object>} events - Results of evaluateNotificationRules
+ * @param {Date} now - Current date/time (defaults to new Date())
+ * @returns {Array<Object>} - Events to deliver now
+ */
+export const getUnsentEvents = (events, now = new Date()) => {
+  const log = readRecentLog(now);
+  return events.filter((event, index) => {
+    const first = events.findIndex((e) => e.key === event.key) === index;
+    return first && log[event.key] === undefined;
+  });
+};
+
+/**
+ * Remember events as fired, so getUnsentEvents skips them
+ * Only record events that were actually shown.
+ *
+ * @param {Array<Object>} events - Events delivered
+ * @param {Date} now - Current date/time (defaults to new Date())
+ */
+export const markEventsSent = (events, now = new Date()) => {
+  if (events.length === 0) return;
+
+  const log = readRecentLog(now);
+  events.forEach((event) => {
+    log[event.key] = now.getTime();
+  });
+
+  try {
+    localStorage.setItem(NOTIFICATION_LOG_KEY, JSON.stringify(log));
+  } catch (error) {
+    console.error("Error storing notification log:", error);
+  }
+};
@@ -0,0 +1,158 @@
+import { openKeyValueStore, createMemoryStore } from "./indexedDbStore";
+import { isNetworkError } from "./connectivity";
+
+/**
+ * Offline Store
+ *
+ * Keeps what the board needs to work offline in IndexedDB: the last boards
+ * and stop lists loaded from the backend, and stop edits (create, hide,
+ * favorite, reorder) made while offline, which are replayed in order once
+ * the backend can be reached again.
+ *
+ * Queued edits are stored as { type, ... } under increasing numeric keys:
+ *   { type: "create", stopData }
+ *   { type: "flags", stopIds, changes }
+ *   { type: "reorder", stopId, position, boardId }
+ */
+
+const boardStateStore =
+  openKeyValueStore("eggy_board_state") || createMemoryStore();
+const editQueueStore =
+  openKeyValueStore("eggy_edit_queue") || createMemoryStore();
+
+const queueListeners = new Set();
+let lastEditKey = 0;
+
+const notifyQueue = () => queueListeners.forEach((listener) => listener());
+
+/**
+ * Save the last copy of a backend response the board uses
+ *
+ * @param {string} key - What it is (e.g., "boards", "stops:3")
+ * @param {*} data - Response data
+ */
+export const saveBoardState = (key, data) =>
+  boardStateStore
+    .set(key, { data, savedAt: Date.now() })
+    .catch((error) =>
+      console.warn("⚠ Could not save board for offline use:", error.message)
+    );
+
+/**
+ * Read the last saved copy of a backend response
+ *
+ * @param {string} key - What it is (e.g., "boards", "stops:3")
+ * @returns {Promise<*>} - Response data, or null if none was saved
+ */
+export const loadBoardState = async (key) => {
+  try {
+    const entry = await boardStateStore.get(key);
+    return entry ? entry.data : null;
+  } catch (error) {
+    console.warn("⚠ Could not read saved board:", error.message);
+    return null;
+  }
+};
+
+/**
+ * Queue a stop edit to replay once back online
+ *
+ * @param {Object} edit - { type, ... }
+ * @returns {Promise<void>}
+ */
+export const queueEdit = async (edit) => {
+  // Keys keep the edits in the order they were made
+  lastEditKey = Math.max(Date.now(), lastEditKey + 1);
+  await editQueueStore.set(lastEditKey, edit);
+  console.log(`⚠ Offline: queued stop edit (${edit.type})`);
+  notifyQueue();
+};
+
+/**
+ * Read the queued stop edits, oldest first
+ *
+ * @returns {Promise<Array<Object>>} - Edits, each with its queue key
+ */
+export const getQueuedEdits = async () => {
+  try {
+    const entries = await editQueueStore.entries();
+    return entries.map(([key, edit]) => ({ ...edit, key }));
+  } catch (error) {
+    console.warn("⚠ Could not read queued edits:", error.message);
+    return [];
+  }
+};
+
+/**
+ * Remove an edit from the queue (replayed, or dropped)
+ *
+ * @param {number} key - Queue key
+ * @returns {Promise<void>}
+ */
+export const removeQueuedEdit = async (key) => {
+  await editQueueStore.delete(key);
+  notifyQueue();
+};
+
+/**
+ * Listen for edits added to or removed from the queue
+ *
+ * @param {Function} listener - Called with no arguments
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeEditQueue = (listener) => {
+  queueListeners.add(listener);
+  return () => queueListeners.delete(listener);
+};
+
+/**
+ * Apply queued hide/favorite edits to a saved stop list, so the board shows
+ * them while offline
+ * Stops hidden by an edit are left out, like the backend's visible list.
+ * Creates and moves aren't applied: new stops appear once they're saved,
+ * and the board order is already kept on the device.
+ *
+ * @param {Array<Object>} stops - Stops from the backend
+ * @param {Array<Object>} edits - Queued edits, oldest first
+ * @param {Object} options
+ * @param {boolean} options.includeHidden - Keep hidden stops (for the manage stops list)
+ * @returns {Array<Object>} - Stops with the edits applied
+ */
+export const applyQueuedEdits = (
+  stops,
+  edits,
+  { includeHidden = false } = {}
+) => {
+  const updated = stops.map((stop) =>
+    edits
+      .filter(
+        (edit) =>
+          edit.type === "flags" &&
+          edit.stopIds.map(String).includes(String(stop.id))
+      )
+      .reduce((current, edit) => ({ ...current, ...edit.changes }), stop)
+  );
+  return includeHidden ? updated : updated.filter((stop) => !stop.hidden);
+};
+
+/**
+ * Run a backend GET, keeping a copy of its data for offline use
+ * When the backend can't be reached, the last saved copy is returned instead.
+ *
+ * @param {string} key - What it is (e.g., "boards", "stops:3")
+ * @param {Function} request - Runs the request, resolving to the response data
+ * @returns {Promise<*>} - Response data, fresh or saved
+ */
+export const fetchWithOfflineCopy = async (key, request) => {
+  try {
+    const data = await request();
+    saveBoardState(key, data);
+    return data;
+  } catch (error) {
+    if (!isNetworkError(error)) throw error;
+    const saved = await loadBoardState(key);
+    if (saved === null) throw error;
+    console.warn(`⚠ Offline: showing the saved copy of ${key}`);
+    return saved;
+  }
+};
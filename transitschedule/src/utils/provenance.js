@@ -0,0 +1,173 @@
+import { PROVENANCE_STALE_MINUTES } from "./constants";
+
+/**
+ * Data Provenance
+ *
+ * Where each stop's times came from. Services fall back from live Google
+ * data (through the backend proxy or direct) to the request cache, a GTFS or
+ * ferry timetable, the stop's saved data file, or nothing; every stop result
+ * carries a provenance record saying which, so the board can tell them apart:
+ *   { source, fetchedAt, dataAt, error }
+ * fetchedAt is when the result was built and dataAt when its data was
+ * fetched from Google or the saved file was written (epoch milliseconds;
+ * null when unknown). error is why a better source wasn't used, if any (a
+ * stop error, see stopErrors).
+ *
+ * Responses are tagged where they're loaded (request cache, file loader),
+ * so services only say which kind of data they used.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+export const PROVENANCE_SOURCES = {
+  live: "Live",
+  cached: "Cached",
+  saved: "Saved file",
+  schedule: "Timetable",
+  none: "No data",
+};
+
+// Response data object -> { source, storedAt }
+const responseTags = new WeakMap();
+
+/**
+ * Tag a loaded response with where it came from
+ *
+ * @param {Object} data - Response data
+ * @param {Object} tag - { source: "live" | "cached" | "saved", storedAt }
+ * @returns {Object} - The data, for chaining
+ */
+export const tagResponse = (data, tag) => {
+  if (data && typeof data === "object") {
+    responseTags.set(data, tag);
+  }
+  return data;
+};
+
+/**
+ * Read a response's tag
+ *
+ * @param {Object} data - Response data
+ * @returns {Object|null} - { source, storedAt }, or null if untagged
+ */
+export const getResponseTag = (data) =>
+  (data && typeof data === "object" && responseTags.get(data)) || null;
+
+/**
+ * Build a provenance record
+ * Live responses served from the request cache count as cached; the
+ * response's tag also gives the time of its data.
+ *
+ * @param {string} source - "live", "saved", "schedule" or "none"
+ * @param {Object} options
+ * @param {Object} options.response - Response data the result was built from
+ * @param {Object|null} options.error - Stop error: why a better source wasn't used
+ * @param {number} options.now - Current time in epoch milliseconds
+ * @returns {Object} - { source, fetchedAt, dataAt, error }
+ */
+export const buildProvenance = (
+  source,
+  { response = null, error = null, now = Date.now() } = {}
+) => {
+  const tag = getResponseTag(response);
+  const resolvedSource = source === "live" && tag ? tag.source : source;
+  let dataAt = null;
+  if (tag?.storedAt) {
+    dataAt = tag.storedAt;
+  } else if (resolvedSource === "live") {
+    dataAt = now;
+  }
+  return {
+    source: resolvedSource,
+    fetchedAt: now,
+    dataAt,
+    error: error || null,
+  };
+};
+
+/**
+ * Attach a provenance record to stop data
+ *
+ * @param {Object} stopData - Formatted stop data
+ * @param {string} source - "live", "saved", "schedule" or "none"
+ * @param {Object} options - See buildProvenance
+ * @returns {Object} - Stop data with provenance
+ */
+export const withProvenance = (stopData, source, options = {}) => ({
+  ...stopData,
+  provenance: buildProvenance(source, options),
+});
+
+/**
+ * Format how old a stop's data is
+ *
+ * @param {Object} provenance - Provenance record
+ * @param {number} now - Current time in epoch milliseconds
+ * @returns {string|null} - e.g. "just now", "12 min", "3 h", "5 days", "3 wk"; null when unknown
+ */
+export const formatProvenanceAge = (provenance, now = Date.now()) => {
+  if (!provenance?.dataAt) return null;
+  const minutes = Math.max(
+    0,
+    Math.floor((now - provenance.dataAt) / MINUTE_MS)
+  );
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours} h`;
+  const days = Math.floor(hours / 24);
+  if (days < 14) return `${days} days`;
+  return `${Math.floor(days / 7)} wk`;
+};
+
+/**
+ * Short label for a stop's provenance badge
+ * Cached and saved data also show their age.
+ *
+ * @param {Object} provenance - Provenance record
+ * @param {number} now - Current time in epoch milliseconds
+ * @returns {string} - e.g. "Live", "Cached · 4 min", "Saved file · 3 wk"
+ */
+export const formatProvenanceLabel = (provenance, now = Date.now()) => {
+  const label =
+    PROVENANCE_SOURCES[provenance?.source] || PROVENANCE_SOURCES.none;
+  const age = formatProvenanceAge(provenance, now);
+  const showAge =
+    provenance?.source === "cached" || provenance?.source === "saved";
+  return showAge && age ? `${label} · ${age}` : label;
+};
+
+/**
+ * Whether a stop's data shouldn't be read as current
+ * Saved files always are; cached data once older than
+ * PROVENANCE_STALE_MINUTES. Timetables aren't (they're meant to be read
+ * ahead) unless they have run out.
+ *
+ * @param {Object} provenance - Provenance record
+ * @param {number} now - Current time in epoch milliseconds
+ * @returns {boolean}
+ */
+export const isProvenanceStale = (provenance, now = Date.now()) => {
+  if (!provenance) return false;
+  if (provenance.source === "saved") return true;
+  if (provenance.source === "schedule") {
+    return provenance.error?.code === "scheduleExpired";
+  }
+  if (provenance.source === "none") return false;
+  return (
+    !provenance.dataAt ||
+    now - provenance.dataAt > PROVENANCE_STALE_MINUTES * MINUTE_MS
+  );
+};
+
+/**
+ * Whether a stop's data was read by this refresh
+ * True for live data and timetables. Cached and saved data were fetched
+ * earlier, so commute history and reliability leave them out rather than
+ * record them again as new.
+ *
+ * @param {Object} provenance - Provenance record
+ * @returns {boolean}
+ */
+export const isProvenanceFresh = (provenance) =>
+  provenance?.source === "live" || provenance?.source === "schedule";
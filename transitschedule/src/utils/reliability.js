@@ -0,0 +1,257 @@
+import {
+  ON_TIME_EARLY_SECONDS,
+  ON_TIME_LATE_SECONDS,
+  RELIABILITY_RETENTION_DAYS,
+  RELIABILITY_MIN_DEPARTURES,
+  RELIABILITY_MAX_HEADWAY_MINUTES,
+} from "./constants";
+import { getStopStorageId } from "./commuteHistory";
+import { isProvenanceFresh } from "./provenance";
+
+/**
+ * Reliability Scoring
+ *
+ * Keeps every departure a bus or train stop has seen (scheduled time and the
+ * latest real-time prediction) in localStorage and scores the stop's route:
+ * on-time percentage, average and worst delay, and how evenly departures
+ * are spaced (headway regularity).
+ *
+ * Stored departures: { s: scheduled, p: latest prediction (real-time only) },
+ * epoch milliseconds, one entry per scheduled departure.
+ */
+
+const RELIABILITY_KEY_PREFIX = "reliability_";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCORED_TYPES = ["bus", "train"];
+
+const getRouteSlug = (stop) =>
+  String(stop.routeFilter || "any")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-");
+
+/**
+ * Get the localStorage key for a stop's departures
+ * Keyed by route too, so changing a stop's route starts a fresh record.
+ *
+ * @param {Object} stop - Stop with routeFilter
+ * @returns {string} - Storage key
+ */
+export const getReliabilityKey = (stop) =>
+  `${RELIABILITY_KEY_PREFIX}${getStopStorageId(stop)}_${getRouteSlug(stop)}`;
+
+const readDepartures = (key) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const toTime = (value) => (value ? new Date(value).getTime() : null);
+
+/**
+ * Merge a refresh's arrivals into stored departures
+ * Later predictions for the same scheduled departure replace earlier ones,
+ * so each departure ends up with its last prediction before it left.
+ *
+ * @param {Array<Object>} departures - Stored departures
+ * @param {Array<Object>} allArrivalTimes - Arrivals from a refresh
+ * @returns {Array<Object>} - Departures sorted by scheduled time
+ */
+export const mergeDepartures = (departures, allArrivalTimes) => {
+  const bySchedule = new Map(departures.map((d) => [d.s, d]));
+
+  (allArrivalTimes || []).forEach((time) => {
+    const scheduled = toTime(
+      time.scheduledTime || time.departureTime || time.arrivalTime
+    );
+    if (!scheduled) return;
+    const predicted = time.isRealTime
+      ? toTime(time.predictedTime || time.arrivalTime)
+      : null;
+
+    const existing = bySchedule.get(scheduled);
+    if (predicted !== null) {
+      bySchedule.set(scheduled, { s: scheduled, p: predicted });
+    } else if (!existing) {
+      bySchedule.set(scheduled, { s: scheduled });
+    }
+  });
+
+  return Array.from(bySchedule.values()).sort((a, b) => a.s - b.s);
+};
+
+/**
+ * Record the departures seen by a refresh for every bus and train stop
+ * Stops showing cached or saved data are skipped, so old predictions are
+ * never merged in as the latest.
+ *
+ * @param {Array<Object>} stops - Stops from a refresh
+ * @param {Date} now - Current date/time (defaults to new Date())
+ */
+export const recordDepartures = (stops, now = new Date()) => {
+  (stops || []).forEach((stop) => {
+    if (!stop || !SCORED_TYPES.includes(stop.type)) return;
+    if (!isProvenanceFresh(stop.provenance)) return;
+    if (!stop.allArrivalTimes || stop.allArrivalTimes.length === 0) return;
+
+    const key = getReliabilityKey(stop);
+    const departures = mergeDepartures(
+      readDepartures(key),
+      stop.allArrivalTimes
+    ).filter((d) => d.s > now.getTime() - RELIABILITY_RETENTION_DAYS * DAY_MS);
+
+    try {
+      localStorage.setItem(key, JSON.stringify(departures));
+    } catch (error) {
+      console.error(`Error storing departures for ${stop.name}:`, error);
+    }
+  });
+};
+
+const mean = (values) =>
+  values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Get a letter grade for a reliability score
+ *
+ * @param {number} score - Score from 0 to 100
+ * @returns {string} - "A", "B", "C" or "D"
+ */
+export const getReliabilityGrade = (score) => {
+  if (score >= 90) return "A";
+  if (score >= 75) return "B";
+  if (score >= 60) return "C";
+  return "D";
+};
+
+/**
+ * Score departures that have already left
+ *
+ * The score weighs on-time percentage (70%) and headway regularity (30%,
+ * 1 minus the headways' coefficient of variation); without real-time
+ * predictions it is regularity alone.
+ *
+ * @param {Array<Object>} departures - Stored departures
+ * @param {Date} now - Current date/time (defaults to new Date())
+ * @returns {Object|null} - { departures, realTimeDepartures, onTimePercent, averageDelaySeconds, worstDelaySeconds, averageHeadwaySeconds, headwayStdevSeconds, headwayRegularityPercent, score, grade, since }, or null with too few departures
+ */
+export const computeReliability = (departures, now = new Date()) => {
+  const departed = departures.filter((d) => (d.p ?? d.s) <= now.getTime());
+  if (departed.length < RELIABILITY_MIN_DEPARTURES) return null;
+
+  const delays = departed
+    .filter((d) => d.p !== undefined && d.p !== null)
+    .map((d) => Math.round((d.p - d.s) / 1000));
+  const onTimePercent =
+    delays.length > 0
+      ? Math.round(
+          (100 *
+            delays.filter(
+              (delay) =>
+                delay >= -ON_TIME_EARLY_SECONDS && delay <= ON_TIME_LATE_SECONDS
+            ).length) /
+            delays.length
+        )
+      : null;
+
+  const times = departed.map((d) => d.p ?? d.s).sort((a, b) => a - b);
+  const headways = [];
+  for (let i = 1; i < times.length; i++) {
+    const seconds = Math.round((times[i] - times[i - 1]) / 1000);
+    if (seconds > 0 && seconds <= RELIABILITY_MAX_HEADWAY_MINUTES * 60) {
+      headways.push(seconds);
+    }
+  }
+  let averageHeadwaySeconds = null;
+  let headwayStdevSeconds = null;
+  let headwayRegularityPercent = null;
+  if (headways.length > 0) {
+    const average = mean(headways);
+    const stdev = Math.sqrt(mean(headways.map((h) => (h - average) ** 2)));
+    averageHeadwaySeconds = Math.round(average);
+    headwayStdevSeconds = Math.round(stdev);
+    headwayRegularityPercent = Math.round(
+      100 * Math.min(Math.max(1 - stdev / average, 0), 1)
+    );
+  }
+
+  let score = null;
+  if (onTimePercent !== null && headwayRegularityPercent !== null) {
+    score = Math.round(0.7 * onTimePercent + 0.3 * headwayRegularityPercent);
+  } else {
+    score = onTimePercent ?? headwayRegularityPercent;
+  }
+
+  return {
+    departures: departed.length,
+    realTimeDepartures: delays.length,
+    onTimePercent,
+    averageDelaySeconds: delays.length > 0 ? Math.round(mean(delays)) : null,
+    worstDelaySeconds: delays.length > 0 ? Math.max(...delays) : null,
+    averageHeadwaySeconds,
+    headwayStdevSeconds,
+    headwayRegularityPercent,
+    score,
+    grade: score !== null ? getReliabilityGrade(score) : null,
+    since: new Date(departed[0].s),
+  };
+};
+
+/**
+ * Get a bus or train stop's reliability from its recorded departures
+ *
+ * @param {Object} stop - Stop data
+ * @param {Date} now - Current date/time (defaults to new Date())
+ * @returns {Object|null} - Result of computeReliability, or null for other stop types
+ */
+export const getStopReliability = (stop, now = new Date()) => {
+  if (!stop || !SCORED_TYPES.includes(stop.type)) return null;
+  return computeReliability(readDepartures(getReliabilityKey(stop)), now);
+};
+
+/**
+ * Remove a stop's recorded departures for every route it has had
+ *
+ * @param {Object} stop - Stop data (only its id, or name and type, are needed)
+ */
+export const clearStopReliability = (stop) => {
+  const prefix = `${RELIABILITY_KEY_PREFIX}${getStopStorageId(stop)}_`;
+  Object.keys(localStorage)
+    .filter((key) => key.startsWith(prefix))
+    .forEach((key) => localStorage.removeItem(key));
+};
+
+/**
+ * Move recorded departures to a stop's replacement
+ * Only when the route is unchanged; a new route starts a fresh record.
+ *
+ * @param {Object} fromStop - Stop being replaced
+ * @param {Object} toStop - Replacement stop
+ */
+export const moveStopReliability = (fromStop, toStop) => {
+  if (getRouteSlug(fromStop) !== getRouteSlug(toStop)) return;
+  const fromKey = getReliabilityKey(fromStop);
+  const toKey = getReliabilityKey(toStop);
+  if (fromKey === toKey) return;
+
+  const stored = localStorage.getItem(fromKey);
+  if (!stored) return;
+  localStorage.setItem(toKey, stored);
+  localStorage.removeItem(fromKey);
+};
+
+/**
+ * Format the board badge for a reliability result
+ *
+ * @param {Object|null} reliability - Result of computeReliability
+ * @returns {string} - "A 94% on time", "C 71% regular" (no real-time data), or "" if unknown
+ */
+export const formatReliabilityBadge = (reliability) => {
+  if (!reliability || reliability.score === null) return "";
+  if (reliability.onTimePercent !== null) {
+    return `${reliability.grade} ${reliability.onTimePercent}% on time`;
+  }
+  return `${reliability.grade} ${reliability.headwayRegularityPercent}% regular`;
+};
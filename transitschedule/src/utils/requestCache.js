@@ -0,0 +1,346 @@
+import {
+  REQUEST_CACHE_POLICIES,
+  REQUEST_CACHE_MEMORY_ENTRIES,
+  REQUEST_CACHE_NOTIFY_MS,
+} from "./constants";
+import { openKeyValueStore } from "./indexedDbStore";
+import { getBudgetLevel, getRequestApi, recordRequest } from "./requestMeter";
+import { isBrowserOffline } from "./connectivity";
+import { tagResponse } from "./provenance";
+
+/**
+ * Request Cache
+ *
+ * Shared cache in front of the Google requests (Directions, Distance Matrix,
+ * Places and Geocoding, direct or through the backend proxy). Each endpoint
+ * stays fresh for its own time (REQUEST_CACHE_POLICIES). A stale response is
+ * returned at once while a fresh one loads in the background, and identical
+ * requests in flight share one promise. Entries are kept in memory and in
+ * IndexedDB, so a reload shows the board without waiting on Google. Requests
+ * that reach Google are counted by the request meter; once its budget is
+ * spent, or while the browser is offline, only cached responses are used.
+ *
+ * Entries are stored as { data, storedAt, expiresAt } (epoch milliseconds;
+ * expiresAt is when the entry can no longer be shown, even stale). Returned
+ * data is tagged as live or cached for the stop's provenance.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// Google statuses worth caching; others (OVER_QUERY_LIMIT, REQUEST_DENIED)
+// are retried on the next request
+const CACHEABLE_STATUSES = ["OK", "ZERO_RESULTS"];
+
+/**
+ * Get a request's travel mode
+ * Google defaults to driving; the backend proxy to transit.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} params - Query params
+ * @returns {string} - Travel mode
+ */
+const getTravelMode = (url, params) => {
+  if (params.mode) return params.mode;
+  return params.transit_mode || url.includes("live_transit")
+    ? "transit"
+    : "driving";
+};
+
+/**
+ * Find the cache policy for a request
+ *
+ * @param {string} url - Request URL
+ * @param {Object} params - Query params
+ * @param {Array} policies - Policies to choose from
+ * @returns {Object|null} - { ttlMinutes, maxAgeMinutes }, or null if not cached
+ */
+export const getRequestCachePolicy = (
+  url,
+  params = {},
+  policies = REQUEST_CACHE_POLICIES
+) => {
+  const mode = getTravelMode(url, params);
+  return (
+    policies.find(
+      (policy) =>
+        policy.match.test(url) && (!policy.modes || policy.modes.includes(mode))
+    ) || null
+  );
+};
+
+/**
+ * Build the cache key for a request
+ * Params are sorted, and the API key is left out so it isn't stored.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} params - Query params
+ * @returns {string} - Cache key
+ */
+export const getRequestCacheKey = (url, params = {}) => {
+  const query = Object.keys(params)
+    .filter((name) => name !== "key" && params[name] !== undefined)
+    .sort()
+    .map((name) => `${name}=${params[name]}`)
+    .join("&");
+  return query ? `${url}?${query}` : url;
+};
+
+/**
+ * Whether a response can be cached
+ *
+ * @param {*} data - Response data
+ * @returns {boolean}
+ */
+const isCacheableResponse = (data) =>
+  data !== null &&
+  data !== undefined &&
+  (!data.status || CACHEABLE_STATUSES.includes(data.status));
+
+/**
+ * Create a request cache
+ *
+ * @param {Object} options
+ * @param {Object|null} options.store - Persistent store ({ get, set, delete, entries }), or null for memory only
+ * @param {Array} options.policies - Cache policies
+ * @param {Function} options.now - Current time in epoch milliseconds
+ * @returns {Object} - { fetch, coalesce, subscribe, prune, clear }
+ */
+export const createRequestCache = ({
+  store = null,
+  policies = REQUEST_CACHE_POLICIES,
+  now = () => Date.now(),
+} = {}) => {
+  const memory = new Map();
+  const inFlight = new Map();
+  const listeners = new Set();
+  let notifyTimer = null;
+
+  const remember = (key, entry) => {
+    memory.delete(key);
+    memory.set(key, entry);
+    // Drop the least recently used entries
+    while (memory.size > REQUEST_CACHE_MEMORY_ENTRIES) {
+      memory.delete(memory.keys().next().value);
+    }
+  };
+
+  const readEntry = async (key) => {
+    if (memory.has(key)) return memory.get(key);
+    if (!store) return null;
+    try {
+      const entry = await store.get(key);
+      if (entry) remember(key, entry);
+      return entry || null;
+    } catch (error) {
+      console.warn("⚠ Could not read request cache:", error.message);
+      return null;
+    }
+  };
+
+  const writeEntry = (key, entry) => {
+    remember(key, entry);
+    if (store) {
+      store
+        .set(key, entry)
+        .catch((error) =>
+          console.warn("⚠ Could not save request cache:", error.message)
+        );
+    }
+  };
+
+  // Tell subscribers once background refreshes settle
+  const notify = () => {
+    clearTimeout(notifyTimer);
+    notifyTimer = setTimeout(() => {
+      listeners.forEach((listener) => listener());
+    }, REQUEST_CACHE_NOTIFY_MS);
+  };
+
+  /**
+   * Run a request, sharing the promise with identical requests in flight
+   *
+   * @param {string} key - Request key
+   * @param {Function} fetcher - Runs the request
+   * @returns {Promise<*>} - The request's result
+   */
+  const coalesce = (key, fetcher) => {
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const promise = (async () => {
+      try {
+        return await fetcher();
+      } finally {
+        inFlight.delete(key);
+      }
+    })();
+    inFlight.set(key, promise);
+    return promise;
+  };
+
+  const revalidate = (key, policy, fetcher) =>
+    coalesce(key, async () => {
+      const data = await fetcher();
+      const storedAt = now();
+      if (isCacheableResponse(data)) {
+        writeEntry(key, {
+          data,
+          storedAt,
+          expiresAt: storedAt + policy.maxAgeMinutes * MINUTE_MS,
+        });
+      }
+      return tagResponse(data, { source: "live", storedAt });
+    });
+
+  // A copy, so tagging it doesn't retag the response it was stored from
+  const fromCache = (entry) =>
+    tagResponse(
+      { ...entry.data },
+      { source: "cached", storedAt: entry.storedAt }
+    );
+
+  /**
+   * Get a response from the cache, or run the request
+   * Fresh entries are returned as is. Stale ones are returned too while the
+   * request runs in the background; entries past their max age (and
+   * requests without a policy) wait for the request.
+   *
+   * @param {string} url - Request URL
+   * @param {Object} params - Query params
+   * @param {Function} fetcher - Runs the request, resolving to the response data
+   * @param {Object} options
+   * @param {boolean} options.cacheOnly - Return any cached entry, however old, and never run the request
+   * @returns {Promise<*>} - Response data
+   */
+  const fetch = async (url, params, fetcher, { cacheOnly = false } = {}) => {
+    const policy = getRequestCachePolicy(url, params, policies);
+    if (!policy) return fetcher();
+
+    const key = getRequestCacheKey(url, params);
+    const entry = await readEntry(key);
+    const currentTime = now();
+
+    if (cacheOnly) {
+      if (entry) return fromCache(entry);
+      throw Object.assign(
+        new Error(`No cached response for ${url} (cache only)`),
+        { cacheOnly: true }
+      );
+    }
+
+    if (entry && currentTime < entry.expiresAt) {
+      if (currentTime - entry.storedAt < policy.ttlMinutes * MINUTE_MS) {
+        return fromCache(entry);
+      }
+      revalidate(key, policy, fetcher)
+        .then((data) => {
+          if (isCacheableResponse(data)) notify();
+        })
+        .catch((error) =>
+          console.warn(`⚠ Background refresh failed for ${url}:`, error.message)
+        );
+      return fromCache(entry);
+    }
+
+    return revalidate(key, policy, fetcher);
+  };
+
+  /**
+   * Listen for background refreshes (called once they settle)
+   *
+   * @param {Function} listener - Called with no arguments
+   * @returns {Function} - Unsubscribe
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  /**
+   * Remove stored entries past their max age
+   *
+   * @returns {Promise<number>} - Entries removed
+   */
+  const prune = async () => {
+    const currentTime = now();
+    memory.forEach((entry, key) => {
+      if (currentTime >= entry.expiresAt) memory.delete(key);
+    });
+    if (!store) return 0;
+
+    const expired = (await store.entries()).filter(
+      ([, entry]) => !entry || currentTime >= entry.expiresAt
+    );
+    await Promise.all(expired.map(([key]) => store.delete(key)));
+    return expired.length;
+  };
+
+  const clear = () => {
+    memory.clear();
+    clearTimeout(notifyTimer);
+  };
+
+  return { fetch, coalesce, subscribe, prune, clear };
+};
+
+// Shared cache for the app
+const requestCache = createRequestCache({
+  store: openKeyValueStore("eggy_request_cache"),
+});
+requestCache
+  .prune()
+  .catch((error) =>
+    console.warn("⚠ Could not prune request cache:", error.message)
+  );
+
+/**
+ * GET through the shared cache
+ * Drop-in for client.get(url, config) where only response.data is used.
+ * Google requests that go out are recorded by the request meter under
+ * config.stop; past the budget or offline they're answered from the cache
+ * only.
+ *
+ * @param {Object} client - axios or an axios instance
+ * @param {string} url - Request URL
+ * @param {Object} config - Request config ({ params, stop, ... }); stop names the stop for the meter
+ * @returns {Promise<Object>} - { data }
+ */
+export const cachedGet = async (client, url, config = {}) => {
+  const { stop, ...requestConfig } = config;
+  const params = requestConfig.params || {};
+  const cacheOnly =
+    !!getRequestApi(url) &&
+    (isBrowserOffline() || getBudgetLevel() === "cached");
+
+  const data = await requestCache.fetch(
+    url,
+    params,
+    async () => {
+      const response = await client.get(url, requestConfig);
+      recordRequest(url, params, stop);
+      return response.data;
+    },
+    { cacheOnly }
+  );
+  return { data };
+};
+
+/**
+ * Share one promise between identical requests in flight (e.g. POSTs that
+ * shouldn't run twice at once)
+ *
+ * @param {string} key - Request key
+ * @param {Function} fetcher - Runs the request
+ * @returns {Promise<*>} - The request's result
+ */
+export const coalesceRequest = (key, fetcher) =>
+  requestCache.coalesce(key, fetcher);
+
+/**
+ * Listen for background refreshes of stale responses, e.g. to redraw the
+ * board with the fresh data
+ *
+ * @param {Function} listener - Called once refreshes settle
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeRequestCache = (listener) =>
+  requestCache.subscribe(listener);
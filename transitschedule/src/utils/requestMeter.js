@@ -0,0 +1,282 @@
+import {
+  GOOGLE_APIS,
+  METER_RETENTION_DAYS,
+  BUDGET_SLOW_RATIO,
+  BUDGET_SLOW_FACTOR,
+} from "./constants";
+
+/**
+ * Request Meter
+ *
+ * Counts the Google requests that reach the network (cache hits aren't
+ * billed), by API and by stop, per local day in localStorage, and estimates
+ * their cost from GOOGLE_APIS. Daily and monthly budgets slow the board's
+ * refresh as they're approached and switch it to cached or saved data once
+ * they're spent.
+ *
+ * Usage is stored by day:
+ *   { "2026-10-19": { apis: { directions: 12 }, stops: { "To HEB": { directions: 3 } } } }
+ */
+
+const USAGE_KEY = "api_usage";
+const BUDGETS_KEY = "api_budgets";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Requests made without a stop (forms, geocoding, mode comparison)
+export const UNTAGGED_STOP = "Other";
+
+const listeners = new Set();
+
+const notify = () => listeners.forEach((listener) => listener());
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * Get the local day key for a date
+ *
+ * @param {Date} date - Date
+ * @returns {string} - "YYYY-MM-DD"
+ */
+export const getDayKey = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Find the Google API a request goes to
+ *
+ * @param {string} url - Request URL
+ * @returns {Object|null} - Entry from GOOGLE_APIS, or null for other requests
+ */
+export const getRequestApi = (url) =>
+  GOOGLE_APIS.find((api) => api.match.test(url)) || null;
+
+/**
+ * Count a request's billed units
+ * Distance Matrix bills per element (origins x destinations); others per call.
+ *
+ * @param {Object} api - Entry from GOOGLE_APIS
+ * @param {Object} params - Query params
+ * @returns {number} - Units
+ */
+export const countRequestUnits = (api, params = {}) => {
+  if (api.id !== "distanceMatrix") return 1;
+  const count = (value) => String(value || "").split("|").length;
+  return count(params.origins) * count(params.destinations);
+};
+
+/**
+ * Read stored usage
+ *
+ * @returns {Object} - Usage by day key
+ */
+export const loadUsage = () => {
+  try {
+    const usage = JSON.parse(localStorage.getItem(USAGE_KEY));
+    return usage && typeof usage === "object" ? usage : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const saveUsage = (usage) => {
+  try {
+    localStorage.setItem(USAGE_KEY, JSON.stringify(usage));
+  } catch (error) {
+    console.warn("⚠ Could not save API usage:", error.message);
+  }
+};
+
+/**
+ * Record a request that went to the network
+ * Requests to anything but a Google API are ignored.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} params - Query params
+ * @param {string} stopName - Stop the request was for (defaults to UNTAGGED_STOP)
+ * @param {Date} now - Request time (defaults to new Date())
+ */
+export const recordRequest = (url, params, stopName, now = new Date()) => {
+  const api = getRequestApi(url);
+  if (!api) return;
+
+  const units = countRequestUnits(api, params);
+  const stop = stopName || UNTAGGED_STOP;
+  const dayKey = getDayKey(now);
+  const oldestKey = getDayKey(
+    new Date(now.getTime() - METER_RETENTION_DAYS * DAY_MS)
+  );
+
+  const usage = loadUsage();
+  Object.keys(usage).forEach((key) => {
+    if (key < oldestKey) delete usage[key];
+  });
+
+  const day = usage[dayKey] || { apis: {}, stops: {} };
+  day.apis[api.id] = (day.apis[api.id] || 0) + units;
+  day.stops[stop] = day.stops[stop] || {};
+  day.stops[stop][api.id] = (day.stops[stop][api.id] || 0) + units;
+  usage[dayKey] = day;
+
+  saveUsage(usage);
+  notify();
+};
+
+/**
+ * Estimate the cost of API counts
+ *
+ * @param {Object} counts - Units by API id
+ * @returns {number} - Estimated cost in US dollars
+ */
+export const estimateCost = (counts) =>
+  GOOGLE_APIS.reduce(
+    (total, api) => total + ((counts[api.id] || 0) * api.usdPer1000) / 1000,
+    0
+  );
+
+/**
+ * Total a set of days
+ *
+ * @param {Array<Object>} days - Stored days
+ * @returns {Object} - { apis: [{ id, label, calls, costUsd }], stops: [{ name, calls, costUsd }], calls, costUsd }
+ */
+const summarizeDays = (days) => {
+  const apiCounts = {};
+  const stopCounts = {};
+  days.forEach((day) => {
+    Object.entries(day.apis || {}).forEach(([id, count]) => {
+      apiCounts[id] = (apiCounts[id] || 0) + count;
+    });
+    Object.entries(day.stops || {}).forEach(([name, counts]) => {
+      stopCounts[name] = stopCounts[name] || {};
+      Object.entries(counts).forEach(([id, count]) => {
+        stopCounts[name][id] = (stopCounts[name][id] || 0) + count;
+      });
+    });
+  });
+
+  const sum = (counts) =>
+    Object.values(counts).reduce((total, count) => total + count, 0);
+
+  return {
+    apis: GOOGLE_APIS.map((api) => ({
+      id: api.id,
+      label: api.label,
+      calls: apiCounts[api.id] || 0,
+      costUsd: estimateCost({ [api.id]: apiCounts[api.id] }),
+    })),
+    stops: Object.entries(stopCounts)
+      .map(([name, counts]) => ({
+        name,
+        calls: sum(counts),
+        costUsd: estimateCost(counts),
+      }))
+      .sort((a, b) => b.costUsd - a.costUsd || b.calls - a.calls),
+    calls: sum(apiCounts),
+    costUsd: estimateCost(apiCounts),
+  };
+};
+
+/**
+ * Summarize usage for today and this month
+ *
+ * @param {Object} usage - Usage by day key (defaults to the stored usage)
+ * @param {Date} now - Current time (defaults to new Date())
+ * @returns {Object} - { today, month }, each from summarizeDays
+ */
+export const summarizeUsage = (usage = loadUsage(), now = new Date()) => {
+  const dayKey = getDayKey(now);
+  const monthPrefix = dayKey.slice(0, 8);
+  return {
+    today: summarizeDays(usage[dayKey] ? [usage[dayKey]] : []),
+    month: summarizeDays(
+      Object.keys(usage)
+        .filter((key) => key.startsWith(monthPrefix))
+        .map((key) => usage[key])
+    ),
+  };
+};
+
+/**
+ * Read the budgets
+ *
+ * @returns {Object} - { dailyUsd, monthlyUsd }, each null when unlimited
+ */
+export const loadBudgets = () => {
+  try {
+    const budgets = JSON.parse(localStorage.getItem(BUDGETS_KEY)) || {};
+    const toBudget = (value) => (value > 0 ? Number(value) : null);
+    return {
+      dailyUsd: toBudget(budgets.dailyUsd),
+      monthlyUsd: toBudget(budgets.monthlyUsd),
+    };
+  } catch (error) {
+    return { dailyUsd: null, monthlyUsd: null };
+  }
+};
+
+/**
+ * Save the budgets
+ *
+ * @param {Object} budgets - { dailyUsd, monthlyUsd }, null or 0 for unlimited
+ */
+export const saveBudgets = (budgets) => {
+  try {
+    localStorage.setItem(BUDGETS_KEY, JSON.stringify(budgets));
+  } catch (error) {
+    console.warn("⚠ Could not save API budgets:", error.message);
+  }
+  notify();
+};
+
+/**
+ * Work out how close usage is to the budgets
+ *
+ * @param {Object} summary - From summarizeUsage
+ * @param {Object} budgets - From loadBudgets
+ * @returns {string} - "ok", "slow" (refresh less often) or "cached" (don't call Google)
+ */
+export const getBudgetLevel = (
+  summary = summarizeUsage(),
+  budgets = loadBudgets()
+) => {
+  const ratios = [
+    budgets.dailyUsd ? summary.today.costUsd / budgets.dailyUsd : 0,
+    budgets.monthlyUsd ? summary.month.costUsd / budgets.monthlyUsd : 0,
+  ];
+  const ratio = Math.max(...ratios);
+  if (ratio >= 1) return "cached";
+  if (ratio >= BUDGET_SLOW_RATIO) return "slow";
+  return "ok";
+};
+
+/**
+ * Stretch a board's refresh interval for the budget level
+ *
+ * @param {number} refreshMs - Board refresh interval
+ * @param {string} budgetLevel - From getBudgetLevel
+ * @returns {number} - Refresh interval to use
+ */
+export const getBudgetRefreshMs = (refreshMs, budgetLevel) =>
+  budgetLevel === "ok" ? refreshMs : refreshMs * BUDGET_SLOW_FACTOR;
+
+/**
+ * Forget all recorded usage (budgets are kept)
+ */
+export const clearUsage = () => {
+  try {
+    localStorage.removeItem(USAGE_KEY);
+  } catch (error) {
+    console.warn("⚠ Could not clear API usage:", error.message);
+  }
+  notify();
+};
+
+/**
+ * Listen for recorded requests and budget changes
+ *
+ * @param {Function} listener - Called with no arguments
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeRequestMeter = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
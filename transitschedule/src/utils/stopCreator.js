@@ -1,12 +1,12 @@
 import axios from "axios";
+import { cachedGet } from "./requestCache";
 import { parseApiError } from "./helpers";
 import { createStop } from "../services/stopService";
-import { getBikeStopData } from "../services/bikeService";
-import { getWalkStopData } from "../services/walkService";
-import { getDriveStopData } from "../services/driveService";
-import { getBusStopData } from "../services/busService";
-import { getTrainStopData } from "../services/trainService";
-import { getFerryStopData } from "../services/ferryService";
+import {
+  getTransitType,
+  createStopConfig,
+  fetchStopData,
+} from "../config/transitTypes";
 
 /**
  * Handle stop creation from AddStopForm
@@ -32,14 +32,11 @@ export const handleCreateStop = async ({
     // First, validate the stop with Google Maps API
     if (apiKey && apiKey !== "YOUR_API_KEY_HERE") {
       const baseUrl = "https://maps.googleapis.com/maps/api/directions/json";
+      const definition = getTransitType(stopData.transit_type);
       let params;
 
-      // Validate based on transit type
-      if (
-        stopData.transit_type === "bike" ||
-        stopData.transit_type === "walk" ||
-        stopData.transit_type === "drive"
-      ) {
+      // Validate based on the registered transit type
+      if (definition?.category === "route") {
         const origin = stopData.origin || homeAddress;
         if (!origin) {
           throw new Error(
@@ -49,49 +46,27 @@ export const handleCreateStop = async ({
         params = {
           origin: origin,
           destination: stopData.destination,
-          mode:
-            stopData.transit_type === "bike"
-              ? "bicycling"
-              : stopData.transit_type === "walk"
-              ? "walking"
-              : "driving",
+          mode: definition.defaultConfig.mode,
           key: apiKey,
         };
-      } else if (stopData.transit_type === "bus") {
-        const origin =
-          stopData.destination ||
-          stopData.origin ||
-          "Congress and Oltorf, Austin, TX";
+      } else if (definition?.category === "transit") {
+        const { origin, destination } = createStopConfig(stopData, homeAddress);
         params = {
           origin: origin,
-          destination: "Downtown Station, Austin, TX",
+          destination: destination,
           mode: "transit",
-          transit_mode: "bus",
-          departure_time: "now",
-          alternatives: true,
-          key: apiKey,
-        };
-      } else if (stopData.transit_type === "train") {
-        const origin =
-          stopData.destination ||
-          stopData.origin ||
-          "South San Francisco Caltrain Station, CA";
-        params = {
-          origin: origin,
-          destination: "San Francisco Caltrain Station, CA",
-          mode: "transit",
-          transit_mode: "rail",
+          transit_mode: definition.defaultConfig.transitMode,
           departure_time: "now",
           alternatives: true,
           key: apiKey,
         };
       }
-      // Ferry doesn't need API validation
+      // Schedule-based types (ferry) don't need API validation
 
-      // Validate with API if not ferry
-      if (params && stopData.transit_type !== "ferry") {
+      // Validate with API if the type routes through Directions
+      if (params) {
         try {
-          const validationResponse = await axios.get(baseUrl, { params });
+          const validationResponse = await cachedGet(axios, baseUrl, { params });
           if (
             validationResponse.data &&
             validationResponse.data.status !== "OK"
@@ -127,77 +102,21 @@ export const handleCreateStop = async ({
     // Fetch transit data for the new stop immediately
     if (apiKey && apiKey !== "YOUR_API_KEY_HERE") {
       // For bus/train, the destination in stopData is actually the stop location (origin for API)
-      // The actual destination is always Downtown Station (bus) or San Francisco (train)
-      let origin, destination;
-      if (stopData.transit_type === "bus") {
-        origin =
-          stopData.destination ||
-          stopData.origin ||
-          "Congress and Oltorf, Austin, TX";
-        destination = "Downtown Station, Austin, TX";
-      } else if (stopData.transit_type === "train") {
-        origin =
-          stopData.destination ||
-          stopData.origin ||
-          "South San Francisco Caltrain Station, CA";
-        destination = "San Francisco Caltrain Station, CA";
-      } else {
-        origin = stopData.origin || homeAddress;
-        destination = stopData.destination;
-      }
-
-      const stopConfig = {
-        name: stopData.name || stopData.destination,
-        type: stopData.transit_type,
-        origin: origin,
-        destination: destination,
-        routeFilter: stopData.route_filter,
-        stopFilter: stopData.stop_filter,
-        ferryDirection: stopData.ferry_direction,
-        location: stopData.location,
-        mode:
-          stopData.transit_type === "bike"
-            ? "bicycling"
-            : stopData.transit_type === "walk"
-            ? "walking"
-            : stopData.transit_type === "drive"
-            ? "driving"
-            : undefined,
-      };
+      // The actual destination is always the type's default destination
+      const stopConfig = createStopConfig(stopData, homeAddress);
 
       let processedStop;
       try {
-        switch (stopData.transit_type) {
-          case "bike":
-            processedStop = await getBikeStopData(stopConfig, apiKey);
-            break;
-          case "walk":
-            processedStop = await getWalkStopData(stopConfig, apiKey);
-            break;
-          case "drive":
-            processedStop = await getDriveStopData(stopConfig, apiKey);
-            break;
-          case "bus":
-            processedStop = await getBusStopData(stopConfig, apiKey);
-            break;
-          case "train":
-            processedStop = await getTrainStopData(stopConfig, apiKey);
-            break;
-          case "ferry":
-            processedStop = await getFerryStopData(stopConfig);
-            break;
-          default:
-            processedStop = {
-              name: stopConfig.name,
-              type: stopData.transit_type,
-              origin: stopConfig.origin,
-              destination: stopConfig.destination,
-              allArrivalTimes: [],
-              nextArrivalTime: null,
-              lastStopTime: null,
-              isWithinTwoStops: false,
-            };
-        }
+        processedStop = (await fetchStopData(stopConfig, apiKey)) || {
+          name: stopConfig.name,
+          type: stopData.transit_type,
+          origin: stopConfig.origin,
+          destination: stopConfig.destination,
+          allArrivalTimes: [],
+          nextArrivalTime: null,
+          lastStopTime: null,
+          isWithinTwoStops: false,
+        };
 
         // Add the stop ID and other backend fields
         processedStop.id = createdStop.id;
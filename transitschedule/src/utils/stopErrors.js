@@ -0,0 +1,139 @@
+import { isBrowserOffline, isNetworkError } from "./connectivity";
+import { STOP_RETRY_BASE_SECONDS, STOP_RETRY_MAX_SECONDS } from "./constants";
+
+/**
+ * Stop Errors
+ *
+ * Why a stop couldn't get live times, as { code, message, detail,
+ * retryable }: message is what the board shows, detail the status or error
+ * text behind it. Retryable errors (network, backend) are retried with
+ * backoff; retrying the others wouldn't help or would spend API budget.
+ * Errors travel on the stop's provenance record.
+ */
+
+export const STOP_ERRORS = {
+  noApiKey: {
+    message: "No Google Maps API key configured",
+    retryable: false,
+  },
+  quota: {
+    message: "Google API quota or budget used up",
+    retryable: false,
+  },
+  zeroResults: {
+    message: "Google found no route for this stop",
+    retryable: false,
+  },
+  routeNotFound: {
+    message: "Route not found in the results",
+    retryable: false,
+  },
+  network: {
+    message: "Network error - check the connection",
+    retryable: true,
+  },
+  backendDown: {
+    message: "Server isn't responding",
+    retryable: true,
+  },
+  scheduleExpired: {
+    message: "Ferry timetable is out of date",
+    retryable: false,
+  },
+  unknown: {
+    message: "Couldn't load this stop",
+    retryable: true,
+  },
+};
+
+const QUOTA_STATUSES = [
+  "OVER_QUERY_LIMIT",
+  "OVER_DAILY_LIMIT",
+  "RESOURCE_EXHAUSTED",
+];
+
+/**
+ * Create a stop error
+ *
+ * @param {string} code - Key of STOP_ERRORS
+ * @param {string|null} detail - Status or error text behind it
+ * @returns {Object} - { code, message, detail, retryable }
+ */
+export const createStopError = (code, detail = null) => {
+  const { message, retryable } = STOP_ERRORS[code] || STOP_ERRORS.unknown;
+  return { code, message, detail, retryable };
+};
+
+// Backend proxy that couldn't be reached or failed with a server error
+const isBackendDown = (proxyError) =>
+  isNetworkError(proxyError) || proxyError?.response?.status >= 500;
+
+/**
+ * Classify why a stop's request failed
+ *
+ * @param {Object|Error|null} responseOrError - Google response with a failed status, or an error
+ * @returns {Object} - Stop error
+ */
+export const getStopError = (responseOrError) => {
+  if (!responseOrError) return createStopError("unknown", "No response");
+
+  if (responseOrError instanceof Error || responseOrError.request) {
+    const error = responseOrError;
+    if (isBrowserOffline()) return createStopError("network", error.message);
+    if (error.cacheOnly) return createStopError("quota", error.message);
+    if (error.response?.status === 429) {
+      return createStopError("quota", error.message);
+    }
+    if (error.proxyError && isBackendDown(error.proxyError)) {
+      return createStopError("backendDown", error.proxyError.message);
+    }
+    if (isNetworkError(error)) return createStopError("network", error.message);
+    return createStopError("unknown", error.message);
+  }
+
+  const { status, error_message: errorMessage } = responseOrError;
+  const detail = errorMessage ? `${status}: ${errorMessage}` : status || null;
+  if (QUOTA_STATUSES.includes(status)) return createStopError("quota", detail);
+  if (status === "ZERO_RESULTS") return createStopError("zeroResults", detail);
+  return createStopError("unknown", detail || "No response");
+};
+
+/**
+ * Format a stop error with its detail
+ *
+ * @param {Object} error - Stop error
+ * @returns {string} - e.g. "Google API quota or budget used up (OVER_QUERY_LIMIT)"
+ */
+export const formatStopError = (error) =>
+  error.detail ? `${error.message} (${error.detail})` : error.message;
+
+/**
+ * Get the error to show in place of a stop's times
+ * Stops that fell back to a timetable or saved file still have times to
+ * show; their error is only in the provenance details.
+ *
+ * @param {Object} stop - Formatted stop
+ * @returns {Object|null} - Stop error, or null
+ */
+export const getStopDisplayError = (stop) =>
+  stop?.provenance?.source === "none" ? stop.provenance.error || null : null;
+
+/**
+ * Whether any stop is showing an error a retry could fix
+ *
+ * @param {Array<Object>} stops - Formatted stops
+ * @returns {boolean}
+ */
+export const hasRetryableStopErrors = (stops) =>
+  stops.some((stop) => getStopDisplayError(stop)?.retryable);
+
+/**
+ * Delay before the next retry of failed stops
+ * Doubles from STOP_RETRY_BASE_SECONDS, up to STOP_RETRY_MAX_SECONDS.
+ *
+ * @param {number} attempts - Retries already made
+ * @returns {number} - Delay in milliseconds
+ */
+export const getStopRetryDelayMs = (attempts) =>
+  Math.min(STOP_RETRY_BASE_SECONDS * 2 ** attempts, STOP_RETRY_MAX_SECONDS) *
+  1000;
@@ -1,4 +1,5 @@
 import axios from "axios";
+import { cachedGet } from "./requestCache";
 
 /**
  * Stop Form Helpers
@@ -31,7 +32,7 @@ export const findClosestStopOnRoute = async (routeNumber, homeAddress, apiKey) =
       key: apiKey,
     };
 
-    const response = await axios.get(baseUrl, { params });
+    const response = await cachedGet(axios, baseUrl, { params });
 
     if (response.data && response.data.status === "OK" && response.data.routes) {
       const stops = [];
@@ -68,7 +69,7 @@ export const findClosestStopOnRoute = async (routeNumber, homeAddress, apiKey) =
       const origins = homeAddress;
       const destinations = stops.map(s => s.address).join("|");
       
-      const distanceResponse = await axios.get(distanceMatrixUrl, {
+      const distanceResponse = await cachedGet(axios, distanceMatrixUrl, {
         params: {
           origins: origins,
           destinations: destinations,
@@ -116,7 +117,7 @@ export const findClosestStopByName = async (stopName, homeAddress, apiKey) => {
   try {
     // Use Places API Text Search to find stops with the name
     const placesUrl = "https://maps.googleapis.com/maps/api/place/textsearch/json";
-    const placesResponse = await axios.get(placesUrl, {
+    const placesResponse = await cachedGet(axios, placesUrl, {
       params: {
         query: `${stopName} bus stop Austin TX`,
         key: apiKey,
@@ -140,7 +141,7 @@ export const findClosestStopByName = async (stopName, homeAddress, apiKey) => {
       const origins = homeAddress;
       const destinations = stops.map(s => s.address).join("|");
 
-      const distanceResponse = await axios.get(distanceMatrixUrl, {
+      const distanceResponse = await cachedGet(axios, distanceMatrixUrl, {
         params: {
           origins: origins,
           destinations: destinations,
@@ -193,7 +194,7 @@ export const findClosestStopByName = async (stopName, homeAddress, apiKey) => {
 const getPlaceDetails = async (placeId, apiKey) => {
   try {
     const placeDetailsUrl = "https://maps.googleapis.com/maps/api/place/details/json";
-    const response = await axios.get(placeDetailsUrl, {
+    const response = await cachedGet(axios, placeDetailsUrl, {
       params: {
         place_id: placeId,
         fields: "name,types,formatted_address",
@@ -247,7 +248,7 @@ const getPlaceDetails = async (placeId, apiKey) => {
 const searchNearbyPlaces = async (lat, lng, apiKey) => {
   try {
     const nearbyUrl = "https://maps.googleapis.com/maps/api/place/nearbysearch/json";
-    const response = await axios.get(nearbyUrl, {
+    const response = await cachedGet(axios, nearbyUrl, {
       params: {
         location: `${lat},${lng}`,
         radius: 50, // Search within 50 meters
@@ -367,7 +368,7 @@ export const getPlaceNameFromAddress = async (address, apiKey) => {
     const geocodeUrl = "https://maps.googleapis.com/maps/api/geocode/json";
     let geocodeResponse;
     try {
-      geocodeResponse = await axios.get(geocodeUrl, {
+      geocodeResponse = await cachedGet(axios, geocodeUrl, {
         params: {
           address: address,
           key: apiKey,
@@ -412,7 +413,7 @@ export const getPlaceNameFromAddress = async (address, apiKey) => {
     // Step 4: Try Places API Text Search as a fallback
     try {
       const placesUrl = "https://maps.googleapis.com/maps/api/place/textsearch/json";
-      const placesResponse = await axios.get(placesUrl, {
+      const placesResponse = await cachedGet(axios, placesUrl, {
         params: {
           query: address,
           key: apiKey,
@@ -470,7 +471,7 @@ export const calculateWalkTime = async (origin, destination, apiKey) => {
       key: apiKey,
     };
 
-    const response = await axios.get(baseUrl, { params });
+    const response = await cachedGet(axios, baseUrl, { params });
 
     if (response.data && response.data.status === "OK" && response.data.routes) {
       const route = response.data.routes[0];
@@ -497,7 +498,7 @@ export const calculateWalkTime = async (origin, destination, apiKey) => {
 export const extractStreetNames = async (address, apiKey) => {
   try {
     const geocodeUrl = "https://maps.googleapis.com/maps/api/geocode/json";
-    const geocodeResponse = await axios.get(geocodeUrl, {
+    const geocodeResponse = await cachedGet(axios, geocodeUrl, {
       params: {
         address: address,
         key: apiKey,
@@ -1,9 +1,7 @@
-import { getBikeStopData } from "../services/bikeService";
-import { getWalkStopData } from "../services/walkService";
-import { getDriveStopData } from "../services/driveService";
-import { getBusStopData } from "../services/busService";
-import { getTrainStopData } from "../services/trainService";
-import { getFerryStopData } from "../services/ferryService";
+import { getTransitType, fetchStopData } from "../config/transitTypes";
+import { resolveStopTimeZone } from "./timeZones";
+import { buildProvenance } from "./provenance";
+import { createStopError, getStopError } from "./stopErrors";
 
 /**
  * Format user stops for display and fetch transit data
@@ -31,48 +29,33 @@ export const formatUserStops = async (userStops, apiKey, homeAddress) => {
           stopFilter: stop.stop_filter,
           ferryDirection: stop.ferry_direction,
           location: stop.location,
-          mode:
-            stop.transit_type === "bike"
-              ? "bicycling"
-              : stop.transit_type === "walk"
-              ? "walking"
-              : stop.transit_type === "drive"
-              ? "driving"
-              : null,
+          mode: getTransitType(stop.transit_type)?.defaultConfig.mode || null,
+          arrival: stop.arrival || false,
+          departure: stop.departure || false,
+          targetTime: stop.target_time || null,
+          targetDays: stop.target_days || null,
+          // Saved snapshot used when live data can't be fetched
+          dataFile: stop.data_file || null,
         };
+        stopConfig.timeZone = resolveStopTimeZone({
+          ...stopConfig,
+          timeZone: stop.time_zone,
+        });
 
         // Fetch transit data based on stop type
         let transitData;
+        let fetchError = createStopError("noApiKey");
         if (apiKey && apiKey !== "YOUR_API_KEY_HERE") {
           try {
-            switch (stop.transit_type) {
-              case "bike":
-                transitData = await getBikeStopData(stopConfig, apiKey);
-                break;
-              case "walk":
-                transitData = await getWalkStopData(stopConfig, apiKey);
-                break;
-              case "drive":
-                transitData = await getDriveStopData(stopConfig, apiKey);
-                break;
-              case "bus":
-                transitData = await getBusStopData(stopConfig, apiKey);
-                break;
-              case "train":
-                transitData = await getTrainStopData(stopConfig, apiKey);
-                break;
-              case "ferry":
-                transitData = await getFerryStopData(stopConfig);
-                break;
-              default:
-                transitData = null;
-            }
+            transitData = await fetchStopData(stopConfig, apiKey);
+            fetchError = createStopError("unknown");
           } catch (error) {
             console.error(
               `Error fetching transit data for stop ${stop.id}:`,
               error
             );
             transitData = null;
+            fetchError = getStopError(error);
           }
         }
 
@@ -89,14 +72,33 @@ export const formatUserStops = async (userStops, apiKey, homeAddress) => {
           location: stop.location,
           arrival: stop.arrival,
           departure: stop.departure,
+          targetTime: stop.target_time || null,
+          targetDays: stop.target_days || null,
+          windowStart: stop.window_start || null,
+          windowEnd: stop.window_end || null,
+          windowObjective: stop.window_objective || null,
+          notificationRules: stop.notification_rules || [],
           hidden: stop.hidden || false,
+          favorite: stop.favorite || false,
+          boardIds: stop.board_ids || [],
           allArrivalTimes: transitData?.allArrivalTimes || [],
           nextArrivalTime: transitData?.nextArrivalTime || null,
+          nextArrivalDelaySeconds: transitData?.nextArrivalDelaySeconds ?? null,
           nextDepartureTime: transitData?.nextDepartureTime || null,
           estimatedTime: transitData?.estimatedTime || null,
+          typicalTime: transitData?.typicalTime || null,
+          trafficDelaySeconds: transitData?.trafficDelaySeconds ?? null,
+          congestion: transitData?.congestion || null,
           lastStopTime: transitData?.lastStopTime || null,
           isWithinTwoStops: transitData?.isWithinTwoStops || false,
           walkTime: transitData?.walkTime || null,
+          legs: transitData?.legs || [],
+          tripArrivalTime: transitData?.tripArrivalTime || null,
+          transferSlackSeconds: transitData?.transferSlackSeconds ?? null,
+          timeZone: transitData?.timeZone || stopConfig.timeZone,
+          provenance:
+            transitData?.provenance ||
+            buildProvenance("none", { error: fetchError }),
           isUserStop: true,
         };
       } catch (error) {
@@ -112,12 +114,24 @@ export const formatUserStops = async (userStops, apiKey, homeAddress) => {
           stopFilter: stop.stop_filter,
           ferryDirection: stop.ferry_direction,
           location: stop.location,
+          timeZone: resolveStopTimeZone({ ...stop, timeZone: stop.time_zone }),
+          arrival: stop.arrival,
+          departure: stop.departure,
+          targetTime: stop.target_time || null,
+          targetDays: stop.target_days || null,
+          windowStart: stop.window_start || null,
+          windowEnd: stop.window_end || null,
+          windowObjective: stop.window_objective || null,
+          notificationRules: stop.notification_rules || [],
           hidden: stop.hidden || false,
+          favorite: stop.favorite || false,
+          boardIds: stop.board_ids || [],
           allArrivalTimes: [],
           nextArrivalTime: null,
           estimatedTime: null,
           lastStopTime: null,
           isWithinTwoStops: false,
+          provenance: buildProvenance("none", { error: getStopError(error) }),
           isUserStop: true,
         };
       }
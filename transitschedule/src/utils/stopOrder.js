@@ -0,0 +1,139 @@
+import { getStopStorageId } from "./commuteHistory";
+
+/**
+ * Stop Order Utilities
+ *
+ * The board's box order, kept as a list of stop storage ids. The board shows
+ * the user's own stops (new accounts get theirs from the seed template), and
+ * each also keeps its position in the backend so other devices follow.
+ * Each named board keeps its own order.
+ */
+
+const STOP_ORDER_KEY = "stop_order";
+
+const getStopOrderKey = (boardId) =>
+  boardId ? `${STOP_ORDER_KEY}:${boardId}` : STOP_ORDER_KEY;
+
+/**
+ * Read the saved board order
+ * A board without its own order starts from the order saved before boards.
+ *
+ * @param {number|null} boardId - Board id (null for the board-less order)
+ * @returns {Array<string>} - Stop storage ids in board order
+ */
+export const loadStopOrder = (boardId = null) => {
+  try {
+    const order = JSON.parse(
+      localStorage.getItem(getStopOrderKey(boardId)) ??
+        localStorage.getItem(STOP_ORDER_KEY)
+    );
+    return Array.isArray(order) ? order : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Save the board order
+ *
+ * @param {Array<string>} order - Stop storage ids in board order
+ * @param {number|null} boardId - Board id (null for the board-less order)
+ */
+export const saveStopOrder = (order, boardId = null) => {
+  try {
+    if (order.length > 0) {
+      localStorage.setItem(getStopOrderKey(boardId), JSON.stringify(order));
+    } else {
+      localStorage.removeItem(getStopOrderKey(boardId));
+    }
+  } catch (error) {
+    console.warn("⚠ Could not save stop order:", error.message);
+  }
+};
+
+/**
+ * Sort stops into the saved order
+ * Stops missing from the order (new ones) keep their place relative to each
+ * other after the ordered ones.
+ *
+ * @param {Array<Object>} stops - User stops in backend order (by position)
+ * @param {Array<string>} order - Stop storage ids in board order
+ * @returns {Array<Object>} - Sorted stops
+ */
+export const applyStopOrder = (stops, order) => {
+  if (!order || order.length === 0) return stops;
+
+  const rank = new Map(order.map((id, index) => [id, index]));
+  return stops
+    .map((stop, index) => ({
+      stop,
+      index,
+      rank: rank.get(getStopStorageId(stop)) ?? Infinity,
+    }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map(({ stop }) => stop);
+};
+
+/**
+ * Move a stop on the board
+ *
+ * @param {Array<Object>} stops - Stops in board order
+ * @param {number} fromIndex - Index of the stop to move
+ * @param {number} toIndex - Index it should end up at
+ * @returns {Array<string>} - New order (stop storage ids)
+ */
+export const moveStopInOrder = (stops, fromIndex, toIndex) => {
+  const ids = stops.map(getStopStorageId);
+  if (fromIndex < 0 || fromIndex >= ids.length) return ids;
+
+  const target = Math.min(Math.max(toIndex, 0), ids.length - 1);
+  const [moved] = ids.splice(fromIndex, 1);
+  ids.splice(target, 0, moved);
+  return ids;
+};
+
+/**
+ * Get a user stop's backend position (1-based, among user stops only)
+ *
+ * @param {Array<Object>} stops - Stops in board order
+ * @param {number|string} stopId - Backend stop id
+ * @returns {number|null} - Position, or null if the stop isn't on the board
+ */
+export const getUserStopPosition = (stops, stopId) => {
+  const index = stops
+    .filter((stop) => stop.id)
+    .findIndex((stop) => String(stop.id) === String(stopId));
+  return index >= 0 ? index + 1 : null;
+};
+
+/**
+ * Pin favorite stops to the top of the board, keeping each group's order
+ *
+ * @param {Array<Object>} stops - Stops in board order
+ * @returns {Array<Object>} - Favorites first, then the rest
+ */
+export const pinFavoriteStops = (stops) => [
+  ...stops.filter((stop) => stop.favorite),
+  ...stops.filter((stop) => !stop.favorite),
+];
+
+/**
+ * Keep a move on the board within the stop's group
+ * Favorites are pinned above the other stops, so a stop only moves among
+ * stops with the same favorite flag; a move past the group stops at its end.
+ *
+ * @param {Array<Object>} stops - Stops as shown (favorites pinned first)
+ * @param {number} fromIndex - Index of the stop to move
+ * @param {number} toIndex - Index it was dropped on
+ * @returns {number} - Index it can move to (fromIndex if it can't move that way)
+ */
+export const clampStopMove = (stops, fromIndex, toIndex) => {
+  const moved = stops[fromIndex];
+  if (!moved) return fromIndex;
+
+  const favorites = stops.filter((stop) => stop.favorite).length;
+  const [first, last] = moved.favorite
+    ? [0, favorites - 1]
+    : [favorites, stops.length - 1];
+  return Math.min(Math.max(toIndex, first), last);
+};
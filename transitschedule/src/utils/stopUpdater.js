@@ -1,9 +1,6 @@
 import axios from "axios";
 import { parseApiError } from "./helpers";
-import { processBikeResponse } from "../services/bikeService";
-import { processWalkResponse } from "../services/walkService";
-import { processDriveResponse } from "../services/driveService";
-import { fetchAllTransitTimes } from "./transitDataFetcher";
+import { getTransitType, processStopResponse } from "../config/transitTypes";
 import { createStop } from "../services/stopService";
 import {
   findClosestStopOnRoute,
@@ -13,8 +10,15 @@ import {
 } from "./stopFormHelpers";
 import { getBusStopData } from "../services/busService";
 import { getTrainStopData } from "../services/trainService";
+import { getFerryStopData } from "../services/ferryService";
+import { getTripStopData } from "../services/tripService";
+import { resolveStopTimeZone } from "./timeZones";
+import { moveStopHistory } from "./commuteHistory";
+import { moveStopReliability } from "./reliability";
+import { moveCalendarFeed } from "../services/calendarService";
 import { hideStop } from "../services/stopService";
 import api from "../config/api";
+import { cachedGet } from "./requestCache";
 
 /**
  * Update a single stop's configuration
@@ -26,13 +30,10 @@ import api from "../config/api";
  * @param {Object} params.newConfig - New configuration from form
  * @param {string} params.apiKey - Google Maps API key
  * @param {string} params.homeAddress - Home address
- * @param {string} params.ferryDirection - Ferry direction
- * @param {Array} params.stops - Current stops array
- * @param {Function} params.setStops - Function to update stops state
- * @param {Function} params.setFerryDirection - Function to update ferry direction
  * @param {Function} params.setEditingStop - Function to close edit modal
  * @param {Function} params.setReviewData - Function to clear review data
  * @param {Function} params.loadUserStops - Function to reload user stops from backend
+ * @param {number|null} params.boardId - Board shown, for stops not yet on a board
  * @returns {Promise<void>}
  */
 export const updateStop = async ({
@@ -41,13 +42,10 @@ export const updateStop = async ({
   newConfig,
   apiKey,
   homeAddress,
-  ferryDirection,
-  stops,
-  setStops,
-  setFerryDirection,
   setEditingStop,
   setReviewData,
   loadUserStops,
+  boardId,
 }) => {
   console.log("[stopUpdater] updateStop called");
   console.log("[stopUpdater] stop:", stop ? { id: stop.id, name: stop.name, type: stop.type } : null);
@@ -70,17 +68,6 @@ export const updateStop = async ({
     
     console.log("[stopUpdater] API key validated, proceeding...");
 
-    // For ferry, just update direction (keep existing behavior)
-    if (stop.type === "ferry") {
-      const newFerryDirection = newConfig.ferryDirection || "anacortes";
-      setFerryDirection(newFerryDirection);
-      await fetchAllTransitTimes(setStops, apiKey, homeAddress, newFerryDirection);
-      setEditingStop(null);
-      setReviewData(null);
-      window.location.reload();
-      return;
-    }
-
     let processedStop;
     let stopName;
     let origin;
@@ -91,7 +78,7 @@ export const updateStop = async ({
     // Handle different stop types
     console.log("[stopUpdater] Processing stop type:", stop.type);
     
-    if (stop.type === "bike" || stop.type === "walk" || stop.type === "drive") {
+    if (getTransitType(stop.type)?.category === "route") {
       console.log("[stopUpdater] Processing drive/walk/bike stop");
       // Drive/Walk/Bike stops: require origin and destination
       console.log("[stopUpdater] newConfig.origin:", newConfig.origin);
@@ -115,16 +102,7 @@ export const updateStop = async ({
 
       // Get trip duration and format stop name
       const baseUrl = "https://maps.googleapis.com/maps/api/directions/json";
-      let mode = stop.mode;
-      if (!mode) {
-        if (stop.type === "bike") {
-          mode = "bicycling";
-        } else if (stop.type === "walk") {
-          mode = "walking";
-        } else if (stop.type === "drive") {
-          mode = "driving";
-        }
-      }
+      const mode = stop.mode || getTransitType(stop.type).defaultConfig.mode;
       console.log("[stopUpdater] Mode determined:", mode);
 
       console.log("[stopUpdater] Making Google Maps Directions API call...");
@@ -135,16 +113,21 @@ export const updateStop = async ({
         hasKey: !!apiKey,
       });
 
+      // Drives need a departure time for duration_in_traffic
+      const trafficParams = mode === "driving" ? { departure_time: "now" } : {};
+
       // Try backend proxy first to avoid CORS issues
       let response;
       try {
         console.log("[stopUpdater] Trying backend proxy for directions API...");
-        const proxyResponse = await api.get("/api/v1/transit_data/live_transit", {
+        const proxyResponse = await cachedGet(api, "/api/v1/transit_data/live_transit", {
           params: {
             origin: origin,
             destination: destination,
             mode: mode,
+            ...trafficParams,
           },
+          stop: stop.name,
         });
         console.log("[stopUpdater] Backend proxy response received");
         response = { data: proxyResponse.data };
@@ -152,13 +135,15 @@ export const updateStop = async ({
         console.warn("[stopUpdater] Backend proxy failed, trying direct API call:", proxyError.message);
         // Fallback to direct API call if proxy fails
         try {
-          response = await axios.get(baseUrl, {
+          response = await cachedGet(axios, baseUrl, {
             params: {
               origin: origin,
               destination: destination,
               mode: mode,
+              ...trafficParams,
               key: apiKey,
             },
+            stop: stop.name,
           });
         } catch (directError) {
           console.error("[stopUpdater] Direct API call also failed:", directError);
@@ -186,20 +171,7 @@ export const updateStop = async ({
         };
 
         console.log("[stopUpdater] Processing response for stop type:", stop.type);
-        switch (stop.type) {
-          case "bike":
-            processedStop = processBikeResponse(stopConfig, response.data);
-            break;
-          case "walk":
-            processedStop = processWalkResponse(stopConfig, response.data);
-            break;
-          case "drive":
-            processedStop = processDriveResponse(stopConfig, response.data);
-            break;
-          default:
-            console.error("[stopUpdater] Unknown stop type:", stop.type);
-            processedStop = null;
-        }
+        processedStop = processStopResponse(stopConfig, response.data);
         console.log("[stopUpdater] Stop processed:", {
           name: processedStop.name,
           type: processedStop.type,
@@ -340,6 +312,39 @@ export const updateStop = async ({
       }
       
       console.log("[stopUpdater] Train processing complete, proceeding to backend POST");
+    } else if (stop.type === "trip") {
+      // Trip stops: origin (usually home) to final destination, every leg kept
+      if (!newConfig.origin || !newConfig.origin.trim()) {
+        throw new Error("Origin address is required");
+      }
+      if (!newConfig.destination || !newConfig.destination.trim()) {
+        throw new Error("Destination address is required");
+      }
+
+      origin = newConfig.origin.trim();
+      destination = newConfig.destination.trim();
+      stopName = await formatStopName(origin, destination, apiKey);
+      processedStop = await getTripStopData(
+        { name: stopName, type: "trip", origin: origin, destination: destination },
+        apiKey
+      );
+    } else if (stop.type === "ferry") {
+      // Ferry stops: origin and destination are terminal ids
+      if (!newConfig.origin || !newConfig.destination) {
+        throw new Error("Origin and destination terminals are required");
+      }
+      if (newConfig.origin === newConfig.destination) {
+        throw new Error("Origin and destination terminals must be different");
+      }
+
+      origin = newConfig.origin;
+      destination = newConfig.destination;
+      processedStop = await getFerryStopData({
+        type: "ferry",
+        origin: origin,
+        destination: destination,
+      });
+      stopName = newConfig.name || processedStop.name;
     }
     
     console.log("[stopUpdater] All stop type processing complete");
@@ -363,7 +368,25 @@ export const updateStop = async ({
       stop_filter: null,
       ferry_direction: null,
       location: null,
+      time_zone:
+        processedStop?.timeZone ||
+        resolveStopTimeZone({ origin: origin, destination: destination }),
+      arrival: newConfig.arrival || false,
+      departure: newConfig.departure || false,
+      target_time: newConfig.targetTime || null,
+      target_days: newConfig.targetDays || null,
+      window_start: newConfig.windowStart || null,
+      window_end: newConfig.windowEnd || null,
+      window_objective: newConfig.windowObjective || null,
+      notification_rules: newConfig.notificationRules || [],
+      // Edits save a new stop, so carry the favorite flag over
+      favorite: stop.favorite || false,
     };
+    // ...and its boards (a stop not on any goes on the board shown)
+    const boardIds = stop.boardIds?.length ? stop.boardIds : boardId ? [boardId] : [];
+    if (boardIds.length > 0) {
+      stopData.board_ids = boardIds;
+    }
 
     // POST to backend
     try {
@@ -406,6 +429,13 @@ export const updateStop = async ({
           console.log("[stopUpdater] Hiding old stop with ID:", stop.id);
           await hideStop(stop.id);
           console.log("[stopUpdater] Old stop hidden successfully");
+          // Same trip, so keep its commute history and reliability record
+          if (stop.origin === origin && stop.destination === destination) {
+            moveStopHistory(stop, processedStop);
+            moveStopReliability(stop, processedStop);
+          }
+          // A subscribed calendar follows the stop through any edit
+          moveCalendarFeed(stop, processedStop);
         } catch (hideError) {
           console.error("[stopUpdater] Error hiding old stop:", hideError);
           // Continue even if hide fails - the new stop will still be created
@@ -424,10 +454,6 @@ export const updateStop = async ({
       setEditingStop(null);
       setReviewData(null);
 
-      // Refresh transit times for default stops
-      // User stops will be fetched transit data separately in App.js via formatUserStops
-      await fetchAllTransitTimes(setStops, apiKey, homeAddress, ferryDirection);
-      
       // Note: The newly created stop will appear in userStops and will have transit data
       // fetched automatically via the useEffect in App.js that watches userStops
       
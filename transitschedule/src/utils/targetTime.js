@@ -0,0 +1,199 @@
+import { parseDays } from "./ferrySchedule";
+import { parseWalkMinutes } from "./leaveTime";
+import {
+  getZonedServiceDate,
+  zonedTimeToDate,
+  resolveStopTimeZone,
+} from "./timeZones";
+
+/**
+ * Target Time Utilities
+ *
+ * Arrive-by and depart-at planning. A stop with the `arrival` flag and a
+ * target time ("08:45") plans to arrive by then; with the `departure` flag it
+ * plans to leave at that time. Target days limit this to some weekdays
+ * ("mon,tue,wed,thu,fri"); without them the target applies every day.
+ */
+
+// Weekday keys in Date.getDay() order, as stored in target_days
+export const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// How far before an arrive-by time to look for scheduled departures
+const ARRIVAL_SEARCH_HOURS = 3;
+
+/**
+ * Get a stop's planning mode
+ *
+ * @param {Object} stop - Stop with arrival/departure flags and targetTime
+ * @returns {string|null} - "arrival", "departure", or null for "leave now" stops
+ */
+export const getTargetMode = (stop) => {
+  if (!stop || !parseTargetTime(stop.targetTime)) return null;
+  if (stop.arrival) return "arrival";
+  if (stop.departure) return "departure";
+  return null;
+};
+
+/**
+ * Parse a target time into minutes after midnight
+ *
+ * @param {string} targetTime - Time in HH:MM format
+ * @returns {number|null} - Minutes after midnight, or null if empty/invalid
+ */
+export const parseTargetTime = (targetTime) => {
+  const match = String(targetTime || "").match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+/**
+ * Parse target days into weekday keys
+ *
+ * @param {string|Array<string>} targetDays - "mon,tue" or ["mon", "tue"]
+ * @returns {Array<string>} - Weekday keys in week order (empty means every day)
+ */
+export const parseTargetDays = (targetDays) => {
+  if (!targetDays || targetDays.length === 0) return [];
+  const mask = parseDays(targetDays);
+  return WEEKDAYS.filter((_, index) => mask[index]);
+};
+
+/**
+ * Get the next occurrence of a stop's target time
+ * Today's target counts until it has passed, then the next selected weekday.
+ *
+ * @param {Object} stop - Stop with targetTime, targetDays and timeZone
+ * @param {Date} now - Current date/time (defaults to new Date())
+ * @returns {Date|null} - Target instant, or null if the stop has no target
+ */
+export const getNextTargetDate = (stop, now = new Date()) => {
+  if (!getTargetMode(stop)) return null;
+
+  const minutes = parseTargetTime(stop.targetTime);
+  const days = parseTargetDays(stop.targetDays);
+  const timeZone = resolveStopTimeZone(stop);
+
+  for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+    const serviceDate = getZonedServiceDate(now, timeZone, dayOffset);
+    if (days.length > 0 && !days.includes(WEEKDAYS[serviceDate.getDay()])) {
+      continue;
+    }
+    const target = zonedTimeToDate(
+      {
+        year: serviceDate.getFullYear(),
+        month: serviceDate.getMonth() + 1,
+        day: serviceDate.getDate(),
+        hour: Math.floor(minutes / 60),
+        minute: minutes % 60,
+      },
+      timeZone
+    );
+    if (target > now) return target;
+  }
+
+  return null;
+};
+
+/**
+ * Get Directions API time parameters for a stop
+ *
+ * @param {Object} stop - Stop configuration
+ * @param {Date} now - Current date/time (defaults to new Date())
+ * @returns {Object} - { arrival_time } or { departure_time } (Unix seconds, or "now")
+ */
+export const getDirectionsTimeParams = (stop, now = new Date()) => {
+  const target = getNextTargetDate(stop, now);
+  if (!target) {
+    return { departure_time: "now" };
+  }
+
+  const seconds = Math.floor(target.getTime() / 1000);
+  return getTargetMode(stop) === "arrival"
+    ? { arrival_time: seconds }
+    : { departure_time: seconds };
+};
+
+/**
+ * Get the time to start looking for scheduled departures (GTFS, ferry)
+ *
+ * @param {Object} stop - Stop configuration
+ * @param {Date} now - Current date/time (defaults to new Date())
+ * @returns {Date} - Search start (never before now)
+ */
+export const getScheduleSearchStart = (stop, now = new Date()) => {
+  const target = getNextTargetDate(stop, now);
+  if (!target) return now;
+
+  const start =
+    getTargetMode(stop) === "arrival"
+      ? new Date(target.getTime() - ARRIVAL_SEARCH_HOURS * 3600 * 1000)
+      : target;
+  return start > now ? start : now;
+};
+
+/**
+ * Calculate the recommended departure for an arrive-by or depart-at stop
+ *
+ * Transit stops pick the latest departure that arrives by the target
+ * (arrive-by) or the first departure at or after it (depart-at). Route stops
+ * (bike/walk/drive) leave the trip's estimated time before an arrive-by time.
+ *
+ * @param {Object} stop - Stop with allArrivalTimes or estimatedTime, plus target fields
+ * @param {Date} now - Current date/time (defaults to new Date())
+ * @returns {Object|null} - { mode, target, departureTime, arrivalTime }, or null if the stop has no target
+ */
+export const calculateRecommendedDeparture = (stop, now = new Date()) => {
+  const mode = getTargetMode(stop);
+  const target = getNextTargetDate(stop, now);
+  if (!mode || !target) return null;
+
+  const plan = { mode, target, departureTime: null, arrivalTime: null };
+
+  if (!stop.allArrivalTimes || stop.allArrivalTimes.length === 0) {
+    const minutes = parseWalkMinutes(stop.estimatedTime);
+    if (!minutes) return plan;
+    const durationMs = minutes * 60 * 1000;
+    return mode === "arrival"
+      ? {
+          ...plan,
+          departureTime: new Date(target.getTime() - durationMs),
+          arrivalTime: target,
+        }
+      : {
+          ...plan,
+          departureTime: target,
+          arrivalTime: new Date(target.getTime() + durationMs),
+        };
+  }
+
+  const trips = stop.allArrivalTimes
+    .map((time) => ({
+      departureTime: new Date(time.departureTime || time.arrivalTime),
+      arrivalTime: time.arrivalAtNextStop
+        ? new Date(time.arrivalAtNextStop)
+        : null,
+    }))
+    .filter((trip) => trip.departureTime > now)
+    .sort((a, b) => a.departureTime - b.departureTime);
+
+  const trip =
+    mode === "arrival"
+      ? trips.filter((t) => (t.arrivalTime || t.departureTime) <= target).pop()
+      : trips.find((t) => t.departureTime >= target);
+
+  return trip ? { ...plan, ...trip } : plan;
+};
+
+/**
+ * Describe a stop's target for display
+ *
+ * @param {Object} stop - Stop with targetDays
+ * @returns {string} - Days text (e.g., "Mon-Fri", "Sun, Sat", "daily")
+ */
+export const formatTargetDays = (stop) => {
+  const days = parseTargetDays(stop?.targetDays);
+  const label = (day) => day.charAt(0).toUpperCase() + day.slice(1);
+  if (days.length === 0 || days.length === 7) return "daily";
+  if (days.join(",") === "mon,tue,wed,thu,fri") return "Mon-Fri";
+  return days.map(label).join(", ");
+};
@@ -1,17 +1,29 @@
+import { DEFAULT_TIME_ZONE } from "./constants";
+import {
+  getZonedParts,
+  getZonedServiceDate,
+  serviceTimeToDate,
+  addZonedDays,
+} from "./timeZones";
+
 /**
  * Time Calculation Utilities
  *
- * Common utilities for calculating transit times, next arrivals, and stop relationships
+ * Common utilities for calculating transit times, next arrivals, and stop relationships.
+ * Arrival times are true instants; time-of-day comparisons (for saved schedules
+ * from an earlier day) use the stop's IANA time zone.
  */
 
 /**
  * Get time of day in minutes from a Date object
  *
  * @param {Date} date - Date object
+ * @param {string} timeZone - IANA time zone the time of day is read in
  * @returns {number} - Time of day in minutes (0-1439)
  */
-export const getTimeInMinutes = (date) => {
-  return date.getHours() * 60 + date.getMinutes();
+export const getTimeInMinutes = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return hour * 60 + minute;
 };
 
 /**
@@ -19,45 +31,83 @@ export const getTimeInMinutes = (date) => {
  *
  * @param {number} timeInMinutes - Time of day in minutes
  * @param {Date} now - Current date/time (defaults to new Date())
+ * @param {string} timeZone - IANA time zone the time of day is in
  * @returns {Date} - Date object for the next occurrence
  */
-export const createNextDate = (timeInMinutes, now = new Date()) => {
-  const nextDate = new Date(now);
-  const hours = Math.floor(timeInMinutes / 60);
-  const minutes = timeInMinutes % 60;
-  nextDate.setHours(hours, minutes, 0, 0);
+export const createNextDate = (
+  timeInMinutes,
+  now = new Date(),
+  timeZone = DEFAULT_TIME_ZONE
+) => {
+  const nextDate = serviceTimeToDate(
+    getZonedServiceDate(now, timeZone),
+    timeInMinutes * 60,
+    timeZone
+  );
 
   if (nextDate <= now) {
-    nextDate.setDate(nextDate.getDate() + 1);
+    return serviceTimeToDate(
+      getZonedServiceDate(now, timeZone, 1),
+      timeInMinutes * 60,
+      timeZone
+    );
   }
 
   return nextDate;
 };
 
+/**
+ * Get an arrival entry's effective time: the predicted time when it has a
+ * realtime prediction, otherwise the scheduled time
+ *
+ * @param {Object} entry - Arrival time entry
+ * @returns {Date} - Effective arrival time
+ */
+export const getEffectiveArrivalTime = (entry) =>
+  entry.predictedTime || entry.arrivalTime;
+
+/**
+ * Sort arrival time entries by effective time, in place
+ * A predicted trip doesn't jump ahead of an earlier departure that has no
+ * trip update.
+ *
+ * @param {Array} allArrivalTimes - Arrival time entries
+ * @returns {Array} - The same array, sorted
+ */
+export const sortArrivalTimes = (allArrivalTimes) =>
+  allArrivalTimes.sort(
+    (a, b) => getEffectiveArrivalTime(a) - getEffectiveArrivalTime(b)
+  );
+
 /**
  * Find the next arrival time from a list of arrival times
+ * The earliest entry by effective time (predicted, else scheduled) still in
+ * the future.
  *
- * @param {Array} allArrivalTimes - Array of arrival time objects with arrivalTime and isRealTime properties
+ * @param {Array} allArrivalTimes - Array of arrival time objects with arrivalTime and, for realtime entries, predictedTime
  * @param {Date} now - Current date/time (defaults to new Date())
+ * @param {string} timeZone - Stop's IANA time zone
  * @returns {Object|null} - Next arrival object or null
  */
-export const findNextArrival = (allArrivalTimes, now = new Date()) => {
-  const currentTimeInMinutes = now.getHours() * 60 + now.getMinutes();
-
-  // First, try to find real-time arrivals that are still in the future
-  const realTimeArrivals = allArrivalTimes.filter(
-    (time) => time.isRealTime && time.arrivalTime > now
+export const findNextArrival = (
+  allArrivalTimes,
+  now = new Date(),
+  timeZone = DEFAULT_TIME_ZONE
+) => {
+  const upcomingArrivals = sortArrivalTimes(
+    allArrivalTimes.filter((time) => getEffectiveArrivalTime(time) > now)
   );
 
-  if (realTimeArrivals.length > 0) {
-    return realTimeArrivals[0];
+  if (upcomingArrivals.length > 0) {
+    return upcomingArrivals[0];
   }
 
-  // Find the next time by comparing time of day
+  // Saved schedules from an earlier day: find the next time by comparing time of day
+  const currentTimeInMinutes = getTimeInMinutes(now, timeZone);
   const timesByTimeOfDay = allArrivalTimes
     .map((time) => ({
       ...time,
-      timeOfDay: getTimeInMinutes(time.arrivalTime),
+      timeOfDay: getTimeInMinutes(time.arrivalTime, timeZone),
     }))
     .sort((a, b) => a.timeOfDay - b.timeOfDay);
 
@@ -68,14 +118,14 @@ export const findNextArrival = (allArrivalTimes, now = new Date()) => {
   if (nextToday) {
     return {
       ...nextToday,
-      arrivalTime: createNextDate(nextToday.timeOfDay, now),
+      arrivalTime: createNextDate(nextToday.timeOfDay, now, timeZone),
     };
   } else {
     const firstTomorrow = timesByTimeOfDay[0];
     if (firstTomorrow) {
       return {
         ...firstTomorrow,
-        arrivalTime: createNextDate(firstTomorrow.timeOfDay, now),
+        arrivalTime: createNextDate(firstTomorrow.timeOfDay, now, timeZone),
       };
     }
   }
@@ -89,12 +139,14 @@ export const findNextArrival = (allArrivalTimes, now = new Date()) => {
  * @param {Array} allArrivalTimes - Array of arrival time objects
  * @param {Object} nextArrival - Next arrival object
  * @param {Date} now - Current date/time (defaults to new Date())
+ * @param {string} timeZone - Stop's IANA time zone
  * @returns {Date|null} - Last stop time or null
  */
 export const calculateLastStopTime = (
   allArrivalTimes,
   nextArrival,
-  now = new Date()
+  now = new Date(),
+  timeZone = DEFAULT_TIME_ZONE
 ) => {
   if (allArrivalTimes.length === 0 || !nextArrival) {
     return null;
@@ -103,44 +155,54 @@ export const calculateLastStopTime = (
   const timesByTimeOfDay = allArrivalTimes
     .map((time) => ({
       ...time,
-      timeOfDay: getTimeInMinutes(time.arrivalTime),
+      timeOfDay: getTimeInMinutes(time.arrivalTime, timeZone),
     }))
     .sort((a, b) => a.timeOfDay - b.timeOfDay);
 
   const lastTimeOfDay = timesByTimeOfDay[timesByTimeOfDay.length - 1];
-  const nextArrivalTimeOfDay = getTimeInMinutes(nextArrival.arrivalTime);
+  const nextArrivalTimeOfDay = getTimeInMinutes(
+    nextArrival.arrivalTime,
+    timeZone
+  );
 
   if (lastTimeOfDay.timeOfDay > nextArrivalTimeOfDay) {
-    return createNextDate(lastTimeOfDay.timeOfDay, now);
+    return createNextDate(lastTimeOfDay.timeOfDay, now, timeZone);
   } else {
-    const tomorrowDate = createNextDate(lastTimeOfDay.timeOfDay, now);
-    tomorrowDate.setDate(tomorrowDate.getDate() + 1);
-    return tomorrowDate;
+    return addZonedDays(
+      createNextDate(lastTimeOfDay.timeOfDay, now, timeZone),
+      1,
+      timeZone
+    );
   }
 };
 
 /**
- * Calculate if next arrival is within 2 stops of last stop
+ * Count the departures left today, from the next arrival through the last stop
  *
  * @param {Object} nextArrival - Next arrival object
  * @param {Date} lastStopTime - Last stop time
  * @param {Array} allArrivalTimes - Array of arrival time objects
- * @returns {boolean} - True if within 2 stops
+ * @param {string} timeZone - Stop's IANA time zone
+ * @returns {number|null} - Departures left (1 when the next one is the last), or null if unknown
  */
-export const calculateIsWithinTwoStops = (
+export const countRemainingDepartures = (
   nextArrival,
   lastStopTime,
-  allArrivalTimes
+  allArrivalTimes,
+  timeZone = DEFAULT_TIME_ZONE
 ) => {
   if (!nextArrival || !lastStopTime) {
-    return false;
+    return null;
   }
 
-  const nextArrivalTimeOfDay = getTimeInMinutes(nextArrival.arrivalTime);
-  const lastStopTimeOfDay = getTimeInMinutes(lastStopTime);
+  const nextArrivalTimeOfDay = getTimeInMinutes(
+    nextArrival.arrivalTime,
+    timeZone
+  );
+  const lastStopTimeOfDay = getTimeInMinutes(lastStopTime, timeZone);
 
   const timesByTimeOfDay = allArrivalTimes
-    .map((time) => getTimeInMinutes(time.arrivalTime))
+    .map((time) => getTimeInMinutes(time.arrivalTime, timeZone))
     .sort((a, b) => a - b);
 
   const nextIndex = timesByTimeOfDay.findIndex(
@@ -151,10 +213,32 @@ export const calculateIsWithinTwoStops = (
   );
 
   if (nextIndex >= 0 && lastIndex >= 0) {
-    const stopsBetween = Math.abs(lastIndex - nextIndex);
-    return stopsBetween <= 2;
+    return Math.abs(lastIndex - nextIndex) + 1;
   }
 
-  return false;
+  return null;
 };
 
+/**
+ * Calculate if next arrival is within 2 stops of last stop
+ *
+ * @param {Object} nextArrival - Next arrival object
+ * @param {Date} lastStopTime - Last stop time
+ * @param {Array} allArrivalTimes - Array of arrival time objects
+ * @param {string} timeZone - Stop's IANA time zone
+ * @returns {boolean} - True if within 2 stops
+ */
+export const calculateIsWithinTwoStops = (
+  nextArrival,
+  lastStopTime,
+  allArrivalTimes,
+  timeZone = DEFAULT_TIME_ZONE
+) => {
+  const remaining = countRemainingDepartures(
+    nextArrival,
+    lastStopTime,
+    allArrivalTimes,
+    timeZone
+  );
+  return remaining !== null && remaining - 1 <= 2;
+};
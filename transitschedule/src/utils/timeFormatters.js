@@ -1,26 +1,96 @@
+import { DEFAULT_TIME_ZONE } from "./constants";
+
 /**
  * formatArrivalTime Function
  *
  * Formats the arrival time for display. Converts Date object or time string
- * to a readable format in Central Time Zone.
+ * to a readable format in the given IANA time zone (the stop's zone or the
+ * board's display zone).
  *
  * @param {Date|string} time - The arrival time to format
+ * @param {string} timeZone - IANA time zone (default: DEFAULT_TIME_ZONE)
+ * @param {Object} options - Options
+ * @param {boolean} options.showZone - Append the zone abbreviation (e.g., "PST")
  * @returns {string} - Formatted time string (e.g., "3:45 PM")
  */
-export const formatArrivalTime = (time) => {
+export const formatArrivalTime = (
+  time,
+  timeZone = DEFAULT_TIME_ZONE,
+  { showZone = false } = {}
+) => {
   if (!time) return "N/A";
 
   // If it's already a Date object, use it; otherwise parse it
   const date = time instanceof Date ? time : new Date(time);
 
-  // Convert to Central Time Zone
   const options = {
-    timeZone: "America/Chicago",
+    timeZone: timeZone || DEFAULT_TIME_ZONE,
     hour: "numeric",
     minute: "2-digit",
     hour12: true,
   };
+  if (showZone) {
+    options.timeZoneName = "short";
+  }
 
   return date.toLocaleString("en-US", options);
 };
 
+
+/**
+ * formatDelay Function
+ *
+ * Formats a GTFS-Realtime delay for display. Delays under a minute either way
+ * count as on time.
+ *
+ * @param {number|null} delaySeconds - Predicted minus scheduled time in seconds
+ * @returns {string} - Delay text (e.g., "+4 min late", "on time", "2 min early"), or "" if unknown
+ */
+export const formatDelay = (delaySeconds) => {
+  if (delaySeconds === null || delaySeconds === undefined) return "";
+
+  const minutes = Math.round(delaySeconds / 60);
+  if (minutes === 0) return "on time";
+  if (minutes > 0) return `+${minutes} min late`;
+  return `${Math.abs(minutes)} min early`;
+};
+
+/**
+ * formatLeaveCountdown Function
+ *
+ * Formats the "leave in" countdown for a stop box.
+ *
+ * @param {Object|null} leaveTime - Result of calculateLeaveTime
+ * @returns {string} - Countdown text (e.g., "Leave in 12:05", "Leave now!", "Missed last departure"), or "" if unknown
+ */
+export const formatLeaveCountdown = (leaveTime) => {
+  if (!leaveTime) return "";
+  if (leaveTime.status === "missed") return "Missed last departure";
+  if (leaveTime.leaveInSeconds <= 0) return "Leave now!";
+
+  const hours = Math.floor(leaveTime.leaveInSeconds / 3600);
+  const minutes = Math.floor((leaveTime.leaveInSeconds % 3600) / 60);
+  const seconds = String(leaveTime.leaveInSeconds % 60).padStart(2, "0");
+
+  if (hours > 0) {
+    return `Leave in ${hours}h ${String(minutes).padStart(2, "0")}m`;
+  }
+  return `Leave in ${minutes}:${seconds}`;
+};
+
+/**
+ * formatTrafficDelay Function
+ *
+ * Formats how much current traffic adds to a drive.
+ *
+ * @param {number|null} delaySeconds - Traffic time minus typical time in seconds
+ * @returns {string} - Delay text (e.g., "+12 min traffic", "no traffic delay", "3 min faster"), or "" if unknown
+ */
+export const formatTrafficDelay = (delaySeconds) => {
+  if (delaySeconds === null || delaySeconds === undefined) return "";
+
+  const minutes = Math.round(delaySeconds / 60);
+  if (minutes === 0) return "no traffic delay";
+  if (minutes > 0) return `+${minutes} min traffic`;
+  return `${Math.abs(minutes)} min faster`;
+};
@@ -0,0 +1,305 @@
+import { DEFAULT_TIME_ZONE } from "./constants";
+
+/**
+ * Time Zone Utilities
+ *
+ * IANA time zone helpers built on Intl.DateTimeFormat. Schedules are written
+ * as wall-clock times in a stop's zone; these helpers turn them into true
+ * instants (Date objects) and back, so DST changes and stops outside the
+ * viewer's zone need no fixed hour offsets.
+ */
+
+// Primary IANA zone per US state / Canadian province abbreviation
+const REGION_TIME_ZONES = {
+  AL: "America/Chicago",
+  AK: "America/Anchorage",
+  AZ: "America/Phoenix",
+  AR: "America/Chicago",
+  CA: "America/Los_Angeles",
+  CO: "America/Denver",
+  CT: "America/New_York",
+  DC: "America/New_York",
+  DE: "America/New_York",
+  FL: "America/New_York",
+  GA: "America/New_York",
+  HI: "Pacific/Honolulu",
+  ID: "America/Boise",
+  IL: "America/Chicago",
+  IN: "America/Indiana/Indianapolis",
+  IA: "America/Chicago",
+  KS: "America/Chicago",
+  KY: "America/New_York",
+  LA: "America/Chicago",
+  ME: "America/New_York",
+  MD: "America/New_York",
+  MA: "America/New_York",
+  MI: "America/Detroit",
+  MN: "America/Chicago",
+  MS: "America/Chicago",
+  MO: "America/Chicago",
+  MT: "America/Denver",
+  NE: "America/Chicago",
+  NV: "America/Los_Angeles",
+  NH: "America/New_York",
+  NJ: "America/New_York",
+  NM: "America/Denver",
+  NY: "America/New_York",
+  NC: "America/New_York",
+  ND: "America/Chicago",
+  OH: "America/New_York",
+  OK: "America/Chicago",
+  OR: "America/Los_Angeles",
+  PA: "America/New_York",
+  RI: "America/New_York",
+  SC: "America/New_York",
+  SD: "America/Chicago",
+  TN: "America/Chicago",
+  TX: "America/Chicago",
+  UT: "America/Denver",
+  VT: "America/New_York",
+  VA: "America/New_York",
+  WA: "America/Los_Angeles",
+  WV: "America/New_York",
+  WI: "America/Chicago",
+  WY: "America/Denver",
+  BC: "America/Vancouver",
+};
+
+// Trailing address parts that don't identify a region
+const COUNTRY_NAMES = ["usa", "us", "united states", "canada"];
+
+const formatterCache = new Map();
+
+/**
+ * Get a cached formatter that splits instants into wall-clock parts
+ *
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat} - Formatter
+ */
+const getPartsFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+  return formatterCache.get(timeZone);
+};
+
+/**
+ * Check whether a string is a time zone Intl understands
+ *
+ * @param {string} timeZone - IANA time zone (e.g., "America/Los_Angeles")
+ * @returns {boolean} - True if valid
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    getPartsFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the viewer's (browser) time zone
+ *
+ * @returns {string} - IANA time zone
+ */
+export const getLocalTimeZone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_TIME_ZONE;
+
+/**
+ * Split an instant into wall-clock parts in a time zone
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+export const getZonedParts = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const parts = {};
+  getPartsFormatter(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      if (type !== "literal") parts[type] = Number(value);
+    });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    weekday: new Date(
+      Date.UTC(parts.year, parts.month - 1, parts.day)
+    ).getUTCDay(),
+  };
+};
+
+/**
+ * Get a time zone's UTC offset at an instant
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} - Offset in minutes (e.g., -300 for CDT)
+ */
+export const getTimeZoneOffset = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const parts = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((wallClock - instant) / 60000);
+};
+
+/**
+ * Convert a wall-clock time in a time zone to an instant
+ * Fields may overflow (hour 25, minute 90) and roll into the next day. Times
+ * skipped by a DST change move forward by the size of the gap; repeated times
+ * resolve to the first occurrence.
+ *
+ * @param {Object} wallClock - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} - Instant
+ */
+export const zonedTimeToDate = (
+  { year, month, day, hour = 0, minute = 0, second = 0 },
+  timeZone = DEFAULT_TIME_ZONE
+) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Guess with the offset at the wall-clock time, then correct once
+  const guessOffset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  const guess = wallClock - guessOffset * 60000;
+  const offset = getTimeZoneOffset(new Date(guess), timeZone);
+  if (offset === guessOffset) {
+    return new Date(guess);
+  }
+
+  const corrected = wallClock - offset * 60000;
+  if (getTimeZoneOffset(new Date(corrected), timeZone) === offset) {
+    return new Date(corrected);
+  }
+
+  // Wall-clock time falls in a DST gap
+  return new Date(Math.max(guess, corrected));
+};
+
+/**
+ * Get the calendar date in a time zone as a service date
+ * Service dates are local-midnight Dates used only for their year, month,
+ * day and weekday (GTFS calendars, ferry day masks).
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @param {number} dayOffset - Days to add (default 0)
+ * @returns {Date} - Service date
+ */
+export const getZonedServiceDate = (
+  date,
+  timeZone = DEFAULT_TIME_ZONE,
+  dayOffset = 0
+) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return new Date(year, month - 1, day + dayOffset);
+};
+
+/**
+ * Convert a time on a service date to an instant
+ * Follows GTFS: times are measured from noon minus 12 hours, so they stay
+ * correct on DST change days and may exceed 24:00 for after-midnight trips.
+ *
+ * @param {Date} serviceDate - Service date (see getZonedServiceDate)
+ * @param {number} seconds - Seconds after the start of the service day
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} - Instant
+ */
+export const serviceTimeToDate = (
+  serviceDate,
+  seconds,
+  timeZone = DEFAULT_TIME_ZONE
+) => {
+  const noon = zonedTimeToDate(
+    {
+      year: serviceDate.getFullYear(),
+      month: serviceDate.getMonth() + 1,
+      day: serviceDate.getDate(),
+      hour: 12,
+    },
+    timeZone
+  );
+  return new Date(noon.getTime() + (seconds - 12 * 3600) * 1000);
+};
+
+/**
+ * Add calendar days to an instant, keeping its wall-clock time in a time zone
+ *
+ * @param {Date} date - Instant
+ * @param {number} days - Days to add
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} - Instant
+ */
+export const addZonedDays = (date, days, timeZone = DEFAULT_TIME_ZONE) => {
+  const parts = getZonedParts(date, timeZone);
+  return zonedTimeToDate({ ...parts, day: parts.day + days }, timeZone);
+};
+
+/**
+ * Guess the time zone of an address from its state or province
+ *
+ * @param {string} address - Address (e.g., "South San Francisco Caltrain Station, CA")
+ * @returns {string|null} - IANA time zone, or null if unknown
+ */
+export const getTimeZoneForAddress = (address) => {
+  if (!address || typeof address !== "string") return null;
+
+  const parts = address
+    .split(",")
+    .map((part) => part.trim().toLowerCase())
+    .filter((part) => part && !COUNTRY_NAMES.includes(part));
+  if (parts.length === 0) return null;
+
+  // "austin tx 78704" and "Orcas Island, WA" both end with the region once
+  // postal codes are dropped
+  const words = parts[parts.length - 1]
+    .split(/\s+/)
+    .filter((word) => !/\d/.test(word));
+  const region = words[words.length - 1]?.toUpperCase();
+  return REGION_TIME_ZONES[region] || null;
+};
+
+/**
+ * Resolve a stop's time zone
+ * Uses the stop's own timeZone, then its location, origin and destination
+ * addresses, then DEFAULT_TIME_ZONE.
+ *
+ * @param {Object} stop - Stop configuration or stop data
+ * @returns {string} - IANA time zone
+ */
+export const resolveStopTimeZone = (stop = {}) => {
+  if (isValidTimeZone(stop.timeZone)) {
+    return stop.timeZone;
+  }
+  return (
+    getTimeZoneForAddress(stop.location) ||
+    getTimeZoneForAddress(stop.origin) ||
+    getTimeZoneForAddress(stop.destination) ||
+    DEFAULT_TIME_ZONE
+  );
+};
@@ -0,0 +1,156 @@
+import { resolveStopTimeZone } from "./timeZones";
+
+/**
+ * Transit Type Registry
+ *
+ * Central lookup for every stop type the board knows about. Each mode registers
+ * its fetcher, processor, default config, display label and form fields once,
+ * and the rest of the app dispatches through here instead of switching on
+ * stopConfig.type.
+ */
+
+const registry = new Map();
+
+/**
+ * Register a transit type
+ *
+ * @param {Object} definition - Transit type definition
+ * @param {string} definition.type - Stop type key (e.g., "bus")
+ * @param {string} definition.label - Label shown on the board (e.g., "BUS")
+ * @param {string} definition.category - "route" (bike/walk/drive), "transit" (bus/train), "schedule" (ferry) or "trip" (multi-leg)
+ * @param {Function} definition.fetcher - async (stopConfig, apiKey) => formatted stop data
+ * @param {Function} [definition.processor] - (stopConfig, response) => formatted stop data
+ * @param {Object} [definition.defaultConfig] - Defaults merged into every stop config of this type
+ * @param {Array<string>} [definition.formFields] - Fields the stop selector shows ("origin", "destination", "terminals")
+ * @returns {Object} - The registered definition
+ */
+export const registerTransitType = (definition) => {
+  if (!definition || !definition.type) {
+    throw new Error("Transit type definition requires a type");
+  }
+  if (typeof definition.fetcher !== "function") {
+    throw new Error(`Transit type ${definition.type} requires a fetcher`);
+  }
+
+  const registered = {
+    label: definition.type.toUpperCase(),
+    category: "route",
+    processor: null,
+    defaultConfig: {},
+    formFields: [],
+    ...definition,
+  };
+  registry.set(definition.type, registered);
+  return registered;
+};
+
+/**
+ * Get a registered transit type
+ *
+ * @param {string} type - Stop type key
+ * @returns {Object|null} - Transit type definition or null if not registered
+ */
+export const getTransitType = (type) => registry.get(type) || null;
+
+/**
+ * Get all registered transit types in registration order
+ *
+ * @returns {Array<Object>} - Array of transit type definitions
+ */
+export const getTransitTypes = () => Array.from(registry.values());
+
+/**
+ * Get the board label for a stop type
+ *
+ * @param {string} type - Stop type key
+ * @returns {string} - Display label (falls back to the upper-cased type)
+ */
+export const getTransitTypeLabel = (type) =>
+  getTransitType(type)?.label || (type ? type.toUpperCase() : "");
+
+/**
+ * Check whether a stop type shows an estimated trip time (bike/walk/drive)
+ * rather than a list of departures
+ *
+ * @param {string} type - Stop type key
+ * @returns {boolean} - True for route-style stops
+ */
+export const isRouteType = (type) => getTransitType(type)?.category === "route";
+
+/**
+ * Build a stop config for a newly created stop from form/backend stop data
+ *
+ * @param {Object} stopData - Stop data in backend format (transit_type, origin, destination, ...)
+ * @param {string} homeAddress - Home address used when no origin is given
+ * @returns {Object} - Stop config ready to pass to fetchStopData
+ */
+export const createStopConfig = (stopData, homeAddress) => {
+  const definition = getTransitType(stopData.transit_type);
+  const defaults = definition?.defaultConfig || {};
+
+  // Transit stops store the boarding stop as the destination field and always
+  // route to the type's default destination
+  let origin;
+  let destination;
+  if (definition?.category === "transit") {
+    origin = stopData.destination || stopData.origin || defaults.origin;
+    destination = defaults.destination;
+  } else {
+    origin = stopData.origin || homeAddress;
+    destination = stopData.destination;
+  }
+
+  return {
+    ...defaults,
+    name: stopData.name || stopData.destination,
+    type: stopData.transit_type,
+    origin: origin,
+    destination: destination,
+    routeFilter: stopData.route_filter || defaults.routeFilter,
+    stopFilter: stopData.stop_filter,
+    ferryDirection: stopData.ferry_direction,
+    location: stopData.location,
+    arrival: stopData.arrival || false,
+    departure: stopData.departure || false,
+    targetTime: stopData.target_time || null,
+    targetDays: stopData.target_days || null,
+    timeZone: resolveStopTimeZone({
+      timeZone: stopData.time_zone,
+      location: stopData.location,
+      origin: origin,
+      destination: destination,
+    }),
+  };
+};
+
+/**
+ * Fetch transit data for a stop using its registered fetcher
+ *
+ * @param {Object} stopConfig - Stop configuration object
+ * @param {string} apiKey - Google Maps API key
+ * @returns {Promise<Object|null>} - Formatted stop data, or null for unknown types
+ */
+export const fetchStopData = async (stopConfig, apiKey) => {
+  const definition = getTransitType(stopConfig.type);
+  if (!definition) {
+    console.error(`Unknown stop type: ${stopConfig.type}`);
+    return null;
+  }
+  return await definition.fetcher(stopConfig, apiKey);
+};
+
+/**
+ * Process a Directions API response for a stop using its registered processor
+ *
+ * @param {Object} stopConfig - Stop configuration object
+ * @param {Object} response - API response data
+ * @returns {Object|null} - Formatted stop data, or null if the type has no processor
+ */
+export const processStopResponse = (stopConfig, response) => {
+  const definition = getTransitType(stopConfig.type);
+  if (!definition || !definition.processor) {
+    console.error(`No response processor for stop type: ${stopConfig.type}`);
+    return null;
+  }
+  return definition.processor(stopConfig, response);
+};
@@ -0,0 +1,213 @@
+import { MIN_TRANSFER_SLACK_MINUTES } from "./constants";
+
+/**
+ * Trip Itinerary Utilities
+ *
+ * Turns a transit Directions response into multi-leg itineraries
+ * (walk 6 min → 801 at 8:12 → transfer → Caltrain at 8:40) for "trip" stops,
+ * keeping the walking steps and every transit line instead of only the
+ * stop's own route.
+ */
+
+// Directions line.vehicle.type → leg mode shown in the leg strip
+const VEHICLE_MODES = {
+  BUS: "bus",
+  INTERCITY_BUS: "bus",
+  TROLLEYBUS: "bus",
+  SHARE_TAXI: "bus",
+  RAIL: "train",
+  HEAVY_RAIL: "train",
+  COMMUTER_TRAIN: "train",
+  HIGH_SPEED_TRAIN: "train",
+  LONG_DISTANCE_TRAIN: "train",
+  METRO_RAIL: "train",
+  SUBWAY: "train",
+  TRAM: "train",
+  MONORAIL: "train",
+  FERRY: "ferry",
+};
+
+/**
+ * Convert a Directions time object to a Date
+ *
+ * @param {Object} timeValue - Directions time ({ value, text, time_zone })
+ * @returns {Date|null} - Instant, or null if missing
+ */
+const toDate = (timeValue) =>
+  timeValue && timeValue.value !== undefined
+    ? new Date(timeValue.value * 1000)
+    : null;
+
+const addSeconds = (date, seconds) => new Date(date.getTime() + seconds * 1000);
+
+/**
+ * Build the legs of one Directions route
+ * Consecutive walking steps are merged into one walk leg.
+ *
+ * @param {Object} leg - Directions route leg
+ * @returns {Array<Object>} - Legs ({ mode, durationSeconds, departureTime, arrivalTime, ... })
+ */
+const buildLegs = (leg) => {
+  const legs = [];
+
+  (leg.steps || []).forEach((step) => {
+    const durationSeconds = step.duration?.value || 0;
+
+    if (step.travel_mode === "TRANSIT" && step.transit_details) {
+      const details = step.transit_details;
+      legs.push({
+        mode: VEHICLE_MODES[details.line?.vehicle?.type] || "transit",
+        lineName: details.line?.short_name || details.line?.name || "",
+        headsign: details.headsign || null,
+        departureStop: details.departure_stop?.name || null,
+        arrivalStop: details.arrival_stop?.name || null,
+        departureTime: toDate(details.departure_time),
+        arrivalTime: toDate(details.arrival_time),
+        numStops: details.num_stops ?? null,
+        durationSeconds: durationSeconds,
+        transferSlackSeconds: null,
+      });
+      return;
+    }
+
+    const mode =
+      step.travel_mode === "WALKING"
+        ? "walk"
+        : String(step.travel_mode || "").toLowerCase();
+    const previous = legs[legs.length - 1];
+    if (previous && previous.mode === mode && !previous.lineName) {
+      previous.durationSeconds += durationSeconds;
+      return;
+    }
+    legs.push({
+      mode: mode,
+      durationSeconds: durationSeconds,
+      departureTime: null,
+      arrivalTime: null,
+    });
+  });
+
+  return legs;
+};
+
+/**
+ * Parse one Directions route into an itinerary
+ *
+ * Walks before the first vehicle end when it departs; later walks start when
+ * the previous leg arrives. Each transit leg after the first gets its
+ * transfer slack: the time between the previous vehicle arriving and this
+ * one departing, less any walking in between.
+ *
+ * @param {Object} route - Directions route
+ * @returns {Object|null} - Itinerary ({ departureTime, arrivalTime, durationSeconds, legs, transfers, minTransferSlackSeconds }), or null without transit legs
+ */
+export const parseTripRoute = (route) => {
+  const leg = route?.legs?.[0];
+  if (!leg) return null;
+
+  const legs = buildLegs(leg);
+  const firstTransit = legs.findIndex((l) => l.departureTime);
+  if (firstTransit < 0) return null;
+
+  // Time the legs before the first vehicle backwards from its departure
+  for (let i = firstTransit - 1; i >= 0; i--) {
+    legs[i].arrivalTime = legs[i + 1].departureTime;
+    legs[i].departureTime = addSeconds(
+      legs[i].arrivalTime,
+      -legs[i].durationSeconds
+    );
+  }
+
+  // Time later walks forwards and work out transfer slack
+  let previousTransit = legs[firstTransit];
+  let walkingSeconds = 0;
+  let minTransferSlackSeconds = null;
+  for (let i = firstTransit + 1; i < legs.length; i++) {
+    const current = legs[i];
+    if (current.lineName === undefined) {
+      current.departureTime = legs[i - 1].arrivalTime;
+      current.arrivalTime = current.departureTime
+        ? addSeconds(current.departureTime, current.durationSeconds)
+        : null;
+      walkingSeconds += current.durationSeconds;
+      continue;
+    }
+
+    if (previousTransit.arrivalTime && current.departureTime) {
+      current.transferSlackSeconds =
+        Math.round(
+          (current.departureTime - previousTransit.arrivalTime) / 1000
+        ) - walkingSeconds;
+      minTransferSlackSeconds =
+        minTransferSlackSeconds === null
+          ? current.transferSlackSeconds
+          : Math.min(minTransferSlackSeconds, current.transferSlackSeconds);
+    }
+    previousTransit = current;
+    walkingSeconds = 0;
+  }
+
+  const lastLeg = legs[legs.length - 1];
+  const departureTime = toDate(leg.departure_time) || legs[0].departureTime;
+  const arrivalTime = toDate(leg.arrival_time) || lastLeg.arrivalTime;
+
+  return {
+    departureTime: departureTime,
+    arrivalTime: arrivalTime,
+    durationSeconds:
+      leg.duration?.value ??
+      (departureTime && arrivalTime
+        ? Math.round((arrivalTime - departureTime) / 1000)
+        : null),
+    timeZone: leg.departure_time?.time_zone || null,
+    legs: legs,
+    transfers: legs.filter((l) => l.lineName !== undefined).length - 1,
+    minTransferSlackSeconds: minTransferSlackSeconds,
+  };
+};
+
+/**
+ * Parse all routes of a Directions response into itineraries
+ *
+ * @param {Object} response - Directions API response
+ * @returns {Array<Object>} - Itineraries sorted by departure, duplicates removed
+ */
+export const parseTripItineraries = (response) => {
+  if (!response || response.status !== "OK" || !response.routes) {
+    return [];
+  }
+
+  const seen = new Set();
+  return response.routes
+    .map(parseTripRoute)
+    .filter(Boolean)
+    .filter((itinerary) => {
+      const key = `${itinerary.departureTime?.getTime()}-${getTripLineNames(
+        itinerary.legs
+      ).join(">")}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.departureTime - b.departureTime);
+};
+
+/**
+ * Get the transit line names of an itinerary in riding order
+ *
+ * @param {Array<Object>} legs - Itinerary legs
+ * @returns {Array<string>} - Line names (e.g., ["801", "Caltrain"])
+ */
+export const getTripLineNames = (legs) =>
+  (legs || []).filter((l) => l.lineName !== undefined).map((l) => l.lineName);
+
+/**
+ * Check whether a transfer is too tight to rely on
+ *
+ * @param {number|null} slackSeconds - Transfer slack in seconds
+ * @returns {boolean} - True if under MIN_TRANSFER_SLACK_MINUTES
+ */
+export const isTightTransfer = (slackSeconds) =>
+  slackSeconds !== null &&
+  slackSeconds !== undefined &&
+  slackSeconds < MIN_TRANSFER_SLACK_MINUTES * 60;